@@ -0,0 +1,349 @@
+/**
+ * CARRIER TRACKING TEST
+ * Runs the mock carrier (src/scripts/mockCarrier.js) and checks polling,
+ * signed webhooks and delivery against a running backend.
+ *
+ * The backend must be started with the mock's DHL settings:
+ *   DHL_API_URL=http://localhost:4006/dhl
+ *   DHL_API_KEY=local
+ *   DHL_WEBHOOK_SECRET=<same value this script sees in .env or the shell>
+ */
+
+import "dotenv/config";
+import crypto from "crypto";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import fetch from "node-fetch";
+
+const BASE_URL = "http://localhost:5000/api";
+const MOCK_PORT = Number(process.env.CARRIER_MOCK_PORT) || 4006;
+const MOCK_URL = `http://localhost:${MOCK_PORT}`;
+const MOCK_SCRIPT = fileURLToPath(
+  new URL("./src/scripts/mockCarrier.js", import.meta.url),
+);
+const WEBHOOK_SECRET = process.env.DHL_WEBHOOK_SECRET || "";
+const TRACKING_NUMBER = `MOCKDHL${Date.now()}`;
+const TRACKING_STATUSES = [
+  "label_created",
+  "in_transit",
+  "out_for_delivery",
+  "delivered",
+  "exception",
+];
+
+let adminToken = "";
+let testOrderId = "";
+let mockCarrier = null;
+
+const results = {
+  passed: 0,
+  failed: 0,
+  errors: [],
+};
+
+// Credentials
+const ADMIN = { email: "admin@softronix.com", password: "password123" };
+
+// Helper functions
+function log(emoji, message) {
+  console.log(`${emoji} ${message}`);
+}
+
+function pass(test) {
+  results.passed++;
+  log("✅", test);
+}
+
+function fail(test, error) {
+  results.failed++;
+  results.errors.push({ test, error });
+  log("❌", `${test}: ${error}`);
+}
+
+async function request(url, options = {}) {
+  try {
+    const response = await fetch(BASE_URL + url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        ...options.headers,
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    return {
+      status: response.status,
+      ok: response.ok,
+      data,
+      statusText: response.statusText,
+    };
+  } catch (error) {
+    return { error: error.message, data: {} };
+  }
+}
+
+const sign = (body) =>
+  crypto.createHmac("sha256", WEBHOOK_SECRET).update(body).digest("hex");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Start the mock with steps far apart, so only /advance moves a shipment
+async function startMockCarrier() {
+  mockCarrier = spawn(process.execPath, [MOCK_SCRIPT], {
+    env: {
+      ...process.env,
+      CARRIER_MOCK_PORT: String(MOCK_PORT),
+      MOCK_CARRIER_STEP_SECONDS: "3600",
+      CARRIER_WEBHOOK_URL: `${BASE_URL}/tracking/webhook`,
+    },
+    stdio: "ignore",
+  });
+
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      await fetch(`${MOCK_URL}/dhl/track/shipments`);
+      return true;
+    } catch {
+      await sleep(100);
+    }
+  }
+  return false;
+}
+
+function stopMockCarrier() {
+  if (mockCarrier && mockCarrier.exitCode === null) mockCarrier.kill();
+}
+
+// ========================================
+// TEST SUITES
+// ========================================
+
+async function testSetup() {
+  console.log("\n" + "=".repeat(60));
+  console.log("🔧 SETUP");
+  console.log("=".repeat(60));
+
+  if (await startMockCarrier()) {
+    pass(`Mock carrier running on port ${MOCK_PORT}`);
+  } else {
+    fail("Start mock carrier", `Nothing answered on port ${MOCK_PORT}`);
+    return;
+  }
+
+  const adminLogin = await request("/auth/login", {
+    method: "POST",
+    body: JSON.stringify(ADMIN),
+  });
+  if (adminLogin.ok && adminLogin.data.token) {
+    adminToken = adminLogin.data.token;
+    pass("Admin login successful");
+  } else {
+    fail("Admin login", adminLogin.data.message || "Failed");
+    return;
+  }
+
+  const headers = { Authorization: `Bearer ${adminToken}` };
+
+  // An order the carrier can still move along
+  for (const status of ["paid", "processing"]) {
+    const orders = await request(`/admin/orders?status=${status}`, {
+      headers,
+    });
+    if (orders.ok && orders.data.orders?.length > 0) {
+      testOrderId = orders.data.orders[0]._id;
+      break;
+    }
+  }
+  if (!testOrderId) {
+    fail("Find test order", "No paid or processing order to ship");
+    return;
+  }
+  pass(`Using order ${testOrderId}`);
+
+  const tracking = await request(`/admin/orders/${testOrderId}/tracking`, {
+    method: "PUT",
+    headers,
+    body: JSON.stringify({ carrier: "dhl", trackingNumber: TRACKING_NUMBER }),
+  });
+  if (tracking.ok) {
+    pass(`Set DHL tracking number ${TRACKING_NUMBER}`);
+  } else {
+    fail("Set tracking number", tracking.data.message || "Failed");
+    testOrderId = "";
+  }
+}
+
+async function testPolling() {
+  console.log("\n" + "=".repeat(60));
+  console.log("🔄 POLLING TEST");
+  console.log("=".repeat(60));
+
+  const headers = { Authorization: `Bearer ${adminToken}` };
+  const refresh = await request(
+    `/admin/orders/${testOrderId}/tracking/refresh`,
+    { method: "POST", headers },
+  );
+  if (!refresh.ok) {
+    fail("Refresh tracking", refresh.data.message || "Failed");
+    return;
+  }
+  pass(`Refresh tracking (${refresh.data.message})`);
+
+  const scans = (refresh.data.order.tracking?.history || []).filter((entry) =>
+    TRACKING_STATUSES.includes(entry.status),
+  );
+  const first = scans.find((entry) => entry.status === "label_created");
+  if (
+    first &&
+    first.description === "Shipping label created" &&
+    first.location.startsWith("Memphis") &&
+    !Number.isNaN(Date.parse(first.timestamp))
+  ) {
+    pass("Carrier scan normalized into tracking.history");
+  } else {
+    fail(
+      "Normalize carrier scan",
+      `Unexpected history: ${JSON.stringify(scans)}`,
+    );
+  }
+
+  const again = await request(
+    `/admin/orders/${testOrderId}/tracking/refresh`,
+    { method: "POST", headers },
+  );
+  const count = (again.data.order?.tracking?.history || []).length;
+  if (again.ok && count === refresh.data.order.tracking.history.length) {
+    pass("Polling again adds no duplicate scans");
+  } else {
+    fail("Repeat refresh", again.data.message || `History now ${count}`);
+  }
+}
+
+async function testWebhooks() {
+  console.log("\n" + "=".repeat(60));
+  console.log("📨 WEBHOOK TEST");
+  console.log("=".repeat(60));
+
+  const body = JSON.stringify({
+    shipments: [
+      {
+        id: TRACKING_NUMBER,
+        events: [
+          {
+            statusCode: "transit",
+            description: "Picked up",
+            timestamp: new Date().toISOString(),
+            location: { address: { addressLocality: "Memphis, US" } },
+          },
+        ],
+      },
+    ],
+  });
+
+  const unsigned = await request("/tracking/webhook/dhl", {
+    method: "POST",
+    body,
+  });
+  if (unsigned.status === 401) {
+    pass("Unsigned webhook rejected (401)");
+  } else {
+    fail("Unsigned webhook", `Expected 401, got ${unsigned.status}`);
+  }
+
+  const forged = await request("/tracking/webhook/dhl", {
+    method: "POST",
+    headers: { "x-signature": sign(body + " ") },
+    body,
+  });
+  if (forged.status === 401) {
+    pass("Webhook with a wrong signature rejected (401)");
+  } else {
+    fail("Forged webhook", `Expected 401, got ${forged.status}`);
+  }
+
+  const signed = await request("/tracking/webhook/dhl", {
+    method: "POST",
+    headers: { "x-signature": sign(body) },
+    body,
+  });
+  if (signed.ok && signed.data.matched === 1) {
+    pass("Signed webhook accepted and matched the order");
+  } else {
+    fail(
+      "Signed webhook",
+      signed.data.message || `Matched ${signed.data.matched}`,
+    );
+  }
+}
+
+async function testDelivery() {
+  console.log("\n" + "=".repeat(60));
+  console.log("📦 DELIVERY TEST");
+  console.log("=".repeat(60));
+
+  // The mock pushes each step to the backend, signed like the carrier
+  let step = "";
+  for (let i = 0; i < 5 && step !== "Delivered"; i++) {
+    const response = await fetch(
+      `${MOCK_URL}/advance/dhl/${TRACKING_NUMBER}`,
+      { method: "POST" },
+    );
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.pushed) {
+      fail("Carrier push", data.message || `Step "${data.step}" not accepted`);
+      return;
+    }
+    step = data.step;
+  }
+  pass("Mock carrier pushed every step up to delivery");
+
+  const tracked = await request(`/payment/track/${TRACKING_NUMBER}`);
+  if (tracked.ok && tracked.data.status === "delivered") {
+    pass("Delivery scan moved the order to delivered");
+  } else {
+    fail(
+      "Order delivered",
+      tracked.data.message || `Order status is ${tracked.data.status}`,
+    );
+  }
+}
+
+async function runAllTests() {
+  console.log("╔" + "═".repeat(58) + "╗");
+  console.log(
+    "║" + " ".repeat(15) + "CARRIER TRACKING TEST" + " ".repeat(22) + "║",
+  );
+  console.log("╚" + "═".repeat(58) + "╝");
+
+  await testSetup();
+  if (testOrderId) {
+    await testPolling();
+    await testWebhooks();
+    await testDelivery();
+  }
+  stopMockCarrier();
+
+  // ========================================
+  // FINAL REPORT
+  // ========================================
+  console.log("\n" + "=".repeat(60));
+  console.log(`✅ PASSED: ${results.passed}`);
+  console.log(`❌ FAILED: ${results.failed}`);
+
+  if (results.errors.length > 0) {
+    console.log("\n❌ FAILED TESTS DETAILS:");
+    results.errors.forEach((err, i) => {
+      console.log(`${i + 1}. ${err.test}`);
+      console.log(`   Error: ${err.error}\n`);
+    });
+  }
+  console.log("=".repeat(60) + "\n");
+
+  process.exit(results.failed === 0 ? 0 : 1);
+}
+
+// Run the tests
+runAllTests().catch((error) => {
+  stopMockCarrier();
+  console.error("❌ Fatal error running tests:", error);
+  process.exit(1);
+});
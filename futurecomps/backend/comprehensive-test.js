@@ -176,6 +176,63 @@ async function testAuthFlow() {
   } else {
     fail("Protected routes", "Should require authentication");
   }
+
+  // Test 5: Email verification (codes come from the test hook — start the
+  // server with EXPOSE_TEST_TOKENS=true)
+  const signup = await request("/auth/register", {
+    method: "POST",
+    body: JSON.stringify(TEST_USER),
+  });
+  const issued = signup.ok
+    ? await request(
+        `/auth/test/token?email=${encodeURIComponent(TEST_USER.email)}&purpose=email_verification`,
+      )
+    : null;
+
+  if (!issued?.ok) {
+    log("⏭️", "Email verification skipped (test token hook not enabled)");
+    return;
+  }
+
+  const verified = await request("/auth/verify-otp", {
+    method: "POST",
+    body: JSON.stringify({ email: TEST_USER.email, otp: issued.data.token }),
+  });
+  if (verified.ok && verified.data.token) {
+    userToken = verified.data.token;
+    pass("Email verification with OTP");
+  } else {
+    fail("Email verification", verified.data.message || "Failed");
+  }
+
+  // Test 6: Password reset codes work once
+  await request("/auth/forgot-password", {
+    method: "POST",
+    body: JSON.stringify({ email: TEST_USER.email }),
+  });
+  const resetCode = await request(
+    `/auth/test/token?email=${encodeURIComponent(TEST_USER.email)}&purpose=password_reset`,
+  );
+  const reset = () =>
+    request("/auth/reset-password", {
+      method: "POST",
+      body: JSON.stringify({
+        email: TEST_USER.email,
+        otp: resetCode.data.token,
+        newPassword: TEST_USER.password,
+      }),
+    });
+
+  const firstReset = await reset();
+  const secondReset = await reset();
+  if (firstReset.ok && !secondReset.ok) {
+    pass("Password reset code is single-use");
+  } else {
+    fail(
+      "Password reset code",
+      firstReset.ok ? "A used code should be rejected" : firstReset.data.message,
+    );
+  }
 }
 
 async function testAdminEndpoints() {
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import {
+  listAddresses,
+  addAddress,
+  updateAddress as updateSavedAddress,
+  deleteAddress as deleteSavedAddress,
+} from "../services/addressService.js";
+
+const invalidId = (res) =>
+  res.status(400).json({ message: "Invalid address id" });
+
+// @desc    Saved addresses of the current user
+// @route   GET /api/profile/addresses
+// @access  Private
+export const getAddresses = async (req, res) => {
+  try {
+    res.json(await listAddresses(req.user._id));
+  } catch (error) {
+    console.error("getAddresses error:", error);
+    res.status(500).json({ message: "Failed to fetch addresses" });
+  }
+};
+
+// @desc    Save an address
+// @route   POST /api/profile/addresses
+//          { label?, fullName, phone?, addressLine1, addressLine2?, city,
+//            state?, postalCode?, country, isDefaultShipping?,
+//            isDefaultBilling? }
+// @access  Private
+export const createAddress = async (req, res) => {
+  try {
+    const result = await addAddress(req.user._id, req.body);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.status(201).json({ message: result.message, address: result.address });
+  } catch (error) {
+    console.error("createAddress error:", error);
+    res.status(500).json({ message: "Failed to save address" });
+  }
+};
+
+// @desc    Change an address, or make it a default (isDefaultShipping /
+//          isDefaultBilling: true)
+// @route   PUT /api/profile/addresses/:id
+// @access  Private
+export const updateAddress = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const result = await updateSavedAddress(
+      req.user._id,
+      req.params.id,
+      req.body,
+    );
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.json({ message: result.message, address: result.address });
+  } catch (error) {
+    console.error("updateAddress error:", error);
+    res.status(500).json({ message: "Failed to update address" });
+  }
+};
+
+// @desc    Delete an address; a default passes to the oldest remaining one
+// @route   DELETE /api/profile/addresses/:id
+// @access  Private
+export const deleteAddress = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const result = await deleteSavedAddress(req.user._id, req.params.id);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error("deleteAddress error:", error);
+    res.status(500).json({ message: "Failed to delete address" });
+  }
+};
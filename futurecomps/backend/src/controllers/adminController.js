@@ -2,6 +2,55 @@ import User from "../models/User.js";
 import Order from "../models/Order.js";
 import Product from "../models/Product.js";
 import Coupon from "../models/Coupon.js";
+import WebhookEvent from "../models/WebhookEvent.js";
+import ReturnRequest from "../models/ReturnRequest.js";
+import AuditLog from "../models/AuditLog.js";
+import EmailLog from "../models/EmailLog.js";
+import { unlockUser as unlockUserAccount } from "../services/authLockoutService.js";
+import { replayWebhookEvent } from "../services/webhookService.js";
+import { refundOrder, cancelOrder } from "../services/refundService.js";
+import {
+  transitionOrder,
+  collectCash,
+  allowedTransitions,
+} from "../services/orderStateService.js";
+import {
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+} from "../services/returnService.js";
+import {
+  PERMISSIONS,
+  roleExists,
+  isStaffRole,
+  listRoles,
+  createRole as createRoleDefinition,
+  updateRole as updateRoleDefinition,
+  deleteRole as deleteRoleDefinition,
+} from "../services/roleService.js";
+import { formatMoney } from "../services/currencyService.js";
+import { hasPermission } from "../middleware/adminMiddleware.js";
+import { sendMail, activeTransport } from "../services/mailService.js";
+import { sendOrderEmail } from "../services/orderEmailService.js";
+import {
+  notifyOrderStatus,
+  notifyTrackingUpdate,
+} from "../services/notificationService.js";
+
+// Staff accounts (roles with any permission) can only have their email,
+// verification or access changed by someone who can manage roles —
+// otherwise users:write could take over an admin through a password
+// reset sent to a new email
+const STAFF_ACCOUNT_FORBIDDEN =
+  "You need permission to manage roles to change a staff account";
+
+async function touchesStaff(req, roles) {
+  if (hasPermission(req, "roles:manage")) return false;
+  for (const role of new Set(roles)) {
+    if (await isStaffRole(role)) return true;
+  }
+  return false;
+}
 
 // @desc    Get all users
 // @route   GET /api/admin/users
@@ -32,9 +81,7 @@ export const getAllUsers = async (req, res) => {
     const skip = (page - 1) * limit;
 
     const users = await User.find(filter)
-      .select(
-        "-password -otp -otpExpiry -resetPasswordToken -resetPasswordExpiry",
-      )
+      .select("-password")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -61,9 +108,7 @@ export const getAllUsers = async (req, res) => {
 // @access  Private/Admin
 export const getUserById = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select(
-      "-password -otp -otpExpiry -resetPasswordToken -resetPasswordExpiry",
-    );
+    const user = await User.findById(req.params.id).select("-password");
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
@@ -96,8 +141,36 @@ export const updateUser = async (req, res) => {
         .json({ message: "You cannot deactivate your own account" });
     }
 
+    const changes = (value, current) =>
+      value !== undefined && value !== current;
+    if (
+      (changes(email, user.email) ||
+        changes(isVerified, user.isVerified) ||
+        changes(isActive, user.isActive)) &&
+      (await touchesStaff(req, [user.role]))
+    ) {
+      return res.status(403).json({ message: STAFF_ACCOUNT_FORBIDDEN });
+    }
+
+    // Role changes need roles:manage, and nobody can promote themselves
+    if (role !== undefined && role !== user.role) {
+      if (!hasPermission(req, "roles:manage")) {
+        return res
+          .status(403)
+          .json({ message: "You don't have permission to change roles" });
+      }
+      if (req.user._id.toString() === user._id.toString()) {
+        return res
+          .status(400)
+          .json({ message: "You cannot change your own role" });
+      }
+      if (!(await roleExists(role))) {
+        return res.status(400).json({ message: "Unknown role" });
+      }
+      user.role = role;
+    }
+
     // Update fields if provided
-    if (role !== undefined) user.role = role;
     if (isActive !== undefined) user.isActive = isActive;
     if (isVerified !== undefined) user.isVerified = isVerified;
     if (name !== undefined) user.name = name;
@@ -146,6 +219,9 @@ export const deleteUser = async (req, res) => {
         .status(400)
         .json({ message: "You cannot delete your own account" });
     }
+    if (await touchesStaff(req, [user.role])) {
+      return res.status(403).json({ message: STAFF_ACCOUNT_FORBIDDEN });
+    }
 
     await user.deleteOne();
 
@@ -206,14 +282,17 @@ export const getStats = async (req, res) => {
         Order.countDocuments({ createdAt: { $gte: sevenDaysAgo } }),
       ]);
 
-    // Revenue
+    // Revenue, in the base currency at each order's checkout rate
+    const inBase = (field) => ({
+      $divide: [`$${field}`, { $ifNull: ["$exchangeRate", 1] }],
+    });
     const revenueResult = await Order.aggregate([
       { $match: { status: "paid" } },
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: "$total" },
-          totalDiscount: { $sum: "$discount" },
+          totalRevenue: { $sum: inBase("total") },
+          totalDiscount: { $sum: inBase("discount") },
         },
       },
     ]);
@@ -223,7 +302,7 @@ export const getStats = async (req, res) => {
     // Recent revenue (7 days)
     const recentRevenueResult = await Order.aggregate([
       { $match: { status: "paid", createdAt: { $gte: sevenDaysAgo } } },
-      { $group: { _id: null, revenue: { $sum: "$total" } } },
+      { $group: { _id: null, revenue: { $sum: inBase("total") } } },
     ]);
     const recentRevenue = recentRevenueResult[0]?.revenue || 0;
 
@@ -276,6 +355,23 @@ export const getStats = async (req, res) => {
   }
 };
 
+// @desc    Unlock a user locked out by failed logins/OTPs
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private/Admin
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await unlockUserAccount(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({ message: "User unlocked successfully", user });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // @desc    Bulk update users (activate/deactivate multiple)
 // @route   POST /api/admin/users/bulk-update
 // @access  Private/Admin
@@ -299,10 +395,26 @@ export const bulkUpdateUsers = async (req, res) => {
       });
     }
 
+    if (action === "delete" && !hasPermission(req, "users:delete")) {
+      return res
+        .status(403)
+        .json({ message: "You don't have permission to delete users" });
+    }
+
     // Prevent admin from bulk updating themselves
     const adminId = req.user._id.toString();
     const filteredUserIds = userIds.filter((id) => id !== adminId);
 
+    if (
+      ["deactivate", "delete"].includes(action) &&
+      (await touchesStaff(
+        req,
+        await User.distinct("role", { _id: { $in: filteredUserIds } }),
+      ))
+    ) {
+      return res.status(403).json({ message: STAFF_ACCOUNT_FORBIDDEN });
+    }
+
     let result;
     switch (action) {
       case "activate":
@@ -342,15 +454,18 @@ export const bulkUpdateUsers = async (req, res) => {
 
 export const getAllOrders = async (req, res) => {
   try {
-    const { page = 1, limit = 20, status } = req.query;
+    const { page = 1, limit = 20, status, oversold } = req.query;
     const filter = {};
     if (status) filter.status = status;
+    // Paid lines the webhook found no stock for
+    if (oversold === "true") filter["oversold.0"] = { $exists: true };
 
     const skip = (Number(page) - 1) * Number(limit);
 
     const [orders, total] = await Promise.all([
       Order.find(filter)
         .populate("userId", "name email")
+        .populate("events.actorId", "name email")
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(Number(limit))
@@ -359,7 +474,11 @@ export const getAllOrders = async (req, res) => {
     ]);
 
     res.json({
-      orders,
+      // Next statuses the admin UI may offer for each order
+      orders: orders.map((order) => ({
+        ...order,
+        allowedStatuses: allowedTransitions(order),
+      })),
       total,
       page: Number(page),
       pages: Math.ceil(total / Number(limit)),
@@ -371,10 +490,12 @@ export const getAllOrders = async (req, res) => {
 };
 
 // ── Admin: Update Order Status ──────────────────────────
+// Only transitions allowed for the order's payment method are accepted
+// (see orderStateService); each one is recorded in order.events
 
 export const updateOrderStatus = async (req, res) => {
   try {
-    const { status, tracking } = req.body;
+    const { status, tracking, reason = "" } = req.body;
     const validStatuses = [
       "pending",
       "paid",
@@ -392,25 +513,27 @@ export const updateOrderStatus = async (req, res) => {
         });
     }
 
-    const order = await Order.findById(req.params.id);
-    if (!order) {
-      return res.status(404).json({ message: "Order not found" });
-    }
-
-    // Update status if provided
+    let order;
     if (status) {
-      order.status = status;
-      
-      // Add to tracking history
-      if (!order.tracking) {
-        order.tracking = { history: [] };
+      // Cancelling/refunding moves money and stock — not just a label
+      const result =
+        status === "cancelled"
+          ? await cancelOrder(req.params.id, { reason, actorId: req.user._id })
+          : status === "refunded"
+            ? await refundOrder(req.params.id, { reason, actorId: req.user._id })
+            : await transitionOrder(req.params.id, status, {
+                reason,
+                actorId: req.user._id,
+              });
+      if (!result.ok) {
+        return res.status(result.status).json({ message: result.message });
+      }
+      order = result.order;
+    } else {
+      order = await Order.findById(req.params.id);
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
       }
-      order.tracking.history.push({
-        status: status,
-        description: `Order status updated to ${status}`,
-        timestamp: new Date(),
-      });
-      order.tracking.lastUpdate = new Date();
     }
 
     // Update tracking info if provided
@@ -431,10 +554,18 @@ export const updateOrderStatus = async (req, res) => {
       if (tracking.currentLocation) {
         order.tracking.currentLocation = tracking.currentLocation;
       }
+      // A new number or carrier is asked about on the next poll
+      if (tracking.trackingNumber || tracking.carrier) {
+        order.tracking.lastCheckedAt = null;
+      }
       order.tracking.lastUpdate = new Date();
+      await order.save();
     }
 
-    await order.save();
+    // Each is sent once per order (shipped needs a tracking number too)
+    if (order.status === "shipped") await sendOrderEmail(order, "shipped");
+    if (order.status === "delivered") await sendOrderEmail(order, "delivered");
+    if (status) await notifyOrderStatus(order);
 
     res.json({ message: "Order updated successfully", order });
   } catch (error) {
@@ -443,6 +574,172 @@ export const updateOrderStatus = async (req, res) => {
   }
 };
 
+// ── Admin: Record COD Cash Collection ───────────────────
+
+export const collectOrderCash = async (req, res) => {
+  try {
+    const result = await collectCash(req.params.id, {
+      reason: req.body?.reason || "",
+      actorId: req.user._id,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message: `Cash collected — ${formatMoney(
+        result.order.total,
+        result.order.currency,
+      )}`,
+      order: result.order,
+    });
+  } catch (error) {
+    console.error("collectOrderCash error:", error);
+    res.status(500).json({ message: "Failed to record cash collection" });
+  }
+};
+
+// ── Admin: Refund Order ─────────────────────────────────
+// Full refund when body is empty; partial via items and/or amount
+
+export const createOrderRefund = async (req, res) => {
+  try {
+    const { items, amount, reason, restock } = req.body;
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({ message: "items must be an array" });
+    }
+    if (amount !== undefined && amount !== null && isNaN(Number(amount))) {
+      return res.status(400).json({ message: "amount must be a number" });
+    }
+
+    const result = await refundOrder(req.params.id, {
+      items,
+      amount: amount ?? undefined,
+      reason: reason || "",
+      restock: restock ?? true,
+      actorId: req.user._id,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message: `Refunded ${formatMoney(
+        result.refund.amount,
+        result.order.currency,
+      )}`,
+      refund: result.refund,
+      order: result.order,
+    });
+  } catch (error) {
+    console.error("createOrderRefund error:", error);
+    res.status(500).json({ message: "Failed to refund order" });
+  }
+};
+
+// ── Admin: Cancel Order ─────────────────────────────────
+
+export const cancelOrderAdmin = async (req, res) => {
+  try {
+    const result = await cancelOrder(req.params.id, {
+      reason: req.body.reason || "",
+      actorId: req.user._id,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({ message: "Order cancelled", order: result.order });
+  } catch (error) {
+    console.error("cancelOrderAdmin error:", error);
+    res.status(500).json({ message: "Failed to cancel order" });
+  }
+};
+
+// ── Admin: Return Requests Queue ────────────────────────
+
+export const getReturns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, orderId } = req.query;
+    const filter = {};
+    // Comma-separated, e.g. ?status=requested,approved
+    if (status) filter.status = { $in: status.split(",") };
+    if (orderId) filter.orderId = orderId;
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(filter)
+        .populate("userId", "name email")
+        .populate("orderId", "orderId total paymentMethod status")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      ReturnRequest.countDocuments(filter),
+    ]);
+
+    res.json({
+      returns,
+      total,
+      page: Number(page),
+      pages: Math.ceil(total / Number(limit)),
+    });
+  } catch (error) {
+    console.error("getReturns error:", error);
+    res.status(500).json({ message: "Failed to fetch returns" });
+  }
+};
+
+// ── Admin: Approve / Reject / Receive Return ────────────
+// Marking a return "received" refunds its items automatically
+
+const RETURN_ACTIONS = {
+  approved: approveReturn,
+  rejected: rejectReturn,
+  received: receiveReturn,
+};
+
+export const updateReturnStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const action = RETURN_ACTIONS[status];
+    if (!action) {
+      return res.status(400).json({
+        message: `Status must be one of: ${Object.keys(RETURN_ACTIONS).join(", ")}`,
+      });
+    }
+    if (status === "received" && !hasPermission(req, "orders:refund")) {
+      return res
+        .status(403)
+        .json({ message: "You don't have permission to refund returns" });
+    }
+
+    const result = await action(req.params.id, {
+      actorId: req.user._id,
+      note,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message:
+        result.returnRequest.status === "refunded"
+          ? `Return received — refunded ${formatMoney(
+              result.returnRequest.refundAmount,
+              result.currency,
+            )}`
+          : `Return ${result.returnRequest.status}`,
+      returnRequest: result.returnRequest,
+    });
+  } catch (error) {
+    console.error("updateReturnStatus error:", error);
+    res.status(500).json({ message: "Failed to update return" });
+  }
+};
+
 // ── Admin: Update Order Tracking ────────────────────────
 
 export const updateOrderTracking = async (req, res) => {
@@ -478,20 +775,30 @@ export const updateOrderTracking = async (req, res) => {
     if (currentLocation) {
       order.tracking.currentLocation = currentLocation;
     }
+    // A new number or carrier is asked about on the next poll
+    if (trackingNumber || carrier) {
+      order.tracking.lastCheckedAt = null;
+    }
 
     // Add history entry if provided
+    let historyEntry = null;
     if (addHistoryEntry) {
-      order.tracking.history.push({
+      historyEntry = {
         status: addHistoryEntry.status || order.status,
         location: addHistoryEntry.location || currentLocation || "",
         description: addHistoryEntry.description || "",
         timestamp: new Date(),
-      });
+      };
+      order.tracking.history.push(historyEntry);
     }
 
     order.tracking.lastUpdate = new Date();
     await order.save();
 
+    // First tracking number on a shipped order sends the shipped email
+    await sendOrderEmail(order, "shipped");
+    if (historyEntry) await notifyTrackingUpdate(order, historyEntry);
+
     res.json({ message: "Tracking information updated", order });
   } catch (error) {
     console.error("updateOrderTracking error:", error);
@@ -575,3 +882,243 @@ export const setBottomPrice = async (req, res) => {
     res.status(500).json({ message: "Failed to update pricing" });
   }
 };
+
+// ── Admin: View Stripe Webhook Events ───────────────────
+
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select("-payload")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      WebhookEvent.countDocuments(filter),
+    ]);
+
+    res.json({
+      events,
+      total,
+      page: Number(page),
+      pages: Math.ceil(total / Number(limit)),
+    });
+  } catch (error) {
+    console.error("getWebhookEvents error:", error);
+    res.status(500).json({ message: "Failed to fetch webhook events" });
+  }
+};
+
+// ── Admin: Replay Failed Webhook Event ──────────────────
+
+export const replayWebhook = async (req, res) => {
+  try {
+    const result = await replayWebhookEvent(req.params.id);
+    if (!result) {
+      return res
+        .status(404)
+        .json({ message: "Failed webhook event not found" });
+    }
+
+    const event = await WebhookEvent.findById(req.params.id)
+      .select("-payload")
+      .lean();
+
+    if (result.status === "failed") {
+      return res
+        .status(502)
+        .json({ message: `Replay failed: ${result.error}`, event });
+    }
+
+    res.json({ message: "Webhook event replayed", event });
+  } catch (error) {
+    console.error("replayWebhook error:", error);
+    res.status(500).json({ message: "Failed to replay webhook event" });
+  }
+};
+
+// ── Admin: Audit Log ────────────────────────────────────
+// Filters: resource, resourceId, action, actorId, from/to (ISO dates)
+
+export const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      resource,
+      resourceId,
+      action,
+      actorId,
+      from,
+      to,
+    } = req.query;
+
+    const filter = {};
+    if (resource) filter.resource = resource;
+    if (resourceId) filter.resourceId = resourceId;
+    if (action) filter.action = action;
+    if (actorId) filter.actorId = actorId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate("actorId", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      entries,
+      total,
+      page: Number(page),
+      pages: Math.ceil(total / Number(limit)),
+    });
+  } catch (error) {
+    console.error("getAuditLogs error:", error);
+    res.status(500).json({ message: "Failed to fetch audit log" });
+  }
+};
+
+// ── Admin: Roles & Permissions ──────────────────────────
+
+// @desc    List roles and the permission catalog
+// @route   GET /api/admin/roles
+// @access  Private/Admin (users:read)
+export const getRoles = async (req, res) => {
+  try {
+    res.json({ roles: await listRoles(), permissions: PERMISSIONS });
+  } catch (error) {
+    console.error("getRoles error:", error);
+    res.status(500).json({ message: "Failed to fetch roles" });
+  }
+};
+
+// @desc    Create a custom role
+// @route   POST /api/admin/roles
+// @access  Private/Admin (roles:manage)
+export const createRole = async (req, res) => {
+  try {
+    const result = await createRoleDefinition(req.body);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.status(201).json({ message: "Role created", role: result.role });
+  } catch (error) {
+    console.error("createRole error:", error);
+    res.status(500).json({ message: "Failed to create role" });
+  }
+};
+
+// @desc    Update a role's label, description or permissions
+// @route   PUT /api/admin/roles/:name
+// @access  Private/Admin (roles:manage)
+export const updateRole = async (req, res) => {
+  try {
+    const result = await updateRoleDefinition(req.params.name, req.body);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.json({ message: "Role updated", role: result.role });
+  } catch (error) {
+    console.error("updateRole error:", error);
+    res.status(500).json({ message: "Failed to update role" });
+  }
+};
+
+// @desc    Delete a custom role nobody holds
+// @route   DELETE /api/admin/roles/:name
+// @access  Private/Admin (roles:manage)
+export const deleteRole = async (req, res) => {
+  try {
+    const result = await deleteRoleDefinition(req.params.name);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error("deleteRole error:", error);
+    res.status(500).json({ message: "Failed to delete role" });
+  }
+};
+
+// ── Admin: Email ────────────────────────────────────────
+
+// @desc    Outgoing email log, newest first
+// @route   GET /api/admin/emails
+// @access  Private/Admin (emails:read)
+export const getEmailLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, template, to } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (template) filter.template = template;
+    if (to) filter.to = String(to).toLowerCase();
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [emails, total] = await Promise.all([
+      EmailLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      EmailLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      emails,
+      total,
+      page: Number(page),
+      pages: Math.ceil(total / Number(limit)),
+      transport: activeTransport(),
+    });
+  } catch (error) {
+    console.error("getEmailLogs error:", error);
+    res.status(500).json({ message: "Failed to fetch email log" });
+  }
+};
+
+// @desc    Send a test email to check the mail setup
+// @route   POST /api/admin/emails/test
+// @access  Private/Admin (settings:write)
+export const sendTestEmail = async (req, res) => {
+  try {
+    const to = req.body.to || req.user.email;
+    if (typeof to !== "string" || !/^[^\s@]+@[^\s@]+$/.test(to)) {
+      return res.status(400).json({ message: "Please provide a valid email" });
+    }
+
+    const result = await sendMail({
+      to,
+      template: "test",
+      locale: req.body.locale || req.user.locale,
+      data: {
+        transport: activeTransport(),
+        sentAt: new Date().toISOString(),
+        requestedBy: req.user.email,
+      },
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.json({ message: `Test email sent to ${to}` });
+  } catch (error) {
+    console.error("sendTestEmail error:", error);
+    res.status(500).json({ message: "Failed to send test email" });
+  }
+};
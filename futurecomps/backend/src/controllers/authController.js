@@ -1,15 +1,71 @@
 import crypto from "crypto";
 import User from "../models/User.js";
-import { generateToken } from "../middleware/authMiddleware.js";
 import {
   sendOTPEmail,
   sendPasswordResetEmail,
   sendWelcomeEmail,
 } from "../services/emailService.js";
-
-// Generate 6-digit OTP
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+import {
+  isLocked,
+  lockedResponse,
+  recordFailure,
+  clearFailures,
+  getSecurityLimits,
+} from "../services/authLockoutService.js";
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  isPasswordExpired,
+  passwordExpiredResponse,
+  markTwoFactorVerified,
+} from "../services/sessionService.js";
+import {
+  beginEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  remainingRecoveryCodes,
+  verifySecondFactor,
+  signChallenge,
+  readChallenge,
+} from "../services/twoFactorService.js";
+import { getRolePermissions, isStaffRole } from "../services/roleService.js";
+import {
+  listProviders,
+  startAuthorization,
+  completeAuthorization,
+  findOrCreateUser,
+  linkAccount,
+  unlinkAccount,
+  linkedAccounts,
+} from "../services/oauthService.js";
+import {
+  PURPOSES,
+  issueToken,
+  consumeToken,
+  revokeTokens,
+  peekToken,
+} from "../services/tokenService.js";
+import { normalizeLocale } from "../services/mailTemplates.js";
+
+// Service results are { ok, status, message, ... }
+const sendFailure = (res, result) =>
+  res.status(result.status).json({ message: result.message });
+
+// A rejected code — wrong guesses count towards the account lockout
+const sendCodeFailure = async (res, user, result) => {
+  if (result.reason !== "expired") {
+    const failure = await recordFailure(user, "otp");
+    if (failure.locked) {
+      return res
+        .status(423)
+        .json(lockedResponse({ lockUntil: failure.lockUntil }));
+    }
+  }
+  return sendFailure(res, result);
 };
 
 // @desc    Register a new user
@@ -17,7 +73,7 @@ const generateOTP = () => {
 // @access  Public
 export const register = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, locale } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -40,25 +96,23 @@ export const register = async (req, res) => {
         .json({ message: "User already exists with this email" });
     }
 
-    // Generate OTP
-    const otp = generateOTP();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
     // Create user
     const user = await User.create({
       name,
       email,
       password,
-      otp,
-      otpExpiry,
+      // Language for emails, e.g. "es" — from the browser at signup
+      locale: normalizeLocale(locale),
       isVerified: false,
     });
 
     // Send OTP email
     try {
-      await sendOTPEmail(email, otp, name);
+      const otp = await issueToken(user._id, "email_verification");
+      await sendOTPEmail(user, otp);
     } catch (error) {
       // Delete user if email fails
+      await revokeTokens(user._id);
       await User.findByIdAndDelete(user._id);
       return res
         .status(500)
@@ -98,31 +152,29 @@ export const verifyOTP = async (req, res) => {
       return res.status(400).json({ message: "Email already verified" });
     }
 
-    // Check OTP
-    if (user.otp !== otp) {
-      return res.status(400).json({ message: "Invalid OTP" });
+    if (isLocked(user)) {
+      return res.status(423).json(lockedResponse(user));
     }
 
-    // Check if OTP expired
-    if (user.otpExpiry < Date.now()) {
-      return res.status(400).json({ message: "OTP has expired" });
-    }
+    // Check OTP (single use; wrong codes count towards the lockout)
+    const check = await consumeToken(user._id, "email_verification", otp);
+    if (!check.ok) return sendCodeFailure(res, user, check);
 
     // Verify user
     user.isVerified = true;
-    user.otp = undefined;
-    user.otpExpiry = undefined;
+    user.failedOtpAttempts = 0;
     await user.save();
 
     // Send welcome email
-    await sendWelcomeEmail(email, user.name);
+    await sendWelcomeEmail(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       message: "Email verified successfully!",
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -160,16 +212,15 @@ export const resendOTP = async (req, res) => {
       return res.status(400).json({ message: "Email already verified" });
     }
 
-    // Generate new OTP
-    const otp = generateOTP();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    if (isLocked(user)) {
+      return res.status(423).json(lockedResponse(user));
+    }
 
-    user.otp = otp;
-    user.otpExpiry = otpExpiry;
-    await user.save();
+    // Generate new OTP (the previous one stops working)
+    const otp = await issueToken(user._id, "email_verification");
 
     // Send OTP email
-    await sendOTPEmail(email, otp, user.name);
+    await sendOTPEmail(user, otp);
 
     res.json({ message: "OTP sent successfully! Please check your email" });
   } catch (error) {
@@ -178,6 +229,21 @@ export const resendOTP = async (req, res) => {
   }
 };
 
+// User fields returned when a sign-in completes
+const loginUser = async (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  avatar: user.avatar,
+  bio: user.bio,
+  role: user.role,
+  isActive: user.isActive,
+  isVerified: user.isVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  permissions: await getRolePermissions(user.role),
+});
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -198,11 +264,22 @@ export const login = async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    // Check password
+    if (isLocked(user)) {
+      return res.status(423).json(lockedResponse(user));
+    }
+
+    // Check password (wrong passwords count towards the lockout)
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const failure = await recordFailure(user, "password");
+      if (failure.locked) {
+        return res
+          .status(423)
+          .json(lockedResponse({ lockUntil: failure.lockUntil }));
+      }
       return res.status(401).json({ message: "Invalid credentials" });
     }
+    await clearFailures(user, "password");
 
     // Check if active
     if (!user.isActive) {
@@ -220,23 +297,27 @@ export const login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (isPasswordExpired(user, await getSecurityLimits())) {
+      return res.status(403).json(passwordExpiredResponse());
+    }
+
+    // 2FA accounts finish signing in at /2fa/verify
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user._id),
+      });
+    }
+
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       message: "Login successful",
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        avatar: user.avatar,
-        bio: user.bio,
-        role: user.role,
-        isActive: user.isActive,
-        isVerified: user.isVerified,
-      },
+      refreshToken,
+      user: await loginUser(user),
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -263,16 +344,15 @@ export const forgotPassword = async (req, res) => {
         .json({ message: "No account found with this email" });
     }
 
-    // Generate OTP
-    const otp = generateOTP();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    if (isLocked(user)) {
+      return res.status(423).json(lockedResponse(user));
+    }
 
-    user.resetPasswordToken = otp;
-    user.resetPasswordExpiry = otpExpiry;
-    await user.save();
+    // Generate OTP (the previous one stops working)
+    const otp = await issueToken(user._id, "password_reset");
 
     // Send OTP email
-    await sendOTPEmail(email, otp, user.name);
+    await sendPasswordResetEmail(user, otp);
 
     res.json({
       message: "Password reset OTP sent to your email",
@@ -309,22 +389,24 @@ export const resetPassword = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Verify OTP
-    if (user.resetPasswordToken !== otp) {
-      return res.status(400).json({ message: "Invalid OTP" });
+    if (isLocked(user)) {
+      return res.status(423).json(lockedResponse(user));
     }
 
-    // Check if OTP expired
-    if (user.resetPasswordExpiry < Date.now()) {
-      return res.status(400).json({ message: "OTP has expired" });
-    }
+    // Verify OTP (single use; wrong codes count towards the lockout)
+    const check = await consumeToken(user._id, "password_reset", otp);
+    if (!check.ok) return sendCodeFailure(res, user, check);
 
     // Update password
     user.password = newPassword;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpiry = undefined;
+    user.hasPassword = true;
+    user.failedOtpAttempts = 0;
+    user.failedLoginAttempts = 0;
     await user.save();
 
+    // Whoever had the old password is signed out everywhere
+    await revokeUserSessions(user._id, "password_reset");
+
     res.json({
       message:
         "Password reset successful! You can now login with your new password",
@@ -367,7 +449,12 @@ export const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: "Password changed successfully!" });
+    // Sign out every other device; this one stays signed in
+    const signedOut = await revokeUserSessions(user._id, "password_change", {
+      except: req.sessionId,
+    });
+
+    res.json({ message: "Password changed successfully!", signedOut });
   } catch (error) {
     console.error("Change password error:", error);
     res.status(500).json({ message: error.message });
@@ -380,9 +467,478 @@ export const changePassword = async (req, res) => {
 export const getMe = async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select("-password");
-    res.json(user);
+    res.json({
+      ...user.toObject(),
+      permissions: await getRolePermissions(user.role),
+    });
   } catch (error) {
     console.error("Get me error:", error);
     res.status(500).json({ message: error.message });
   }
 };
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh-token
+// @access  Public
+export const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: "Please provide refresh token" });
+    }
+
+    const result = await refreshSession(token, req);
+    if (!result.ok) {
+      const { ok, status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    res.json({ token: result.token, newRefreshToken: result.refreshToken });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Sign out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, "logout");
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.sessionId);
+    res.json(sessions);
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSessionById = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, "revoked", {
+      userId: req.user._id,
+    });
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    res.json({ message: "Session signed out" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Sign out every other device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const signedOut = await revokeUserSessions(req.user._id, "revoked", {
+      except: req.sessionId,
+    });
+    res.json({ message: "Signed out of all other devices", signedOut });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// ── Two-factor authentication ──────────────────────────
+
+// @desc    Finish a 2FA login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token from login)
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res
+        .status(400)
+        .json({ message: "Please provide challenge token and code" });
+    }
+
+    const userId = readChallenge(challengeToken);
+    const user = userId ? await User.findById(userId) : null;
+    if (!user) {
+      return res
+        .status(401)
+        .json({ message: "Sign-in expired, please log in again" });
+    }
+
+    if (isLocked(user)) {
+      return res.status(423).json(lockedResponse(user));
+    }
+    if (!user.isActive) {
+      return res.status(403).json({
+        message: "Your account has been deactivated. Please contact support.",
+      });
+    }
+
+    // Wrong codes count towards the lockout
+    const check = await verifySecondFactor(user._id, code);
+    if (!check.ok) {
+      const failure = await recordFailure(user, "otp");
+      if (failure.locked) {
+        return res
+          .status(423)
+          .json(lockedResponse({ lockUntil: failure.lockUntil }));
+      }
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+    await clearFailures(user, "otp");
+
+    const { token, refreshToken } = await createSession(user, req, {
+      twoFactorVerified: true,
+    });
+
+    res.json({
+      message: "Login successful",
+      token,
+      refreshToken,
+      user: await loginUser(user),
+      // Warn when signing in used up a recovery code
+      recoveryCodesLeft:
+        check.method === "recovery"
+          ? await remainingRecoveryCodes(user._id)
+          : undefined,
+    });
+  } catch (error) {
+    console.error("2FA verify error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const { requireAdmin2FA } = await getSecurityLimits();
+    res.json({
+      enabled: req.user.twoFactorEnabled,
+      enabledAt: req.user.twoFactorEnabledAt,
+      recoveryCodesLeft: req.user.twoFactorEnabled
+        ? await remainingRecoveryCodes(req.user._id)
+        : 0,
+      required: requireAdmin2FA && (await isStaffRole(req.user.role)),
+    });
+  } catch (error) {
+    console.error("2FA status error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Start 2FA setup — returns the secret and a QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await beginEnrollment(req.user);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.json({
+      secret: result.secret,
+      otpauthUrl: result.otpauthUrl,
+      qrCode: result.qrCode,
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Confirm 2FA setup with a first code
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: "Please provide code" });
+    }
+
+    const result = await enableTwoFactor(req.user._id, code);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    await markTwoFactorVerified(req.sessionId);
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes: result.recoveryCodes,
+    });
+  } catch (error) {
+    console.error("2FA enable error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Issue new recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const newRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const check = await verifySecondFactor(req.user._id, code);
+    if (!check.ok) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    res.json({ recoveryCodes: await regenerateRecoveryCodes(req.user._id) });
+  } catch (error) {
+    console.error("Recovery codes error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Turn off 2FA (password and a current code required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const turnOffTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res
+        .status(400)
+        .json({ message: "Please provide password and code" });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const { requireAdmin2FA } = await getSecurityLimits();
+    if (requireAdmin2FA && (await isStaffRole(req.user.role))) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for admin accounts",
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+
+    const check = await verifySecondFactor(user._id, code);
+    if (!check.ok) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    await disableTwoFactor(user._id);
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// ── Social sign-in ──────────────────────────────────────
+
+// @desc    List the sign-in providers that are configured
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+export const getOAuthProviders = (req, res) => {
+  res.json(listProviders());
+};
+
+// @desc    Start a social sign-in — returns the provider URL
+// @route   POST /api/auth/oauth/:provider/start
+// @access  Public
+export const startOAuthLogin = async (req, res) => {
+  try {
+    const result = await startAuthorization(req.params.provider);
+    if (!result.ok) return sendFailure(res, result);
+
+    res.json({ url: result.url, state: result.state });
+  } catch (error) {
+    console.error("OAuth start error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Finish a social sign-in with the code from the provider
+// @route   POST /api/auth/oauth/:provider/callback
+// @access  Public
+export const oauthLogin = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+
+    const result = await completeAuthorization(req.params.provider, {
+      code,
+      state,
+    });
+    if (!result.ok) return sendFailure(res, result);
+
+    const account = await findOrCreateUser(req.params.provider, result.profile);
+    if (!account.ok) return sendFailure(res, account);
+    const { user } = account;
+
+    // A lockout holds whichever way the user signs in
+    if (isLocked(user)) {
+      return res.status(423).json(lockedResponse(user));
+    }
+    if (!user.isActive) {
+      return res.status(403).json({
+        message: "Your account has been deactivated. Please contact support.",
+      });
+    }
+
+    // The provider replaces the password, not the second factor
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user._id),
+      });
+    }
+
+    if (account.created) {
+      await sendWelcomeEmail(user);
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: "Login successful",
+      token,
+      refreshToken,
+      user: await loginUser(user),
+      created: account.created,
+    });
+  } catch (error) {
+    console.error("OAuth login error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List linked sign-in providers
+// @route   GET /api/auth/oauth/accounts
+// @access  Private
+export const getLinkedAccounts = async (req, res) => {
+  try {
+    res.json(linkedAccounts(req.user));
+  } catch (error) {
+    console.error("Linked accounts error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Start linking a provider to the current account
+// @route   POST /api/auth/oauth/:provider/link/start
+// @access  Private
+export const startOAuthLink = async (req, res) => {
+  try {
+    const result = await startAuthorization(req.params.provider, {
+      userId: req.user._id,
+    });
+    if (!result.ok) return sendFailure(res, result);
+
+    res.json({ url: result.url, state: result.state });
+  } catch (error) {
+    console.error("OAuth link start error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Finish linking a provider with the code from the provider
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+export const linkOAuthAccount = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+
+    const result = await completeAuthorization(req.params.provider, {
+      code,
+      state,
+      userId: req.user._id,
+    });
+    if (!result.ok) return sendFailure(res, result);
+
+    const linked = await linkAccount(
+      req.user._id,
+      req.params.provider,
+      result.profile,
+    );
+    if (!linked.ok) return sendFailure(res, linked);
+
+    const user = await User.findById(req.user._id);
+    res.json({ message: linked.message, ...linkedAccounts(user) });
+  } catch (error) {
+    console.error("OAuth link error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Unlink a sign-in provider
+// @route   DELETE /api/auth/oauth/:provider
+// @access  Private
+export const unlinkOAuthAccount = async (req, res) => {
+  try {
+    const result = await unlinkAccount(req.user, req.params.provider);
+    if (!result.ok) return sendFailure(res, result);
+
+    const user = await User.findById(req.user._id);
+    res.json({ message: result.message, ...linkedAccounts(user) });
+  } catch (error) {
+    console.error("OAuth unlink error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// ── Test hooks ──────────────────────────────────────────
+
+// @desc    Latest email code for an account, for automated tests
+// @route   GET /api/auth/test/token?email=&purpose=
+// @access  Public — only mounted outside production with EXPOSE_TEST_TOKENS
+export const getTestToken = async (req, res) => {
+  try {
+    const { email, purpose = "email_verification" } = req.query;
+
+    if (!email || !PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        message: `Please provide email and a purpose (${PURPOSES.join(", ")})`,
+      });
+    }
+
+    const user = await User.findOne({ email: String(email) });
+    const issued = user && peekToken(user._id, purpose);
+    if (!issued) {
+      return res.status(404).json({ message: "No active code" });
+    }
+
+    res.json({ token: issued.token, expiresAt: issued.expiresAt });
+  } catch (error) {
+    console.error("Test token error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -1,16 +1,32 @@
 import Cart from "../models/Cart.js";
 import Product from "../models/Product.js";
+import {
+  hasVariants,
+  checkSelection,
+  getAvailableStock,
+  getUnitPrice,
+  isValidQuantity,
+} from "../services/inventoryService.js";
+import {
+  CART_TOKEN_HEADER,
+  cartOwner,
+  openCart,
+  mergeItems,
+  mergeGuestCart,
+  cartTotals,
+} from "../services/cartService.js";
 
 // ── Helpers ────────────────────────────────────────────
+// Guests are identified by the X-Cart-Token header (see cartService);
+// guestToken is only returned when a write creates their cart.
 
-function formatCart(cart) {
+async function formatCart(cart, guestToken) {
   return {
+    ...(guestToken && { guestToken }),
     _id: cart._id,
     items: cart.items,
     appliedCoupon: cart.appliedCoupon,
-    subtotal: cart.subtotal,
-    discount: cart.discount,
-    total: cart.total,
+    ...(await cartTotals(cart)),
   };
 }
 
@@ -18,16 +34,22 @@ function formatCart(cart) {
 
 export const getCart = async (req, res) => {
   try {
-    let cart = await Cart.findOne({ userId: req.user._id }).populate(
-      "items.productId",
-      "name imageUrl stock inStock attributes",
-    );
+    const owner = cartOwner(req);
+    let cart =
+      owner &&
+      (await Cart.findOne(owner).populate(
+        "items.productId",
+        "name imageUrl stock inStock attributes variants",
+      ));
 
     if (!cart) {
-      cart = await Cart.create({ userId: req.user._id, items: [] });
+      // Guests get a cart (and token) on their first write, not on reads
+      cart = req.user
+        ? await Cart.create({ userId: req.user._id, items: [] })
+        : new Cart({ items: [] });
     }
 
-    res.json(formatCart(cart));
+    res.json(await formatCart(cart));
   } catch (error) {
     console.error("getCart error:", error);
     res.status(500).json({ message: "Failed to fetch cart" });
@@ -49,21 +71,30 @@ export const addToCart = async (req, res) => {
     if (!product || !product.isActive) {
       return res.status(404).json({ message: "Product not found" });
     }
-    if (product.stock < quantity) {
-      return res
-        .status(400)
-        .json({ message: `Only ${product.stock} items in stock` });
+
+    // Variant products: stock is checked per size/color combination
+    const selection = checkSelection(
+      product,
+      { size, color },
+      Number(quantity),
+    );
+    if (!selection.ok) {
+      return res.status(400).json({ message: selection.message });
     }
 
     // Validate selected size/color exist on product
-    if (size && product.attributes.sizes.length > 0) {
+    if (!hasVariants(product) && size && product.attributes.sizes.length > 0) {
       if (!product.attributes.sizes.includes(size)) {
         return res.status(400).json({
           message: `Size "${size}" not available. Options: ${product.attributes.sizes.join(", ")}`,
         });
       }
     }
-    if (color && product.attributes.colors.length > 0) {
+    if (
+      !hasVariants(product) &&
+      color &&
+      product.attributes.colors.length > 0
+    ) {
       if (!product.attributes.colors.includes(color)) {
         return res.status(400).json({
           message: `Color "${color}" not available. Options: ${product.attributes.colors.join(", ")}`,
@@ -71,10 +102,7 @@ export const addToCart = async (req, res) => {
       }
     }
 
-    let cart = await Cart.findOne({ userId: req.user._id });
-    if (!cart) {
-      cart = new Cart({ userId: req.user._id, items: [] });
-    }
+    const { cart, guestToken } = await openCart(req);
 
     // Check if same product+size+color is already in cart
     const existingIndex = cart.items.findIndex(
@@ -86,25 +114,26 @@ export const addToCart = async (req, res) => {
 
     if (existingIndex > -1) {
       const newQty = cart.items[existingIndex].quantity + Number(quantity);
-      if (newQty > product.stock) {
+      if (newQty > selection.available) {
         return res
           .status(400)
-          .json({ message: `Only ${product.stock} items in stock` });
+          .json({ message: `Only ${selection.available} items in stock` });
       }
       cart.items[existingIndex].quantity = newQty;
     } else {
-      const effectivePrice = product.discountedPrice ?? product.price;
+      const effectivePrice = getUnitPrice(product, { size, color });
       cart.items.push({
         productId,
         quantity: Number(quantity),
         size: size || null,
         color: color || null,
+        sku: selection.variant?.sku || null,
         price: effectivePrice,
       });
     }
 
     await cart.save();
-    res.json(formatCart(cart));
+    res.json(await formatCart(cart, guestToken));
   } catch (error) {
     console.error("addToCart error:", error);
     res.status(500).json({ message: "Failed to add to cart" });
@@ -123,7 +152,8 @@ export const updateCartItem = async (req, res) => {
         .json({ message: "itemId and quantity are required" });
     }
 
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const owner = cartOwner(req);
+    const cart = owner && (await Cart.findOne(owner));
     if (!cart) {
       return res.status(404).json({ message: "Cart not found" });
     }
@@ -135,19 +165,26 @@ export const updateCartItem = async (req, res) => {
 
     if (Number(quantity) <= 0) {
       cart.items.pull({ _id: itemId });
+    } else if (!isValidQuantity(Number(quantity))) {
+      return res
+        .status(400)
+        .json({ message: "Quantity must be a whole number" });
     } else {
       // Validate stock
       const product = await Product.findById(item.productId);
-      if (product && Number(quantity) > product.stock) {
+      const available = product
+        ? getAvailableStock(product, { size: item.size, color: item.color })
+        : Infinity;
+      if (Number(quantity) > available) {
         return res
           .status(400)
-          .json({ message: `Only ${product.stock} items in stock` });
+          .json({ message: `Only ${available} items in stock` });
       }
       item.quantity = Number(quantity);
     }
 
     await cart.save();
-    res.json(formatCart(cart));
+    res.json(await formatCart(cart));
   } catch (error) {
     console.error("updateCartItem error:", error);
     res.status(500).json({ message: "Failed to update cart" });
@@ -160,7 +197,8 @@ export const removeFromCart = async (req, res) => {
   try {
     const { itemId } = req.params;
 
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const owner = cartOwner(req);
+    const cart = owner && (await Cart.findOne(owner));
     if (!cart) {
       return res.status(404).json({ message: "Cart not found" });
     }
@@ -172,7 +210,7 @@ export const removeFromCart = async (req, res) => {
 
     cart.items.pull({ _id: itemId });
     await cart.save();
-    res.json(formatCart(cart));
+    res.json(await formatCart(cart));
   } catch (error) {
     console.error("removeFromCart error:", error);
     res.status(500).json({ message: "Failed to remove item" });
@@ -183,7 +221,8 @@ export const removeFromCart = async (req, res) => {
 
 export const clearCart = async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const owner = cartOwner(req);
+    const cart = owner && (await Cart.findOne(owner));
     if (!cart) {
       return res.status(404).json({ message: "Cart not found" });
     }
@@ -191,7 +230,7 @@ export const clearCart = async (req, res) => {
     cart.items = [];
     cart.appliedCoupon = { code: null, discountType: null, discountValue: 0 };
     await cart.save();
-    res.json(formatCart(cart));
+    res.json(await formatCart(cart));
   } catch (error) {
     res.status(500).json({ message: "Failed to clear cart" });
   }
@@ -207,47 +246,33 @@ export const syncCart = async (req, res) => {
       return res.status(400).json({ message: "Items array required" });
     }
 
-    let cart = await Cart.findOne({ userId: req.user._id });
-    if (!cart) {
-      cart = new Cart({ userId: req.user._id, items: [] });
-    }
-
-    for (const incoming of items) {
-      const product = await Product.findById(incoming.productId);
-      if (!product || !product.isActive) continue;
-
-      const existingIndex = cart.items.findIndex(
-        (item) =>
-          item.productId.toString() === incoming.productId &&
-          item.size === (incoming.size || null) &&
-          item.color === (incoming.color || null),
-      );
-
-      const effectivePrice = product.discountedPrice ?? product.price;
-      const qty = Math.min(Number(incoming.quantity) || 1, product.stock);
-
-      if (existingIndex > -1) {
-        const newQty = Math.min(
-          cart.items[existingIndex].quantity + qty,
-          product.stock,
-        );
-        cart.items[existingIndex].quantity = newQty;
-        cart.items[existingIndex].price = effectivePrice;
-      } else {
-        cart.items.push({
-          productId: incoming.productId,
-          quantity: qty,
-          size: incoming.size || null,
-          color: incoming.color || null,
-          price: effectivePrice,
-        });
-      }
-    }
+    const { cart, guestToken } = await openCart(req);
+    await mergeItems(cart, items);
 
     await cart.save();
-    res.json(formatCart(cart));
+    res.json(await formatCart(cart, guestToken));
   } catch (error) {
     console.error("syncCart error:", error);
     res.status(500).json({ message: "Failed to sync cart" });
   }
 };
+
+// ── POST /api/cart/merge ────────────────────────────────
+// Move the guest cart (X-Cart-Token) into the account cart after sign-in
+
+export const mergeCart = async (req, res) => {
+  try {
+    const cart = await mergeGuestCart(
+      req.user._id,
+      req.get(CART_TOKEN_HEADER),
+    );
+    if (!cart) {
+      return res.status(404).json({ message: "Guest cart not found" });
+    }
+
+    res.json(await formatCart(cart));
+  } catch (error) {
+    console.error("mergeCart error:", error);
+    res.status(500).json({ message: "Failed to merge cart" });
+  }
+};
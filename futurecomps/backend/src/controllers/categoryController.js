@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+import Category from "../models/Category.js";
+import Product from "../models/Product.js";
+import {
+  categoryTree,
+  loadCategories,
+  migrateCategories,
+  syncCategoryName,
+  validateCategory,
+} from "../services/categoryService.js";
+
+const invalidId = (res) =>
+  res.status(400).json({ message: "Invalid category id" });
+
+// @desc    The full category tree, inactive categories included, with
+//          product counts
+// @route   GET /api/categories
+// @access  Admin (categories:write)
+export const getCategoryTree = async (req, res) => {
+  try {
+    res.json(await categoryTree({ includeInactive: true }));
+  } catch (error) {
+    console.error("getCategoryTree error:", error);
+    res.status(500).json({ message: "Failed to fetch categories" });
+  }
+};
+
+// @desc    Create a category
+// @route   POST /api/categories
+//          { name, slug?, parent?, description?, image?, sortOrder?,
+//            aliases?, isActive? } — slug defaults to one made from the name
+// @access  Admin (categories:write)
+export const createCategory = async (req, res) => {
+  try {
+    const result = validateCategory(req.body, await loadCategories());
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const category = await Category.create(result.category);
+    res.status(201).json(category);
+  } catch (error) {
+    console.error("createCategory error:", error);
+    res.status(500).json({ message: "Failed to create category" });
+  }
+};
+
+// @desc    Edit, move or reorder a category; a rename carries over to its
+//          products
+// @route   PUT /api/categories/:id
+// @access  Admin (categories:write)
+export const updateCategory = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const result = validateCategory(
+      { ...category.toObject(), ...req.body },
+      await loadCategories(),
+      category,
+    );
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const previousName = category.name;
+    category.set(result.category);
+    await category.save();
+    if (category.name !== previousName) {
+      await syncCategoryName(category, previousName);
+    }
+    res.json(category);
+  } catch (error) {
+    console.error("updateCategory error:", error);
+    res.status(500).json({ message: "Failed to update category" });
+  }
+};
+
+// @desc    Delete an empty category — one with no subcategories or
+//          products
+// @route   DELETE /api/categories/:id
+// @access  Admin (categories:write)
+export const deleteCategory = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const [children, products] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Product.countDocuments({ categoryId: category._id }),
+    ]);
+    if (children > 0) {
+      return res.status(409).json({
+        message: `Move or delete its ${children} subcategories first`,
+      });
+    }
+    if (products > 0) {
+      return res.status(409).json({
+        message: `${products} products are in this category; move them first`,
+      });
+    }
+
+    await category.deleteOne();
+    res.json({ message: "Category deleted" });
+  } catch (error) {
+    console.error("deleteCategory error:", error);
+    res.status(500).json({ message: "Failed to delete category" });
+  }
+};
+
+// @desc    Link products without a category to the tree by their category
+//          text, creating categories for new names (see migrateCategories)
+// @route   POST /api/categories/migrate
+// @access  Admin (categories:write)
+export const migrateProductCategories = async (req, res) => {
+  try {
+    const { created, linked } = await migrateCategories();
+    res.json({
+      message: `Linked ${linked} products; created ${created.length} ${
+        created.length === 1 ? "category" : "categories"
+      }`,
+      created,
+      linked,
+    });
+  } catch (error) {
+    console.error("migrateProductCategories error:", error);
+    res.status(500).json({ message: "Failed to migrate categories" });
+  }
+};
@@ -2,21 +2,152 @@ import Cart from "../models/Cart.js";
 import Order from "../models/Order.js";
 import Product from "../models/Product.js";
 import Coupon from "../models/Coupon.js";
+import Settings from "../models/Settings.js";
 import {
   createCheckoutSession,
   constructWebhookEvent,
+  getStripeTaxRate,
 } from "../services/stripeService.js";
+import { calculateTax, resolveTaxRate } from "../services/taxService.js";
+import {
+  checkSelection,
+  findVariant,
+  getUnitPrice,
+  adjustStock,
+  decrementStock,
+} from "../services/inventoryService.js";
+import {
+  createHolds,
+  attachSession,
+  releaseHolds,
+} from "../services/reservationService.js";
+import { processStripeEvent } from "../services/webhookService.js";
+import { cancelOrder } from "../services/refundService.js";
+import { sendOrderEmail } from "../services/orderEmailService.js";
+import ReturnRequest from "../models/ReturnRequest.js";
+import {
+  createReturn,
+  getReturnableQuantities,
+} from "../services/returnService.js";
+import { cartOwner } from "../services/cartService.js";
+import {
+  normalizeEmail,
+  orderNumber,
+  findOrderByEmail,
+  countClaimableOrders,
+  claimGuestOrders,
+} from "../services/guestOrderService.js";
+import {
+  normalizeAddress,
+  validateAddress,
+  findSavedAddress,
+} from "../services/addressService.js";
+import {
+  quoteShipping,
+  selectShipping,
+  stripeShippingOption,
+} from "../services/shippingService.js";
+import { trackingInfo } from "../services/trackingService.js";
+import {
+  checkoutCurrency,
+  formatMoney,
+  roundMoney,
+  toMinorUnits,
+} from "../services/currencyService.js";
+
+// ── Helpers ────────────────────────────────────────────
+
+// Who is buying: the signed-in user, or a guest with a contact email.
+// Null when a guest didn't give a valid email.
+function checkoutContact(req) {
+  if (req.user) return { userId: req.user._id, guestEmail: null };
+  const guestEmail = normalizeEmail(req.body.email);
+  return guestEmail && { userId: null, guestEmail };
+}
+
+// Shipping address for the order: one from the user's address book
+// (addressId) or the checkout form, checked against its country's rules.
+// `address` is null when neither was sent.
+async function checkoutAddress(req) {
+  const { addressId, shippingAddress } = req.body;
+  if (addressId) {
+    const saved = req.user && (await findSavedAddress(req.user._id, addressId));
+    if (!saved) {
+      return { ok: false, status: 404, message: "Saved address not found" };
+    }
+    return validateAddress(saved);
+  }
+  if (!shippingAddress) return { ok: true, address: null };
+  return validateAddress(shippingAddress);
+}
+
+// Stripe caps each metadata value at 500 characters, so an oversized
+// value (a long address) is left out
+function metaJson(value) {
+  if (!value) return "";
+  const json = JSON.stringify(value);
+  return json.length <= 500 ? json : "";
+}
+
+// What a coupon takes off a subtotal. Fixed amounts are in the base
+// currency; `rate` converts them to the subtotal's.
+function couponDiscount(coupon, subtotal, rate = 1) {
+  if (!coupon) return 0;
+  const discount =
+    coupon.discountType === "percentage"
+      ? (subtotal * coupon.discountValue) / 100
+      : coupon.discountValue * rate;
+  return Math.min(discount, subtotal);
+}
+
+// Stripe line item for a product at a price already in `currency`
+function stripeLineItem(product, unitPrice, quantity, currency) {
+  return {
+    price_data: {
+      currency: currency.toLowerCase(),
+      product_data: {
+        name: product.name,
+        description: product.description?.slice(0, 100) || "",
+        images: product.imageUrl ? [product.imageUrl] : [],
+      },
+      unit_amount: toMinorUnits(unitPrice, currency),
+    },
+    quantity,
+  };
+}
+
+const GUEST_EMAIL_REQUIRED = "A valid email is required for guest checkout";
 
 // ── POST /api/payment/create-checkout-session ───────────
-// Creates Stripe checkout from user's cart
+// Creates Stripe checkout from the shopper's cart (guests give an email)
 
 export const createCheckoutFromCart = async (req, res) => {
   try {
     console.log("\n📦 ===== CREATE CHECKOUT SESSION STARTED =====");
-    console.log("👤 User ID:", req.user._id);
+    console.log("👤 User ID:", req.user?._id || "guest");
     console.log("📝 Request body:", JSON.stringify(req.body, null, 2));
+
+    const contact = checkoutContact(req);
+    if (!contact) {
+      return res.status(400).json({ message: GUEST_EMAIL_REQUIRED });
+    }
+    const destination = await checkoutAddress(req);
+    if (!destination.ok) {
+      return res
+        .status(destination.status)
+        .json({ message: destination.message });
+    }
+
+    // Prices are in the base currency; Stripe charges the shopper's pick
+    const settings = await Settings.getSettings();
+    const money = checkoutCurrency(settings, req.body.currency);
+    if (!money.ok) {
+      return res.status(money.status).json({ message: money.message });
+    }
+    console.log("💱 Currency:", money.currency, "@", money.rate);
     
     let cartItems = [];
+    let cartId = "";
     let couponCode = req.body.couponCode || null;
     
     // Check if cart items are provided in request body (frontend cart)
@@ -38,10 +169,11 @@ export const createCheckoutFromCart = async (req, res) => {
           continue;
         }
         
+        // Priced here, never from the request body
         cartItems.push({
           productId: product,
           quantity: item.quantity || 1,
-          price: item.price || product.discountedPrice || product.price,
+          price: getUnitPrice(product, { size: item.size, color: item.color }),
           size: item.size,
           color: item.color,
         });
@@ -51,14 +183,19 @@ export const createCheckoutFromCart = async (req, res) => {
     } else {
       // Fallback: try to fetch cart from database
       console.log("🗄️ Fetching cart from database...");
-      const cart = await Cart.findOne({ userId: req.user._id }).populate(
-        "items.productId",
-        "name description imageUrl stock price discountedPrice currency isActive",
-      );
+      const owner = cartOwner(req);
+      const cart =
+        owner &&
+        (await Cart.findOne(owner).populate(
+          "items.productId",
+          "name description imageUrl stock price discountedPrice currency isActive category taxClass variants weight dimensions",
+        ));
 
       if (cart && cart.items.length > 0) {
         console.log("🛒 Cart found in database:", cart.items.length, "items");
         cartItems = cart.items;
+        // Emptied by the webhook once the order is paid
+        cartId = cart._id.toString();
         if (cart.appliedCoupon?.code) {
           couponCode = cart.appliedCoupon.code;
         }
@@ -87,42 +224,55 @@ export const createCheckoutFromCart = async (req, res) => {
             message: `Product "${prod?.name || item.productId}" is no longer available`,
           });
       }
-      if (item.quantity > prod.stock) {
-        console.log("❌ Insufficient stock for:", prod.name, `(Requested: ${item.quantity}, Available: ${prod.stock})`);
+      const selection = checkSelection(
+        prod,
+        { size: item.size, color: item.color },
+        item.quantity,
+      );
+      if (!selection.ok) {
+        console.log("❌ Insufficient stock for:", prod.name, `(Requested: ${item.quantity}, Available: ${selection.available})`);
         return res
           .status(400)
-          .json({ message: `"${prod.name}" only has ${prod.stock} in stock` });
+          .json({
+            message: selection.variant
+              ? `"${prod.name}" only has ${selection.available} in stock`
+              : selection.message,
+          });
       }
     }
 
     console.log("✅ Stock validation passed");
 
+    // Resolve current tax rate for each line
+    const taxRates = cartItems.map(
+      (item) => resolveTaxRate(item.productId, settings).rate,
+    );
+
     // Build Stripe line items
     console.log("💛 Building Stripe line items...");
-    const lineItems = cartItems.map((item) => {
-      const prod = item.productId;
-      const unitPrice = item.price; // cart snapshot price
-      return {
-        price_data: {
-          currency: prod.currency || "usd",
-          product_data: {
-            name: prod.name,
-            description: prod.description?.slice(0, 100) || "",
-            images: prod.imageUrl ? [prod.imageUrl] : [],
-          },
-          unit_amount: Math.round(unitPrice * 100),
-        },
-        quantity: item.quantity,
-      };
-    });
+    const lineItems = [];
+    for (const [index, item] of cartItems.entries()) {
+      const lineItem = stripeLineItem(
+        item.productId,
+        money.convert(item.price), // cart snapshot price
+        item.quantity,
+        money.currency,
+      );
+      // Stripe applies exclusive tax rates after discounts
+      if (taxRates[index] > 0) {
+        lineItem.tax_rates = [await getStripeTaxRate(taxRates[index])];
+      }
+      lineItems.push(lineItem);
+    }
 
     console.log("📦 Line items created:", lineItems.length);
 
     // Resolve coupon for Stripe
     let stripePromotionCodeId = null;
+    let coupon = null;
     if (couponCode) {
       console.log("🎫 Checking for coupon:", couponCode);
-      const coupon = await Coupon.findOne({
+      coupon = await Coupon.findOne({
         code: couponCode,
         isActive: true,
       });
@@ -134,28 +284,100 @@ export const createCheckoutFromCart = async (req, res) => {
       }
     }
 
+    // Shipping rate on the discounted subtotal
+    const subtotal = cartItems.reduce(
+      (sum, i) => sum + i.price * i.quantity,
+      0,
+    );
+    const delivery = await selectShipping({
+      address: destination.address,
+      lines: cartItems.map((i) => ({
+        product: i.productId,
+        quantity: i.quantity,
+      })),
+      subtotal: subtotal - couponDiscount(coupon, subtotal),
+      methodId: req.body.shippingMethodId,
+    });
+    if (!delivery.ok) {
+      console.log("❌ Shipping:", delivery.message);
+      return res.status(delivery.status).json({ message: delivery.message });
+    }
+    if (delivery.shipping) {
+      console.log(
+        `🚚 Shipping: ${delivery.shipping.name} - ${formatMoney(
+          delivery.shipping.amount,
+          settings.currency,
+        )}`,
+      );
+    }
+
     // Serialize item IDs for webhook metadata
-    const itemsMeta = cartItems.map((i) => ({
+    const itemsMeta = cartItems.map((i, index) => ({
       productId: i.productId._id.toString(),
       quantity: i.quantity,
       size: i.size,
       color: i.color,
-      price: i.price,
+      sku: findVariant(i.productId, i)?.sku || null,
+      price: money.convert(i.price),
+      taxRate: taxRates[index],
       name: i.productId.name,
       imageUrl: i.productId.imageUrl || "",
     }));
 
+    // Hold stock while the shopper is on Stripe
+    const hold = await createHolds(
+      itemsMeta.map((i) => ({
+        productId: i.productId,
+        size: i.size,
+        color: i.color,
+        quantity: i.quantity,
+      })),
+      { userId: contact.userId },
+    );
+    if (!hold.ok) {
+      console.log("❌ Could not reserve stock for:", hold.line.productId);
+      const soldOut = itemsMeta.find((i) => i.productId === hold.line.productId);
+      return res
+        .status(409)
+        .json({ message: `"${soldOut?.name}" just sold out` });
+    }
+    console.log("🔒 Stock held until", hold.expiresAt.toISOString());
+
     console.log("🔑 Creating Stripe checkout session...");
-    const session = await createCheckoutSession({
-      lineItems,
-      userId: req.user._id.toString(),
-      couponCode,
-      stripePromotionCodeId,
-      metadata: {
-        couponCode: couponCode || "",
-        itemsJson: JSON.stringify(itemsMeta),
-      },
-    });
+    let session;
+    try {
+      session = await createCheckoutSession({
+        lineItems,
+        userId: contact.userId?.toString() || "",
+        customerEmail: contact.guestEmail,
+        couponCode,
+        stripePromotionCodeId,
+        expiresAt: hold.expiresAt,
+        shippingOptions: delivery.shipping && [
+          stripeShippingOption(
+            {
+              ...delivery.shipping,
+              amount: money.convert(delivery.shipping.amount),
+            },
+            money.currency,
+          ),
+        ],
+        metadata: {
+          couponCode: couponCode || "",
+          exchangeRate: String(money.rate),
+          holdId: hold.holdId,
+          itemsJson: JSON.stringify(itemsMeta),
+          guestEmail: contact.guestEmail || "",
+          shippingJson: metaJson(destination.address),
+          shippingRateJson: metaJson(delivery.shipping),
+          cartId,
+        },
+      });
+    } catch (error) {
+      await releaseHolds(hold.holdId, "failed");
+      throw error;
+    }
+    await attachSession(hold.holdId, session.id);
 
     console.log("✅ Stripe session created successfully!");
     console.log("🌐 Session ID:", session.id);
@@ -179,30 +401,53 @@ export const createSingleProductCheckout = async (req, res) => {
   try {
     const { productId, quantity = 1, size, color } = req.body;
 
+    const contact = checkoutContact(req);
+    if (!contact) {
+      return res.status(400).json({ message: GUEST_EMAIL_REQUIRED });
+    }
+    const destination = await checkoutAddress(req);
+    if (!destination.ok) {
+      return res
+        .status(destination.status)
+        .json({ message: destination.message });
+    }
+
     const product = await Product.findById(productId);
     if (!product || !product.isActive) {
       return res.status(404).json({ message: "Product not found" });
     }
-    if (quantity > product.stock) {
-      return res
-        .status(400)
-        .json({ message: `Only ${product.stock} in stock` });
+    const selection = checkSelection(product, { size, color }, quantity);
+    if (!selection.ok) {
+      return res.status(400).json({ message: selection.message });
+    }
+
+    const unitPrice = getUnitPrice(product, { size, color });
+    const settings = await Settings.getSettings();
+    const { rate: taxRate } = resolveTaxRate(product, settings);
+    const money = checkoutCurrency(settings, req.body.currency);
+    if (!money.ok) {
+      return res.status(money.status).json({ message: money.message });
     }
 
-    const unitPrice = product.discountedPrice ?? product.price;
+    const delivery = await selectShipping({
+      address: destination.address,
+      lines: [{ product, quantity }],
+      subtotal: unitPrice * quantity,
+      methodId: req.body.shippingMethodId,
+    });
+    if (!delivery.ok) {
+      return res.status(delivery.status).json({ message: delivery.message });
+    }
 
     const lineItems = [
       {
-        price_data: {
-          currency: product.currency || "usd",
-          product_data: {
-            name: product.name,
-            description: product.description?.slice(0, 100) || "",
-            images: product.imageUrl ? [product.imageUrl] : [],
-          },
-          unit_amount: Math.round(unitPrice * 100),
-        },
-        quantity,
+        ...stripeLineItem(
+          product,
+          money.convert(unitPrice),
+          quantity,
+          money.currency,
+        ),
+        ...(taxRate > 0 && { tax_rates: [await getStripeTaxRate(taxRate)] }),
       },
     ];
 
@@ -212,19 +457,55 @@ export const createSingleProductCheckout = async (req, res) => {
         quantity,
         size: size || null,
         color: color || null,
-        price: unitPrice,
+        sku: selection.variant?.sku || null,
+        price: money.convert(unitPrice),
+        taxRate,
         name: product.name,
         imageUrl: product.imageUrl || "",
       },
     ];
 
-    const session = await createCheckoutSession({
-      lineItems,
-      userId: req.user._id.toString(),
-      metadata: {
-        itemsJson: JSON.stringify(itemsMeta),
-      },
-    });
+    // Hold stock while the shopper is on Stripe
+    const hold = await createHolds(
+      [{ productId: product._id, size, color, quantity }],
+      { userId: contact.userId },
+    );
+    if (!hold.ok) {
+      return res
+        .status(409)
+        .json({ message: `"${product.name}" just sold out` });
+    }
+
+    let session;
+    try {
+      session = await createCheckoutSession({
+        lineItems,
+        userId: contact.userId?.toString() || "",
+        customerEmail: contact.guestEmail,
+        expiresAt: hold.expiresAt,
+        shippingOptions: delivery.shipping && [
+          stripeShippingOption(
+            {
+              ...delivery.shipping,
+              amount: money.convert(delivery.shipping.amount),
+            },
+            money.currency,
+          ),
+        ],
+        metadata: {
+          exchangeRate: String(money.rate),
+          holdId: hold.holdId,
+          itemsJson: JSON.stringify(itemsMeta),
+          guestEmail: contact.guestEmail || "",
+          shippingJson: metaJson(destination.address),
+          shippingRateJson: metaJson(delivery.shipping),
+        },
+      });
+    } catch (error) {
+      await releaseHolds(hold.holdId, "failed");
+      throw error;
+    }
+    await attachSession(hold.holdId, session.id);
 
     res.json({ id: session.id, url: session.url });
   } catch (error) {
@@ -250,90 +531,28 @@ export const handleWebhook = async (req, res) => {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  if (event.type === "checkout.session.completed") {
-    console.log("🎉 Processing checkout.session.completed event");
-    const session = event.data.object;
-    console.log("📄 Session data:", {
-      sessionId: session.id,
-      amountTotal: session.amount_total,
-      userId: session.metadata?.userId,
-      cartId: session.metadata?.cartId,
-    });
-
-    try {
-      const userId = session.metadata.userId;
-      const couponCode = session.metadata.couponCode || null;
-      let items = [];
-
-      console.log("📦 Parsing items from metadata...");
-      try {
-        items = JSON.parse(session.metadata.itemsJson || "[]");
-        console.log("✅ Items parsed:", items.length, "items");
-      } catch {
-        console.error("❌ Failed to parse itemsJson from metadata");
-      }
-
-      // Calculate totals
-      const subtotal = items.reduce((sum, i) => sum + i.price * i.quantity, 0);
-      const totalPaid = (session.amount_total || 0) / 100;
-      const discount = Math.round((subtotal - totalPaid) * 100) / 100;
-
-      // Create order
-      const order = new Order({
-        userId,
-        items: items.map((i) => ({
-          productId: i.productId,
-          name: i.name,
-          price: i.price,
-          quantity: i.quantity,
-          size: i.size,
-          color: i.color,
-          imageUrl: i.imageUrl,
-        })),
-        subtotal,
-        discount: Math.max(0, discount),
-        couponCode,
-        total: totalPaid,
-        currency: session.currency || "usd",
-        stripeSessionId: session.id,
-        stripePaymentIntentId: session.payment_intent,
-        status: "paid",
-      });
-
-      await order.save();
-      console.log("Order created:", order._id);
-
-      // ── Inventory Update ──────────────────────────────
-      for (const item of items) {
-        await Product.findByIdAndUpdate(item.productId, {
-          $inc: { stock: -item.quantity },
-        });
-      }
-      console.log("Inventory updated");
-
-      // ── Record coupon usage ───────────────────────────
-      if (couponCode) {
-        const coupon = await Coupon.findOne({ code: couponCode });
-        if (coupon) {
-          await coupon.recordUsage(userId);
-          console.log("Coupon usage recorded:", couponCode);
-        }
-      }
+  // Ledger makes retries idempotent; a failed fulfillment answers 500 so
+  // Stripe retries it (admins can also replay it from the dashboard)
+  try {
+    const result = await processStripeEvent(event);
+    console.log("📒 Webhook result:", result.status);
 
-      // ── Clear user's cart ─────────────────────────────
-      if (session.metadata.cartId) {
-        await Cart.findByIdAndUpdate(session.metadata.cartId, {
-          items: [],
-          appliedCoupon: { code: null, discountType: null, discountValue: 0 },
-        });
-        console.log("Cart cleared");
-      }
-    } catch (error) {
-      console.error("Webhook fulfillment error:", error);
+    if (result.status === "failed") {
+      return res
+        .status(500)
+        .json({ received: true, message: "Fulfillment failed" });
+    }
+    if (result.status === "in_progress") {
+      return res
+        .status(409)
+        .json({ received: true, message: "Event is already being processed" });
     }
-  }
 
-  res.json({ received: true });
+    res.json({ received: true, duplicate: result.status === "duplicate" });
+  } catch (error) {
+    console.error("Webhook ledger error:", error);
+    res.status(500).json({ received: false, message: "Webhook processing failed" });
+  }
 };
 
 // ── GET /api/payment/orders ─────────────────────────────
@@ -381,6 +600,116 @@ export const getOrderById = async (req, res) => {
   }
 };
 
+// ── GET /api/payment/orders/claimable ───────────────────
+// Guest orders placed with the signed-in user's email
+
+export const getClaimableOrders = async (req, res) => {
+  try {
+    res.json({ count: await countClaimableOrders(req.user) });
+  } catch (error) {
+    console.error("getClaimableOrders error:", error);
+    res.status(500).json({ message: "Failed to fetch guest orders" });
+  }
+};
+
+// ── POST /api/payment/orders/claim ──────────────────────
+// Move those guest orders into the user's account
+
+export const claimOrders = async (req, res) => {
+  try {
+    const result = await claimGuestOrders(req.user);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({ message: result.message, claimed: result.claimed });
+  } catch (error) {
+    console.error("claimOrders error:", error);
+    res.status(500).json({ message: "Failed to claim orders" });
+  }
+};
+
+// ── POST /api/payment/orders/:id/cancel ─────────────────
+// Customer cancels an order that hasn't been processed yet (pending/paid)
+
+export const cancelMyOrder = async (req, res) => {
+  try {
+    const result = await cancelOrder(req.params.id, {
+      reason: req.body?.reason || "Cancelled by customer",
+      userId: req.user._id,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message: result.refund
+        ? `Order cancelled — ${formatMoney(
+            result.refund.amount,
+            result.order.currency,
+          )} will be refunded`
+        : "Order cancelled",
+      order: result.order,
+    });
+  } catch (error) {
+    console.error("cancelMyOrder error:", error);
+    res.status(500).json({ message: "Failed to cancel order" });
+  }
+};
+
+// ── POST /api/payment/orders/:id/returns ────────────────
+// Customer requests a return for items of a delivered order
+
+export const createMyReturn = async (req, res) => {
+  try {
+    const { items, reason, photos } = req.body;
+    const result = await createReturn(req.params.id, {
+      userId: req.user._id,
+      items,
+      reason,
+      photos,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.status(201).json({
+      message: "Return requested — we'll review it shortly",
+      returnRequest: result.returnRequest,
+    });
+  } catch (error) {
+    console.error("createMyReturn error:", error);
+    res.status(500).json({ message: "Failed to request return" });
+  }
+};
+
+// ── GET /api/payment/orders/:id/returns ─────────────────
+// Customer's returns for an order, plus what can still be returned
+
+export const getMyReturns = async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const [returns, returnable] = await Promise.all([
+      ReturnRequest.find({ orderId: order._id })
+        .sort({ createdAt: -1 })
+        .lean(),
+      order.status === "delivered" ? getReturnableQuantities(order) : {},
+    ]);
+
+    res.json({ returns, returnable });
+  } catch (error) {
+    console.error("getMyReturns error:", error);
+    res.status(500).json({ message: "Failed to fetch returns" });
+  }
+};
+
 // ── GET /api/payment/orders/:id/tracking ──────────────────
 // Get real-time tracking information for an order
 
@@ -395,10 +724,7 @@ export const getOrderTracking = async (req, res) => {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    // Generate tracking status based on order status
-    const trackingInfo = generateTrackingInfo(order);
-    
-    res.json(trackingInfo);
+    res.json(trackingInfo(order));
   } catch (error) {
     console.error("getOrderTracking error:", error);
     res.status(500).json({ message: "Failed to fetch tracking information" });
@@ -420,19 +746,18 @@ export const trackByNumber = async (req, res) => {
       return res.status(404).json({ message: "Tracking number not found" });
     }
 
-    // Generate tracking status based on order status
-    const trackingInfo = generateTrackingInfo(order);
-    
+    const info = trackingInfo(order);
+
     // Return limited info for public tracking (no user details)
     res.json({
-      trackingNumber: trackingInfo.trackingNumber,
-      status: trackingInfo.status,
-      statusText: trackingInfo.statusText,
-      carrier: trackingInfo.carrier,
-      estimatedDelivery: trackingInfo.estimatedDelivery,
-      currentLocation: trackingInfo.currentLocation,
-      progress: trackingInfo.progress,
-      timeline: trackingInfo.timeline,
+      trackingNumber: info.trackingNumber,
+      status: info.status,
+      statusText: info.statusText,
+      carrier: info.carrier,
+      estimatedDelivery: info.estimatedDelivery,
+      currentLocation: info.currentLocation,
+      progress: info.progress,
+      timeline: info.timeline,
     });
   } catch (error) {
     console.error("trackByNumber error:", error);
@@ -440,165 +765,90 @@ export const trackByNumber = async (req, res) => {
   }
 };
 
-// Helper function to generate tracking info based on order status
-function generateTrackingInfo(order) {
-  const statuses = ["pending", "paid", "processing", "shipped", "delivered"];
-  const currentStatusIndex = statuses.indexOf(order.status);
-  
-  // Generate a consistent tracking number if not set
-  const trackingNumber = order.tracking?.trackingNumber || 
-    `SFX${order._id.toString().slice(-8).toUpperCase()}`;
-
-  // Calculate estimated delivery (7 days from order creation by default)
-  const orderDate = new Date(order.createdAt);
-  const estimatedDelivery = order.tracking?.estimatedDelivery || 
-    new Date(orderDate.getTime() + 7 * 24 * 60 * 60 * 1000);
-
-  // Generate timeline based on status
-  const timeline = generateTimeline(order, orderDate);
-
-  // Determine current location based on status
-  let currentLocation = order.tracking?.currentLocation || "Processing Center";
-  if (order.status === "shipped") {
-    currentLocation = "In Transit";
-  } else if (order.status === "delivered") {
-    currentLocation = order.shippingAddress?.city || "Delivered";
-  }
-
-  // Calculate progress percentage
-  const progress = Math.min(100, Math.max(0, ((currentStatusIndex + 1) / statuses.length) * 100));
-
-  // Status text mapping
-  const statusTextMap = {
-    pending: "Order Placed",
-    paid: "Payment Confirmed", 
-    processing: "Preparing for Shipment",
-    shipped: "In Transit",
-    delivered: "Delivered",
-    cancelled: "Cancelled",
-    refunded: "Refunded",
-  };
+// ── POST /api/payment/orders/lookup ───────────────────────
+// Find an order by its number and checkout email (public — for guests)
 
-  return {
-    orderId: order._id,
-    trackingNumber,
-    status: order.status,
-    statusText: statusTextMap[order.status] || order.status,
-    carrier: order.tracking?.carrier || "softronix-express",
-    estimatedDelivery,
-    currentLocation,
-    progress: Math.round(progress),
-    timeline,
-    shippingAddress: order.shippingAddress,
-    items: order.items,
-    lastUpdate: order.tracking?.lastUpdate || order.updatedAt,
-  };
-}
-
-// Generate delivery timeline
-function generateTimeline(order, orderDate) {
-  const timeline = [];
-  const statuses = ["pending", "paid", "processing", "shipped", "delivered"];
-  const currentStatusIndex = statuses.indexOf(order.status);
-
-  // Use tracking history if available, otherwise generate from status
-  if (order.tracking?.history?.length > 0) {
-    return order.tracking.history.map(h => ({
-      status: h.status,
-      location: h.location,
-      description: h.description,
-      timestamp: h.timestamp,
-      completed: true,
-    }));
-  }
-
-  // Generate timeline based on order status
-  const stages = [
-    { 
-      status: "order_placed", 
-      label: "Order Placed", 
-      description: "Your order has been received",
-      icon: "package"
-    },
-    { 
-      status: "payment_confirmed", 
-      label: "Payment Confirmed", 
-      description: "Payment has been verified",
-      icon: "credit-card"
-    },
-    { 
-      status: "processing", 
-      label: "Processing", 
-      description: "Your order is being prepared",
-      icon: "settings"
-    },
-    { 
-      status: "shipped", 
-      label: "Shipped", 
-      description: "Package is on its way",
-      icon: "truck"
-    },
-    { 
-      status: "delivered", 
-      label: "Delivered", 
-      description: "Package has been delivered",
-      icon: "check-circle"
-    },
-  ];
-
-  stages.forEach((stage, index) => {
-    let completed = false;
-    let timestamp = null;
-    let isCurrent = false;
-
-    // Determine completion status
-    if (index <= currentStatusIndex) {
-      completed = true;
-      // Generate realistic timestamps
-      const hoursOffset = index * 12; // 12 hours between each stage
-      timestamp = new Date(orderDate.getTime() + hoursOffset * 60 * 60 * 1000);
+export const lookupOrder = async (req, res) => {
+  try {
+    const { orderNumber: number, email } = req.body;
+    if (!number || !email) {
+      return res
+        .status(400)
+        .json({ message: "Order number and email are required" });
     }
 
-    if (index === currentStatusIndex) {
-      isCurrent = true;
-      timestamp = new Date(order.updatedAt);
+    const order = await findOrderByEmail(number, email);
+    if (!order) {
+      return res.status(404).json({
+        message: "No order matches that order number and email",
+      });
     }
 
-    timeline.push({
-      ...stage,
-      completed,
-      isCurrent,
-      timestamp,
+    res.json({
+      ...trackingInfo(order),
+      orderNumber: orderNumber(order),
+      createdAt: order.createdAt,
+      paymentMethod: order.paymentMethod,
+      subtotal: order.subtotal,
+      discount: order.discount,
+      tax: order.tax,
+      shipping: order.shipping,
+      shippingMethod: order.shippingRate?.name || null,
+      total: order.total,
+      currency: order.currency,
     });
-  });
-
-  return timeline;
-}
+  } catch (error) {
+    console.error("lookupOrder error:", error);
+    res.status(500).json({ message: "Failed to look up order" });
+  }
+};
 
 // ── POST /api/orders/create ─────────────────────────────
-// Create order with Cash on Delivery
+// Create order with Cash on Delivery (guests give an email)
 
 export const createCodOrder = async (req, res) => {
   try {
     console.log("\n💵 ===== CREATE COD ORDER STARTED =====");
-    console.log("👤 User ID:", req.user._id);
+    console.log("👤 User ID:", req.user?._id || "guest");
     console.log("📝 Request body:", JSON.stringify(req.body, null, 2));
 
-    const { items, shippingAddress, couponCode } = req.body;
+    const { items, couponCode } = req.body;
+
+    const contact = checkoutContact(req);
+    if (!contact) {
+      return res.status(400).json({ message: GUEST_EMAIL_REQUIRED });
+    }
 
     if (!items || items.length === 0) {
       console.log("❌ No items provided");
       return res.status(400).json({ message: "No items in order" });
     }
 
-    if (!shippingAddress) {
+    const destination = await checkoutAddress(req);
+    if (!destination.ok) {
+      console.log("❌ Invalid shipping address:", destination.message);
+      return res
+        .status(destination.status)
+        .json({ message: destination.message });
+    }
+    if (!destination.address) {
       console.log("❌ No shipping address provided");
       return res.status(400).json({ message: "Shipping address is required" });
     }
 
+    // The order is kept in the shopper's currency
+    const settings = await Settings.getSettings();
+    const money = checkoutCurrency(settings, req.body.currency);
+    if (!money.ok) {
+      return res.status(money.status).json({ message: money.message });
+    }
+
     // Fetch and validate products
     let orderItems = [];
+    let taxInputs = [];
+    let parcel = [];
     let subtotal = 0;
+    let baseSubtotal = 0; // for shipping thresholds, in the base currency
 
     for (const item of items) {
       const productId = item.productId || item.product?._id || item.product?.id;
@@ -618,16 +868,23 @@ export const createCodOrder = async (req, res) => {
         return res.status(400).json({ message: `Product "${product.name}" is not available` });
       }
 
-      if (item.quantity > product.stock) {
+      const selection = checkSelection(
+        product,
+        { size: item.size, color: item.color },
+        item.quantity,
+      );
+      if (!selection.ok) {
         console.log("❌ Insufficient stock for:", product.name);
-        return res.status(400).json({ 
-          message: `"${product.name}" only has ${product.stock} in stock` 
-        });
+        return res.status(400).json({ message: selection.message });
       }
 
-      const price = product.discountedPrice || product.price;
-      const itemTotal = price * item.quantity;
-      subtotal += itemTotal;
+      const basePrice = getUnitPrice(product, {
+        size: item.size,
+        color: item.color,
+      });
+      const price = money.convert(basePrice);
+      subtotal += price * item.quantity;
+      baseSubtotal += basePrice * item.quantity;
 
       orderItems.push({
         productId: product._id,
@@ -636,59 +893,102 @@ export const createCodOrder = async (req, res) => {
         quantity: item.quantity,
         size: item.size || null,
         color: item.color || null,
+        sku: selection.variant?.sku || null,
         imageUrl: product.imageUrl || product.images?.[0] || "",
       });
-
-      // Reduce stock
-      product.stock -= item.quantity;
-      await product.save();
-      console.log(`✅ Reduced stock for ${product.name}: ${product.stock} remaining`);
-    }
-
-    // Calculate discount if coupon provided
-    let discount = 0;
-    if (couponCode) {
-      console.log("🎫 Checking for coupon:", couponCode);
-      const coupon = await Coupon.findOne({
-        code: couponCode,
-        isActive: true,
+      taxInputs.push({
+        productId: product._id,
+        name: product.name,
+        price,
+        quantity: item.quantity,
+        product,
       });
+      parcel.push({ product, quantity: item.quantity });
+    }
 
-      if (coupon) {
-        if (coupon.discountType === "percentage") {
-          discount = (subtotal * coupon.discountValue) / 100;
-        } else {
-          discount = coupon.discountValue;
+    // Shipping is checked before any stock is taken; a coupon can bring
+    // the subtotal under a free-shipping threshold
+    const coupon = couponCode
+      ? await Coupon.findOne({ code: couponCode, isActive: true })
+      : null;
+    subtotal = roundMoney(subtotal, money.currency);
+    const discount = roundMoney(
+      couponDiscount(coupon, subtotal, money.rate),
+      money.currency,
+    );
+    const delivery = await selectShipping({
+      address: destination.address,
+      lines: parcel,
+      subtotal: baseSubtotal - couponDiscount(coupon, baseSubtotal),
+      methodId: req.body.shippingMethodId,
+    });
+    if (!delivery.ok) {
+      console.log("❌ Shipping:", delivery.message);
+      return res.status(delivery.status).json({ message: delivery.message });
+    }
+    const shippingCost = money.convert(delivery.shipping?.amount || 0);
+
+    // Reduce stock conditionally so concurrent orders can't oversell
+    const taken = [];
+    for (const item of orderItems) {
+      const selection = { size: item.size, color: item.color };
+      const ok = await decrementStock(item.productId, selection, item.quantity);
+      if (!ok) {
+        for (const t of taken) {
+          await adjustStock(t.productId, { size: t.size, color: t.color }, t.quantity);
         }
-        console.log(`✅ Coupon applied: ${couponCode} - Discount: $${discount}`);
-
-        // Update coupon usage
-        coupon.usedCount = (coupon.usedCount || 0) + 1;
-        await coupon.save();
-      } else {
-        console.log("⚠️ Coupon not found or expired:", couponCode);
+        console.log("❌ Stock ran out for:", item.name);
+        return res.status(409).json({ message: `"${item.name}" just sold out` });
       }
+      taken.push(item);
+      console.log(`✅ Reduced stock for ${item.name}`);
     }
 
-    const totalAmount = subtotal - discount;
+    if (coupon) {
+      console.log(`✅ Coupon applied: ${couponCode} - Discount: $${discount}`);
+
+      // Update coupon usage
+      coupon.usedCount = (coupon.usedCount || 0) + 1;
+      await coupon.save();
+    } else if (couponCode) {
+      console.log("⚠️ Coupon not found or expired:", couponCode);
+    }
+
+    // Calculate tax on the discounted lines
+    const taxResult = calculateTax(taxInputs, {
+      discount,
+      settings,
+      currency: money.currency,
+    });
+    taxResult.lines.forEach((line, index) => {
+      orderItems[index].taxRate = line.taxRate;
+      orderItems[index].taxableAmount = line.taxableAmount;
+      orderItems[index].tax = line.tax;
+    });
+    console.log(`🧾 Tax calculated: $${taxResult.tax}`);
+
+    const totalAmount = roundMoney(
+      subtotal - discount + taxResult.tax + shippingCost,
+      money.currency,
+    );
 
     // Create order
     const order = new Order({
-      userId: req.user._id,
+      userId: contact.userId,
+      guestEmail: contact.guestEmail,
       orderId: `COD-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
       items: orderItems,
       subtotal,
       discount,
+      tax: taxResult.tax,
+      shipping: shippingCost,
       totalAmount,
-      shippingAddress: {
-        fullName: shippingAddress.fullName,
-        addressLine1: shippingAddress.addressLine1,
-        addressLine2: shippingAddress.addressLine2 || "",
-        city: shippingAddress.city,
-        state: shippingAddress.state,
-        postalCode: shippingAddress.postalCode,
-        country: shippingAddress.country || "United States",
-        phone: shippingAddress.phone,
+      currency: money.currency,
+      exchangeRate: money.rate,
+      shippingAddress: destination.address,
+      shippingRate: delivery.shipping && {
+        ...delivery.shipping,
+        amount: shippingCost,
       },
       paymentMethod: "cod",
       paymentStatus: "pending",
@@ -697,6 +997,7 @@ export const createCodOrder = async (req, res) => {
     });
 
     await order.save();
+    await sendOrderEmail(order, "confirmation");
 
     console.log("✅ COD Order created successfully!");
     console.log("📦 Order ID:", order.orderId);
@@ -716,3 +1017,106 @@ export const createCodOrder = async (req, res) => {
     res.status(500).json({ message: "Failed to create order", error: error.message });
   }
 };
+
+// ── POST /api/payment/tax-quote ─────────────────────────
+// Tax estimate for a cart (public — used by CartDrawer and Checkout)
+
+export const getTaxQuote = async (req, res) => {
+  try {
+    const { items, discount = 0 } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ message: "Items array required" });
+    }
+
+    const settings = await Settings.getSettings();
+    const lines = [];
+
+    for (const item of items) {
+      const productId = item.productId || item.product?._id;
+      if (!productId) continue;
+
+      const product = await Product.findById(productId).lean();
+      if (!product || !product.isActive) continue;
+
+      lines.push({
+        productId: product._id,
+        name: product.name,
+        price: getUnitPrice(product, { size: item.size, color: item.color }),
+        quantity: Number(item.quantity) || 1,
+        product,
+      });
+    }
+
+    const result = calculateTax(lines, {
+      discount: Number(discount) || 0,
+      settings,
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error("getTaxQuote error:", error);
+    res.status(500).json({ message: "Failed to calculate tax" });
+  }
+};
+
+// ── POST /api/payment/shipping-quote ────────────────────
+// Shipping methods and prices for a cart and address (public — used by
+// Checkout). The address may be partial: zones match on country, state
+// and postal code only.
+
+export const getShippingQuote = async (req, res) => {
+  try {
+    const { items, discount = 0, addressId, shippingAddress } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ message: "Items array required" });
+    }
+
+    let address = null;
+    if (addressId) {
+      address =
+        req.user && (await findSavedAddress(req.user._id, addressId));
+      if (!address) {
+        return res.status(404).json({ message: "Saved address not found" });
+      }
+    } else if (shippingAddress) {
+      address = normalizeAddress(shippingAddress);
+    }
+
+    const lines = [];
+    let subtotal = 0;
+    for (const item of items) {
+      const productId = item.productId || item.product?._id;
+      if (!productId) continue;
+
+      const product = await Product.findById(productId).lean();
+      if (!product || !product.isActive) continue;
+
+      const quantity = Number(item.quantity) || 1;
+      subtotal +=
+        getUnitPrice(product, { size: item.size, color: item.color }) *
+        quantity;
+      lines.push({ product, quantity });
+    }
+
+    const quote = await quoteShipping({
+      address,
+      lines,
+      subtotal: Math.max(0, subtotal - (Number(discount) || 0)),
+    });
+    if (!quote.ok) {
+      return res.status(quote.status).json({ message: quote.message });
+    }
+
+    res.json({
+      required: quote.required,
+      zone: quote.zone?.name || null,
+      weight: quote.weight,
+      rates: quote.rates,
+    });
+  } catch (error) {
+    console.error("getShippingQuote error:", error);
+    res.status(500).json({ message: "Failed to calculate shipping" });
+  }
+};
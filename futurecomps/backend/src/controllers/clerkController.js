@@ -2,9 +2,26 @@ import Product from "../models/Product.js";
 import Cart from "../models/Cart.js";
 import Order from "../models/Order.js";
 import Coupon from "../models/Coupon.js";
+import Settings from "../models/Settings.js";
 import { validateDiscount } from "../services/negotiationService.js";
 import { v4 as uuidv4 } from "uuid";
 import { createStripeCoupon } from "../services/stripeService.js";
+import { checkSelection } from "../services/inventoryService.js";
+import { couponCurrencyOptions } from "../services/currencyService.js";
+import { categoryFilter } from "../services/categoryService.js";
+import { cartTotals } from "../services/cartService.js";
+
+// ── Helpers ────────────────────────────────────────────
+
+function formatVariants(product) {
+  return (product.variants || []).map((v) => ({
+    sku: v.sku,
+    size: v.size,
+    color: v.color,
+    stock: v.stock,
+    price: v.price ?? product.discountedPrice ?? product.price,
+  }));
+}
 
 // ── POST /api/clerk/search ──────────────────────────────
 // Semantic-ish search for the frontend AI to use
@@ -37,7 +54,7 @@ export const searchProducts = async (req, res) => {
     }
 
     if (category) {
-      filter.category = { $regex: new RegExp(category, "i") };
+      Object.assign(filter, await categoryFilter(category));
     }
 
     if (minPrice || maxPrice) {
@@ -53,9 +70,16 @@ export const searchProducts = async (req, res) => {
     }
 
     if (sizes && sizes.length > 0) {
-      filter["attributes.sizes"] = {
-        $in: sizes.map((s) => s.trim()),
-      };
+      const wanted = sizes.map((s) => s.trim());
+      // Variant products must have the size actually in stock
+      filter.$or = [
+        { variants: { $size: 0 }, "attributes.sizes": { $in: wanted } },
+        {
+          variants: {
+            $elemMatch: { size: { $in: wanted }, stock: { $gt: 0 } },
+          },
+        },
+      ];
     }
 
     if (occasion && occasion.length > 0) {
@@ -125,30 +149,45 @@ export const searchProducts = async (req, res) => {
 
 export const inventoryCheck = async (req, res) => {
   try {
-    const { productId, productIds } = req.body;
+    const { productId, productIds, size, color } = req.body;
 
     // Single product check
     if (productId) {
       const product = await Product.findById(productId)
-        .select("name price discountedPrice stock inStock attributes category")
+        .select(
+          "name price discountedPrice stock inStock attributes variants category",
+        )
         .lean();
 
       if (!product) {
         return res.status(404).json({ message: "Product not found" });
       }
 
-      return res.json({
-        product: {
-          _id: product._id,
-          name: product.name,
-          price: product.price,
-          discountedPrice: product.discountedPrice,
-          stock: product.stock,
-          inStock: product.inStock,
-          availableColors: product.attributes?.colors || [],
-          availableSizes: product.attributes?.sizes || [],
-        },
-      });
+      const result = {
+        _id: product._id,
+        name: product.name,
+        price: product.price,
+        discountedPrice: product.discountedPrice,
+        stock: product.stock,
+        inStock: product.inStock,
+        availableColors: product.attributes?.colors || [],
+        availableSizes: product.attributes?.sizes || [],
+        variants: formatVariants(product),
+      };
+
+      // Optional size/color selection — report stock for that variant only
+      if (size || color) {
+        const selection = checkSelection(product, { size, color });
+        result.selection = {
+          size: size || null,
+          color: color || null,
+          sku: selection.variant?.sku || null,
+          stock: selection.available,
+          inStock: selection.available > 0,
+        };
+      }
+
+      return res.json({ product: result });
     }
 
     // Bulk check
@@ -157,7 +196,7 @@ export const inventoryCheck = async (req, res) => {
         _id: { $in: productIds },
         isActive: true,
       })
-        .select("name price discountedPrice stock inStock attributes")
+        .select("name price discountedPrice stock inStock attributes variants")
         .lean();
 
       return res.json({
@@ -170,6 +209,7 @@ export const inventoryCheck = async (req, res) => {
           inStock: p.inStock,
           availableColors: p.attributes?.colors || [],
           availableSizes: p.attributes?.sizes || [],
+          variants: formatVariants(p),
         })),
       });
     }
@@ -335,8 +375,12 @@ export const generateCoupon = async (req, res) => {
 
     await coupon.save();
 
-    // Sync to Stripe
-    const stripeResult = await createStripeCoupon(coupon);
+    // Sync to Stripe, with the amount in every currency shoppers pay in
+    const settings = await Settings.getSettings();
+    const stripeResult = await createStripeCoupon(coupon, {
+      currency: settings.currency,
+      currencyOptions: couponCurrencyOptions(coupon, settings),
+    });
     coupon.stripeCouponId = stripeResult.stripeCouponId;
     coupon.stripePromotionCodeId = stripeResult.stripePromotionCodeId;
     await coupon.save();
@@ -395,9 +439,7 @@ export const getUserContext = async (req, res) => {
             stock: i.productId?.stock,
           })),
           appliedCoupon: cart.appliedCoupon,
-          subtotal: cart.subtotal,
-          discount: cart.discount,
-          total: cart.total,
+          ...(await cartTotals(cart)),
         }
       : { items: [], subtotal: 0, discount: 0, total: 0, appliedCoupon: null };
 
@@ -1,9 +1,12 @@
 import Coupon from "../models/Coupon.js";
+import Settings from "../models/Settings.js";
 import Cart from "../models/Cart.js";
 import {
   createStripeCoupon,
   deactivateStripeCoupon,
 } from "../services/stripeService.js";
+import { couponCurrencyOptions } from "../services/currencyService.js";
+import { cartTotals } from "../services/cartService.js";
 
 // ── Admin: Create Coupon ────────────────────────────────
 
@@ -49,8 +52,12 @@ export const createCoupon = async (req, res) => {
 
     await coupon.save();
 
-    // Sync to Stripe
-    const stripeResult = await createStripeCoupon(coupon);
+    // Sync to Stripe, with the amount in every currency shoppers pay in
+    const settings = await Settings.getSettings();
+    const stripeResult = await createStripeCoupon(coupon, {
+      currency: settings.currency,
+      currencyOptions: couponCurrencyOptions(coupon, settings),
+    });
     coupon.stripeCouponId = stripeResult.stripeCouponId;
     coupon.stripePromotionCodeId = stripeResult.stripePromotionCodeId;
     await coupon.save();
@@ -197,9 +204,7 @@ export const applyCouponToCart = async (req, res) => {
       cart: {
         items: cart.items,
         appliedCoupon: cart.appliedCoupon,
-        subtotal: cart.subtotal,
-        discount: cart.discount,
-        total: cart.total,
+        ...(await cartTotals(cart)),
       },
     });
   } catch (error) {
@@ -225,9 +230,7 @@ export const removeCouponFromCart = async (req, res) => {
       cart: {
         items: cart.items,
         appliedCoupon: cart.appliedCoupon,
-        subtotal: cart.subtotal,
-        discount: cart.discount,
-        total: cart.total,
+        ...(await cartTotals(cart)),
       },
     });
   } catch (error) {
@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+import ProductAlert from "../models/ProductAlert.js";
+import Product from "../models/Product.js";
+import {
+  ALERT_TYPES,
+  effectivePrice,
+  muteAlert,
+  verifyUnsubscribe,
+} from "../services/productAlertService.js";
+
+// ── Shopper: List Alerts ────────────────────────────────
+
+// @desc    Back-in-stock and price-drop alerts of the current user
+// @route   GET /api/alerts
+// @access  Private
+export const getMyAlerts = async (req, res) => {
+  try {
+    const alerts = await ProductAlert.find({
+      userId: req.user._id,
+      mutedAt: null,
+    })
+      .populate("productId", "name images imageUrl price discountedPrice")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(alerts);
+  } catch (error) {
+    console.error("getMyAlerts error:", error);
+    res.status(500).json({ message: "Failed to fetch alerts" });
+  }
+};
+
+// ── Shopper: Create Alert ───────────────────────────────
+
+// @desc    Ask to hear when a product is back in stock, or turn price-drop
+//          alerts back on for a wishlisted product
+// @route   POST /api/alerts  { productId, type }
+// @access  Private
+export const createAlert = async (req, res) => {
+  try {
+    const { productId, type } = req.body;
+    if (!ALERT_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ message: `type must be one of: ${ALERT_TYPES.join(", ")}` });
+    }
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ message: "Invalid product id" });
+    }
+
+    const product = await Product.findOne({ _id: productId, isActive: true });
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (type === "back-in-stock" && product.stock > 0) {
+      return res.status(400).json({ message: "Product is in stock" });
+    }
+    if (
+      type === "price-drop" &&
+      !req.user.wishlist.some((id) => id.equals(product._id))
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Add the product to your wishlist first" });
+    }
+
+    // Turning a muted price-drop alert back on starts from today's price
+    const alert = await ProductAlert.findOneAndUpdate(
+      { userId: req.user._id, productId: product._id, type },
+      type === "price-drop"
+        ? {
+            $set: { mutedAt: null, referencePrice: effectivePrice(product) },
+          }
+        : { $setOnInsert: { referencePrice: null } },
+      { upsert: true, new: true },
+    );
+
+    res.status(201).json({
+      message:
+        type === "price-drop"
+          ? "We'll let you know when the price drops"
+          : "We'll let you know when it's back in stock",
+      alert,
+    });
+  } catch (error) {
+    console.error("createAlert error:", error);
+    res.status(500).json({ message: "Failed to create alert" });
+  }
+};
+
+// ── Shopper: Delete Alert ───────────────────────────────
+
+// @desc    Stop an alert; price-drop alerts are muted (see muteAlert)
+// @route   DELETE /api/alerts/:id
+// @access  Private
+export const deleteAlert = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Alert not found" });
+    }
+    const alert = await muteAlert({ _id: req.params.id, userId: req.user._id });
+    if (!alert) {
+      return res.status(404).json({ message: "Alert not found" });
+    }
+    res.json({ message: "Alert removed" });
+  } catch (error) {
+    console.error("deleteAlert error:", error);
+    res.status(500).json({ message: "Failed to remove alert" });
+  }
+};
+
+// ── Public: Unsubscribe Link ────────────────────────────
+
+// @desc    Stop an alert from the link in its email (no sign-in needed)
+// @route   POST /api/alerts/unsubscribe  { alert, sig }
+// @access  Public
+export const unsubscribeAlert = async (req, res) => {
+  try {
+    const { alert, sig } = req.body;
+    if (!mongoose.isValidObjectId(alert) || !verifyUnsubscribe(alert, sig)) {
+      return res.status(400).json({ message: "Invalid unsubscribe link" });
+    }
+
+    // Already gone counts as done — links get clicked twice
+    const removed = await muteAlert({ _id: alert });
+    const product =
+      removed &&
+      (await Product.findById(removed.productId).select("name").lean());
+    const productName = product?.name;
+    res.json({
+      message: productName
+        ? `You won't get more alerts about ${productName}`
+        : "You're unsubscribed",
+    });
+  } catch (error) {
+    console.error("unsubscribeAlert error:", error);
+    res.status(500).json({ message: "Failed to unsubscribe" });
+  }
+};
@@ -1,10 +1,37 @@
 import Product from "../models/Product.js";
+import Settings from "../models/Settings.js";
+import { hasPermission } from "../middleware/adminMiddleware.js";
+import {
+  checkLowStock,
+  lowStockFilter,
+} from "../services/stockAlertService.js";
+import {
+  checkProductAlerts,
+  effectivePrice,
+} from "../services/productAlertService.js";
+import {
+  assignCategory,
+  breadcrumbsFor,
+  categoryFilter,
+  categoryTree,
+} from "../services/categoryService.js";
+
+// Negotiation floor — only staff with pricing:read see it
+const PRICING_FIELDS = ["hiddenBottomPrice", "negotiationEnabled"];
+
+const forStaff = (req, product) => {
+  if (hasPermission(req, "pricing:read")) return product;
+  const visible = product.toObject ? product.toObject() : { ...product };
+  for (const field of PRICING_FIELDS) delete visible[field];
+  return visible;
+};
 
 // ── Public ──────────────────────────────────────────────────────────
 
 /**
  * GET /api/products
- * Supports: ?search, ?category, ?minPrice, ?maxPrice, ?color, ?size,
+ * Supports: ?search, ?category (slug or name; includes subcategories),
+ *            ?minPrice, ?maxPrice, ?color, ?size,
  *            ?occasion, ?vibe, ?tag, ?sort, ?page, ?limit, ?featured, ?new
  */
 export const getProducts = async (req, res) => {
@@ -35,7 +62,7 @@ export const getProducts = async (req, res) => {
 
     // Category filter
     if (category) {
-      filter.category = { $regex: new RegExp(category, "i") };
+      Object.assign(filter, await categoryFilter(category));
     }
 
     // Price range
@@ -94,7 +121,11 @@ export const getProducts = async (req, res) => {
     const skip = (Number(page) - 1) * Number(limit);
 
     // Projection: exclude hiddenBottomPrice from public routes
-    const projection = { hiddenBottomPrice: 0, negotiationEnabled: 0 };
+    const projection = {
+      hiddenBottomPrice: 0,
+      negotiationEnabled: 0,
+      lowStockAlertedAt: 0,
+    };
 
     const [products, total] = await Promise.all([
       Product.find(filter, projection)
@@ -182,19 +213,20 @@ export const getRandomProducts = async (req, res) => {
 };
 
 /**
- * GET /api/products/categories
+ * GET /api/products/categories — the active category tree, with product
+ * counts
  */
 export const getCategories = async (_req, res) => {
   try {
-    const categories = await Product.distinct("category", { isActive: true });
-    res.json(categories);
+    res.json(await categoryTree());
   } catch (error) {
     res.status(500).json({ message: "Failed to fetch categories" });
   }
 };
 
 /**
- * GET /api/products/:id
+ * GET /api/products/:id — with `breadcrumbs`, the product's category and
+ * its parents
  */
 export const getProductById = async (req, res) => {
   try {
@@ -204,7 +236,7 @@ export const getProductById = async (req, res) => {
     if (!product || !product.isActive) {
       return res.status(404).json({ message: "Product not found" });
     }
-    res.json(product);
+    res.json({ ...product, breadcrumbs: await breadcrumbsFor(product) });
   } catch (error) {
     res.status(500).json({ message: "Failed to fetch product" });
   }
@@ -222,12 +254,17 @@ export const createProduct = async (req, res) => {
       description,
       price,
       discountedPrice,
-      currency,
       category,
+      categoryId,
+      taxClass,
+      weight,
+      dimensions,
       attributes,
+      variants,
       imageUrl,
       images,
       stock,
+      lowStockThreshold,
       tags,
       occasion,
       vibe,
@@ -236,32 +273,49 @@ export const createProduct = async (req, res) => {
       isFeatured,
       isNew,
     } = req.body;
+    const canPrice = hasPermission(req, "pricing:write");
+    // Prices are entered in the store's base currency
+    const { currency } = await Settings.getSettings();
 
     const product = new Product({
       name,
       description,
       price,
       discountedPrice: discountedPrice ?? null,
-      currency: currency || "usd",
-      category,
+      currency,
+      taxClass: taxClass || null,
+      weight: weight ?? 0,
+      dimensions: {
+        length: dimensions?.length ?? null,
+        width: dimensions?.width ?? null,
+        height: dimensions?.height ?? null,
+      },
       attributes: {
         colors: attributes?.colors || [],
         sizes: attributes?.sizes || [],
       },
+      variants: variants || [],
       imageUrl: imageUrl || "",
       images: images || [],
       stock: stock ?? 0,
+      lowStockThreshold: lowStockThreshold ?? null,
       tags: tags || [],
       occasion: occasion || [],
       vibe: vibe || [],
-      hiddenBottomPrice: hiddenBottomPrice ?? null,
-      negotiationEnabled: negotiationEnabled ?? false,
+      hiddenBottomPrice: canPrice ? (hiddenBottomPrice ?? null) : null,
+      negotiationEnabled: canPrice ? (negotiationEnabled ?? false) : false,
       isFeatured: isFeatured ?? false,
       isNew: isNew ?? true,
     });
 
+    const assigned = await assignCategory(product, categoryId || category);
+    if (!assigned.ok) {
+      return res.status(assigned.status).json({ message: assigned.message });
+    }
+
     const created = await product.save();
-    res.status(201).json(created);
+    await checkLowStock(created._id);
+    res.status(201).json(forStaff(req, created));
   } catch (error) {
     console.error("createProduct error:", error);
     res.status(500).json({ message: "Failed to create product" });
@@ -278,17 +332,23 @@ export const updateProduct = async (req, res) => {
       return res.status(404).json({ message: "Product not found" });
     }
 
+    // For back-in-stock and price-drop alerts
+    const before = { price: effectivePrice(product), stock: product.stock };
+
     const allowedFields = [
       "name",
       "description",
       "price",
       "discountedPrice",
-      "currency",
-      "category",
+      "taxClass",
+      "weight",
+      "dimensions",
       "attributes",
+      "variants",
       "imageUrl",
       "images",
       "stock",
+      "lowStockThreshold",
       "tags",
       "occasion",
       "vibe",
@@ -299,7 +359,11 @@ export const updateProduct = async (req, res) => {
       "isActive",
     ];
 
+    // Pricing fields are ignored without pricing:write
+    const canPrice = hasPermission(req, "pricing:write");
+
     for (const field of allowedFields) {
+      if (PRICING_FIELDS.includes(field) && !canPrice) continue;
       if (req.body[field] !== undefined) {
         if (field === "attributes") {
           product.attributes = {
@@ -312,8 +376,19 @@ export const updateProduct = async (req, res) => {
       }
     }
 
+    const { category, categoryId } = req.body;
+    if (category !== undefined || categoryId !== undefined) {
+      const assigned = await assignCategory(product, categoryId || category);
+      if (!assigned.ok) {
+        return res.status(assigned.status).json({ message: assigned.message });
+      }
+    }
+
     const updated = await product.save();
-    res.json(updated);
+    // Edits can cross the threshold either way
+    await checkLowStock(updated._id);
+    await checkProductAlerts(before, updated);
+    res.json(forStaff(req, updated));
   } catch (error) {
     console.error("updateProduct error:", error);
     res.status(500).json({ message: "Failed to update product" });
@@ -338,7 +413,8 @@ export const deleteProduct = async (req, res) => {
 };
 
 /**
- * GET /api/products/admin/all  (Admin) — includes inactive & hidden fields
+ * GET /api/products/admin/all  (Admin) — includes inactive products, and
+ * hidden pricing fields for staff with pricing:read
  */
 export const getAllProductsAdmin = async (req, res) => {
   try {
@@ -347,6 +423,11 @@ export const getAllProductsAdmin = async (req, res) => {
 
     const [products, total] = await Promise.all([
       Product.find({})
+        .select(
+          hasPermission(req, "pricing:read")
+            ? ""
+            : PRICING_FIELDS.map((f) => `-${f}`).join(" "),
+        )
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(Number(limit))
@@ -366,6 +447,35 @@ export const getAllProductsAdmin = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/products/admin/low-stock  (Admin) — active products at or below
+ * their low-stock threshold, lowest stock first
+ */
+export const getLowStockProducts = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const defaultThreshold = settings.notifications.lowStockThreshold ?? 5;
+
+    const products = await Product.find(lowStockFilter(defaultThreshold))
+      .select("name category imageUrl images stock lowStockThreshold variants")
+      .sort({ stock: 1 })
+      .limit(100)
+      .lean();
+
+    res.json({
+      defaultThreshold,
+      alertsEnabled: settings.notifications.stockAlerts,
+      products: products.map((p) => ({
+        ...p,
+        threshold: p.lowStockThreshold ?? defaultThreshold,
+      })),
+    });
+  } catch (error) {
+    console.error("getLowStockProducts error:", error);
+    res.status(500).json({ message: "Failed to fetch low stock products" });
+  }
+};
+
 // ── Reviews ─────────────────────────────────────────────────────────
 
 /**
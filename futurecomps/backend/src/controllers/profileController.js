@@ -1,13 +1,12 @@
 import User from "../models/User.js";
+import { normalizeLocale } from "../services/mailTemplates.js";
 
 // @desc    Get user profile
 // @route   GET /api/profile
 // @access  Private
 export const getProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select(
-      "-password -otp -otpExpiry -resetPasswordToken -resetPasswordExpiry"
-    );
+    const user = await User.findById(req.user._id).select("-password");
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
@@ -25,7 +24,7 @@ export const getProfile = async (req, res) => {
 // @access  Private
 export const updateProfile = async (req, res) => {
   try {
-    const { name, phone, bio, avatar } = req.body;
+    const { name, phone, bio, avatar, locale } = req.body;
 
     const user = await User.findById(req.user._id);
 
@@ -38,6 +37,7 @@ export const updateProfile = async (req, res) => {
     if (phone !== undefined) user.phone = phone;
     if (bio !== undefined) user.bio = bio;
     if (avatar !== undefined) user.avatar = avatar;
+    if (locale !== undefined) user.locale = normalizeLocale(locale);
 
     const updatedUser = await user.save();
 
@@ -50,6 +50,7 @@ export const updateProfile = async (req, res) => {
         phone: updatedUser.phone,
         bio: updatedUser.bio,
         avatar: updatedUser.avatar,
+        locale: updatedUser.locale,
         isVerified: updatedUser.isVerified,
         createdAt: updatedUser.createdAt,
       },
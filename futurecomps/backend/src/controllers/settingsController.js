@@ -1,4 +1,21 @@
 import Settings from "../models/Settings.js";
+import Product from "../models/Product.js";
+import { invalidateSecurityLimits } from "../services/authLockoutService.js";
+import {
+  normalizeCurrency,
+  setCurrencies,
+  importExchangeRates,
+  syncCouponCurrencies,
+} from "../services/currencyService.js";
+
+const LOCKOUT_FIELDS = [
+  "maxLoginAttempts",
+  "maxOtpAttempts",
+  "lockoutMinutes",
+  "authRateLimitWindow",
+  "authRateLimitPerIp",
+  "authRateLimitPerAccount",
+];
 
 // @desc    Get store settings (public)
 // @route   GET /api/settings/public/store
@@ -12,7 +29,11 @@ export const getPublicStoreSettings = async (req, res) => {
       storePhone: settings.storePhone,
       storeAddress: settings.storeAddress,
       currency: settings.currency,
+      currencies: settings.currencies,
+      exchangeRates: settings.exchangeRates,
       taxRate: settings.taxRate,
+      taxClasses: settings.taxClasses,
+      categoryTaxRates: settings.categoryTaxRates,
       notifications: settings.notifications,
       security: settings.security,
     });
@@ -27,7 +48,23 @@ export const getPublicStoreSettings = async (req, res) => {
 // @access  Private/Admin
 export const updateStoreSettings = async (req, res) => {
   try {
-    const { storeName, storeEmail, storePhone, storeAddress, currency, taxRate } = req.body;
+    const {
+      storeName,
+      storeEmail,
+      storePhone,
+      storeAddress,
+      currency,
+      taxRate,
+      taxClasses,
+      categoryTaxRates,
+    } = req.body;
+
+    const base = currency !== undefined && normalizeCurrency(currency);
+    if (currency !== undefined && !base) {
+      return res
+        .status(400)
+        .json({ message: `Unknown currency code "${currency}"` });
+    }
 
     const settings = await Settings.getSettings();
 
@@ -35,10 +72,22 @@ export const updateStoreSettings = async (req, res) => {
     if (storeEmail !== undefined) settings.storeEmail = storeEmail;
     if (storePhone !== undefined) settings.storePhone = storePhone;
     if (storeAddress !== undefined) settings.storeAddress = storeAddress;
-    if (currency !== undefined) settings.currency = currency;
+    // A new base currency doesn't convert prices, and rates to the old
+    // one no longer apply
+    const baseChanged = base && base !== settings.currency;
+    if (baseChanged) {
+      settings.currency = base;
+      settings.currencies = settings.currencies.filter((c) => c !== base);
+      settings.exchangeRates = [];
+    }
     if (taxRate !== undefined) settings.taxRate = taxRate;
+    if (taxClasses !== undefined) settings.taxClasses = taxClasses;
+    if (categoryTaxRates !== undefined) settings.categoryTaxRates = categoryTaxRates;
 
     await settings.save();
+    if (baseChanged) {
+      await Product.updateMany({}, { currency: base.toLowerCase() });
+    }
 
     res.json({
       storeName: settings.storeName,
@@ -46,7 +95,11 @@ export const updateStoreSettings = async (req, res) => {
       storePhone: settings.storePhone,
       storeAddress: settings.storeAddress,
       currency: settings.currency,
+      currencies: settings.currencies,
+      exchangeRates: settings.exchangeRates,
       taxRate: settings.taxRate,
+      taxClasses: settings.taxClasses,
+      categoryTaxRates: settings.categoryTaxRates,
       notifications: settings.notifications,
       security: settings.security,
     });
@@ -61,14 +114,35 @@ export const updateStoreSettings = async (req, res) => {
 // @access  Private/Admin
 export const updateNotificationSettings = async (req, res) => {
   try {
-    const { stockAlerts, emailNotifications, orderConfirmations, marketingEmails } = req.body;
+    const {
+      stockAlerts,
+      emailNotifications,
+      orderConfirmations,
+      shippingUpdates,
+      refundNotifications,
+      marketingEmails,
+      lowStockThreshold,
+    } = req.body;
+
+    const threshold = Number(lowStockThreshold);
+    if (
+      lowStockThreshold !== undefined &&
+      !(Number.isInteger(threshold) && threshold >= 0)
+    ) {
+      return res.status(400).json({
+        message: "Low stock threshold must be a whole number (0 or more)",
+      });
+    }
 
     const settings = await Settings.getSettings();
 
     if (stockAlerts !== undefined) settings.notifications.stockAlerts = stockAlerts;
     if (emailNotifications !== undefined) settings.notifications.emailNotifications = emailNotifications;
     if (orderConfirmations !== undefined) settings.notifications.orderConfirmations = orderConfirmations;
+    if (shippingUpdates !== undefined) settings.notifications.shippingUpdates = shippingUpdates;
+    if (refundNotifications !== undefined) settings.notifications.refundNotifications = refundNotifications;
     if (marketingEmails !== undefined) settings.notifications.marketingEmails = marketingEmails;
+    if (lowStockThreshold !== undefined) settings.notifications.lowStockThreshold = threshold;
 
     settings.markModified("notifications");
     await settings.save();
@@ -79,7 +153,11 @@ export const updateNotificationSettings = async (req, res) => {
       storePhone: settings.storePhone,
       storeAddress: settings.storeAddress,
       currency: settings.currency,
+      currencies: settings.currencies,
+      exchangeRates: settings.exchangeRates,
       taxRate: settings.taxRate,
+      taxClasses: settings.taxClasses,
+      categoryTaxRates: settings.categoryTaxRates,
       notifications: settings.notifications,
       security: settings.security,
     });
@@ -94,15 +172,38 @@ export const updateNotificationSettings = async (req, res) => {
 // @access  Private/Admin
 export const updateSecuritySettings = async (req, res) => {
   try {
-    const { sessionTimeout, passwordExpiry } = req.body;
+    const { sessionTimeout, passwordExpiry, requireAdmin2FA } = req.body;
+
+    // Lockout and rate limit knobs must be positive whole numbers
+    for (const field of LOCKOUT_FIELDS) {
+      const value = req.body[field];
+      if (value !== undefined && !(Number.isInteger(value) && value >= 1)) {
+        return res
+          .status(400)
+          .json({ message: `${field} must be a whole number of at least 1` });
+      }
+    }
+
+    // Turning the 2FA requirement on must not lock out the admin doing it
+    if (requireAdmin2FA === true && !req.twoFactorVerified) {
+      return res.status(400).json({
+        message:
+          "Set up two-factor authentication and sign in with it before requiring it for admins",
+      });
+    }
 
     const settings = await Settings.getSettings();
 
+    if (requireAdmin2FA !== undefined) settings.security.requireAdmin2FA = Boolean(requireAdmin2FA);
     if (sessionTimeout !== undefined) settings.security.sessionTimeout = sessionTimeout;
     if (passwordExpiry !== undefined) settings.security.passwordExpiry = passwordExpiry;
+    for (const field of LOCKOUT_FIELDS) {
+      if (req.body[field] !== undefined) settings.security[field] = req.body[field];
+    }
 
     settings.markModified("security");
     await settings.save();
+    invalidateSecurityLimits();
 
     res.json({
       storeName: settings.storeName,
@@ -110,7 +211,11 @@ export const updateSecuritySettings = async (req, res) => {
       storePhone: settings.storePhone,
       storeAddress: settings.storeAddress,
       currency: settings.currency,
+      currencies: settings.currencies,
+      exchangeRates: settings.exchangeRates,
       taxRate: settings.taxRate,
+      taxClasses: settings.taxClasses,
+      categoryTaxRates: settings.categoryTaxRates,
       notifications: settings.notifications,
       security: settings.security,
     });
@@ -119,3 +224,65 @@ export const updateSecuritySettings = async (req, res) => {
     res.status(500).json({ message: error.message });
   }
 };
+
+// @desc    Update enabled currencies and exchange rates
+// @route   PUT /api/settings/admin/currencies
+// @access  Private/Admin
+export const updateCurrencySettings = async (req, res) => {
+  try {
+    const { currencies, exchangeRates } = req.body;
+
+    const settings = await Settings.getSettings();
+    const result = setCurrencies(settings, {
+      currencies,
+      rates: exchangeRates,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    await settings.save();
+    await syncCouponCurrencies(settings);
+
+    res.json({
+      storeName: settings.storeName,
+      storeEmail: settings.storeEmail,
+      storePhone: settings.storePhone,
+      storeAddress: settings.storeAddress,
+      currency: settings.currency,
+      currencies: settings.currencies,
+      exchangeRates: settings.exchangeRates,
+      taxRate: settings.taxRate,
+      taxClasses: settings.taxClasses,
+      categoryTaxRates: settings.categoryTaxRates,
+      notifications: settings.notifications,
+      security: settings.security,
+    });
+  } catch (error) {
+    console.error("Update currency settings error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Import exchange rates from EXCHANGE_RATES_URL
+// @route   POST /api/settings/admin/currencies/import
+// @access  Private/Admin
+export const importCurrencyRates = async (req, res) => {
+  try {
+    const result = await importExchangeRates();
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const { settings } = result;
+    res.json({
+      message: `Imported ${result.imported.length} exchange rate(s)`,
+      currency: settings.currency,
+      currencies: settings.currencies,
+      exchangeRates: settings.exchangeRates,
+    });
+  } catch (error) {
+    console.error("Import exchange rates error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import ShippingZone from "../models/ShippingZone.js";
+import { validateZone } from "../services/shippingService.js";
+
+const invalidId = (res) => res.status(400).json({ message: "Invalid zone id" });
+
+// @desc    All shipping zones with their methods
+// @route   GET /api/shipping/zones
+// @access  Admin (shipping:write)
+export const getZones = async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ createdAt: 1 }).lean();
+    res.json(zones);
+  } catch (error) {
+    console.error("getZones error:", error);
+    res.status(500).json({ message: "Failed to fetch shipping zones" });
+  }
+};
+
+// @desc    Create a shipping zone
+// @route   POST /api/shipping/zones
+//          { name, countries[], states[], postalPrefixes[], methods[],
+//            isActive? } — see models/ShippingZone.js for method fields
+// @access  Admin (shipping:write)
+export const createZone = async (req, res) => {
+  try {
+    const result = validateZone(req.body);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const zone = await ShippingZone.create({
+      ...result.zone,
+      createdBy: req.user._id,
+    });
+    res.status(201).json(zone);
+  } catch (error) {
+    console.error("createZone error:", error);
+    res.status(500).json({ message: "Failed to create shipping zone" });
+  }
+};
+
+// @desc    Replace a shipping zone's areas and methods; methods sent with
+//          their _id keep it
+// @route   PUT /api/shipping/zones/:id
+// @access  Admin (shipping:write)
+export const updateZone = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: "Shipping zone not found" });
+    }
+
+    const result = validateZone({ ...zone.toObject(), ...req.body });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    zone.set(result.zone);
+    await zone.save();
+    res.json(zone);
+  } catch (error) {
+    console.error("updateZone error:", error);
+    res.status(500).json({ message: "Failed to update shipping zone" });
+  }
+};
+
+// @desc    Delete a shipping zone
+// @route   DELETE /api/shipping/zones/:id
+// @access  Admin (shipping:write)
+export const deleteZone = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: "Shipping zone not found" });
+    }
+    res.json({ message: "Shipping zone deleted" });
+  } catch (error) {
+    console.error("deleteZone error:", error);
+    res.status(500).json({ message: "Failed to delete shipping zone" });
+  }
+};
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import {
+  receiveCarrierPush,
+  refreshTracking,
+} from "../services/trackingService.js";
+
+// @desc    Tracking update pushed by a carrier (raw JSON body — see
+//          services/carrierAdapters.js for each carrier's signature)
+// @route   POST /api/tracking/webhook/:carrier
+// @access  Public (signed)
+export const handleCarrierWebhook = async (req, res) => {
+  try {
+    const result = await receiveCarrierPush(
+      req.params.carrier,
+      req.body,
+      req.headers,
+    );
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.json({ received: true, matched: result.matched });
+  } catch (error) {
+    console.error("handleCarrierWebhook error:", error);
+    // Non-2xx makes the carrier retry later
+    res.status(500).json({ message: "Failed to process tracking update" });
+  }
+};
+
+// @desc    Fetch new scans from the order's carrier now
+// @route   POST /api/admin/orders/:id/tracking/refresh
+// @access  Admin (orders:write)
+export const refreshOrderTracking = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const result = await refreshTracking(req.params.id);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.json({
+      message: result.added
+        ? `${result.added} new tracking update(s)`
+        : "No new tracking updates",
+      order: result.order,
+    });
+  } catch (error) {
+    console.error("refreshOrderTracking error:", error);
+    res.status(500).json({ message: "Failed to refresh tracking" });
+  }
+};
@@ -1,5 +1,10 @@
 import User from "../models/User.js";
 import Product from "../models/Product.js";
+import ProductAlert from "../models/ProductAlert.js";
+import {
+  watchPrices,
+  unwatchPrices,
+} from "../services/productAlertService.js";
 
 // Get user's wishlist
 export const getWishlist = async (req, res) => {
@@ -10,6 +15,18 @@ export const getWishlist = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // Price-drop alert per product, for turning alerts off
+    const watched = await ProductAlert.find({
+      userId: user._id,
+      type: "price-drop",
+      mutedAt: null,
+    })
+      .select("productId")
+      .lean();
+    const alertIds = new Map(
+      watched.map((alert) => [alert.productId.toString(), alert._id]),
+    );
+
     // Format response to match frontend expectation (WishlistItem interface)
     // The frontend expects { productId, product: { ... } }
     // But since we just store IDs in User.wishlist, we need to map it
@@ -23,6 +40,7 @@ export const getWishlist = async (req, res) => {
         discountedPrice: product.discountedPrice,
         images: product.images,
       },
+      priceAlertId: alertIds.get(product._id.toString()) || null,
     }));
 
     res.json(wishlistItems);
@@ -49,6 +67,7 @@ export const addToWishlist = async (req, res) => {
     await User.findByIdAndUpdate(userId, {
       $addToSet: { wishlist: productId },
     });
+    await watchPrices(userId, [product]);
 
     res.status(200).json({ message: "Product added to wishlist" });
   } catch (error) {
@@ -67,6 +86,7 @@ export const removeFromWishlist = async (req, res) => {
     await User.findByIdAndUpdate(userId, {
       $pull: { wishlist: itemId },
     });
+    await unwatchPrices(userId, itemId);
 
     res.status(200).json({ message: "Product removed from wishlist" });
   } catch (error) {
@@ -83,6 +103,7 @@ export const clearWishlist = async (req, res) => {
     await User.findByIdAndUpdate(userId, {
       $set: { wishlist: [] },
     });
+    await unwatchPrices(userId);
 
     res.status(200).json({ message: "Wishlist cleared" });
   } catch (error) {
@@ -101,13 +122,16 @@ export const syncWishlist = async (req, res) => {
       return res.status(200).json({ message: "No items to sync" });
     }
 
-    // Extract productIds from local items
-    const productIds = items.map((item) => item.productId);
+    // Extract productIds from local items, keeping ones that exist
+    const products = await Product.find({
+      _id: { $in: items.map((item) => item.productId) },
+    }).select("price discountedPrice");
 
     // Add all to user's wishlist
     await User.findByIdAndUpdate(userId, {
-      $addToSet: { wishlist: { $each: productIds } },
+      $addToSet: { wishlist: { $each: products.map((p) => p._id) } },
     });
+    await watchPrices(userId, products);
 
     // Return updated wishlist
     await getWishlist(req, res);
@@ -1,17 +1,40 @@
-// Admin role verification middleware
-export const adminOnly = (req, res, next) => {
+import { getSecurityLimits } from "../services/authLockoutService.js";
+import { getRolePermissions } from "../services/roleService.js";
+
+// Staff verification middleware — any role with at least one permission.
+// Attaches req.permissions; routes narrow access with requirePermission.
+export const adminOnly = async (req, res, next) => {
   try {
     // Assumes protect middleware has already run and attached user to req
     if (!req.user) {
       return res.status(401).json({ message: "Not authorized, no user found" });
     }
 
-    if (req.user.role !== "admin") {
+    const permissions = await getRolePermissions(req.user.role);
+    if (permissions.length === 0) {
       return res.status(403).json({
         message: "Access denied. Admin privileges required.",
       });
     }
 
+    // Settings.security.requireAdmin2FA — enrolled, and signed in with it
+    const { requireAdmin2FA } = await getSecurityLimits();
+    if (requireAdmin2FA && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        message:
+          "Two-factor authentication is required for admin accounts. Set it up from your profile.",
+        twoFactorSetupRequired: true,
+      });
+    }
+    if (requireAdmin2FA && !req.twoFactorVerified) {
+      return res.status(403).json({
+        message:
+          "Sign in again with your authenticator code to use admin features.",
+        twoFactorRequired: true,
+      });
+    }
+
+    req.permissions = permissions;
     next();
   } catch (error) {
     console.error("Admin middleware error:", error);
@@ -19,6 +42,24 @@ export const adminOnly = (req, res, next) => {
   }
 };
 
+export const hasPermission = (req, permission) =>
+  Boolean(req.permissions?.includes(permission));
+
+// Requires every listed permission — use after adminOnly, e.g.
+//   router.get("/orders", requirePermission("orders:read"), getAllOrders);
+export const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    const missing = permissions.filter((p) => !hasPermission(req, p));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: "You don't have permission to do this.",
+        missingPermissions: missing,
+      });
+    }
+    next();
+  };
+
 // Check if user account is active
 export const checkActive = (req, res, next) => {
   try {
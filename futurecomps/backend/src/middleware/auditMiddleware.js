@@ -0,0 +1,68 @@
+import { recordAudit } from "../services/auditService.js";
+
+/**
+ * Audit an admin mutation route.
+ *
+ *   router.put("/users/:id", audit("user.update", {
+ *     resource: "user",
+ *     load: snapshotById(User, "-password"),
+ *   }), updateUser);
+ *
+ * `load(req, body)` snapshots the target before the handler runs and again
+ * once it responds (`body` is the JSON response, for ids of created
+ * documents). The entry is written before the response is sent, so it
+ * isn't lost when a serverless function freezes. Failed requests (4xx/5xx)
+ * aren't recorded.
+ */
+export const audit =
+  (action, { resource, load = null, resourceId = (req) => req.params.id }) =>
+  async (req, res, next) => {
+    let before = null;
+    try {
+      before = load ? await load(req, null) : null;
+    } catch (error) {
+      console.error(`Audit snapshot failed (${action}):`, error.message);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400) return json(body);
+
+      (async () => {
+        let after = null;
+        try {
+          after = load ? await load(req, body) : null;
+        } catch (error) {
+          console.error(`Audit snapshot failed (${action}):`, error.message);
+        }
+        await recordAudit({
+          req,
+          action,
+          resource,
+          resourceId:
+            resourceId(req, body) || after?._id || before?._id || null,
+          before,
+          after,
+          statusCode: res.statusCode,
+        });
+      })().finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+  };
+
+// ── Snapshot loaders ────────────────────────────────────
+
+// Document named by a route param, e.g. snapshotById(User, "-password")
+export const snapshotById =
+  (Model, select = "", param = "id") =>
+  (req) =>
+    Model.findById(req.params[param]).select(select).lean();
+
+// Document created by the handler — the response carries its _id
+export const snapshotCreated =
+  (Model, select = "") =>
+  (req, body) =>
+    body?._id ? Model.findById(body._id).select(select).lean() : null;
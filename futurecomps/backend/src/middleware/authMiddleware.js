@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { verifySession } from "../services/sessionService.js";
 
 // Protect routes - verify JWT token
 export const protect = async (req, res, next) => {
@@ -31,6 +32,19 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // Tokens are tied to a live session — signed-out devices are rejected
+      if (!decoded.sid) {
+        return res
+          .status(401)
+          .json({ message: "Session expired, please sign in again" });
+      }
+      const session = await verifySession(decoded.sid, req.user._id);
+      if (!session.ok) {
+        return res.status(session.status).json({ message: session.message });
+      }
+      req.sessionId = decoded.sid;
+      req.twoFactorVerified = session.twoFactorVerified;
+
       next();
     } catch (error) {
       console.error(error);
@@ -54,9 +68,11 @@ export const isVerified = (req, res, next) => {
   next();
 };
 
-// Generate JWT token
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "30d",
-  });
+// Sign the user in when a token is sent, otherwise continue as a guest.
+// A token that fails is still rejected rather than silently ignored.
+export const optionalAuth = (req, res, next) => {
+  if (req.headers.authorization?.startsWith("Bearer")) {
+    return protect(req, res, next);
+  }
+  next();
 };
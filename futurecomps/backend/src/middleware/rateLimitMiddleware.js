@@ -0,0 +1,54 @@
+import rateLimit from "express-rate-limit";
+import { getSecurityLimits } from "../services/authLockoutService.js";
+
+// One limiter per (scope, window) — the window can't change on a live
+// limiter, so a new one is created when the admin changes it in Settings
+const limiters = new Map();
+
+function limiterFor(scope, windowMinutes, options) {
+  const key = `${scope}:${windowMinutes}`;
+  if (!limiters.has(key)) {
+    limiters.set(
+      key,
+      rateLimit({
+        windowMs: windowMinutes * 60 * 1000,
+        standardHeaders: true,
+        legacyHeaders: false,
+        // Created lazily on the first request for each window, on purpose
+        validate: { creationStack: false },
+        message: {
+          message: "Too many attempts, please try again later",
+        },
+        ...options,
+      }),
+    );
+  }
+  return limiters.get(key);
+}
+
+// Requests per client IP
+const perIp = (windowMinutes) =>
+  limiterFor("ip", windowMinutes, {
+    limit: async () => (await getSecurityLimits()).authRateLimitPerIp,
+  });
+
+// Requests per targeted account, from any IP
+const perAccount = (windowMinutes) =>
+  limiterFor("account", windowMinutes, {
+    limit: async () => (await getSecurityLimits()).authRateLimitPerAccount,
+    skip: (req) => typeof req.body?.email !== "string",
+    keyGenerator: (req) => `account:${req.body.email.trim().toLowerCase()}`,
+  });
+
+// Limits public auth routes per IP and per account (Settings.security)
+export const authRateLimit = async (req, res, next) => {
+  try {
+    const { authRateLimitWindow } = await getSecurityLimits();
+    perIp(authRateLimitWindow)(req, res, (error) => {
+      if (error) return next(error);
+      perAccount(authRateLimitWindow)(req, res, next);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
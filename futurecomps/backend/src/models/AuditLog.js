@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// Append-only record of admin mutations with a before/after field diff
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    // Copied so the entry stays readable if the admin is deleted
+    actorEmail: {
+      type: String,
+      default: null,
+    },
+    // e.g. "user.update", "product.pricing", "order.refund"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    resource: {
+      type: String,
+      required: true,
+    },
+    resourceId: {
+      type: String,
+      default: null,
+    },
+    changes: [
+      {
+        path: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed, default: null },
+        after: { type: mongoose.Schema.Types.Mixed, default: null },
+        _id: false,
+      },
+    ],
+    method: String,
+    path: String,
+    statusCode: Number,
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ resource: 1, resourceId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// A one-time code sent by email — email verification or password reset.
+// Only a hash is stored; see services/tokenService.js.
+const authTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Wrong guesses against this code
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+authTokenSchema.index({ userId: 1, purpose: 1 });
+
+// Expired codes are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+
+export default AuthToken;
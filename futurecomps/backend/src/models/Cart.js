@@ -16,6 +16,7 @@ const cartItemSchema = new mongoose.Schema(
     // Snapshot of selected variant at time of add
     size: { type: String, default: null },
     color: { type: String, default: null },
+    sku: { type: String, default: null },
     // Price snapshot so cart reflects price at add-time
     price: { type: Number, required: true },
   },
@@ -24,12 +25,18 @@ const cartItemSchema = new mongoose.Schema(
 
 const cartSchema = new mongoose.Schema(
   {
+    // Unset for guest carts, which are found by guestTokenHash instead
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
-      unique: true,
-      index: true,
+    },
+    // sha256 of the anonymous token a guest sends as X-Cart-Token
+    guestTokenHash: {
+      type: String,
+    },
+    // Guest carts are deleted after this (TTL index below); renewed on use
+    guestExpiresAt: {
+      type: Date,
     },
     items: [cartItemSchema],
     appliedCoupon: {
@@ -47,6 +54,37 @@ const cartSchema = new mongoose.Schema(
   },
 );
 
+// One cart per account and per guest token. Partial rather than sparse
+// so guest carts don't collide on a missing userId — the old unique
+// "userId_1" index is dropped at startup by migrateCartIndexes.
+cartSchema.index(
+  { userId: 1 },
+  {
+    name: "userId_account",
+    unique: true,
+    partialFilterExpression: { userId: { $type: "objectId" } },
+  },
+);
+cartSchema.index(
+  { guestTokenHash: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { guestTokenHash: { $type: "string" } },
+  },
+);
+cartSchema.index({ guestExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const GUEST_CART_DAYS = 30;
+
+// Guest carts live GUEST_CART_DAYS past their last change; account carts
+// are kept
+cartSchema.pre("save", function (next) {
+  this.guestExpiresAt = this.userId
+    ? undefined
+    : new Date(Date.now() + GUEST_CART_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
 // Virtual: subtotal before coupon
 cartSchema.virtual("subtotal").get(function () {
   return this.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
@@ -67,10 +105,8 @@ cartSchema.virtual("discount").get(function () {
   return 0;
 });
 
-// Virtual: total after discount
-cartSchema.virtual("total").get(function () {
-  return Math.max(0, Math.round((this.subtotal - this.discount) * 100) / 100);
-});
+// Tax and the total including it depend on the store's current rates —
+// see cartTotals in services/cartService.js
 
 // Ensure virtuals are included in JSON
 cartSchema.set("toJSON", { virtuals: true });
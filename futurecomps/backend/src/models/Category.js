@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// A catalog category. Categories nest through `parent` (null at the top
+// level); products point at one with Product.categoryId and keep its name
+// in Product.category (see services/categoryService.js).
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+    },
+    // Used in shop URLs, e.g. /shop?category=running-shoes
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    image: {
+      type: String,
+      default: "",
+    },
+    // Lower comes first among siblings; ties sort by name
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    // Other spellings that mean this category ("shoe", "Shoes"), matched
+    // when products and filters name it in free text
+    aliases: [{ type: String, trim: true, lowercase: true }],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true },
+);
+
+const Category = mongoose.model("Category", categorySchema);
+export default Category;
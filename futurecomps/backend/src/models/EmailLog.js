@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// One outgoing email and how its delivery went. Bodies aren't kept —
+// they can hold sign-in codes. See services/mailService.js.
+const emailLogSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Template name, e.g. "verify-email", "welcome"
+    template: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    locale: {
+      type: String,
+      default: null,
+    },
+    subject: {
+      type: String,
+      default: "",
+    },
+    transport: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["sending", "sent", "failed"],
+      default: "sending",
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    messageId: {
+      type: String,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// Kept for 90 days (also serves newest-first listing)
+emailLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 },
+);
+
+const EmailLog = mongoose.model("EmailLog", emailLogSchema);
+
+export default EmailLog;
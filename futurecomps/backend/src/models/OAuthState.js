@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// A social sign-in in progress — created when the browser is sent to the
+// provider, consumed once when it comes back. See services/oauthService.js.
+const oauthStateSchema = new mongoose.Schema(
+  {
+    // Random `state` parameter echoed back by the provider
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // PKCE verifier — never leaves the server
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    // Set when a signed-in user is linking a provider to their account
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+// Abandoned attempts are removed by MongoDB
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model("OAuthState", oauthStateSchema);
+
+export default OAuthState;
@@ -11,15 +11,108 @@ const orderItemSchema = new mongoose.Schema({
   quantity: { type: Number, required: true, min: 1 },
   size: { type: String, default: null },
   color: { type: String, default: null },
+  sku: { type: String, default: null },
   imageUrl: { type: String, default: "" },
+  // Per-line tax breakdown
+  taxRate: { type: Number, default: 0 },
+  taxableAmount: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 },
+  // Units refunded so far (restocked or not)
+  refundedQuantity: { type: Number, default: 0, min: 0 },
 });
 
+const refundSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true, min: 0 },
+    reason: { type: String, default: "" },
+    // stripe = Refunds API, manual = recorded cash/bank refund (COD)
+    method: { type: String, enum: ["stripe", "manual"], required: true },
+    stripeRefundId: { type: String, default: null },
+    items: [
+      {
+        itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+    restocked: { type: Boolean, default: false },
+    // Set when the refund settles a customer return
+    returnId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReturnRequest",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// Shipping method the order was charged for (see services/shippingService)
+const shippingRateSchema = new mongoose.Schema(
+  {
+    zoneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ShippingZone",
+      default: null,
+    },
+    zoneName: { type: String, default: "" },
+    methodId: { type: String, default: null },
+    name: { type: String, default: "" },
+    amount: { type: Number, default: 0 },
+    minDays: { type: Number, default: null },
+    maxDays: { type: Number, default: null },
+  },
+  { _id: false },
+);
+
+// Order event log — every status/payment change with who, when and why
+const orderEventSchema = new mongoose.Schema(
+  {
+    // status = lifecycle transition, payment = money collected,
+    // refund = money returned, stock = a paid line that couldn't be stocked
+    type: {
+      type: String,
+      enum: ["status", "payment", "refund", "stock"],
+      required: true,
+    },
+    from: { type: String, default: null },
+    to: { type: String, default: null },
+    amount: { type: Number, default: null },
+    reason: { type: String, default: "" },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actorRole: {
+      type: String,
+      enum: ["admin", "customer", "system"],
+      default: "system",
+    },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
 const orderSchema = new mongoose.Schema(
   {
+    // Null for guest checkouts until the guest claims them by signing up
+    // with guestEmail (see services/guestOrderService.js)
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      default: null,
+      index: true,
+    },
+    // Contact for guest orders — confirmation emails and order lookup
+    guestEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
       index: true,
     },
     items: {
@@ -42,6 +135,19 @@ const orderSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    tax: {
+      type: Number,
+      default: 0,
+    },
+    shipping: {
+      type: Number,
+      default: 0,
+    },
+    // Null on orders placed before shipping zones were set up
+    shippingRate: {
+      type: shippingRateSchema,
+      default: null,
+    },
     total: {
       type: Number,
       required: true,
@@ -52,11 +158,17 @@ const orderSchema = new mongoose.Schema(
       get: function() { return this.total; },
       set: function(v) { this.total = v; },
     },
+    // Currency the shopper paid in; amounts above are in it
     currency: {
       type: String,
       default: "usd",
       lowercase: true,
     },
+    // Units of `currency` per unit of the store's base currency at checkout
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
     // Payment method
     paymentMethod: {
       type: String,
@@ -66,7 +178,7 @@ const orderSchema = new mongoose.Schema(
     // Payment status
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "failed", "refunded"],
+      enum: ["pending", "paid", "failed", "partially_refunded", "refunded"],
       default: "pending",
     },
     // Unique order ID for tracking
@@ -85,6 +197,48 @@ const orderSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // When payment was captured (card) or cash collected (COD)
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    refunds: [refundSchema],
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancellationReason: {
+      type: String,
+      default: null,
+    },
+    // Webhook fulfillment steps already applied — a retried event finishes
+    // the remaining steps without repeating completed ones
+    fulfillmentSteps: [{ type: String }],
+    // Lines the inventory step has taken stock for ("hold:<id>" or
+    // "line:<index>"), so a retry doesn't take them twice
+    stockTaken: [{ type: String }],
+    // Paid lines there was no stock left for when the payment came in —
+    // staff restock, substitute or refund them. Filter the admin order
+    // list with ?oversold=true.
+    oversold: [
+      {
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        name: { type: String, default: "" },
+        size: { type: String, default: null },
+        color: { type: String, default: null },
+        quantity: { type: Number, required: true },
+        at: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    // Lifecycle emails already sent to the customer, e.g. "confirmation",
+    // "shipped", "refund:<refundId>" (see services/orderEmailService.js)
+    emailsSent: [{ type: String }],
+    events: [orderEventSchema],
     status: {
       type: String,
       enum: [
@@ -100,15 +254,15 @@ const orderSchema = new mongoose.Schema(
     },
     shippingAddress: {
       fullName: { type: String, default: "" },
-      name: { type: String, default: "" }, // Legacy field
+      name: { type: String, default: "" }, // Legacy — moved to fullName
       addressLine1: { type: String, default: "" },
       addressLine2: { type: String, default: "" },
-      line1: { type: String, default: "" }, // Legacy field
-      line2: { type: String, default: "" }, // Legacy field
+      line1: { type: String, default: "" }, // Legacy — see addressLine1
+      line2: { type: String, default: "" }, // Legacy — see addressLine2
       city: { type: String, default: "" },
       state: { type: String, default: "" },
       postalCode: { type: String, default: "" },
-      country: { type: String, default: "" },
+      country: { type: String, default: "" }, // ISO code; a name on old orders
       phone: { type: String, default: "" },
     },
     // Package tracking fields
@@ -122,6 +276,8 @@ const orderSchema = new mongoose.Schema(
       estimatedDelivery: { type: Date, default: null },
       currentLocation: { type: String, default: null },
       lastUpdate: { type: Date, default: null },
+      // Last time the carrier was asked for scans (see trackingService)
+      lastCheckedAt: { type: Date, default: null },
       history: [{
         status: { type: String, required: true },
         location: { type: String, default: "" },
@@ -137,6 +293,34 @@ const orderSchema = new mongoose.Schema(
 
 // Index for admin dashboard queries
 orderSchema.index({ status: 1, createdAt: -1 });
+// Public tracking lookups and carrier webhooks
+orderSchema.index({ "tracking.trackingNumber": 1 });
+
+// Orders from older clients use the legacy address fields; move them to
+// the canonical ones so every order reads the same way
+const LEGACY_ADDRESS_FIELDS = {
+  name: "fullName",
+  line1: "addressLine1",
+  line2: "addressLine2",
+};
+
+orderSchema.pre("validate", function (next) {
+  const address = this.shippingAddress;
+  for (const [legacy, field] of Object.entries(LEGACY_ADDRESS_FIELDS)) {
+    if (!address?.[legacy]) continue;
+    if (!address[field]) address[field] = address[legacy];
+    address[legacy] = "";
+  }
+  next();
+});
+
+// Every order belongs to an account or has a guest email
+orderSchema.pre("validate", function (next) {
+  if (!this.userId && !this.guestEmail) {
+    this.invalidate("userId", "Order needs a user or a guest email");
+  }
+  next();
+});
 
 const Order = mongoose.model("Order", orderSchema);
 
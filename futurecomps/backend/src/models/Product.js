@@ -14,6 +14,16 @@ const reviewSchema = new mongoose.Schema(
   { timestamps: true },
 );
 
+// A sellable size/color combination with its own stock
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, trim: true, uppercase: true },
+  size: { type: String, trim: true, default: null },
+  color: { type: String, trim: true, default: null },
+  stock: { type: Number, required: true, default: 0, min: 0 },
+  // Optional price override — falls back to the product price
+  price: { type: Number, default: null, min: 0 },
+});
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -36,17 +46,42 @@ const productSchema = new mongoose.Schema(
       default: null,
       min: 0,
     },
+    // Always the store's base currency (Settings.currency)
     currency: {
       type: String,
       default: "usd",
       lowercase: true,
     },
+    // Name of the product's category, kept in step with categoryId
     category: {
       type: String,
       required: [true, "Product category is required"],
       trim: true,
       index: true,
     },
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+    // Optional tax class name — falls back to category / store rate
+    taxClass: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    // Packed weight (kg) and size (cm) of one unit, for shipping rates
+    weight: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    dimensions: {
+      length: { type: Number, default: null, min: 0 },
+      width: { type: Number, default: null, min: 0 },
+      height: { type: Number, default: null, min: 0 },
+    },
     attributes: {
       colors: [{ type: String, trim: true }],
       sizes: [{ type: String, trim: true }],
@@ -68,6 +103,8 @@ const productSchema = new mongoose.Schema(
       min: 0,
     },
     reviews: [reviewSchema],
+    // When present, stock is tracked per variant and `stock` is their sum
+    variants: [variantSchema],
     stock: {
       type: Number,
       required: true,
@@ -78,6 +115,18 @@ const productSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Alert staff at or below this stock; null uses the store default
+    lowStockThreshold: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Set when an alert went out; cleared once stock is back above the
+    // threshold, so each drop alerts once (see stockAlertService)
+    lowStockAlertedAt: {
+      type: Date,
+      default: null,
+    },
     tags: [{ type: String, trim: true, lowercase: true }],
     occasion: [{ type: String, trim: true, lowercase: true }],
     vibe: [{ type: String, trim: true, lowercase: true }],
@@ -126,8 +175,26 @@ productSchema.index({
 // Compound index for filtering
 productSchema.index({ category: 1, price: 1, isActive: 1 });
 
-// Pre-save: sync inStock with stock count, recalculate rating
+// Pre-save: roll variants up into stock/attributes, sync inStock with
+// stock count, recalculate rating
 productSchema.pre("save", function (next) {
+  if (this.variants && this.variants.length > 0) {
+    const idSuffix = this._id.toString().slice(-6).toUpperCase();
+    this.variants.forEach((v) => {
+      if (!v.sku) {
+        v.sku = [idSuffix, v.size || "OS", v.color || "NA"]
+          .join("-")
+          .replace(/\s+/g, "");
+      }
+    });
+    this.stock = this.variants.reduce((sum, v) => sum + v.stock, 0);
+    this.attributes.sizes = [
+      ...new Set(this.variants.map((v) => v.size).filter(Boolean)),
+    ];
+    this.attributes.colors = [
+      ...new Set(this.variants.map((v) => v.color).filter(Boolean)),
+    ];
+  }
   this.inStock = this.stock > 0;
   if (this.reviews && this.reviews.length > 0) {
     const total = this.reviews.reduce((sum, r) => sum + r.rating, 0);
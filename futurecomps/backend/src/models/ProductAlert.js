@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// A shopper waiting to hear about a product: back in stock (asked for on
+// the product page, removed once sent) or a price drop (kept while the
+// product is wishlisted, muted when turned off). See
+// services/productAlertService.js.
+const productAlertSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["back-in-stock", "price-drop"],
+      required: true,
+    },
+    // price-drop: alert when the price falls below this. Lowered to the
+    // alerted price after each alert, raised when the price goes back up
+    referencePrice: {
+      type: Number,
+      default: null,
+    },
+    // price-drop: set when the shopper turns it off (wishlist toggle or
+    // email unsubscribe link). Kept rather than deleted so a wishlist
+    // sync doesn't turn it back on.
+    mutedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+productAlertSchema.index(
+  { userId: 1, productId: 1, type: 1 },
+  { unique: true },
+);
+productAlertSchema.index({ productId: 1, type: 1 });
+
+const ProductAlert = mongoose.model("ProductAlert", productAlertSchema);
+
+export default ProductAlert;
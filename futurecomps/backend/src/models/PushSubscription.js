@@ -2,6 +2,18 @@
 import mongoose from "mongoose";
 
 const pushSubscriptionSchema = new mongoose.Schema({
+  // Owner of the device — see services/notificationService.js
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // Browser that subscribed, to tell devices apart
+  userAgent: {
+    type: String,
+    default: null,
+  },
   endpoint: {
     type: String,
     required: true,
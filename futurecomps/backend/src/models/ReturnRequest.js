@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// Customer return (RMA) for delivered order lines.
+// Lifecycle: requested → approved → received → refunded, or → rejected
+// from requested/approved. The refund is issued when the return is received.
+const returnRequestSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    items: {
+      type: [
+        {
+          // _id of the line in order.items
+          itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+          name: { type: String, default: "" },
+          quantity: { type: Number, required: true, min: 1 },
+        },
+      ],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: "Return must include at least one item",
+      },
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    // Images uploaded through /api/upload/image
+    photos: [
+      {
+        url: { type: String, required: true },
+        fileId: { type: String, default: null },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["requested", "approved", "received", "refunded", "rejected"],
+      default: "requested",
+      index: true,
+    },
+    adminNote: {
+      type: String,
+      default: "",
+    },
+    refundAmount: {
+      type: Number,
+      default: null,
+    },
+    // _id of the entry in order.refunds
+    refundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Last refund attempt failure — cleared once the refund succeeds
+    refundError: {
+      type: String,
+      default: null,
+    },
+    approvedAt: { type: Date, default: null },
+    receivedAt: { type: Date, default: null },
+    refundedAt: { type: Date, default: null },
+    rejectedAt: { type: Date, default: null },
+    handledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+const ReturnRequest = mongoose.model("ReturnRequest", returnRequestSchema);
+
+export default ReturnRequest;
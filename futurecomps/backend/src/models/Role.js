@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// A named permission set assigned through User.role. The permission
+// catalog and built-in roles live in services/roleService.js.
+const roleSchema = new mongoose.Schema(
+  {
+    // Stored on users as `role`, e.g. "admin", "support"
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z][a-z0-9_-]{1,31}$/,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // e.g. ["orders:read", "orders:write"]
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // Built-in roles can't be deleted; "admin" can't be edited either
+    builtIn: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true },
+);
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// A signed-in device. Access tokens carry the session id (`sid`) and are
+// only honoured while the session is live; the refresh token rotates on
+// every use and only its hash is stored.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // The token this one replaced — presenting it again means it leaked
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Signed in with a second factor (or enrolled during this session)
+    twoFactorVerified: {
+      type: Boolean,
+      default: false,
+    },
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Absolute end of the refresh token's life
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // logout, revoked, password_change, password_reset, idle, reuse, expired
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
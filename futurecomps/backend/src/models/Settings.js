@@ -24,23 +24,70 @@ const settingsSchema = new mongoose.Schema(
       type: String,
       default: "123 Main St, City, Country",
     },
+    // Base currency: prices, shipping rates and coupon amounts are in it
     currency: {
       type: String,
       default: "USD",
+      uppercase: true,
     },
+    // Other currencies shoppers can see prices and pay in
+    currencies: {
+      type: [String],
+      default: [],
+    },
+    // Units of each currency per one unit of the base currency
+    exchangeRates: [
+      {
+        currency: { type: String, required: true, uppercase: true },
+        rate: { type: Number, required: true, min: 0 },
+        source: { type: String, enum: ["manual", "import"], default: "manual" },
+        updatedAt: { type: Date, default: Date.now },
+      },
+    ],
     taxRate: {
       type: Number,
       default: 7.5,
     },
+    // Named tax classes products can opt into (e.g. "reduced", "exempt")
+    taxClasses: [
+      {
+        name: { type: String, required: true, trim: true },
+        rate: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Per-category overrides of the store tax rate
+    categoryTaxRates: [
+      {
+        category: { type: String, required: true, trim: true },
+        rate: { type: Number, required: true, min: 0 },
+      },
+    ],
     notifications: {
+      // Master switch for customer emails about orders
       emailNotifications: { type: Boolean, default: true },
       orderConfirmations: { type: Boolean, default: true },
+      // Shipped and delivered emails
+      shippingUpdates: { type: Boolean, default: true },
+      refundNotifications: { type: Boolean, default: true },
+      // Email and push staff when a product's stock falls to its threshold
       stockAlerts: { type: Boolean, default: true },
+      // Used for products without their own lowStockThreshold
+      lowStockThreshold: { type: Number, default: 5, min: 0 },
       marketingEmails: { type: Boolean, default: false },
     },
     security: {
       sessionTimeout: { type: Number, default: 30 },
       passwordExpiry: { type: Number, default: 90 },
+      // Admin routes refuse admins without a 2FA-verified session
+      requireAdmin2FA: { type: Boolean, default: false },
+      // Account lockout after repeated failed passwords / OTP codes
+      maxLoginAttempts: { type: Number, default: 5, min: 1 },
+      maxOtpAttempts: { type: Number, default: 5, min: 1 },
+      lockoutMinutes: { type: Number, default: 15, min: 1 },
+      // Request limits on public auth routes, per window
+      authRateLimitWindow: { type: Number, default: 15, min: 1 }, // minutes
+      authRateLimitPerIp: { type: Number, default: 30, min: 1 },
+      authRateLimitPerAccount: { type: Number, default: 10, min: 1 },
     },
   },
   { timestamps: true },
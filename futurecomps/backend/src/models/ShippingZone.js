@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+// A shipping method offered in a zone. Rates:
+//   flat      — `rate` per order
+//   weight    — the first tier whose `upTo` (kg) covers the parcel; heavier
+//               parcels can't use the method
+//   free_over — `rate`, or free once the discounted subtotal reaches
+//               `freeOver`
+const methodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Method name is required"],
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: "",
+    trim: true,
+  },
+  rateType: {
+    type: String,
+    enum: ["flat", "weight", "free_over"],
+    default: "flat",
+  },
+  rate: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  freeOver: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  weightTiers: [
+    {
+      _id: false,
+      upTo: { type: Number, required: true, min: 0 },
+      rate: { type: Number, required: true, min: 0 },
+    },
+  ],
+  // Delivery estimate in business days, shown at checkout and on Stripe
+  minDays: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  maxDays: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Where a set of shipping methods applies. An address matches when its
+// country is listed (an empty list matches every country) and, when set,
+// its state and postal code prefix; the most specific matching zone wins
+// (see services/shippingService.js).
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Zone name is required"],
+      trim: true,
+    },
+    // ISO 3166-1 alpha-2 codes
+    countries: [{ type: String, uppercase: true, trim: true }],
+    states: [{ type: String, trim: true }],
+    postalPrefixes: [{ type: String, uppercase: true, trim: true }],
+    methods: [methodSchema],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+const ShippingZone = mongoose.model("ShippingZone", shippingZoneSchema);
+export default ShippingZone;
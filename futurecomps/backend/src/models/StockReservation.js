@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// A temporary hold on stock while a shopper completes Stripe checkout.
+// Stock is taken out when the hold is created; converting keeps it out,
+// releasing puts it back.
+const stockReservationSchema = new mongoose.Schema(
+  {
+    // Groups all lines of one checkout — passed to Stripe as metadata
+    holdId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    size: { type: String, default: null },
+    color: { type: String, default: null },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ["held", "converted", "released"],
+      default: "held",
+      index: true,
+    },
+    stripeSessionId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Why a hold was released: expired, cancelled, failed
+    releaseReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Sweeper lookup: active holds past their expiry
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const StockReservation = mongoose.model(
+  "StockReservation",
+  stockReservationSchema,
+);
+
+export default StockReservation;
@@ -1,6 +1,25 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 
+// Address book entry — see services/addressService.js for validation
+const addressSchema = new mongoose.Schema(
+  {
+    label: { type: String, default: "" }, // e.g. "Home", "Work"
+    fullName: { type: String, required: true },
+    phone: { type: String, default: "" },
+    addressLine1: { type: String, required: true },
+    addressLine2: { type: String, default: "" },
+    city: { type: String, required: true },
+    state: { type: String, default: "" },
+    postalCode: { type: String, default: "" },
+    // ISO 3166-1 alpha-2 code
+    country: { type: String, required: true },
+    isDefaultShipping: { type: Boolean, default: false },
+    isDefaultBilling: { type: Boolean, default: false },
+  },
+  { timestamps: true },
+);
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -32,10 +51,11 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Name of a Role — see services/roleService.js
     role: {
       type: String,
-      enum: ["user", "admin"],
       default: "user",
+      index: true,
     },
     isActive: {
       type: Boolean,
@@ -45,17 +65,87 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    otp: {
+    // Email language, e.g. "es" — see services/mailTemplates.js
+    locale: {
       type: String,
+      default: null,
+    },
+    // Drives Settings.security.passwordExpiry — see services/sessionService.js
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Brute-force protection — see services/authLockoutService.js
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
     },
-    otpExpiry: {
+    failedOtpAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
       type: Date,
+      default: null,
     },
-    resetPasswordToken: {
+    lockReason: {
       type: String,
+      enum: ["password", "otp", null],
+      default: null,
+    },
+    // TOTP second factor — see services/twoFactorService.js
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
     },
-    resetPasswordExpiry: {
+    twoFactorEnabledAt: {
       type: Date,
+      default: null,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Secret shown during setup, until the first code confirms it
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Last accepted time step, so a code can't be replayed
+    twoFactorLastStep: {
+      type: Number,
+      default: null,
+    },
+    // sha256 of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Social sign-in identities — see services/oauthService.js
+    oauthAccounts: [
+      {
+        provider: { type: String, required: true },
+        // The provider's stable user id
+        subject: { type: String, required: true },
+        email: { type: String, default: null },
+        linkedAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    // False for accounts created by a social sign-in, whose password is
+    // random, until the user sets one with Forgot Password
+    hasPassword: {
+      type: Boolean,
+      default: true,
+    },
+    // Push notification topics — see services/notificationService.js
+    pushTopics: {
+      orderUpdates: { type: Boolean, default: true },
+      priceDrops: { type: Boolean, default: true },
+      backInStock: { type: Boolean, default: true },
+      marketing: { type: Boolean, default: false },
     },
     wishlist: [
       {
@@ -63,12 +153,21 @@ const userSchema = new mongoose.Schema(
         ref: "Product",
       },
     ],
+    addresses: [addressSchema],
   },
   {
     timestamps: true,
   },
 );
 
+userSchema.index(
+  { "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "oauthAccounts.subject": { $exists: true } },
+  },
+);
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
@@ -77,6 +176,7 @@ userSchema.pre("save", async function (next) {
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  this.passwordChangedAt = new Date();
   next();
 });
 
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Ledger of Stripe webhook events, keyed by Stripe event id, so each
+// event is fulfilled once and failures can be inspected and replayed.
+const webhookEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "failed"],
+      default: "processing",
+      index: true,
+    },
+    // Full Stripe event — replays run from this copy
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+
+export default WebhookEvent;
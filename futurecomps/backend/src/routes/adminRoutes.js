@@ -4,41 +4,229 @@ import {
   getUserById,
   updateUser,
   deleteUser,
+  unlockUser,
   getStats,
   bulkUpdateUsers,
   getAllOrders,
   updateOrderStatus,
+  collectOrderCash,
   updateOrderTracking,
+  createOrderRefund,
+  cancelOrderAdmin,
+  getReturns,
+  updateReturnStatus,
   getNegotiationCoupons,
   setBottomPrice,
+  getWebhookEvents,
+  replayWebhook,
+  getAuditLogs,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getEmailLogs,
+  sendTestEmail,
 } from "../controllers/adminController.js";
+import { refreshOrderTracking } from "../controllers/trackingController.js";
 import { protect } from "../middleware/authMiddleware.js";
-import { adminOnly } from "../middleware/adminMiddleware.js";
+import {
+  adminOnly,
+  requirePermission as can,
+} from "../middleware/adminMiddleware.js";
+import { audit, snapshotById } from "../middleware/auditMiddleware.js";
+import User from "../models/User.js";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import WebhookEvent from "../models/WebhookEvent.js";
+import ReturnRequest from "../models/ReturnRequest.js";
+import Role from "../models/Role.js";
 
 const router = express.Router();
 
-// All routes require authentication and admin role
+// Fields compared in audit diffs (large arrays like order items are left out)
+const USER_FIELDS =
+  "name email role isActive isVerified lockUntil lockReason failedLoginAttempts failedOtpAttempts";
+const ORDER_FIELDS =
+  "status paymentStatus refundedAmount paidAt cancelledAt cancellationReason " +
+  "tracking.trackingNumber tracking.carrier tracking.estimatedDelivery tracking.currentLocation";
+
+const auditOrder = (action) =>
+  audit(action, { resource: "order", load: snapshotById(Order, ORDER_FIELDS) });
+
+const auditRole = (action) =>
+  audit(action, {
+    resource: "role",
+    load: (req, body) => {
+      const name = req.params.name || body?.role?.name;
+      return name ? Role.findOne({ name }).lean() : null;
+    },
+    resourceId: (req, body) => req.params.name || body?.role?.name,
+  });
+
+// All routes require a staff role; each checks its own permission
 router.use(protect, adminOnly);
 
 // Admin statistics (users, products, orders, revenue, coupons)
-router.get("/stats", getStats);
+router.get("/stats", can("stats:read"), getStats);
 
 // User management
-router.get("/users", getAllUsers);
-router.get("/users/:id", getUserById);
-router.put("/users/:id", updateUser);
-router.delete("/users/:id", deleteUser);
+router.get("/users", can("users:read"), getAllUsers);
+router.get("/users/:id", can("users:read"), getUserById);
+router.put(
+  "/users/:id",
+  can("users:write"),
+  audit("user.update", {
+    resource: "user",
+    load: snapshotById(User, USER_FIELDS),
+  }),
+  updateUser,
+);
+router.delete(
+  "/users/:id",
+  can("users:delete"),
+  audit("user.delete", {
+    resource: "user",
+    load: snapshotById(User, USER_FIELDS),
+  }),
+  deleteUser,
+);
+router.post(
+  "/users/:id/unlock",
+  can("users:write"),
+  audit("user.unlock", {
+    resource: "user",
+    load: snapshotById(User, USER_FIELDS),
+  }),
+  unlockUser,
+);
 
 // Bulk operations
-router.post("/users/bulk-update", bulkUpdateUsers);
+router.post(
+  "/users/bulk-update",
+  can("users:write"),
+  audit("user.bulk_update", {
+    resource: "user",
+    load: (req) =>
+      Array.isArray(req.body.userIds)
+        ? User.find({ _id: { $in: req.body.userIds } })
+            .select(USER_FIELDS)
+            .lean()
+        : null,
+  }),
+  bulkUpdateUsers,
+);
 
 // Order management
-router.get("/orders", getAllOrders);
-router.put("/orders/:id/status", updateOrderStatus);
-router.put("/orders/:id/tracking", updateOrderTracking);
+router.get("/orders", can("orders:read"), getAllOrders);
+router.put(
+  "/orders/:id/status",
+  can("orders:write"),
+  auditOrder("order.status"),
+  updateOrderStatus,
+);
+router.post(
+  "/orders/:id/collect-cash",
+  can("orders:write"),
+  auditOrder("order.collect_cash"),
+  collectOrderCash,
+);
+router.put(
+  "/orders/:id/tracking",
+  can("orders:write"),
+  auditOrder("order.tracking"),
+  updateOrderTracking,
+);
+router.post(
+  "/orders/:id/tracking/refresh",
+  can("orders:write"),
+  auditOrder("order.tracking_refresh"),
+  refreshOrderTracking,
+);
+router.post(
+  "/orders/:id/refund",
+  can("orders:refund"),
+  auditOrder("order.refund"),
+  createOrderRefund,
+);
+router.post(
+  "/orders/:id/cancel",
+  can("orders:write"),
+  auditOrder("order.cancel"),
+  cancelOrderAdmin,
+);
+
+// Return requests (RMA)
+router.get("/returns", can("orders:read"), getReturns);
+router.put(
+  "/returns/:id/status",
+  can("orders:write"),
+  audit("return.status", {
+    resource: "return",
+    load: snapshotById(
+      ReturnRequest,
+      "status adminNote refundAmount refundError",
+    ),
+  }),
+  updateReturnStatus,
+);
 
 // Negotiation / Pricing controls
-router.get("/negotiation-coupons", getNegotiationCoupons);
-router.put("/products/:id/pricing", setBottomPrice);
+router.get(
+  "/negotiation-coupons",
+  can("pricing:read"),
+  getNegotiationCoupons,
+);
+router.put(
+  "/products/:id/pricing",
+  can("pricing:write"),
+  audit("product.pricing", {
+    resource: "product",
+    load: snapshotById(
+      Product,
+      "name price discountedPrice hiddenBottomPrice negotiationEnabled",
+    ),
+  }),
+  setBottomPrice,
+);
+
+// Stripe webhook ledger
+router.get("/webhook-events", can("payments:read"), getWebhookEvents);
+router.post(
+  "/webhook-events/:id/replay",
+  can("payments:write"),
+  audit("webhook.replay", {
+    resource: "webhook_event",
+    load: snapshotById(WebhookEvent, "status attempts lastError"),
+  }),
+  replayWebhook,
+);
+
+// Audit log of admin actions
+router.get("/audit", can("audit:read"), getAuditLogs);
+
+// Roles and their permission sets
+router.get("/roles", can("users:read"), getRoles);
+router.post(
+  "/roles",
+  can("roles:manage"),
+  auditRole("role.create"),
+  createRole,
+);
+router.put(
+  "/roles/:name",
+  can("roles:manage"),
+  auditRole("role.update"),
+  updateRole,
+);
+router.delete(
+  "/roles/:name",
+  can("roles:manage"),
+  auditRole("role.delete"),
+  deleteRole,
+);
+
+// Outgoing email
+router.get("/emails", can("emails:read"), getEmailLogs);
+router.post("/emails/test", can("settings:write"), sendTestEmail);
 
 export default router;
@@ -8,21 +8,69 @@ import {
   resetPassword,
   changePassword,
   getMe,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  newRecoveryCodes,
+  turnOffTwoFactor,
+  getOAuthProviders,
+  startOAuthLogin,
+  oauthLogin,
+  getLinkedAccounts,
+  startOAuthLink,
+  linkOAuthAccount,
+  unlinkOAuthAccount,
+  getTestToken,
 } from "../controllers/authController.js";
 import { protect } from "../middleware/authMiddleware.js";
+import { authRateLimit } from "../middleware/rateLimitMiddleware.js";
+import { testTokensEnabled } from "../services/tokenService.js";
 
 const router = express.Router();
 
-// Public routes
-router.post("/register", register);
-router.post("/verify-otp", verifyOTP);
-router.post("/resend-otp", resendOTP);
-router.post("/login", login);
-router.post("/forgot-password", forgotPassword);
-router.post("/reset-password", resetPassword);
+// Public routes (rate limited per IP and per account)
+router.post("/register", authRateLimit, register);
+router.post("/verify-otp", authRateLimit, verifyOTP);
+router.post("/resend-otp", authRateLimit, resendOTP);
+router.post("/login", authRateLimit, login);
+router.post("/forgot-password", authRateLimit, forgotPassword);
+router.post("/reset-password", authRateLimit, resetPassword);
+router.post("/2fa/verify", authRateLimit, verifyTwoFactorLogin);
+
+// Social sign-in
+router.get("/oauth/providers", getOAuthProviders);
+router.post("/oauth/:provider/start", authRateLimit, startOAuthLogin);
+router.post("/oauth/:provider/callback", authRateLimit, oauthLogin);
+
+// Refresh tokens are single-use and unguessable — not rate limited
+router.post("/refresh-token", refreshToken);
 
 // Protected routes
 router.post("/change-password", protect, changePassword);
 router.get("/me", protect, getMe);
+router.post("/logout", protect, logout);
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions", protect, revokeOtherSessions);
+router.delete("/sessions/:id", protect, revokeSessionById);
+router.get("/2fa", protect, getTwoFactorStatus);
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/enable", protect, confirmTwoFactor);
+router.post("/2fa/recovery-codes", protect, newRecoveryCodes);
+router.post("/2fa/disable", protect, turnOffTwoFactor);
+router.get("/oauth/accounts", protect, getLinkedAccounts);
+router.post("/oauth/:provider/link/start", protect, startOAuthLink);
+router.post("/oauth/:provider/link", protect, linkOAuthAccount);
+router.delete("/oauth/:provider", protect, unlinkOAuthAccount);
+
+// Email codes for automated tests — never in production
+router.get("/test/token", (req, res, next) =>
+  testTokensEnabled() ? getTestToken(req, res, next) : next(),
+);
 
 export default router;
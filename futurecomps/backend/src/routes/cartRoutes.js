@@ -1,5 +1,5 @@
 import express from "express";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, optionalAuth } from "../middleware/authMiddleware.js";
 import {
   getCart,
   addToCart,
@@ -7,12 +7,13 @@ import {
   removeFromCart,
   clearCart,
   syncCart,
+  mergeCart,
 } from "../controllers/cartController.js";
 
 const router = express.Router();
 
-// All cart routes require authentication
-router.use(protect);
+// Signed-in shoppers use their account cart; guests send X-Cart-Token
+router.use(optionalAuth);
 
 router.get("/", getCart);
 router.post("/", addToCart); // Accept POST on root for compatibility
@@ -21,5 +22,6 @@ router.put("/update", updateCartItem);
 router.delete("/remove/:itemId", removeFromCart);
 router.delete("/clear", clearCart);
 router.post("/sync", syncCart);
+router.post("/merge", protect, mergeCart);
 
 export default router;
@@ -0,0 +1,63 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import {
+  adminOnly,
+  requirePermission,
+} from "../middleware/adminMiddleware.js";
+import {
+  audit,
+  snapshotById,
+  snapshotCreated,
+} from "../middleware/auditMiddleware.js";
+import Category from "../models/Category.js";
+import {
+  getCategoryTree,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  migrateProductCategories,
+} from "../controllers/categoryController.js";
+
+const router = express.Router();
+
+// The shopper-facing tree is GET /api/products/categories
+
+// ── Admin ───────────────────────────────────────────────
+const admin = [protect, adminOnly, requirePermission("categories:write")];
+
+router.get("/", admin, getCategoryTree);
+router.post(
+  "/migrate",
+  admin,
+  audit("category.migrate", { resource: "category" }),
+  migrateProductCategories,
+);
+router.post(
+  "/",
+  admin,
+  audit("category.create", {
+    resource: "category",
+    load: snapshotCreated(Category),
+  }),
+  createCategory,
+);
+router.put(
+  "/:id",
+  admin,
+  audit("category.update", {
+    resource: "category",
+    load: snapshotById(Category),
+  }),
+  updateCategory,
+);
+router.delete(
+  "/:id",
+  admin,
+  audit("category.delete", {
+    resource: "category",
+    load: snapshotById(Category),
+  }),
+  deleteCategory,
+);
+
+export default router;
@@ -1,6 +1,15 @@
 import express from "express";
 import { protect } from "../middleware/authMiddleware.js";
-import { adminOnly } from "../middleware/adminMiddleware.js";
+import {
+  adminOnly,
+  requirePermission,
+} from "../middleware/adminMiddleware.js";
+import {
+  audit,
+  snapshotById,
+  snapshotCreated,
+} from "../middleware/auditMiddleware.js";
+import Coupon from "../models/Coupon.js";
 import {
   createCoupon,
   getAllCoupons,
@@ -13,9 +22,35 @@ import {
 const router = express.Router();
 
 // ── Admin ───────────────────────────────────────────────
-router.post("/", protect, adminOnly, createCoupon);
-router.get("/", protect, adminOnly, getAllCoupons);
-router.put("/:id/deactivate", protect, adminOnly, deactivateCoupon);
+router.post(
+  "/",
+  protect,
+  adminOnly,
+  requirePermission("coupons:write"),
+  audit("coupon.create", {
+    resource: "coupon",
+    load: snapshotCreated(Coupon),
+  }),
+  createCoupon,
+);
+router.get(
+  "/",
+  protect,
+  adminOnly,
+  requirePermission("coupons:read"),
+  getAllCoupons,
+);
+router.put(
+  "/:id/deactivate",
+  protect,
+  adminOnly,
+  requirePermission("coupons:write"),
+  audit("coupon.deactivate", {
+    resource: "coupon",
+    load: snapshotById(Coupon),
+  }),
+  deactivateCoupon,
+);
 
 // ── Authenticated ───────────────────────────────────────
 router.post("/validate", protect, validateCoupon);
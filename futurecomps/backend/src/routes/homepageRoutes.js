@@ -1,6 +1,11 @@
 import express from "express";
 import { protect } from "../middleware/authMiddleware.js";
-import { adminOnly as admin } from "../middleware/adminMiddleware.js";
+import {
+  adminOnly,
+  requirePermission,
+} from "../middleware/adminMiddleware.js";
+import { audit } from "../middleware/auditMiddleware.js";
+import HomepageSettings from "../models/HomepageSettings.js";
 import {
   getHomepageSettings,
   updateHomepageSettings,
@@ -13,13 +18,23 @@ import {
 
 const router = express.Router();
 
+// Staff with homepage:write
+const admin = [adminOnly, requirePermission("homepage:write")];
+
+const auditHomepage = (action) =>
+  audit(action, {
+    resource: "homepage",
+    load: () => HomepageSettings.findOne().lean(),
+    resourceId: (req) => req.params.productId || "homepage",
+  });
+
 router.get("/settings", getHomepageSettings);
-router.put("/settings", protect, admin, updateHomepageSettings);
+router.put("/settings", protect, admin, auditHomepage("homepage.settings"), updateHomepageSettings);
 
 router.get("/carousel", getCarouselItems);
-router.post("/carousel", protect, admin, addProductToCarousel);
-router.delete("/carousel/:productId", protect, admin, removeProductFromCarousel);
-router.put("/carousel/:productId", protect, admin, updateCarouselItem);
+router.post("/carousel", protect, admin, auditHomepage("homepage.carousel_add"), addProductToCarousel);
+router.delete("/carousel/:productId", protect, admin, auditHomepage("homepage.carousel_remove"), removeProductFromCarousel);
+router.put("/carousel/:productId", protect, admin, auditHomepage("homepage.carousel_update"), updateCarouselItem);
 
 router.get("/carousel/products", protect, admin, getProductsForCarousel);
 
@@ -1,5 +1,6 @@
 import express from "express";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, optionalAuth } from "../middleware/authMiddleware.js";
+import { authRateLimit } from "../middleware/rateLimitMiddleware.js";
 import {
   createCheckoutFromCart,
   createSingleProductCheckout,
@@ -7,8 +8,16 @@ import {
   getMyOrders,
   getOrderById,
   getOrderTracking,
+  cancelMyOrder,
+  createMyReturn,
+  getMyReturns,
   trackByNumber,
   createCodOrder,
+  getTaxQuote,
+  getShippingQuote,
+  lookupOrder,
+  getClaimableOrders,
+  claimOrders,
 } from "../controllers/checkoutController.js";
 
 const router = express.Router();
@@ -20,25 +29,46 @@ router.post(
   handleWebhook,
 );
 
-// ── Authenticated ───────────────────────────────────────
+// ── Checkout (signed in, or guest with an email) ───────
 router.post(
   "/create-checkout-session",
   express.json(),
-  protect,
+  optionalAuth,
   createCheckoutFromCart,
 );
 router.post(
   "/create-single-checkout",
   express.json(),
-  protect,
+  optionalAuth,
   createSingleProductCheckout,
 );
-router.post("/orders/create", express.json(), protect, createCodOrder);
+router.post("/orders/create", express.json(), optionalAuth, createCodOrder);
+
+// ── Guest order lookup (rate limited like sign-in) ──────
+router.post("/orders/lookup", express.json(), authRateLimit, lookupOrder);
+
+// ── Authenticated ───────────────────────────────────────
+router.get("/orders/claimable", protect, getClaimableOrders);
+router.post("/orders/claim", protect, claimOrders);
 router.get("/orders", protect, getMyOrders);
 router.get("/orders/:id", protect, getOrderById);
 router.get("/orders/:id/tracking", protect, getOrderTracking);
+router.post("/orders/:id/cancel", express.json(), protect, cancelMyOrder);
+router.get("/orders/:id/returns", protect, getMyReturns);
+router.post("/orders/:id/returns", express.json(), protect, createMyReturn);
 
 // ── Public tracking (no auth required) ───────────────────
 router.get("/track/:trackingNumber", trackByNumber);
 
+// ── Public tax estimate ──────────────────────────────────
+router.post("/tax-quote", express.json(), getTaxQuote);
+
+// ── Shipping rates (signed in for saved addresses) ───────
+router.post(
+  "/shipping-quote",
+  express.json(),
+  optionalAuth,
+  getShippingQuote,
+);
+
 export default router;
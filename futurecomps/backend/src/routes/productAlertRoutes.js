@@ -0,0 +1,19 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import {
+  getMyAlerts,
+  createAlert,
+  deleteAlert,
+  unsubscribeAlert,
+} from "../controllers/productAlertController.js";
+
+const router = express.Router();
+
+// ── Public ──────────────────────────────────────────────
+router.post("/unsubscribe", unsubscribeAlert);
+
+// ── Authenticated ───────────────────────────────────────
+router.route("/").get(protect, getMyAlerts).post(protect, createAlert);
+router.delete("/:id", protect, deleteAlert);
+
+export default router;
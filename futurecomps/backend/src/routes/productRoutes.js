@@ -1,6 +1,15 @@
 import express from "express";
 import { protect } from "../middleware/authMiddleware.js";
-import { adminOnly } from "../middleware/adminMiddleware.js";
+import {
+  adminOnly,
+  requirePermission,
+} from "../middleware/adminMiddleware.js";
+import {
+  audit,
+  snapshotById,
+  snapshotCreated,
+} from "../middleware/auditMiddleware.js";
+import Product from "../models/Product.js";
 import {
   getProducts,
   getFeaturedProducts,
@@ -11,6 +20,7 @@ import {
   updateProduct,
   deleteProduct,
   getAllProductsAdmin,
+  getLowStockProducts,
   addReview,
 } from "../controllers/productController.js";
 
@@ -23,7 +33,20 @@ router.get("/random", getRandomProducts); // Must be before /:id
 router.get("/categories", getCategories);
 
 // ── Admin (must be before /:id to avoid catch-all) ──────
-router.get("/admin/all", protect, adminOnly, getAllProductsAdmin);
+router.get(
+  "/admin/all",
+  protect,
+  adminOnly,
+  requirePermission("products:read"),
+  getAllProductsAdmin,
+);
+router.get(
+  "/admin/low-stock",
+  protect,
+  adminOnly,
+  requirePermission("products:read"),
+  getLowStockProducts,
+);
 
 // ── Public (param routes) ──────────────────────────────
 router.get("/:id", getProductById);
@@ -32,8 +55,39 @@ router.get("/:id", getProductById);
 router.post("/:id/reviews", protect, addReview);
 
 // ── Admin CRUD ──────────────────────────────────────────
-router.post("/", protect, adminOnly, createProduct);
-router.put("/:id", protect, adminOnly, updateProduct);
-router.delete("/:id", protect, adminOnly, deleteProduct);
+// Reviews are customer content — left out of audit diffs
+router.post(
+  "/",
+  protect,
+  adminOnly,
+  requirePermission("products:write"),
+  audit("product.create", {
+    resource: "product",
+    load: snapshotCreated(Product, "-reviews"),
+  }),
+  createProduct,
+);
+router.put(
+  "/:id",
+  protect,
+  adminOnly,
+  requirePermission("products:write"),
+  audit("product.update", {
+    resource: "product",
+    load: snapshotById(Product, "-reviews"),
+  }),
+  updateProduct,
+);
+router.delete(
+  "/:id",
+  protect,
+  adminOnly,
+  requirePermission("products:delete"),
+  audit("product.delete", {
+    resource: "product",
+    load: snapshotById(Product, "-reviews"),
+  }),
+  deleteProduct,
+);
 
 export default router;
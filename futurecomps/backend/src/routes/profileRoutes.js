@@ -5,6 +5,12 @@ import {
   deleteAccount,
   getProfileStats,
 } from "../controllers/profileController.js";
+import {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+} from "../controllers/addressController.js";
 import { protect, isVerified } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -17,4 +23,8 @@ router.route("/").get(getProfile).put(updateProfile).delete(deleteAccount);
 
 router.get("/stats", getProfileStats);
 
+// Address book
+router.route("/addresses").get(getAddresses).post(createAddress);
+router.route("/addresses/:id").put(updateAddress).delete(deleteAddress);
+
 export default router;
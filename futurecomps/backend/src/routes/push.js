@@ -1,7 +1,10 @@
 
 import express from "express";
-import webpush from "web-push";
 import PushSubscription from "../models/PushSubscription.js";
+import User from "../models/User.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { sendPushToUsers } from "../services/pushService.js";
+import { PUSH_TOPICS } from "../services/notificationService.js";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -17,12 +20,6 @@ if (!publicVapidKey || !privateVapidKey) {
   console.error(
     "VAPID keys are missing! Please generate them and add to .env"
   );
-} else {
-  webpush.setVapidDetails(
-    "mailto:test@example.com",
-    publicVapidKey,
-    privateVapidKey
-  );
 }
 
 // Get VAPID Public Key
@@ -30,66 +27,127 @@ router.get("/vapid-key", (req, res) => {
   res.json({ publicKey: publicVapidKey });
 });
 
-// Subscribe Route
-router.post("/subscribe", async (req, res) => {
-  const subscription = req.body;
+// ── Devices ─────────────────────────────────────────────
+// A device belongs to whoever subscribed it last
+
+router.post("/subscribe", protect, async (req, res) => {
+  const { endpoint, keys } = req.body;
+  if (!endpoint || !keys?.p256dh || !keys?.auth) {
+    return res.status(400).json({ message: "Invalid push subscription" });
+  }
 
   try {
-    // Check if subscription already exists
-    const existing = await PushSubscription.findOne({
-      endpoint: subscription.endpoint,
-    });
-    if (!existing) {
-      await PushSubscription.create(subscription);
-    }
-    res.status(201).json({ message: "Subscription added successfully." });
+    await PushSubscription.updateOne(
+      { endpoint },
+      {
+        $set: {
+          keys,
+          userId: req.user._id,
+          userAgent: req.get("user-agent") || null,
+        },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true },
+    );
+    res.status(201).json({ message: "Notifications enabled on this device" });
   } catch (error) {
     console.error("Error saving subscription:", error);
-    res.status(500).json({ error: "Failed to save subscription." });
+    res.status(500).json({ message: "Failed to save subscription" });
   }
 });
 
-// Send Test Notification Route
-router.post("/send-test", async (req, res) => {
+// Body: { endpoint } — the browser's subscription for this device
+router.delete("/subscribe", protect, async (req, res) => {
   try {
-    const subscriptions = await PushSubscription.find();
-    if (subscriptions.length === 0) {
-      return res.status(200).json({ message: "No subscriptions found." });
-    }
+    await PushSubscription.deleteOne({
+      endpoint: req.body?.endpoint,
+      userId: req.user._id,
+    });
+    res.json({ message: "Notifications disabled on this device" });
+  } catch (error) {
+    console.error("Error removing subscription:", error);
+    res.status(500).json({ message: "Failed to remove subscription" });
+  }
+});
 
-    const payload = JSON.stringify({
-      title: "Test Notification",
-      body: "This is a test notification from the PWA!",
+router.get("/devices", protect, async (req, res) => {
+  try {
+    const devices = await PushSubscription.find({ userId: req.user._id })
+      .select("endpoint userAgent createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(devices);
+  } catch (error) {
+    console.error("Error fetching push devices:", error);
+    res.status(500).json({ message: "Failed to fetch devices" });
+  }
+});
+
+router.delete("/devices/:id", protect, async (req, res) => {
+  try {
+    const { deletedCount } = await PushSubscription.deleteOne({
+      _id: req.params.id,
+      userId: req.user._id,
     });
+    if (deletedCount === 0) {
+      return res.status(404).json({ message: "Device not found" });
+    }
+    res.json({ message: "Device removed" });
+  } catch (error) {
+    console.error("Error removing push device:", error);
+    res.status(500).json({ message: "Failed to remove device" });
+  }
+});
+
+// ── Topics ──────────────────────────────────────────────
+
+router.get("/preferences", protect, async (req, res) => {
+  res.json(req.user.pushTopics);
+});
+
+// Body: any of PUSH_TOPICS as booleans
+router.put("/preferences", protect, async (req, res) => {
+  const updates = {};
+  for (const topic of PUSH_TOPICS) {
+    if (req.body[topic] === undefined) continue;
+    if (typeof req.body[topic] !== "boolean") {
+      return res.status(400).json({ message: `${topic} must be a boolean` });
+    }
+    updates[`pushTopics.${topic}`] = req.body[topic];
+  }
 
-    const notifications = subscriptions.map((sub) => {
-      // In a real app, you might want to validate the subscription object structure here
-        const pushConfig = {
-            endpoint: sub.endpoint,
-            keys: {
-                auth: sub.keys.auth,
-                p256dh: sub.keys.p256dh
-            }
-        };
-
-      return webpush
-        .sendNotification(pushConfig, payload)
-        .catch(async (err) => {
-          if (err.statusCode === 410 || err.statusCode === 404) {
-            // Subscription is gone, remove it
-            console.log("Subscription expired/invalid, removing:", sub.endpoint);
-            await PushSubscription.deleteOne({ _id: sub._id });
-          } else {
-            console.error("Error sending notification:", err);
-          }
-        });
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true },
+    ).select("pushTopics");
+    res.json({
+      message: "Notification preferences saved",
+      preferences: user.pushTopics,
     });
+  } catch (error) {
+    console.error("Error saving push preferences:", error);
+    res.status(500).json({ message: "Failed to save preferences" });
+  }
+});
 
-    await Promise.all(notifications);
-    res.json({ message: "Test notifications sent!" });
+// Sends to the caller's own devices, whatever their topics
+router.post("/send-test", protect, async (req, res) => {
+  try {
+    const delivered = await sendPushToUsers([req.user._id], {
+      title: "Test Notification",
+      body: "Notifications are working on this device.",
+    });
+    if (delivered === 0) {
+      return res
+        .status(404)
+        .json({ message: "No devices received the notification" });
+    }
+    res.json({ message: `Sent to ${delivered} device(s)` });
   } catch (error) {
-    console.error("Error sending test notifications:", error);
-    res.status(500).json({ error: "Failed to send notifications." });
+    console.error("Error sending test notification:", error);
+    res.status(500).json({ message: "Failed to send notification" });
   }
 });
 
@@ -4,9 +4,16 @@ import {
   updateStoreSettings,
   updateNotificationSettings,
   updateSecuritySettings,
+  updateCurrencySettings,
+  importCurrencyRates,
 } from "../controllers/settingsController.js";
 import { protect } from "../middleware/authMiddleware.js";
-import { adminOnly } from "../middleware/adminMiddleware.js";
+import {
+  adminOnly,
+  requirePermission,
+} from "../middleware/adminMiddleware.js";
+import { audit } from "../middleware/auditMiddleware.js";
+import Settings from "../models/Settings.js";
 
 const router = express.Router();
 
@@ -14,8 +21,20 @@ const router = express.Router();
 router.get("/public/store", getPublicStoreSettings);
 
 // Admin-only endpoints
-router.put("/admin/store", protect, adminOnly, updateStoreSettings);
-router.put("/admin/notifications", protect, adminOnly, updateNotificationSettings);
-router.put("/admin/security", protect, adminOnly, updateSecuritySettings);
+const admin = [adminOnly, requirePermission("settings:write")];
+
+// Singleton — audit entries diff the whole settings document
+const auditSettings = (action) =>
+  audit(action, {
+    resource: "settings",
+    load: async () => (await Settings.getSettings()).toObject(),
+    resourceId: () => "store",
+  });
+
+router.put("/admin/store", protect, admin, auditSettings("settings.store"), updateStoreSettings);
+router.put("/admin/notifications", protect, admin, auditSettings("settings.notifications"), updateNotificationSettings);
+router.put("/admin/security", protect, admin, auditSettings("settings.security"), updateSecuritySettings);
+router.put("/admin/currencies", protect, admin, auditSettings("settings.currencies"), updateCurrencySettings);
+router.post("/admin/currencies/import", protect, admin, auditSettings("settings.exchange_rates_import"), importCurrencyRates);
 
 export default router;
@@ -0,0 +1,56 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import {
+  adminOnly,
+  requirePermission,
+} from "../middleware/adminMiddleware.js";
+import {
+  audit,
+  snapshotById,
+  snapshotCreated,
+} from "../middleware/auditMiddleware.js";
+import ShippingZone from "../models/ShippingZone.js";
+import {
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone,
+} from "../controllers/shippingController.js";
+
+const router = express.Router();
+
+// Rate quotes for shoppers are under /api/payment/shipping-quote
+
+// ── Admin ───────────────────────────────────────────────
+const admin = [protect, adminOnly, requirePermission("shipping:write")];
+
+router.get("/zones", admin, getZones);
+router.post(
+  "/zones",
+  admin,
+  audit("shipping_zone.create", {
+    resource: "shipping_zone",
+    load: snapshotCreated(ShippingZone),
+  }),
+  createZone,
+);
+router.put(
+  "/zones/:id",
+  admin,
+  audit("shipping_zone.update", {
+    resource: "shipping_zone",
+    load: snapshotById(ShippingZone),
+  }),
+  updateZone,
+);
+router.delete(
+  "/zones/:id",
+  admin,
+  audit("shipping_zone.delete", {
+    resource: "shipping_zone",
+    load: snapshotById(ShippingZone),
+  }),
+  deleteZone,
+);
+
+export default router;
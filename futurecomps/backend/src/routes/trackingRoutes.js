@@ -0,0 +1,13 @@
+import express from "express";
+import { handleCarrierWebhook } from "../controllers/trackingController.js";
+
+const router = express.Router();
+
+// ── Carrier webhooks (raw body — must be before express.json()) ──
+router.post(
+  "/webhook/:carrier",
+  express.raw({ type: "application/json" }),
+  handleCarrierWebhook,
+);
+
+export default router;
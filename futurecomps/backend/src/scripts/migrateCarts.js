@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { migrateCartIndexes } from "../services/cartService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../.env") });
+
+/**
+ * Replace the unique "userId_1" cart index from before guest carts with
+ * the Cart model's indexes:
+ *
+ *   npm run migrate-carts
+ *
+ * The server also does this when it starts; run it by hand before
+ * deploying, or where the server's database user can't drop indexes.
+ */
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const dropped = await migrateCartIndexes();
+    if (dropped.length === 0) console.log("Cart indexes already up to date");
+    process.exit(0);
+  } catch (error) {
+    console.error("Error migrating cart indexes:", error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { migrateCategories } from "../services/categoryService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../.env") });
+
+/**
+ * Move free-text product categories into the category tree:
+ *
+ *   npm run migrate-categories
+ *
+ * Spellings of the same name ("Shoes", "shoe") become one top-level
+ * category; arrange them into a hierarchy afterwards from the admin
+ * dashboard. Safe to run again — only products without a category are
+ * touched.
+ */
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const { created, linked } = await migrateCategories();
+    for (const name of created) console.log(`Created category "${name}"`);
+    console.log(`Linked ${linked} products to categories`);
+    process.exit(0);
+  } catch (error) {
+    console.error("Error migrating categories:", error);
+    process.exit(1);
+  }
+};
+
+run();
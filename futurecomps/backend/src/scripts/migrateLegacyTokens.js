@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import User from "../models/User.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../.env") });
+
+// Plaintext codes users carried before they moved to hashed AuthTokens
+const LEGACY_FIELDS = [
+  "otp",
+  "otpExpiry",
+  "resetPasswordToken",
+  "resetPasswordExpiry",
+];
+
+/**
+ * Remove the plaintext verification codes and reset tokens left on user
+ * documents from before models/AuthToken.js:
+ *
+ *   npm run migrate-legacy-tokens
+ *
+ * Nothing reads them any more, so any still pending just stop working —
+ * the user asks for a new code. Safe to re-run.
+ */
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    // Through the driver — the User schema no longer has these paths, so
+    // Mongoose would strip them from the update
+    const result = await User.collection.updateMany(
+      { $or: LEGACY_FIELDS.map((field) => ({ [field]: { $exists: true } })) },
+      { $unset: Object.fromEntries(LEGACY_FIELDS.map((field) => [field, ""])) },
+    );
+    console.log(`Cleared legacy tokens on ${result.modifiedCount} user(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error("Error removing legacy tokens:", error);
+    process.exit(1);
+  }
+};
+
+run();
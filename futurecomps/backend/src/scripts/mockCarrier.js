@@ -0,0 +1,371 @@
+import crypto from "crypto";
+import express from "express";
+
+/**
+ * Local mock of the FedEx, UPS, USPS and DHL tracking APIs, for trying
+ * carrier tracking without real accounts. Not for production.
+ *
+ *   npm run mock-carrier
+ *
+ * Then in backend/.env (any ids and secrets work):
+ *   FEDEX_API_URL=http://localhost:4006/fedex
+ *   FEDEX_CLIENT_ID=local   FEDEX_CLIENT_SECRET=local
+ *   UPS_API_URL=http://localhost:4006/ups
+ *   UPS_CLIENT_ID=local     UPS_CLIENT_SECRET=local
+ *   USPS_API_URL=http://localhost:4006/usps
+ *   USPS_CLIENT_ID=local    USPS_CLIENT_SECRET=local
+ *   DHL_API_URL=http://localhost:4006/dhl
+ *   DHL_API_KEY=local
+ *
+ * Every tracking number is known. From the first time it's asked about it
+ * moves one step (label created → picked up → at a facility → out for
+ * delivery → delivered) every MOCK_CARRIER_STEP_SECONDS (default 60).
+ * Numbers containing "EXC" stop at a delivery exception instead.
+ *
+ * POST /advance/:carrier/:trackingNumber moves a shipment one step now
+ * and, when CARRIER_WEBHOOK_URL is set (e.g.
+ * http://localhost:5000/api/tracking/webhook), pushes the new scan there
+ * signed with the same FEDEX_WEBHOOK_SECRET, UPS_WEBHOOK_CREDENTIAL,
+ * USPS_WEBHOOK_SECRET or DHL_WEBHOOK_SECRET the backend checks.
+ */
+
+const PORT = Number(process.env.CARRIER_MOCK_PORT) || 4006;
+const STEP_MS = (Number(process.env.MOCK_CARRIER_STEP_SECONDS) || 60) * 1000;
+
+// Scans in the order they happen, with each carrier's codes
+const STEPS = [
+  {
+    description: "Shipping label created",
+    city: "Memphis",
+    state: "TN",
+    fedex: "OC",
+    ups: { type: "M", code: "MP" },
+    usps: "GX",
+    dhl: "pre-transit",
+  },
+  {
+    description: "Picked up",
+    city: "Memphis",
+    state: "TN",
+    fedex: "PU",
+    ups: { type: "P", code: "PU" },
+    usps: "03",
+    dhl: "transit",
+  },
+  {
+    description: "Arrived at sort facility",
+    city: "Louisville",
+    state: "KY",
+    fedex: "AR",
+    ups: { type: "I", code: "AR" },
+    usps: "10",
+    dhl: "transit",
+  },
+  {
+    description: "Out for delivery",
+    city: "Springfield",
+    state: "IL",
+    fedex: "OD",
+    ups: { type: "I", code: "OT" },
+    usps: "OF",
+    dhl: "transit",
+  },
+  {
+    description: "Delivered",
+    city: "Springfield",
+    state: "IL",
+    fedex: "DL",
+    ups: { type: "D", code: "KB" },
+    usps: "01",
+    dhl: "delivered",
+  },
+];
+
+const EXCEPTION = {
+  description: "Delivery exception: address could not be found",
+  city: "Springfield",
+  state: "IL",
+  fedex: "DE",
+  ups: { type: "X", code: "UA" },
+  usps: "04",
+  dhl: "failure",
+};
+
+// tracking number → { start, times } — when it was first asked about and
+// when each step it reached happened (in memory)
+const shipments = new Map();
+
+function shipmentFor(trackingNumber) {
+  if (!shipments.has(trackingNumber)) {
+    shipments.set(trackingNumber, { start: Date.now(), times: [] });
+  }
+  const shipment = shipments.get(trackingNumber);
+  const due = Math.floor((Date.now() - shipment.start) / STEP_MS);
+  while (shipment.times.length <= Math.min(due, STEPS.length - 1)) {
+    const index = shipment.times.length;
+    shipment.times.push(
+      Math.max(shipment.start + index * STEP_MS, shipment.times.at(-1) ?? 0),
+    );
+  }
+  return shipment;
+}
+
+function scansFor(trackingNumber) {
+  const { times } = shipmentFor(trackingNumber);
+  return times.map((time, index) => ({
+    ...(index === STEPS.length - 1 && trackingNumber.includes("EXC")
+      ? EXCEPTION
+      : STEPS[index]),
+    at: new Date(time),
+  }));
+}
+
+// Move a shipment one step now
+function advance(trackingNumber) {
+  const { times } = shipmentFor(trackingNumber);
+  if (times.length < STEPS.length) {
+    times.push(Math.max(Date.now(), times.at(-1) + 1));
+  }
+}
+
+const estimate = (trackingNumber) =>
+  new Date(shipmentFor(trackingNumber).start + STEPS.length * STEP_MS);
+
+// "2026-10-19T14:30:00Z" → ["20261019", "143000"] (UTC)
+const upsDateTime = (date) => {
+  const iso = date.toISOString();
+  return [
+    iso.slice(0, 10).replace(/-/g, ""),
+    iso.slice(11, 19).replace(/:/g, ""),
+  ];
+};
+
+// ── Response shapes ─────────────────────────────────────
+
+const fedexResult = (trackingNumber, scans) => ({
+  trackingNumberInfo: { trackingNumber },
+  scanEvents: [...scans].reverse().map((scan) => ({
+    date: scan.at.toISOString(),
+    eventType: scan.fedex,
+    eventDescription: scan.description,
+    scanLocation: {
+      city: scan.city,
+      stateOrProvinceCode: scan.state,
+      countryCode: "US",
+    },
+  })),
+  estimatedDeliveryTimeWindow: {
+    window: { ends: estimate(trackingNumber).toISOString() },
+  },
+});
+
+const upsActivity = (scan) => {
+  const [date, time] = upsDateTime(scan.at);
+  return {
+    date,
+    time,
+    status: { ...scan.ups, description: scan.description },
+    location: {
+      address: {
+        city: scan.city,
+        stateProvince: scan.state,
+        countryCode: "US",
+      },
+    },
+  };
+};
+
+const uspsResult = (trackingNumber, scans) => ({
+  trackingNumber,
+  expectedDeliveryDate: estimate(trackingNumber).toISOString(),
+  trackingEvents: [...scans].reverse().map((scan) => ({
+    eventType: scan.description,
+    eventCode: scan.usps,
+    eventTimestamp: scan.at.toISOString(),
+    eventCity: scan.city,
+    eventState: scan.state,
+    eventCountry: "US",
+  })),
+});
+
+const dhlResult = (trackingNumber, scans) => ({
+  shipments: [
+    {
+      id: trackingNumber,
+      estimatedTimeOfDelivery: estimate(trackingNumber).toISOString(),
+      events: [...scans].reverse().map((scan) => ({
+        timestamp: scan.at.toISOString(),
+        statusCode: scan.dhl,
+        description: scan.description,
+        location: { address: { addressLocality: `${scan.city}, US` } },
+      })),
+    },
+  ],
+});
+
+// ── Tracking APIs ───────────────────────────────────────
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+const token = (carrier) => (req, res) =>
+  res.json({
+    access_token: `mock-${carrier}-${crypto.randomBytes(8).toString("hex")}`,
+    token_type: "Bearer",
+    expires_in: 3600,
+  });
+
+const bearer = (req, res, next) =>
+  req.get("authorization")?.startsWith("Bearer ")
+    ? next()
+    : res.status(401).json({ message: "Missing bearer token" });
+
+app.post("/fedex/oauth/token", token("fedex"));
+app.post("/fedex/track/v1/trackingnumbers", bearer, (req, res) => {
+  const trackingNumber =
+    req.body.trackingInfo?.[0]?.trackingNumberInfo?.trackingNumber;
+  if (!trackingNumber) {
+    return res.status(400).json({
+      errors: [{ code: "TRACKING.TRACKINGNUMBER.EMPTY", message: "Empty" }],
+    });
+  }
+  res.json({
+    output: {
+      completeTrackResults: [
+        {
+          trackingNumber,
+          trackResults: [fedexResult(trackingNumber, scansFor(trackingNumber))],
+        },
+      ],
+    },
+  });
+});
+
+app.post("/ups/security/v1/oauth/token", token("ups"));
+app.get("/ups/api/track/v1/details/:trackingNumber", bearer, (req, res) => {
+  const { trackingNumber } = req.params;
+  const scans = scansFor(trackingNumber);
+  const [date] = upsDateTime(estimate(trackingNumber));
+  res.json({
+    trackResponse: {
+      shipment: [
+        {
+          package: [
+            {
+              trackingNumber,
+              deliveryDate: [{ type: "SDD", date }],
+              activity: [...scans].reverse().map(upsActivity),
+            },
+          ],
+        },
+      ],
+    },
+  });
+});
+
+app.post("/usps/oauth2/v3/token", token("usps"));
+app.get("/usps/tracking/v3/tracking/:trackingNumber", bearer, (req, res) => {
+  const { trackingNumber } = req.params;
+  res.json(uspsResult(trackingNumber, scansFor(trackingNumber)));
+});
+
+app.get("/dhl/track/shipments", (req, res) => {
+  if (!req.get("dhl-api-key")) {
+    return res.status(401).json({ detail: "Missing DHL-API-Key" });
+  }
+  const trackingNumber = String(req.query.trackingNumber || "");
+  if (!trackingNumber) {
+    return res.status(400).json({ detail: "trackingNumber is required" });
+  }
+  res.json(dhlResult(trackingNumber, scansFor(trackingNumber)));
+});
+
+// ── Pushes ──────────────────────────────────────────────
+
+const hmac = (body, secret, encoding) =>
+  crypto
+    .createHmac("sha256", secret || "")
+    .update(body)
+    .digest(encoding);
+
+// Push body and headers for the newest scan, as each carrier sends it
+function push(carrier, trackingNumber, scans) {
+  const latest = scans.at(-1);
+  let payload;
+  const headers = { "Content-Type": "application/json" };
+
+  if (carrier === "fedex") {
+    payload = fedexResult(trackingNumber, [latest]);
+  } else if (carrier === "ups") {
+    const [date, time] = upsDateTime(latest.at);
+    payload = {
+      trackingNumber,
+      localActivityDate: date,
+      localActivityTime: time,
+      activityLocation: {
+        city: latest.city,
+        stateProvince: latest.state,
+        country: "US",
+      },
+      activityStatus: { ...latest.ups, description: latest.description },
+      scheduledDeliveryDate: upsDateTime(estimate(trackingNumber))[0],
+    };
+    headers.credential = process.env.UPS_WEBHOOK_CREDENTIAL || "";
+  } else if (carrier === "usps") {
+    payload = uspsResult(trackingNumber, [latest]);
+  } else {
+    payload = dhlResult(trackingNumber, [latest]);
+  }
+
+  const body = JSON.stringify(payload);
+  if (carrier === "fedex") {
+    headers["fdx-signature"] = hmac(
+      body,
+      process.env.FEDEX_WEBHOOK_SECRET,
+      "base64",
+    );
+  } else if (carrier !== "ups") {
+    const secret =
+      carrier === "usps"
+        ? process.env.USPS_WEBHOOK_SECRET
+        : process.env.DHL_WEBHOOK_SECRET;
+    headers["x-signature"] = hmac(body, secret, "hex");
+  }
+  return { body, headers };
+}
+
+app.post("/advance/:carrier/:trackingNumber", async (req, res) => {
+  const { carrier, trackingNumber } = req.params;
+  if (!["fedex", "ups", "usps", "dhl"].includes(carrier)) {
+    return res.status(404).json({ message: "Unknown carrier" });
+  }
+
+  advance(trackingNumber);
+  const scans = scansFor(trackingNumber);
+
+  const url = process.env.CARRIER_WEBHOOK_URL;
+  if (!url) {
+    return res.json({ step: scans.at(-1).description, pushed: false });
+  }
+
+  const { body, headers } = push(carrier, trackingNumber, scans);
+  try {
+    const response = await fetch(`${url}/${carrier}`, {
+      method: "POST",
+      headers,
+      body,
+    });
+    res.json({
+      step: scans.at(-1).description,
+      pushed: response.ok,
+      response: await response.json().catch(() => null),
+    });
+  } catch (error) {
+    res.status(502).json({ message: `Push failed: ${error.message}` });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock carrier APIs at http://localhost:${PORT}/<carrier>`);
+});
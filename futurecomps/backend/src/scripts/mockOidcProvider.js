@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+/**
+ * Local mock OpenID Connect provider for trying social sign-in without
+ * real Google/GitHub credentials. Not for production.
+ *
+ *   npm run mock-oidc
+ *
+ * Then in backend/.env:
+ *   OIDC_ISSUER=http://localhost:4005
+ *   OIDC_CLIENT_ID=local-client
+ *   OIDC_CLIENT_SECRET=local-secret
+ *   OIDC_NAME=Mock SSO
+ *
+ * The sign-in page asks for any email and name; the same email always
+ * gets the same subject, so linking and returning sign-ins can be tested.
+ */
+
+const PORT = Number(process.env.OIDC_MOCK_PORT) || 4005;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "local-client";
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "local-secret";
+
+// code → grant, access token → claims (in memory, short-lived)
+const codes = new Map();
+const accessTokens = new Map();
+
+const subjectFor = (email) =>
+  crypto.createHash("sha256").update(email).digest("hex").slice(0, 16);
+
+const escapeHtml = (value = "") =>
+  String(value).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[c],
+  );
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["HS256"],
+    code_challenge_methods_supported: ["S256"],
+  });
+});
+
+// Sign-in page — any email is accepted
+app.get("/authorize", (req, res) => {
+  if (req.query.client_id !== CLIENT_ID) {
+    return res.status(400).send("Unknown client_id");
+  }
+  const hidden = [
+    "redirect_uri",
+    "state",
+    "code_challenge",
+    "code_challenge_method",
+  ]
+    .map(
+      (name) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`,
+    )
+    .join("");
+
+  res.send(`<!doctype html>
+<title>Mock SSO</title>
+<form method="post" style="font-family:sans-serif;max-width:320px;margin:80px auto;display:grid;gap:8px">
+  <h2>Mock SSO sign-in</h2>
+  ${hidden}
+  <input name="email" type="email" placeholder="Email" value="test.user@example.com" required>
+  <input name="name" placeholder="Name" value="Test User">
+  <label><input name="verified" type="checkbox" checked> Email verified</label>
+  <button>Sign in</button>
+</form>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const { redirect_uri, state, code_challenge, email, name, verified } =
+    req.body;
+  const code = crypto.randomBytes(16).toString("hex");
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    claims: {
+      sub: subjectFor(email.toLowerCase()),
+      email: email.toLowerCase(),
+      email_verified: verified === "on",
+      name: name || email,
+    },
+  });
+  setTimeout(() => codes.delete(code), 60 * 1000);
+
+  const target = new URL(redirect_uri);
+  target.searchParams.set("code", code);
+  target.searchParams.set("state", state);
+  res.redirect(target.toString());
+});
+
+app.post("/token", (req, res) => {
+  const { code, redirect_uri, client_id, client_secret, code_verifier } =
+    req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+  const challenge = crypto
+    .createHash("sha256")
+    .update(code_verifier || "")
+    .digest("base64url");
+  if (
+    !grant ||
+    grant.redirectUri !== redirect_uri ||
+    grant.codeChallenge !== challenge
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const accessToken = crypto.randomBytes(24).toString("hex");
+  accessTokens.set(accessToken, grant.claims);
+  setTimeout(() => accessTokens.delete(accessToken), 10 * 60 * 1000);
+
+  res.json({
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: 600,
+    id_token: jwt.sign(grant.claims, CLIENT_SECRET, {
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: "10m",
+    }),
+  });
+});
+
+app.get("/userinfo", (req, res) => {
+  const token = req.get("authorization")?.replace(/^Bearer /, "");
+  const claims = accessTokens.get(token);
+  if (!claims) return res.status(401).json({ error: "invalid_token" });
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider at ${ISSUER} (client ${CLIENT_ID})`);
+});
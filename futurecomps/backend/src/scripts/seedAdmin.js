@@ -32,6 +32,9 @@ const seedAdmin = async () => {
       console.log("Admin user created successfully");
       console.log("Email:", admin.email);
       console.log("Password: password123");
+      console.log(
+        "Set up two-factor authentication from the profile page after signing in.",
+      );
     }
 
     process.exit(0);
@@ -4,6 +4,7 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import Product from "../models/Product.js";
+import { migrateCategories } from "../services/categoryService.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -268,6 +269,10 @@ const seedProducts = async () => {
         }
 
         console.log(`Successfully seeded ${products.length} products`);
+
+        // Link the seeded products to the category tree
+        const { created } = await migrateCategories();
+        console.log(`Created ${created.length} categories`);
         process.exit(0);
     } catch (error) {
         console.error("Error seeding products:", error);
@@ -3,7 +3,6 @@ import dotenv from "dotenv";
 import cors from "cors";
 import helmet from "helmet";
 import mongoSanitize from "express-mongo-sanitize";
-// import rateLimit from "express-rate-limit"; // Disabled rate limiting for development
 import connectDB from "./config/db.js";
 import authRoutes from "./routes/authRoutes.js";
 import profileRoutes from "./routes/profileRoutes.js";
@@ -16,19 +15,33 @@ import paymentRoutes from "./routes/paymentRoutes.js";
 import productRoutes from "./routes/productRoutes.js";
 import cartRoutes from "./routes/cartRoutes.js";
 import couponRoutes from "./routes/couponRoutes.js";
+import shippingRoutes from "./routes/shippingRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
+import trackingRoutes from "./routes/trackingRoutes.js";
 import clerkRoutes from "./routes/clerkRoutes.js";
 import settingsRoutes from "./routes/settingsRoutes.js";
 import wishlistRoutes from "./routes/wishlistRoutes.js";
+import productAlertRoutes from "./routes/productAlertRoutes.js";
 import homepageRoutes from "./routes/homepageRoutes.js";
+import { startReservationSweeper } from "./services/reservationService.js";
+import { startTrackingPoller } from "./services/trackingService.js";
+import { startExchangeRateSync } from "./services/currencyService.js";
+import { migrateCartIndexes } from "./services/cartService.js";
 
 // Load environment variables
 dotenv.config();
 
-// Connect to database
-connectDB();
+// Connect to database, then swap out cart indexes older databases still
+// have (see migrateCartIndexes)
+connectDB()
+  .then(migrateCartIndexes)
+  .catch((error) => console.error("Cart index migration error:", error));
 
 const app = express();
 
+// Behind Vercel's proxy — needed for per-IP rate limits on auth routes
+app.set("trust proxy", 1);
+
 // Security Middleware
 app.use(
   helmet({
@@ -37,32 +50,13 @@ app.use(
 ); // Set security headers
 app.use(mongoSanitize()); // Prevent MongoDB injection
 
-// Rate limiting disabled for development
-// const authLimiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 5, // Limit each IP to 5 requests per windowMs
-//   message: {
-//     message: "Too many login attempts, please try again after 15 minutes",
-//   },
-//   standardHeaders: true,
-//   legacyHeaders: false,
-// });
-
-// General API rate limiter
-// const apiLimiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 100, // Limit each IP to 100 requests per windowMs
-//   message: {
-//     message: "Too many requests, please try again later",
-//   },
-// });
-
 // Middleware
 app.use(cors()); // Allow all origins and headers
 
 // Webhook route must be registered BEFORE express.json()
 // because it needs the raw body for signature verification
 app.use("/api/payment", paymentRoutes);
+app.use("/api/tracking", trackingRoutes);
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -83,9 +77,12 @@ app.use("/api/todos", todoRoutes);
 app.use("/api/products", productRoutes);
 app.use("/api/cart", cartRoutes);
 app.use("/api/coupons", couponRoutes);
+app.use("/api/shipping", shippingRoutes);
+app.use("/api/categories", categoryRoutes);
 app.use("/api/clerk", clerkRoutes);
 app.use("/api/settings", settingsRoutes);
 app.use("/api/wishlist", wishlistRoutes);
+app.use("/api/alerts", productAlertRoutes);
 app.use("/api/homepage", homepageRoutes);
 
 // Error handling middleware
@@ -101,3 +98,12 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
+
+// Return stock from checkout holds that expired without a Stripe event
+startReservationSweeper();
+
+// Ask carriers with API credentials about shipped orders
+startTrackingPoller();
+
+// Refresh exchange rates when EXCHANGE_RATES_URL is set
+startExchangeRateSync();
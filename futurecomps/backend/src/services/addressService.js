@@ -0,0 +1,257 @@
+import User from "../models/User.js";
+
+/**
+ * Address Service — Postal addresses for the address book and orders.
+ *
+ * Addresses use one shape everywhere: fullName, phone, addressLine1,
+ * addressLine2, city, state, postalCode and country, an ISO 3166-1
+ * alpha-2 code. normalizeAddress() maps the legacy field pairs older
+ * orders and clients still send (name, line1, line2, zipCode) and country
+ * names onto it; validateAddress() applies the rules of the country —
+ * postal code format and whether a state/province is required.
+ *
+ * The address book lives on User.addresses. One address at most is the
+ * default for shipping and one for billing; the first saved address is
+ * both, and deleting a default hands it to the oldest remaining address.
+ */
+
+export const MAX_ADDRESSES = 20;
+
+// ── Countries ───────────────────────────────────────────
+
+const COUNTRY_CODES = `
+  AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI
+  BJ BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN
+  CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK
+  FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM
+  HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN
+  KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK
+  ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP
+  NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW
+  SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF
+  TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI
+  VN VU WF WS YE YT ZA ZM ZW
+`
+  .trim()
+  .split(/\s+/);
+
+// Postal code format and whether the state/province line is required.
+// Countries not listed accept any short postal code, or none.
+const COUNTRY_RULES = {
+  US: { postal: /^\d{5}(-\d{4})?$/, state: "state" },
+  CA: { postal: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/, state: "province" },
+  AU: { postal: /^\d{4}$/, state: "state" },
+  IN: { postal: /^\d{6}$/, state: "state" },
+  BR: { postal: /^\d{5}-?\d{3}$/, state: "state" },
+  MX: { postal: /^\d{5}$/, state: "state" },
+  GB: { postal: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/ },
+  DE: { postal: /^\d{5}$/ },
+  FR: { postal: /^\d{5}$/ },
+  IT: { postal: /^\d{5}$/ },
+  ES: { postal: /^\d{5}$/ },
+  PK: { postal: /^\d{5}$/ },
+  NL: { postal: /^\d{4} ?[A-Z]{2}$/ },
+  JP: { postal: /^\d{3}-?\d{4}$/ },
+  CN: { postal: /^\d{6}$/ },
+};
+
+const ANY_POSTAL = /^[A-Z0-9][A-Z0-9 -]{1,9}$/;
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+// English name → code, for clients that send "United States"
+const CODES_BY_NAME = new Map(
+  COUNTRY_CODES.map((code) => [regionNames.of(code).toLowerCase(), code]),
+);
+CODES_BY_NAME.set("usa", "US");
+CODES_BY_NAME.set("united states of america", "US");
+CODES_BY_NAME.set("uk", "GB");
+
+// ISO code for a code or English country name, or null
+export function resolveCountry(country) {
+  if (typeof country !== "string") return null;
+  const value = country.trim();
+  if (COUNTRY_CODES.includes(value.toUpperCase())) return value.toUpperCase();
+  return CODES_BY_NAME.get(value.toLowerCase()) || null;
+}
+
+// Display name of a country code in a locale (the code when unknown)
+export function countryName(code, locale = "en") {
+  try {
+    return new Intl.DisplayNames([locale || "en"], { type: "region" }).of(
+      code,
+    );
+  } catch {
+    return code;
+  }
+}
+
+// ── Normalizing and validating ─────────────────────────
+
+const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+/**
+ * Canonical shape for an address from a client, the address book or an
+ * old order. Legacy fields fill the canonical ones when those are empty;
+ * country names become codes. Doesn't validate.
+ */
+export function normalizeAddress(input = {}) {
+  const country = text(input.country);
+  return {
+    fullName: text(input.fullName) || text(input.name),
+    phone: text(input.phone),
+    addressLine1: text(input.addressLine1) || text(input.line1),
+    addressLine2: text(input.addressLine2) || text(input.line2),
+    city: text(input.city),
+    state: text(input.state),
+    postalCode: (text(input.postalCode) || text(input.zipCode))
+      .toUpperCase()
+      .replace(/\s+/g, " "),
+    country: resolveCountry(country) || country,
+  };
+}
+
+/**
+ * Normalize an address and check it against its country's rules.
+ * Returns { ok: true, address } or { ok, status, message }.
+ */
+export function validateAddress(input) {
+  const address = normalizeAddress(input);
+  const fail = (message) => ({ ok: false, status: 400, message });
+
+  if (!address.fullName) return fail("Full name is required");
+  if (!address.addressLine1) return fail("Address line 1 is required");
+  if (!address.city) return fail("City is required");
+  if (!COUNTRY_CODES.includes(address.country)) {
+    return fail(
+      address.country
+        ? `Unknown country "${address.country}"`
+        : "Country is required",
+    );
+  }
+
+  const rules = COUNTRY_RULES[address.country] || {};
+  const name = countryName(address.country);
+  if (rules.state && !address.state) {
+    return fail(`A ${rules.state} is required for addresses in ${name}`);
+  }
+  if (rules.postal && !address.postalCode) {
+    return fail(`A postal code is required for addresses in ${name}`);
+  }
+  if (
+    address.postalCode &&
+    !(rules.postal || ANY_POSTAL).test(address.postalCode)
+  ) {
+    return fail(
+      `"${address.postalCode}" isn't a valid postal code for ${name}`,
+    );
+  }
+  if (address.phone && !/^\+?[\d\s().-]{6,20}$/.test(address.phone)) {
+    return fail("Phone number isn't valid");
+  }
+
+  return { ok: true, address };
+}
+
+// ── Address book ────────────────────────────────────────
+
+const notFound = { ok: false, status: 404, message: "Address not found" };
+
+// Keep exactly one default of each kind while any address exists
+function settleDefaults(user) {
+  for (const kind of ["isDefaultShipping", "isDefaultBilling"]) {
+    const defaults = user.addresses.filter((a) => a[kind]);
+    defaults.slice(1).forEach((a) => (a[kind] = false));
+    if (defaults.length === 0 && user.addresses.length > 0) {
+      user.addresses[0][kind] = true;
+    }
+  }
+}
+
+// Make one address the only default of the kinds flagged in `flags`
+function applyDefaults(user, address, flags) {
+  for (const kind of ["isDefaultShipping", "isDefaultBilling"]) {
+    if (flags[kind] === true) {
+      user.addresses.forEach((a) => (a[kind] = a._id.equals(address._id)));
+    }
+  }
+}
+
+const loadUser = (userId) => User.findById(userId).select("addresses");
+
+export async function listAddresses(userId) {
+  const user = await User.findById(userId).select("addresses").lean();
+  return user?.addresses || [];
+}
+
+/**
+ * Save a new address. `input` may carry a label and isDefaultShipping /
+ * isDefaultBilling. Returns { ok, status, message, address }.
+ */
+export async function addAddress(userId, input) {
+  const user = await loadUser(userId);
+  if (!user) return { ok: false, status: 404, message: "User not found" };
+  if (user.addresses.length >= MAX_ADDRESSES) {
+    return {
+      ok: false,
+      status: 400,
+      message: `You can save up to ${MAX_ADDRESSES} addresses`,
+    };
+  }
+
+  const result = validateAddress(input);
+  if (!result.ok) return result;
+
+  user.addresses.push({ ...result.address, label: text(input.label) });
+  const address = user.addresses[user.addresses.length - 1];
+  applyDefaults(user, address, input);
+  settleDefaults(user);
+  await user.save();
+
+  return { ok: true, status: 201, message: "Address saved", address };
+}
+
+// Replace an address's fields; defaults change only when flagged true
+export async function updateAddress(userId, addressId, input) {
+  const user = await loadUser(userId);
+  const address = user?.addresses.id(addressId);
+  if (!address) return notFound;
+
+  const result = validateAddress({ ...address.toObject(), ...input });
+  if (!result.ok) return result;
+
+  address.set({
+    ...result.address,
+    ...(input.label !== undefined && { label: text(input.label) }),
+  });
+  applyDefaults(user, address, input);
+  settleDefaults(user);
+  await user.save();
+
+  return { ok: true, status: 200, message: "Address updated", address };
+}
+
+export async function deleteAddress(userId, addressId) {
+  const user = await loadUser(userId);
+  const address = user?.addresses.id(addressId);
+  if (!address) return notFound;
+
+  address.deleteOne();
+  settleDefaults(user);
+  await user.save();
+
+  return { ok: true, status: 200, message: "Address deleted" };
+}
+
+/**
+ * The user's saved address to ship an order to — the one asked for, or
+ * their default shipping address. Returns the address (plain) or null.
+ */
+export async function findSavedAddress(userId, addressId = null) {
+  const addresses = await listAddresses(userId);
+  return (
+    addresses.find((a) =>
+      addressId ? a._id.toString() === String(addressId) : a.isDefaultShipping,
+    ) || null
+  );
+}
@@ -0,0 +1,119 @@
+import AuditLog from "../models/AuditLog.js";
+
+/**
+ * Audit Service — Records admin mutations with a field-level diff.
+ *
+ * Snapshots are plain objects (lean documents). Nested objects are
+ * flattened to dotted paths; arrays are compared as a whole. Secrets are
+ * redacted and bookkeeping fields ignored. Audit writes never fail the
+ * request — errors are logged and swallowed.
+ */
+
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+const REDACTED_FIELDS = [
+  "password",
+  "otp",
+  "otpExpiry",
+  "resetPasswordToken",
+  "resetPasswordExpiry",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorRecoveryCodes",
+];
+
+// ── Diff ────────────────────────────────────────────────
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  // ObjectIds compare by string
+  typeof value.toHexString !== "function";
+
+function flatten(value, prefix = "", out = {}) {
+  if (!isPlainObject(value)) {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (REDACTED_FIELDS.includes(key)) {
+      out[path] = child == null ? null : "[redacted]";
+    } else {
+      flatten(child, path, out);
+    }
+  }
+  return out;
+}
+
+// JSON-safe copy so Mixed fields store ObjectIds/Dates as strings
+const normalize = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+/**
+ * Field-level changes between two snapshots.
+ * Returns [{ path, before, after }]; a missing snapshot means created/deleted.
+ */
+export function diffSnapshots(before, after) {
+  const a = flatten(normalize(before) || {});
+  const b = flatten(normalize(after) || {});
+  const paths = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+  const changes = [];
+  for (const path of paths) {
+    if (JSON.stringify(a[path]) === JSON.stringify(b[path])) continue;
+    changes.push({
+      path,
+      before: a[path] ?? null,
+      after: b[path] ?? null,
+    });
+  }
+  return changes.sort((x, y) => x.path.localeCompare(y.path));
+}
+
+// ── Recording ───────────────────────────────────────────
+
+/**
+ * Write an audit entry.
+ *   before/after  snapshots (object, or array for bulk actions keyed by _id)
+ */
+export async function recordAudit({
+  req,
+  action,
+  resource,
+  resourceId = null,
+  before = null,
+  after = null,
+  statusCode = null,
+}) {
+  try {
+    const changes =
+      Array.isArray(before) || Array.isArray(after)
+        ? diffSnapshots(keyById(before), keyById(after))
+        : diffSnapshots(before, after);
+
+    await AuditLog.create({
+      actorId: req.user?._id || null,
+      actorEmail: req.user?.email || null,
+      action,
+      resource,
+      resourceId: resourceId ? String(resourceId) : null,
+      changes,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode,
+      ip: req.ip || null,
+      userAgent: req.get("user-agent") || null,
+    });
+  } catch (error) {
+    console.error(`Audit log write failed (${action}):`, error.message);
+  }
+}
+
+// Bulk snapshots diff per document: "<id>.<field>"
+function keyById(docs) {
+  if (!docs) return null;
+  return Object.fromEntries(docs.map((doc) => [String(doc._id), doc]));
+}
@@ -0,0 +1,130 @@
+import User from "../models/User.js";
+import Settings from "../models/Settings.js";
+import { revokeTokens } from "./tokenService.js";
+
+/**
+ * Auth Lockout Service — Locks accounts after repeated failed passwords
+ * or OTP codes, using the limits in Settings.security.
+ *
+ * Counters are incremented atomically on the User document, so parallel
+ * guesses can't slip past the limit. Reaching the limit locks the account
+ * for `lockoutMinutes`, resets the counter and, for OTPs, voids the code
+ * so a fresh one has to be requested.
+ */
+
+const DEFAULT_LIMITS = {
+  sessionTimeout: 30,
+  passwordExpiry: 90,
+  requireAdmin2FA: false,
+  maxLoginAttempts: 5,
+  maxOtpAttempts: 5,
+  lockoutMinutes: 15,
+  authRateLimitWindow: 15,
+  authRateLimitPerIp: 30,
+  authRateLimitPerAccount: 10,
+};
+
+// Settings are read on every auth request — cache them briefly
+const LIMITS_TTL_MS = 30 * 1000;
+let cachedLimits = null;
+let cachedAt = 0;
+
+// ── Limits ──────────────────────────────────────────────
+
+export async function getSecurityLimits() {
+  if (cachedLimits && Date.now() - cachedAt < LIMITS_TTL_MS) {
+    return cachedLimits;
+  }
+  try {
+    const settings = await Settings.getSettings();
+    const security = settings.toObject().security || {};
+    cachedLimits = { ...DEFAULT_LIMITS, ...security };
+  } catch (error) {
+    console.error("Failed to load security settings:", error.message);
+    cachedLimits = cachedLimits || DEFAULT_LIMITS;
+  }
+  cachedAt = Date.now();
+  return cachedLimits;
+}
+
+// Call after Settings.security changes so new limits apply immediately
+export function invalidateSecurityLimits() {
+  cachedLimits = null;
+}
+
+// ── Lockout ─────────────────────────────────────────────
+
+export function isLocked(user) {
+  return Boolean(user.lockUntil && user.lockUntil > Date.now());
+}
+
+export function lockedResponse(user) {
+  const minutes = Math.max(
+    1,
+    Math.ceil((new Date(user.lockUntil).getTime() - Date.now()) / 60000),
+  );
+  return {
+    message: `Too many failed attempts. Your account is locked — try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+    lockedUntil: user.lockUntil,
+  };
+}
+
+const COUNTERS = {
+  password: { field: "failedLoginAttempts", limit: "maxLoginAttempts" },
+  otp: { field: "failedOtpAttempts", limit: "maxOtpAttempts" },
+};
+
+/**
+ * Count a failed attempt. kind = "password" | "otp".
+ * Returns { locked, lockUntil?, remaining }.
+ */
+export async function recordFailure(user, kind) {
+  const { field, limit } = COUNTERS[kind];
+  const limits = await getSecurityLimits();
+  const max = limits[limit];
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { [field]: 1 } },
+    { new: true, projection: { [field]: 1 } },
+  );
+  const attempts = updated?.[field] || 0;
+  if (attempts < max) {
+    return { locked: false, remaining: max - attempts };
+  }
+
+  const lockUntil = new Date(Date.now() + limits.lockoutMinutes * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id },
+    { [field]: 0, lockUntil, lockReason: kind },
+  );
+  if (kind === "otp") {
+    // The code under attack is void — a new one must be requested
+    await revokeTokens(user._id);
+  }
+  console.warn(
+    `🔒 Locked ${user.email} after ${attempts} failed ${kind} attempts`,
+  );
+
+  return { locked: true, lockUntil, remaining: 0 };
+}
+
+export async function clearFailures(user, kind) {
+  const { field } = COUNTERS[kind];
+  if (!user[field]) return;
+  await User.updateOne({ _id: user._id }, { [field]: 0 });
+}
+
+// Admin action — lift a lock and reset both counters
+export async function unlockUser(userId) {
+  return User.findByIdAndUpdate(
+    userId,
+    {
+      lockUntil: null,
+      lockReason: null,
+      failedLoginAttempts: 0,
+      failedOtpAttempts: 0,
+    },
+    { new: true },
+  ).select("-password");
+}
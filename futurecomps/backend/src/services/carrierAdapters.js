@@ -0,0 +1,398 @@
+import crypto from "crypto";
+
+/**
+ * Carrier Adapters — Tracking scans from FedEx, UPS, USPS and DHL.
+ *
+ * Each adapter covers one `tracking.carrier` value:
+ *   isConfigured()                API credentials are set (needed to poll)
+ *   track(trackingNumber)         asks the carrier's tracking API
+ *   verifyWebhook(raw, headers)   checks a pushed update came from the carrier
+ *   parseWebhook(body)            reads a pushed update
+ * track() resolves to, and parseWebhook() returns a list of,
+ *   { trackingNumber, events, estimatedDelivery }
+ * where events are { status, location, description, timestamp }, oldest
+ * first, and status is one of TRACKING_STATUSES.
+ *
+ *   fedex  FEDEX_CLIENT_ID/SECRET; pushes signed with FEDEX_WEBHOOK_SECRET
+ *          (base64 HMAC-SHA256 in `fdx-signature`)
+ *   ups    UPS_CLIENT_ID/SECRET; pushes carry UPS_WEBHOOK_CREDENTIAL in
+ *          the `credential` header
+ *   usps   USPS_CLIENT_ID/SECRET; pushes signed with USPS_WEBHOOK_SECRET
+ *   dhl    DHL_API_KEY; pushes signed with DHL_WEBHOOK_SECRET
+ * USPS and DHL pushes carry a hex HMAC-SHA256 of the body in `x-signature`.
+ * <CARRIER>_API_URL points an adapter elsewhere, e.g. at the local mock in
+ * scripts/mockCarrier.js.
+ */
+
+export const TRACKING_STATUSES = [
+  "label_created",
+  "in_transit",
+  "out_for_delivery",
+  "delivered",
+  "exception",
+];
+
+// ── Helpers ─────────────────────────────────────────────
+
+const place = (...parts) => parts.filter(Boolean).join(", ");
+
+const dateOrNull = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Drop scans without a usable time and put the rest in order
+const tidy = (events) =>
+  events
+    .filter((event) => event.timestamp)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+const sameValue = (given, expected) => {
+  if (!given || !expected) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const hmacMatches = (raw, signature, secret, encoding = "hex") =>
+  Boolean(secret) &&
+  sameValue(
+    signature,
+    crypto.createHmac("sha256", secret).update(raw).digest(encoding),
+  );
+
+async function requestJson(label, url, options = {}) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(
+      body.errors?.[0]?.message ||
+        body.response?.errors?.[0]?.message ||
+        body.detail ||
+        body.message ||
+        `${label} responded ${response.status}`,
+    );
+  }
+  return body;
+}
+
+// OAuth client-credentials tokens, reused until shortly before expiry
+const tokens = new Map();
+
+async function bearerToken(carrier, request) {
+  const cached = tokens.get(carrier);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const { access_token: value, expires_in: expiresIn } = await request();
+  tokens.set(carrier, {
+    value,
+    expiresAt: Date.now() + ((Number(expiresIn) || 3600) - 60) * 1000,
+  });
+  return value;
+}
+
+const notFound = () => new Error("Tracking number not found");
+
+// ── FedEx ───────────────────────────────────────────────
+
+const FEDEX_EVENTS = {
+  OC: "label_created",
+  OD: "out_for_delivery",
+  DL: "delivered",
+  DE: "exception",
+  SE: "exception",
+  CA: "exception",
+};
+
+function fedexResult(result) {
+  const window = result.estimatedDeliveryTimeWindow?.window;
+  return {
+    trackingNumber: result.trackingNumberInfo?.trackingNumber,
+    events: tidy(
+      (result.scanEvents || []).map((event) => ({
+        status: FEDEX_EVENTS[event.eventType] || "in_transit",
+        location: place(
+          event.scanLocation?.city,
+          event.scanLocation?.stateOrProvinceCode,
+          event.scanLocation?.countryCode,
+        ),
+        description: event.eventDescription || "",
+        timestamp: dateOrNull(event.date),
+      })),
+    ),
+    estimatedDelivery: dateOrNull(window?.ends || window?.begins),
+  };
+}
+
+const fedex = {
+  name: "fedex",
+  label: "FedEx",
+  isConfigured: () =>
+    Boolean(process.env.FEDEX_CLIENT_ID && process.env.FEDEX_CLIENT_SECRET),
+  async track(trackingNumber) {
+    const base = process.env.FEDEX_API_URL || "https://apis.fedex.com";
+    const token = await bearerToken("fedex", () =>
+      requestJson("FedEx", `${base}/oauth/token`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          grant_type: "client_credentials",
+          client_id: process.env.FEDEX_CLIENT_ID,
+          client_secret: process.env.FEDEX_CLIENT_SECRET,
+        }),
+      }),
+    );
+    const body = await requestJson(
+      "FedEx",
+      `${base}/track/v1/trackingnumbers`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          includeDetailedScans: true,
+          trackingInfo: [{ trackingNumberInfo: { trackingNumber } }],
+        }),
+      },
+    );
+    const result = body.output?.completeTrackResults?.[0]?.trackResults?.[0];
+    if (!result || result.error) throw notFound();
+    return { ...fedexResult(result), trackingNumber };
+  },
+  verifyWebhook: (raw, headers) =>
+    hmacMatches(
+      raw,
+      headers["fdx-signature"],
+      process.env.FEDEX_WEBHOOK_SECRET,
+      "base64",
+    ),
+  // One track result per push, shaped like the tracking API's
+  parseWebhook: (body) => [fedexResult(body)],
+};
+
+// ── UPS ─────────────────────────────────────────────────
+
+// Activity codes first (out for delivery is an "I" type), then types
+const UPS_CODES = { OT: "out_for_delivery", OF: "out_for_delivery" };
+const UPS_TYPES = {
+  M: "label_created",
+  MV: "label_created",
+  D: "delivered",
+  X: "exception",
+  RS: "exception",
+};
+
+// "20261019" + "143000" → Date
+const upsDate = (date, time = "000000") =>
+  date
+    ? dateOrNull(
+        `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T` +
+          `${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}`,
+      )
+    : null;
+
+const upsStatus = (status = {}) =>
+  UPS_CODES[status.code] || UPS_TYPES[status.type] || "in_transit";
+
+const upsLocation = (address = {}) =>
+  place(address.city, address.stateProvince, address.countryCode);
+
+const ups = {
+  name: "ups",
+  label: "UPS",
+  isConfigured: () =>
+    Boolean(process.env.UPS_CLIENT_ID && process.env.UPS_CLIENT_SECRET),
+  async track(trackingNumber) {
+    const base = process.env.UPS_API_URL || "https://onlinetools.ups.com";
+    const token = await bearerToken("ups", () =>
+      requestJson("UPS", `${base}/security/v1/oauth/token`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          Authorization: `Basic ${Buffer.from(
+            `${process.env.UPS_CLIENT_ID}:${process.env.UPS_CLIENT_SECRET}`,
+          ).toString("base64")}`,
+        },
+        body: new URLSearchParams({ grant_type: "client_credentials" }),
+      }),
+    );
+    const body = await requestJson(
+      "UPS",
+      `${base}/api/track/v1/details/${encodeURIComponent(trackingNumber)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          transId: crypto.randomUUID(),
+          transactionSrc: "store",
+        },
+      },
+    );
+    const pkg = body.trackResponse?.shipment?.[0]?.package?.[0];
+    if (!pkg) throw notFound();
+
+    const expected = (pkg.deliveryDate || []).find((d) => d.date);
+    return {
+      trackingNumber,
+      events: tidy(
+        (pkg.activity || []).map((activity) => ({
+          status: upsStatus(activity.status),
+          location: upsLocation(activity.location?.address),
+          description: activity.status?.description || "",
+          timestamp: upsDate(activity.date, activity.time),
+        })),
+      ),
+      estimatedDelivery: upsDate(expected?.date),
+    };
+  },
+  verifyWebhook: (raw, headers) =>
+    sameValue(headers.credential, process.env.UPS_WEBHOOK_CREDENTIAL),
+  // Track Alert pushes one activity at a time
+  parseWebhook: (body) => [
+    {
+      trackingNumber: body.trackingNumber,
+      events: tidy([
+        {
+          status: upsStatus(body.activityStatus),
+          location: place(
+            body.activityLocation?.city,
+            body.activityLocation?.stateProvince,
+            body.activityLocation?.country,
+          ),
+          description: body.activityStatus?.description || "",
+          timestamp: upsDate(body.localActivityDate, body.localActivityTime),
+        },
+      ]),
+      estimatedDelivery: upsDate(body.scheduledDeliveryDate),
+    },
+  ],
+};
+
+// ── USPS ────────────────────────────────────────────────
+
+const USPS_EVENTS = {
+  GX: "label_created",
+  MA: "label_created",
+  OF: "out_for_delivery",
+  "01": "delivered",
+  "02": "exception",
+  "04": "exception",
+  "05": "exception",
+  "09": "exception",
+};
+
+function uspsResult(result) {
+  return {
+    trackingNumber: result.trackingNumber,
+    events: tidy(
+      (result.trackingEvents || []).map((event) => ({
+        status: USPS_EVENTS[event.eventCode] || "in_transit",
+        location: place(event.eventCity, event.eventState, event.eventCountry),
+        description: event.eventType || "",
+        timestamp: dateOrNull(event.eventTimestamp),
+      })),
+    ),
+    estimatedDelivery: dateOrNull(result.expectedDeliveryDate),
+  };
+}
+
+const usps = {
+  name: "usps",
+  label: "USPS",
+  isConfigured: () =>
+    Boolean(process.env.USPS_CLIENT_ID && process.env.USPS_CLIENT_SECRET),
+  async track(trackingNumber) {
+    const base = process.env.USPS_API_URL || "https://apis.usps.com";
+    const token = await bearerToken("usps", () =>
+      requestJson("USPS", `${base}/oauth2/v3/token`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          grant_type: "client_credentials",
+          client_id: process.env.USPS_CLIENT_ID,
+          client_secret: process.env.USPS_CLIENT_SECRET,
+        }),
+      }),
+    );
+    const body = await requestJson(
+      "USPS",
+      `${base}/tracking/v3/tracking/${encodeURIComponent(
+        trackingNumber,
+      )}?expand=DETAIL`,
+      { headers: { Authorization: `Bearer ${token}` } },
+    );
+    if (!body.trackingEvents) throw notFound();
+    return { ...uspsResult(body), trackingNumber };
+  },
+  verifyWebhook: (raw, headers) =>
+    hmacMatches(raw, headers["x-signature"], process.env.USPS_WEBHOOK_SECRET),
+  parseWebhook: (body) => [uspsResult(body)],
+};
+
+// ── DHL ─────────────────────────────────────────────────
+
+const DHL_EVENTS = {
+  "pre-transit": "label_created",
+  delivered: "delivered",
+  failure: "exception",
+};
+
+const dhlStatus = (event) =>
+  event.statusCode === "transit" && /out for delivery/i.test(event.description)
+    ? "out_for_delivery"
+    : DHL_EVENTS[event.statusCode] || "in_transit";
+
+function dhlResults(body) {
+  return (body.shipments || []).map((shipment) => ({
+    trackingNumber: shipment.id,
+    events: tidy(
+      (shipment.events || []).map((event) => ({
+        status: dhlStatus(event),
+        location: event.location?.address?.addressLocality || "",
+        description: event.description || event.status || "",
+        timestamp: dateOrNull(event.timestamp),
+      })),
+    ),
+    estimatedDelivery: dateOrNull(shipment.estimatedTimeOfDelivery),
+  }));
+}
+
+const dhl = {
+  name: "dhl",
+  label: "DHL",
+  isConfigured: () => Boolean(process.env.DHL_API_KEY),
+  async track(trackingNumber) {
+    const base = process.env.DHL_API_URL || "https://api-eu.dhl.com";
+    const body = await requestJson(
+      "DHL",
+      `${base}/track/shipments?trackingNumber=${encodeURIComponent(
+        trackingNumber,
+      )}`,
+      { headers: { "DHL-API-Key": process.env.DHL_API_KEY } },
+    );
+    const [result] = dhlResults(body);
+    if (!result) throw notFound();
+    return { ...result, trackingNumber };
+  },
+  verifyWebhook: (raw, headers) =>
+    hmacMatches(raw, headers["x-signature"], process.env.DHL_WEBHOOK_SECRET),
+  parseWebhook: dhlResults,
+};
+
+// ── Selection ───────────────────────────────────────────
+
+const CARRIERS = { fedex, ups, usps, dhl };
+
+// Adapter for a `tracking.carrier` value; null for "other" or unknown
+export function getCarrier(name) {
+  return Object.hasOwn(CARRIERS, name) ? CARRIERS[name] : null;
+}
+
+// Carriers that can be polled — env is read per call
+export function configuredCarriers() {
+  return Object.values(CARRIERS)
+    .filter((carrier) => carrier.isConfigured())
+    .map((carrier) => carrier.name);
+}
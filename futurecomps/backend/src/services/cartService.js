@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import Cart from "../models/Cart.js";
+import Product from "../models/Product.js";
+import { quoteTax } from "./taxService.js";
+import { roundMoney } from "./currencyService.js";
+import {
+  checkSelection,
+  getAvailableStock,
+  getUnitPrice,
+} from "./inventoryService.js";
+
+/**
+ * Cart Service — Account and guest carts.
+ *
+ * A signed-in shopper has one cart on their account. A guest's cart is
+ * keyed by an anonymous token: the first cart write creates it and
+ * returns the token once (guestToken in the response), and the client
+ * sends it back in the X-Cart-Token header. Only its sha256 is stored.
+ * Guest carts expire 30 days after their last change (Cart model) and
+ * are merged into the account cart when the guest signs in.
+ */
+
+export const CART_TOKEN_HEADER = "X-Cart-Token";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Filter for a guest cart, or null when the token can't be one of ours
+function guestFilter(token) {
+  if (typeof token !== "string" || !/^[a-f0-9]{64}$/.test(token)) return null;
+  return { guestTokenHash: hashToken(token) };
+}
+
+// Filter for the request's cart, or null for a guest without a token
+export function cartOwner(req) {
+  if (req.user) return { userId: req.user._id };
+  return guestFilter(req.get(CART_TOKEN_HEADER));
+}
+
+/**
+ * The request's cart, or a new unsaved one.
+ * Returns { cart, guestToken? } — guestToken only for a new guest cart.
+ */
+export async function openCart(req) {
+  const owner = cartOwner(req);
+  const cart = owner && (await Cart.findOne(owner));
+  if (cart) return { cart };
+
+  if (req.user) {
+    return { cart: new Cart({ userId: req.user._id, items: [] }) };
+  }
+  const guestToken = crypto.randomBytes(32).toString("hex");
+  return {
+    cart: new Cart({ guestTokenHash: hashToken(guestToken), items: [] }),
+    guestToken,
+  };
+}
+
+/**
+ * Add items to a cart, merging lines for the same product, size and
+ * color. Quantities are capped at available stock and prices refreshed;
+ * inactive or sold-out products are skipped. Doesn't save the cart.
+ *   items [{ productId, quantity, size?, color? }]
+ */
+export async function mergeItems(cart, items) {
+  for (const incoming of items) {
+    const product = await Product.findById(incoming.productId);
+    if (!product || !product.isActive) continue;
+
+    const existingIndex = cart.items.findIndex(
+      (item) =>
+        item.productId.toString() === incoming.productId.toString() &&
+        item.size === (incoming.size || null) &&
+        item.color === (incoming.color || null),
+    );
+
+    const selection = { size: incoming.size, color: incoming.color };
+    const available = getAvailableStock(product, selection);
+    if (available <= 0) continue;
+
+    const effectivePrice = getUnitPrice(product, selection);
+    const qty = Math.min(Number(incoming.quantity) || 1, available);
+
+    if (existingIndex > -1) {
+      const newQty = Math.min(
+        cart.items[existingIndex].quantity + qty,
+        available,
+      );
+      cart.items[existingIndex].quantity = newQty;
+      cart.items[existingIndex].price = effectivePrice;
+    } else {
+      cart.items.push({
+        productId: incoming.productId,
+        quantity: qty,
+        size: incoming.size || null,
+        color: incoming.color || null,
+        sku: checkSelection(product, selection).variant?.sku || null,
+        price: effectivePrice,
+      });
+    }
+  }
+}
+
+/**
+ * Move a guest cart into a user's cart and delete it.
+ * Returns the user's cart, or null when the token has no cart.
+ */
+export async function mergeGuestCart(userId, token) {
+  const filter = guestFilter(token);
+  const guestCart = filter && (await Cart.findOne(filter));
+  if (!guestCart) return null;
+
+  const cart =
+    (await Cart.findOne({ userId })) || new Cart({ userId, items: [] });
+  await mergeItems(cart, guestCart.items);
+  await cart.save();
+  await guestCart.deleteOne();
+  return cart;
+}
+
+/**
+ * Subtotal, coupon discount, tax and total for a cart. Tax uses the
+ * store's current rates, so a rate change shows in carts straight away.
+ */
+export async function cartTotals(cart) {
+  const ids = cart.items.map((item) => item.productId?._id ?? item.productId);
+  const products = await Product.find({ _id: { $in: ids } })
+    .select("category taxClass")
+    .lean();
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  const { subtotal, discount } = cart;
+  const { tax } = await quoteTax(
+    cart.items.map((item, index) => ({
+      price: item.price,
+      quantity: item.quantity,
+      product: byId.get(String(ids[index])),
+    })),
+    { discount },
+  );
+  return {
+    subtotal,
+    discount,
+    tax,
+    total: Math.max(0, roundMoney(subtotal - discount + tax)),
+  };
+}
+
+/**
+ * Bring the carts collection's indexes in line with the Cart model.
+ * Databases from before guest carts have a unique "userId_1" index that
+ * lets only one cart go without a userId, so every guest cart after the
+ * first fails. Runs at startup and from `npm run migrate-carts`; safe to
+ * run again.
+ */
+export async function migrateCartIndexes() {
+  const dropped = await Cart.syncIndexes();
+  if (dropped.length > 0) {
+    console.log(`Dropped cart indexes: ${dropped.join(", ")}`);
+  }
+  return dropped;
+}
@@ -0,0 +1,421 @@
+import mongoose from "mongoose";
+import Category from "../models/Category.js";
+import Product from "../models/Product.js";
+import Settings from "../models/Settings.js";
+
+/**
+ * Category Service — The category tree, and matching the category names
+ * products and shoppers type to it.
+ *
+ * Categories nest through Category.parent. A product belongs to one
+ * category (Product.categoryId) and carries its name in Product.category
+ * for search, tax rates and older clients. Free-text names are matched by
+ * slug, then by name or alias ignoring case, accents, punctuation and
+ * plurals, so "Shoes" and "shoe" are the same category. Filtering by a
+ * category includes its subcategories. Functions return { ok: true, ... }
+ * or { ok: false, status, message }.
+ */
+
+// ── Names ───────────────────────────────────────────────
+
+// Lowercase, without accents: "Électronique" → "electronique"
+const fold = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// "Home & Garden" → "home-garden"; letters of any script are kept
+export function slugify(text) {
+  return fold(text)
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// "accessories" → "accessory", "shoes" → "shoe", "glasses" → "glass"
+function singular(word) {
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (/(ss|us|is)$/.test(word)) return word;
+  if (/(ches|shes|xes|sses)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s")) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * What two category names must share to be the same category: lowercase
+ * singular words without accents, e.g. "Shoes" and "shoe" → "shoe".
+ * Empty for names with no letters or digits — see sameName.
+ */
+export function matchKey(name) {
+  return fold(name)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(singular)
+    .join(" ");
+}
+
+// Whether two names are the same category; names without a key match
+// nothing
+export function sameName(a, b) {
+  const key = matchKey(a);
+  return key !== "" && key === matchKey(b);
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ── Tree ────────────────────────────────────────────────
+
+const bySortOrder = (a, b) =>
+  a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+// Every category, in display order
+export const loadCategories = () =>
+  Category.find().sort({ sortOrder: 1, name: 1 }).lean();
+
+/**
+ * The category named by an id, slug, name or alias, from a loaded list;
+ * null when none matches.
+ */
+export function findCategory(categories, value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (mongoose.isValidObjectId(text)) {
+    const match = categories.find((c) => sameId(c._id, text));
+    if (match) return match;
+  }
+  const slug = text.toLowerCase();
+  return (
+    categories.find((c) => c.slug === slug) ||
+    categories.find((c) => sameName(c.name, text)) ||
+    categories.find((c) =>
+      (c.aliases || []).some((alias) => sameName(alias, text)),
+    ) ||
+    null
+  );
+}
+
+// The category and its parents, top level first
+export function ancestorsOf(categories, id) {
+  const chain = [];
+  let current = categories.find((c) => sameId(c._id, id));
+  while (current && !chain.includes(current)) {
+    chain.unshift(current);
+    current = categories.find((c) => sameId(c._id, current.parent));
+  }
+  return chain;
+}
+
+// Ids of the category and everything under it
+export function descendantIds(categories, id) {
+  const ids = [String(id)];
+  for (let i = 0; i < ids.length; i++) {
+    for (const c of categories) {
+      if (sameId(c.parent, ids[i]) && !ids.includes(String(c._id))) {
+        ids.push(String(c._id));
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Nest categories under their parents. `counts` maps category id → active
+ * products in it; each node gets `productCount` (its own) and
+ * `totalCount` (with subcategories).
+ */
+export function buildTree(categories, counts = new Map()) {
+  const node = (category) => {
+    const children = categories
+      .filter((c) => sameId(c.parent, category._id))
+      .sort(bySortOrder)
+      .map(node);
+    const productCount = counts.get(String(category._id)) || 0;
+    return {
+      _id: category._id,
+      name: category.name,
+      slug: category.slug,
+      parent: category.parent,
+      description: category.description,
+      image: category.image,
+      sortOrder: category.sortOrder,
+      aliases: category.aliases || [],
+      isActive: category.isActive,
+      productCount,
+      totalCount: children.reduce((sum, c) => sum + c.totalCount, productCount),
+      children,
+    };
+  };
+
+  const ids = new Set(categories.map((c) => String(c._id)));
+  return categories
+    .filter((c) => !c.parent || !ids.has(String(c.parent)))
+    .sort(bySortOrder)
+    .map(node);
+}
+
+// Active products per category id
+async function productCounts() {
+  const rows = await Product.aggregate([
+    { $match: { isActive: true, categoryId: { $ne: null } } },
+    { $group: { _id: "$categoryId", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row.count]));
+}
+
+/**
+ * The category tree with product counts. Shoppers only see active
+ * categories whose parents are all active.
+ */
+export async function categoryTree({ includeInactive = false } = {}) {
+  const [categories, counts] = await Promise.all([
+    loadCategories(),
+    productCounts(),
+  ]);
+  const visible = includeInactive
+    ? categories
+    : categories.filter((c) =>
+        ancestorsOf(categories, c._id).every((a) => a.isActive),
+      );
+  return buildTree(visible, counts);
+}
+
+// ── Products ────────────────────────────────────────────
+
+/**
+ * Query conditions for products in the category named by `value` (slug,
+ * name, alias or id) and its subcategories. Names that match no category
+ * fall back to the product's category text, ignoring case.
+ */
+export async function categoryFilter(value) {
+  const categories = await loadCategories();
+  const category = findCategory(categories, value);
+  if (!category) {
+    return {
+      category: new RegExp(`^${escapeRegex(String(value).trim())}$`, "i"),
+    };
+  }
+  return {
+    categoryId: {
+      $in: descendantIds(categories, category._id).map(
+        (id) => new mongoose.Types.ObjectId(id),
+      ),
+    },
+  };
+}
+
+/**
+ * Point a product (a Mongoose document) at the category named by `value`.
+ * Until the store has categories any name is taken as typed.
+ */
+export async function assignCategory(product, value) {
+  if (!String(value || "").trim()) {
+    return { ok: false, status: 400, message: "Product category is required" };
+  }
+  const categories = await loadCategories();
+  const category = findCategory(categories, value);
+  if (!category) {
+    if (categories.length === 0) {
+      product.category = String(value).trim();
+      product.categoryId = null;
+      return { ok: true, category: null };
+    }
+    return {
+      ok: false,
+      status: 400,
+      message: `Unknown category "${value}" — add it under Categories first`,
+    };
+  }
+  product.category = category.name;
+  product.categoryId = category._id;
+  return { ok: true, category };
+}
+
+/**
+ * Where a product sits in the tree, top level first:
+ * [{ _id, name, slug }]. Empty when its category isn't in the tree.
+ */
+export async function breadcrumbsFor(product) {
+  const categories = await loadCategories();
+  const category = product.categoryId
+    ? categories.find((c) => sameId(c._id, product.categoryId))
+    : findCategory(categories, product.category);
+  if (!category) return [];
+  return ancestorsOf(categories, category._id).map((c) => ({
+    _id: c._id,
+    name: c.name,
+    slug: c.slug,
+  }));
+}
+
+// ── Admin ───────────────────────────────────────────────
+
+const list = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+/**
+ * Check a category before it's saved. `current` is the category being
+ * edited (null for a new one); `categories` is every category. Parents
+ * must exist and can't be the category itself or one of its
+ * subcategories; slugs are unique, and so are names among siblings.
+ */
+export function validateCategory(input = {}, categories, current = null) {
+  const fail = (message) => ({ ok: false, status: 400, message });
+  const others = categories.filter((c) => !sameId(c._id, current?._id));
+
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) return fail("Category name is required");
+
+  const slug = slugify(input.slug || name);
+  if (!slug) return fail("The slug needs at least one letter or number");
+  if (others.some((c) => c.slug === slug)) {
+    return fail(`The slug "${slug}" is already used by another category`);
+  }
+
+  let parent = null;
+  if (input.parent) {
+    const found = categories.find((c) => sameId(c._id, input.parent));
+    if (!found) return fail("Parent category not found");
+    if (
+      current &&
+      descendantIds(categories, current._id).includes(String(found._id))
+    ) {
+      return fail(
+        "A category can't be moved under itself or its subcategories",
+      );
+    }
+    parent = found._id;
+  }
+
+  const sibling = others.find(
+    (c) =>
+      String(c.parent ?? "") === String(parent ?? "") &&
+      sameName(c.name, name),
+  );
+  if (sibling) {
+    return fail(`"${sibling.name}" already exists at this level`);
+  }
+
+  const sortOrder = Number(input.sortOrder ?? 0);
+  if (!Number.isFinite(sortOrder)) return fail("Sort order must be a number");
+
+  return {
+    ok: true,
+    category: {
+      name,
+      slug,
+      parent,
+      description:
+        typeof input.description === "string" ? input.description.trim() : "",
+      image: typeof input.image === "string" ? input.image.trim() : "",
+      sortOrder,
+      aliases: [...new Set(list(input.aliases).map((a) => a.toLowerCase()))],
+      isActive: input.isActive ?? true,
+    },
+  };
+}
+
+/**
+ * After a rename, update the name on the category's products and on a tax
+ * rate set for the old name.
+ */
+export async function syncCategoryName(category, previousName) {
+  await Product.updateMany(
+    { categoryId: category._id },
+    { $set: { category: category.name } },
+  );
+
+  const settings = await Settings.getSettings();
+  const rate = (settings.categoryTaxRates || []).find(
+    (r) => sameName(r.category, previousName),
+  );
+  if (rate) {
+    rate.category = category.name;
+    await settings.save();
+  }
+}
+
+// ── Migration ───────────────────────────────────────────
+
+// A slug no other category uses: "shoes", "shoes-2", ...
+function freeSlug(categories, name) {
+  const base = slugify(name) || "category";
+  let slug = base;
+  for (let n = 2; categories.some((c) => c.slug === slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+/**
+ * Link products that have no category yet to the tree, by the category
+ * text they carry. Spellings that match an existing category join it;
+ * the rest are grouped by matchKey ("Shoes", "shoe") and each group
+ * becomes a top-level category named after its most common spelling,
+ * with the other spellings kept as aliases. Safe to run again.
+ * Resolves to { ok, created, linked } — new category names and how many
+ * products were linked.
+ */
+export async function migrateCategories() {
+  const categories = await loadCategories();
+  const rows = await Product.aggregate([
+    { $match: { categoryId: null } },
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+  ]);
+
+  // matchKey → { category, spellings }
+  const groups = new Map();
+  for (const { _id: spelling } of rows) {
+    if (!spelling || !String(spelling).trim()) continue;
+    // Names without a key are only grouped with identical spellings
+    const key = matchKey(spelling) || `=${spelling.trim().toLowerCase()}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        category: findCategory(categories, spelling),
+        spellings: [],
+      });
+    }
+    groups.get(key).spellings.push(spelling);
+  }
+
+  const created = [];
+  let linked = 0;
+  for (const { category: existing, spellings } of groups.values()) {
+    let category = existing;
+    if (!category) {
+      // Rows are most common first
+      const name = spellings[0].trim();
+      category = (
+        await Category.create({ name, slug: freeSlug(categories, name) })
+      ).toObject();
+      categories.push(category);
+      created.push(name);
+    }
+
+    const aliases = spellings
+      .map((s) => s.trim().toLowerCase())
+      .filter(
+        (s) =>
+          s !== category.name.toLowerCase() &&
+          !(category.aliases || []).includes(s),
+      );
+    if (aliases.length > 0) {
+      await Category.updateOne(
+        { _id: category._id },
+        { $addToSet: { aliases: { $each: aliases } } },
+      );
+    }
+
+    const result = await Product.updateMany(
+      { categoryId: null, category: { $in: spellings } },
+      { $set: { categoryId: category._id, category: category.name } },
+    );
+    linked += result.modifiedCount;
+  }
+
+  return { ok: true, created, linked };
+}
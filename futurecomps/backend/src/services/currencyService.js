@@ -0,0 +1,313 @@
+import Settings from "../models/Settings.js";
+import Coupon from "../models/Coupon.js";
+import { updateStripeCouponCurrencies } from "./stripeService.js";
+
+/**
+ * Currency Service — The store's base currency, the currencies shoppers
+ * can pay in, and the exchange rates between them.
+ *
+ * Prices, shipping rates and coupon amounts are kept in the base currency
+ * (Settings.currency). Shoppers pick one of the enabled presentment
+ * currencies (Settings.currencies); checkout converts at
+ * Settings.exchangeRates — units of that currency per one unit of the
+ * base — and rounds each amount to the currency's minor unit before it
+ * reaches Stripe. Rates are kept by staff or imported from
+ * EXCHANGE_RATES_URL. Functions return { ok: true, ... } or
+ * { ok: false, status, message }.
+ */
+
+// Currencies Stripe charges in whole units
+const ZERO_DECIMAL = new Set([
+  "BIF", "CLP", "DJF", "GNF", "JPY", "KMF", "KRW", "MGA",
+  "PYG", "RWF", "UGX", "VND", "VUV", "XAF", "XOF", "XPF",
+]);
+
+// Three-decimal currencies; Stripe wants their last digit to be 0
+const THREE_DECIMAL = new Set(["BHD", "JOD", "KWD", "OMR", "TND"]);
+
+const KNOWN = new Set(Intl.supportedValuesOf("currency"));
+
+// "eur" → "EUR"; null when it isn't an ISO 4217 code
+export function normalizeCurrency(code) {
+  const upper = String(code || "").trim().toUpperCase();
+  return KNOWN.has(upper) ? upper : null;
+}
+
+// ── Rounding ────────────────────────────────────────────
+
+/**
+ * Round an amount to what can be charged in `currency` (whole yen,
+ * cents, or fils to the nearest 10). Defaults to two decimals.
+ */
+export function roundMoney(amount, currency) {
+  const digits = ZERO_DECIMAL.has(String(currency).toUpperCase()) ? 0 : 2;
+  const factor = 10 ** digits;
+  return Math.round((Number(amount) || 0) * factor) / factor;
+}
+
+// Amount in the currency's smallest unit, as Stripe expects it
+export function toMinorUnits(amount, currency) {
+  const code = String(currency).toUpperCase();
+  if (ZERO_DECIMAL.has(code)) return Math.round(amount);
+  if (THREE_DECIMAL.has(code)) return Math.round(amount * 100) * 10;
+  return Math.round(amount * 100);
+}
+
+// Amount reported by Stripe in the smallest unit → a decimal amount
+export function fromMinorUnits(amount, currency) {
+  const code = String(currency).toUpperCase();
+  if (ZERO_DECIMAL.has(code)) return amount || 0;
+  if (THREE_DECIMAL.has(code)) return (amount || 0) / 1000;
+  return (amount || 0) / 100;
+}
+
+// 1234.5, "eur" → "€1,234.50" — for messages shown to staff and shoppers
+export function formatMoney(amount, currency) {
+  const code = normalizeCurrency(currency) || "USD";
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: code,
+  }).format(roundMoney(amount, code));
+}
+
+// ── Rates ───────────────────────────────────────────────
+
+// Units of `currency` per base unit, or null without a rate
+export function exchangeRate(settings, currency) {
+  const code = normalizeCurrency(currency);
+  if (!code) return null;
+  if (code === settings.currency.toUpperCase()) return 1;
+  const entry = (settings.exchangeRates || []).find(
+    (r) => r.currency === code,
+  );
+  return entry?.rate > 0 ? entry.rate : null;
+}
+
+/**
+ * Currencies shoppers can pick: the base plus enabled currencies that
+ * have a rate. [{ code, rate }]
+ */
+export function presentmentCurrencies(settings) {
+  const base = settings.currency.toUpperCase();
+  const codes = [base, ...(settings.currencies || [])];
+  return [...new Set(codes)]
+    .map((code) => ({ code, rate: exchangeRate(settings, code) }))
+    .filter((currency) => currency.rate);
+}
+
+/**
+ * The currency a checkout is charged in: the shopper's pick, or the base
+ * when they made none. `convert` turns a base amount into it, rounded.
+ */
+export function checkoutCurrency(settings, requested) {
+  const base = settings.currency.toUpperCase();
+  const code = requested ? normalizeCurrency(requested) : base;
+  const offered = presentmentCurrencies(settings).find((c) => c.code === code);
+  if (!offered) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Payments in ${String(requested).toUpperCase()} aren't accepted`,
+    };
+  }
+
+  return {
+    ok: true,
+    base,
+    currency: code,
+    rate: offered.rate,
+    convert: (amount) => roundMoney(amount * offered.rate, code),
+  };
+}
+
+/**
+ * Check and apply a currency setup: `currencies` are the enabled
+ * presentment codes, `rates` are [{ currency, rate }] entered by staff.
+ * Rates that didn't change keep their source and date.
+ */
+export function setCurrencies(settings, { currencies, rates }) {
+  const base = settings.currency.toUpperCase();
+
+  let enabled = settings.currencies;
+  if (currencies !== undefined) {
+    if (!Array.isArray(currencies)) {
+      return { ok: false, status: 400, message: "currencies must be a list" };
+    }
+    enabled = [];
+    for (const code of currencies) {
+      const currency = normalizeCurrency(code);
+      if (!currency) {
+        return {
+          ok: false,
+          status: 400,
+          message: `Unknown currency code "${code}"`,
+        };
+      }
+      if (currency !== base && !enabled.includes(currency)) {
+        enabled.push(currency);
+      }
+    }
+  }
+
+  let table = settings.exchangeRates;
+  if (rates !== undefined) {
+    if (!Array.isArray(rates)) {
+      return { ok: false, status: 400, message: "rates must be a list" };
+    }
+    table = [];
+    for (const entry of rates) {
+      const currency = normalizeCurrency(entry?.currency);
+      const rate = Number(entry?.rate);
+      if (!currency) {
+        return {
+          ok: false,
+          status: 400,
+          message: `Unknown currency code "${entry?.currency}"`,
+        };
+      }
+      if (currency === base) {
+        return {
+          ok: false,
+          status: 400,
+          message: `${base} is the base currency; its rate is always 1`,
+        };
+      }
+      if (!(rate > 0)) {
+        return {
+          ok: false,
+          status: 400,
+          message: `The ${currency} rate must be more than 0`,
+        };
+      }
+      const previous = settings.exchangeRates.find(
+        (r) => r.currency === currency,
+      );
+      table.push(
+        previous?.rate === rate
+          ? previous
+          : { currency, rate, source: "manual", updatedAt: new Date() },
+      );
+    }
+  }
+
+  settings.currencies = enabled;
+  settings.exchangeRates = table;
+  return { ok: true, settings };
+}
+
+// ── Import ──────────────────────────────────────────────
+
+/**
+ * Replace the rates of enabled currencies with ones from
+ * EXCHANGE_RATES_URL. The URL may contain {base}; the response must have
+ * a `rates` object keyed by currency code, relative to the base (the
+ * shape most rate APIs return). Currencies missing from it keep their
+ * current rate.
+ */
+export async function importExchangeRates() {
+  const url = process.env.EXCHANGE_RATES_URL;
+  if (!url) {
+    return {
+      ok: false,
+      status: 400,
+      message: "EXCHANGE_RATES_URL isn't set on this server",
+    };
+  }
+
+  const settings = await Settings.getSettings();
+  const base = settings.currency.toUpperCase();
+
+  let rates;
+  try {
+    const response = await fetch(url.replace("{base}", base), {
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    ({ rates } = await response.json());
+    if (!rates || typeof rates !== "object") {
+      throw new Error("no rates in the response");
+    }
+  } catch (error) {
+    return {
+      ok: false,
+      status: 502,
+      message: `Exchange rate import failed: ${error.message}`,
+    };
+  }
+
+  const now = new Date();
+  const imported = settings.currencies.filter(
+    (currency) => Number(rates[currency]) > 0,
+  );
+  settings.exchangeRates = [
+    ...settings.exchangeRates.filter((r) => !imported.includes(r.currency)),
+    ...imported.map((currency) => ({
+      currency,
+      rate: Number(rates[currency]),
+      source: "import",
+      updatedAt: now,
+    })),
+  ];
+  await settings.save();
+  await syncCouponCurrencies(settings);
+
+  return { ok: true, settings, imported };
+}
+
+/**
+ * Run `importExchangeRates` on an interval when EXCHANGE_RATES_URL is set
+ * (long-running servers only).
+ */
+export function startExchangeRateSync(intervalMs = 12 * 60 * 60 * 1000) {
+  if (!process.env.EXCHANGE_RATES_URL) return null;
+  const timer = setInterval(() => {
+    importExchangeRates()
+      .then((result) => {
+        if (!result.ok) console.error("Exchange rates:", result.message);
+      })
+      .catch((error) =>
+        console.error("Exchange rate sync error:", error.message),
+      );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// ── Coupons ─────────────────────────────────────────────
+
+/**
+ * Stripe `currency_options` for a fixed-amount coupon: its amount in each
+ * presentment currency other than the base, at today's rates.
+ */
+export function couponCurrencyOptions(coupon, settings) {
+  const options = {};
+  for (const { code, rate } of presentmentCurrencies(settings)) {
+    if (code === settings.currency.toUpperCase()) continue;
+    options[code.toLowerCase()] = {
+      amount_off: toMinorUnits(
+        roundMoney(coupon.discountValue * rate, code),
+        code,
+      ),
+    };
+  }
+  return options;
+}
+
+/**
+ * Re-price active fixed-amount Stripe coupons after rates change, so
+ * promotion codes take the same value off in every currency.
+ */
+export async function syncCouponCurrencies(settings) {
+  const coupons = await Coupon.find({
+    isActive: true,
+    discountType: "fixed",
+    stripeCouponId: { $ne: null },
+  });
+  for (const coupon of coupons) {
+    await updateStripeCouponCurrencies(
+      coupon.stripeCouponId,
+      couponCurrencyOptions(coupon, settings),
+    );
+  }
+  return coupons.length;
+}
@@ -1,114 +1,43 @@
-import nodemailer from "nodemailer";
-
-// Create transporter
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    service: "gmail",
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD,
-    },
+import { sendMail } from "./mailService.js";
+import { TOKEN_TTL_MINUTES } from "./tokenService.js";
+
+// Account emails — templates live in templates/email/<locale>/.
+// `user` needs email and name; _id and locale are used when present.
+
+const recipient = (user) => ({
+  to: user.email,
+  userId: user._id || null,
+  locale: user.locale || null,
+});
+
+// Send the email verification code (throws so signup can roll back)
+export const sendOTPEmail = async (user, code) => {
+  const result = await sendMail({
+    ...recipient(user),
+    template: "verify-email",
+    data: { name: user.name, code, expiresInMinutes: TOKEN_TTL_MINUTES },
   });
+  if (!result.ok) throw new Error("Failed to send OTP email");
+  return true;
 };
 
-// Send OTP email
-export const sendOTPEmail = async (email, otp, name) => {
-  try {
-    const transporter = createTransporter();
-
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: "Verify Your Email - OTP",
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Email Verification</h2>
-          <p>Hi ${name},</p>
-          <p>Thank you for registering! Please use the following OTP to verify your email address:</p>
-          <div style="background-color: #f4f4f4; padding: 20px; text-align: center; margin: 20px 0;">
-            <h1 style="color: #4CAF50; margin: 0; letter-spacing: 5px;">${otp}</h1>
-          </div>
-          <p>This OTP will expire in 10 minutes.</p>
-          <p>If you didn't request this, please ignore this email.</p>
-          <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
-          <p style="color: #999; font-size: 12px;">This is an automated email, please do not reply.</p>
-        </div>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    return true;
-  } catch (error) {
-    console.error("Error sending OTP email:", error);
-    throw new Error("Failed to send OTP email");
-  }
-};
-
-// Send password reset email
-export const sendPasswordResetEmail = async (email, resetToken, name) => {
-  try {
-    const transporter = createTransporter();
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: "Password Reset Request",
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Password Reset Request</h2>
-          <p>Hi ${name},</p>
-          <p>We received a request to reset your password. Click the button below to reset it:</p>
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${resetUrl}" style="background-color: #4CAF50; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Reset Password</a>
-          </div>
-          <p>Or copy and paste this link in your browser:</p>
-          <p style="background-color: #f4f4f4; padding: 10px; word-break: break-all;">${resetUrl}</p>
-          <p>This link will expire in 1 hour.</p>
-          <p>If you didn't request a password reset, please ignore this email or contact support if you have concerns.</p>
-          <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
-          <p style="color: #999; font-size: 12px;">This is an automated email, please do not reply.</p>
-        </div>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    return true;
-  } catch (error) {
-    console.error("Error sending password reset email:", error);
-    throw new Error("Failed to send password reset email");
-  }
+// Send the password reset code
+export const sendPasswordResetEmail = async (user, code) => {
+  const result = await sendMail({
+    ...recipient(user),
+    template: "password-reset",
+    data: { name: user.name, code, expiresInMinutes: TOKEN_TTL_MINUTES },
+  });
+  if (!result.ok) throw new Error("Failed to send password reset email");
+  return true;
 };
 
-// Send welcome email
-export const sendWelcomeEmail = async (email, name) => {
-  try {
-    const transporter = createTransporter();
-
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: "Welcome to Our Platform!",
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Welcome ${name}! 🎉</h2>
-          <p>Your email has been successfully verified!</p>
-          <p>Thank you for joining our platform. We're excited to have you on board.</p>
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${process.env.FRONTEND_URL}" style="background-color: #4CAF50; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Get Started</a>
-          </div>
-          <p>If you have any questions, feel free to reach out to our support team.</p>
-          <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
-          <p style="color: #999; font-size: 12px;">This is an automated email, please do not reply.</p>
-        </div>
-      `,
-    };
-
-    await transporter.sendMail(mailOptions);
-    return true;
-  } catch (error) {
-    console.error("Error sending welcome email:", error);
-    // Don't throw error for welcome email as it's not critical
-    return false;
-  }
+// Send welcome email — not critical, so failures are only logged
+export const sendWelcomeEmail = async (user) => {
+  const result = await sendMail({
+    ...recipient(user),
+    template: "welcome",
+    data: { name: user.name },
+  });
+  return result.ok;
 };
@@ -0,0 +1,86 @@
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+
+/**
+ * Guest Order Service — Orders placed without an account.
+ *
+ * A guest order has no userId; the email given at checkout (guestEmail)
+ * receives its emails and, together with the order number, finds it
+ * again. Once someone owns that address — signed up and verified — they
+ * can claim the orders into their account.
+ */
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lowercased email, or null when it isn't one
+export function normalizeEmail(email) {
+  if (typeof email !== "string") return null;
+  const normalized = email.trim().toLowerCase();
+  return EMAIL_RE.test(normalized) ? normalized : null;
+}
+
+// Number shown to shoppers: orderId, or the last 8 characters of _id
+export const orderNumber = (order) =>
+  order.orderId || order._id.toString().slice(-8).toUpperCase();
+
+/**
+ * Find an order by its number and the email it was placed with — the
+ * guest email, or the email of the account it belongs to.
+ * Returns the order (lean) or null.
+ */
+export async function findOrderByEmail(number, email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized || typeof number !== "string" || !number.trim()) {
+    return null;
+  }
+
+  const owners = [{ guestEmail: normalized }];
+  const user = await User.findOne({ email: normalized }).select("_id").lean();
+  if (user) owners.push({ userId: user._id });
+
+  const wanted = number.trim().toUpperCase();
+  const shortId = {
+    $toUpper: { $substrCP: [{ $toString: "$_id" }, 16, 8] },
+  };
+  return Order.findOne({
+    $and: [
+      { $or: owners },
+      { $or: [{ orderId: wanted }, { $expr: { $eq: [shortId, wanted] } }] },
+    ],
+  }).lean();
+}
+
+// Guest orders placed with this user's email
+const claimableFilter = (user) => ({ userId: null, guestEmail: user.email });
+
+export async function countClaimableOrders(user) {
+  if (!user.isVerified) return 0;
+  return Order.countDocuments(claimableFilter(user));
+}
+
+/**
+ * Move the guest orders placed with a verified user's email into their
+ * account. Returns { ok, status, message, claimed }.
+ */
+export async function claimGuestOrders(user) {
+  if (!user.isVerified) {
+    return {
+      ok: false,
+      status: 403,
+      message: "Verify your email before claiming orders",
+    };
+  }
+
+  const { modifiedCount } = await Order.updateMany(claimableFilter(user), {
+    $set: { userId: user._id },
+  });
+  return {
+    ok: true,
+    status: 200,
+    message:
+      modifiedCount === 1
+        ? "1 order added to your account"
+        : `${modifiedCount} orders added to your account`,
+    claimed: modifiedCount,
+  };
+}
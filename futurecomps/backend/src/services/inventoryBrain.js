@@ -1,4 +1,10 @@
 import Product from "../models/Product.js";
+import {
+  hasVariants,
+  checkSelection,
+  describeVariants,
+} from "./inventoryService.js";
+import { categoryFilter } from "./categoryService.js";
 
 /**
  * Inventory Brain — Knowledge base for the AI Clerk.
@@ -35,7 +41,7 @@ export async function searchProducts({
   }
 
   if (category) {
-    filter.category = { $regex: new RegExp(category, "i") };
+    Object.assign(filter, await categoryFilter(category));
   }
 
   if (minPrice || maxPrice) {
@@ -51,7 +57,11 @@ export async function searchProducts({
   }
 
   if (sizes && sizes.length > 0) {
-    filter["attributes.sizes"] = { $in: sizes };
+    // Variant products must have the size actually in stock
+    filter.$or = [
+      { variants: { $size: 0 }, "attributes.sizes": { $in: sizes } },
+      { variants: { $elemMatch: { size: { $in: sizes }, stock: { $gt: 0 } } } },
+    ];
   }
 
   if (occasion && occasion.length > 0) {
@@ -95,6 +105,34 @@ export async function checkInventory(productId, { size, color } = {}) {
     };
   }
 
+  // Variant products: check the exact size/color combination
+  if (hasVariants(product)) {
+    const selection = checkSelection(product, { size, color });
+    if (!selection.variant && !size && !color) {
+      return {
+        available: true,
+        stock: product.stock,
+        variants: product.variants.filter((v) => v.stock > 0),
+        product: sanitizeProduct(product),
+      };
+    }
+    if (!selection.ok) {
+      return {
+        available: false,
+        reason: selection.variant
+          ? `${[size, color].filter(Boolean).join(" / ")} is out of stock. In stock: ${describeVariants(product) || "none"}`
+          : selection.message,
+        product: sanitizeProduct(product),
+      };
+    }
+    return {
+      available: true,
+      stock: selection.available,
+      sku: selection.variant.sku,
+      product: sanitizeProduct(product),
+    };
+  }
+
   if (size && product.attributes.sizes.length > 0) {
     if (!product.attributes.sizes.includes(size)) {
       return {
@@ -145,6 +183,9 @@ export function buildProductContext(products) {
         `    Category: ${p.category}`,
         `    Rating: ${p.rating}/5 (${p.reviewCount} reviews)`,
         `    Stock: ${p.stock} available`,
+        ...(hasVariants(p)
+          ? [`    In-stock variants: ${describeVariants(p) || "None"}`]
+          : []),
         `    Colors: ${p.attributes?.colors?.join(", ") || "N/A"}`,
         `    Sizes: ${p.attributes?.sizes?.join(", ") || "N/A"}`,
         `    Tags: ${p.tags?.join(", ") || "None"}`,
@@ -0,0 +1,185 @@
+import Product from "../models/Product.js";
+import { checkLowStock } from "./stockAlertService.js";
+
+/**
+ * Inventory Service — Variant-aware stock lookups and adjustments.
+ *
+ * Products either track one `stock` number, or a list of `variants`
+ * (size/color combinations) each with their own stock. For variant
+ * products `Product.stock` is kept as the sum of all variant stock.
+ * Works with both mongoose documents and lean objects. Every adjustment
+ * re-checks the product against its low-stock threshold.
+ */
+
+const normalize = (value) => (value || "").toString().trim().toLowerCase();
+
+export function hasVariants(product) {
+  return Array.isArray(product?.variants) && product.variants.length > 0;
+}
+
+// ── Lookups ─────────────────────────────────────────────
+
+/**
+ * Find the variant matching a size/color selection (case-insensitive).
+ * Returns null for products without variants or when nothing matches.
+ */
+export function findVariant(product, { size, color } = {}) {
+  if (!hasVariants(product)) return null;
+  return (
+    product.variants.find(
+      (v) =>
+        normalize(v.size) === normalize(size) &&
+        normalize(v.color) === normalize(color),
+    ) || null
+  );
+}
+
+/**
+ * Stock available for a selection. Variant products require a matching
+ * size/color combination; anything else has 0 available.
+ */
+export function getAvailableStock(product, selection = {}) {
+  if (!hasVariants(product)) return product.stock;
+  return findVariant(product, selection)?.stock ?? 0;
+}
+
+/**
+ * Unit price for a selection — variant override, then sale, then list price.
+ */
+export function getUnitPrice(product, selection = {}) {
+  const variant = findVariant(product, selection);
+  if (variant && variant.price != null) return variant.price;
+  return product.discountedPrice ?? product.price;
+}
+
+/**
+ * Human-readable list of in-stock combinations, e.g. "M / Red (3)".
+ */
+export function describeVariants(product) {
+  return product.variants
+    .filter((v) => v.stock > 0)
+    .map((v) => `${[v.size, v.color].filter(Boolean).join(" / ")} (${v.stock})`)
+    .join(", ");
+}
+
+// Quantities come from the client; a negative one would add stock
+export const isValidQuantity = (quantity) =>
+  Number.isInteger(quantity) && quantity > 0;
+
+/**
+ * Validate a size/color selection and quantity against a product.
+ * Returns { ok, variant, available, message }, plus `status: 400` when
+ * the quantity isn't a whole number of at least 1.
+ */
+export function checkSelection(product, { size, color } = {}, quantity = 1) {
+  if (!isValidQuantity(quantity)) {
+    return {
+      ok: false,
+      status: 400,
+      variant: null,
+      available: 0,
+      message: "Quantity must be a whole number of at least 1",
+    };
+  }
+
+  if (!hasVariants(product)) {
+    return {
+      ok: product.stock >= quantity,
+      variant: null,
+      available: product.stock,
+      message: `Only ${product.stock} items in stock`,
+    };
+  }
+
+  const variant = findVariant(product, { size, color });
+  if (!variant) {
+    const label = [size, color].filter(Boolean).join(" / ") || "default";
+    return {
+      ok: false,
+      variant: null,
+      available: 0,
+      message: `"${product.name}" is not available in ${label}. In stock: ${describeVariants(product) || "none"}`,
+    };
+  }
+
+  return {
+    ok: variant.stock >= quantity,
+    variant,
+    available: variant.stock,
+    message: `Only ${variant.stock} left in ${[variant.size, variant.color].filter(Boolean).join(" / ")}`,
+  };
+}
+
+// ── Adjustments ─────────────────────────────────────────
+
+/**
+ * Atomically add `delta` to a product's stock, and to the matching
+ * variant's stock for variant products. Unconditional — use for
+ * restocking and releases; use `decrementStock` to take stock out.
+ */
+export async function adjustStock(productId, { size, color } = {}, delta) {
+  const product = await Product.findById(productId)
+    .select("variants stock")
+    .lean();
+  if (!product) return null;
+
+  const variant = findVariant(product, { size, color });
+  const result =
+    hasVariants(product) && variant
+      ? await Product.updateOne(
+          { _id: productId, "variants._id": variant._id },
+          { $inc: { "variants.$.stock": delta, stock: delta } },
+        )
+      : await Product.updateOne({ _id: productId }, { $inc: { stock: delta } });
+
+  await syncInStock(productId);
+  await checkLowStock(productId);
+  return result;
+}
+
+// pre-save hooks don't run on updateOne, so keep the inStock flag in sync
+async function syncInStock(productId) {
+  await Product.updateOne(
+    { _id: productId },
+    [{ $set: { inStock: { $gt: ["$stock", 0] } } }],
+  );
+}
+
+/**
+ * Conditionally take `quantity` units out of stock. The update only
+ * matches while enough stock remains, so concurrent buyers cannot
+ * oversell. Returns true when the stock was taken; false without
+ * touching stock for an invalid quantity.
+ */
+export async function decrementStock(productId, { size, color } = {}, quantity) {
+  if (!isValidQuantity(quantity)) return false;
+
+  const product = await Product.findById(productId)
+    .select("variants stock")
+    .lean();
+  if (!product) return false;
+
+  let result;
+  if (hasVariants(product)) {
+    const variant = findVariant(product, { size, color });
+    if (!variant) return false;
+    result = await Product.updateOne(
+      {
+        _id: productId,
+        variants: { $elemMatch: { _id: variant._id, stock: { $gte: quantity } } },
+      },
+      { $inc: { "variants.$.stock": -quantity, stock: -quantity } },
+    );
+  } else {
+    result = await Product.updateOne(
+      { _id: productId, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } },
+    );
+  }
+
+  if (result.modifiedCount !== 1) return false;
+
+  await syncInStock(productId);
+  await checkLowStock(productId);
+  return true;
+}
@@ -0,0 +1,125 @@
+import EmailLog from "../models/EmailLog.js";
+import Settings from "../models/Settings.js";
+import { renderTemplate } from "./mailTemplates.js";
+import { getTransport } from "./mailTransports.js";
+
+/**
+ * Mail Service — The one way the backend sends email.
+ *
+ * A message names a template (services/mailTemplates.js) and a locale;
+ * it is rendered with the store name and frontend URL added, delivered
+ * through the configured transport (services/mailTransports.js) and
+ * recorded in the EmailLog. Transient failures are retried with backoff
+ * up to MAIL_MAX_ATTEMPTS times within the request.
+ */
+
+const RETRY_BASE_MS = 500;
+
+const maxAttempts = () => Number(process.env.MAIL_MAX_ATTEMPTS) || 3;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Log writes never fail a send
+const updateLog = (log, update) =>
+  log &&
+  EmailLog.updateOne({ _id: log._id }, update).catch((error) =>
+    console.error("Failed to update email log:", error.message),
+  );
+
+async function storeDetails() {
+  try {
+    const { storeName, storeEmail } = await Settings.getSettings();
+    return { storeName, storeEmail };
+  } catch {
+    return { storeName: "Our Store", storeEmail: null };
+  }
+}
+
+/**
+ * Render and send a templated email.
+ *   to        recipient address
+ *   template  template name, e.g. "verify-email"
+ *   data      template variables
+ *   locale    e.g. "es" — falls back to the default locale
+ *   userId    recipient account, for the log
+ * Returns { ok, status, message, messageId? }.
+ */
+export async function sendMail({
+  to,
+  template,
+  data = {},
+  locale = null,
+  userId = null,
+}) {
+  const store = await storeDetails();
+  const rendered = await renderTemplate(template, locale, {
+    storeName: store.storeName,
+    frontendUrl: process.env.FRONTEND_URL || "http://localhost:5173",
+    ...data,
+  });
+  if (!rendered) {
+    return {
+      ok: false,
+      status: 500,
+      message: `Unknown email template "${template}"`,
+    };
+  }
+
+  const transport = getTransport();
+  const fromAddress =
+    process.env.MAIL_FROM || process.env.EMAIL_USER || store.storeEmail;
+  const message = {
+    from: `"${store.storeName}" <${fromAddress}>`,
+    to,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+  };
+
+  const log = await EmailLog.create({
+    to,
+    userId,
+    template,
+    locale: rendered.locale,
+    subject: rendered.subject,
+    transport: transport.name,
+  }).catch((error) => {
+    console.error("Failed to create email log:", error.message);
+    return null;
+  });
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= maxAttempts(); attempt++) {
+    try {
+      const { messageId } = await transport.send(message);
+      await updateLog(log, {
+        status: "sent",
+        attempts: attempt,
+        messageId,
+        lastError: null,
+        sentAt: new Date(),
+      });
+      return { ok: true, messageId };
+    } catch (error) {
+      lastError = error;
+      console.error(
+        `Email "${template}" to ${to} failed (attempt ${attempt}):`,
+        error.message,
+      );
+      await updateLog(log, { attempts: attempt, lastError: error.message });
+      if (error.permanent) break;
+      if (attempt < maxAttempts()) {
+        await wait(RETRY_BASE_MS * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  await updateLog(log, { status: "failed" });
+  return {
+    ok: false,
+    status: 502,
+    message: `Failed to send email: ${lastError?.message || "unknown error"}`,
+  };
+}
+
+export const activeTransport = () => getTransport().name;
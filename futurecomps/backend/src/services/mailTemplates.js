@@ -0,0 +1,153 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Mail Templates — File-based email templates with per-locale variants.
+ *
+ *   templates/email/layout.html           shared wrapper ({{{content}}})
+ *   templates/email/<locale>/<name>.html  body; <title> is the subject
+ *   templates/email/<locale>/strings.json shared strings (e.g. footer)
+ *
+ * `{{name}}` is HTML-escaped, `{{{name}}}` is inserted as is; dotted paths
+ * (`{{order.total}}`) work. `{{#if name}}…{{/if}}` keeps its content when
+ * the value is truthy, and `{{#each list}}…{{/each}}` repeats it per entry
+ * with the entry's fields in scope (blocks of the same kind don't nest).
+ * A locale like "es-MX" falls back to "es" and then to the default locale,
+ * per template. Files are read once.
+ */
+
+const TEMPLATE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../templates/email",
+);
+
+const defaultLocale = () => process.env.MAIL_DEFAULT_LOCALE || "en";
+
+const cache = new Map();
+
+async function readTemplateFile(...parts) {
+  const file = path.join(TEMPLATE_DIR, ...parts);
+  if (!cache.has(file)) {
+    cache.set(
+      file,
+      fs.readFile(file, "utf8").catch((error) => {
+        if (error.code === "ENOENT") return null;
+        cache.delete(file);
+        throw error;
+      }),
+    );
+  }
+  return cache.get(file);
+}
+
+// ── Rendering ───────────────────────────────────────────
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[c],
+  );
+
+const lookup = (data, key) =>
+  key.split(".").reduce((value, part) => value?.[part], data) ?? "";
+
+const TOKEN =
+  /\{\{#(if|each)\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\1\}\}|\{\{(\{)?\s*([\w.]+)\s*\}\}(\})?/g;
+
+// One pass, so inserted values are never expanded again
+function interpolate(template, data) {
+  return template.replace(
+    TOKEN,
+    (match, block, blockKey, inner, open, key, close) => {
+      if (block === "if") {
+        const value = lookup(data, blockKey);
+        const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+        return truthy ? interpolate(inner, data) : "";
+      }
+      if (block === "each") {
+        const list = lookup(data, blockKey);
+        return Array.isArray(list)
+          ? list
+              .map((entry) => interpolate(inner, { ...data, ...entry }))
+              .join("")
+          : "";
+      }
+      const value = lookup(data, key);
+      return open && close ? String(value) : escapeHtml(value);
+    },
+  );
+}
+
+// Plain-text alternative for clients that don't show HTML
+const toText = (html) =>
+  html
+    .replace(/<(br|\/p|\/h\d|\/div|\/tr|hr)[^>]*>/gi, "\n")
+    .replace(/<\/t[dh]>\s*/gi, " ")
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, "$2: $1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, " ")
+    .replace(/^ | $/gm, "")
+    .replace(/\n\s*\n+/g, "\n\n")
+    .trim();
+
+// "es-MX" → "es-mx"; anything that isn't a language tag → null
+export function normalizeLocale(locale) {
+  const tag = String(locale || "").toLowerCase();
+  return /^[a-z]{2}(-[a-z0-9]{2,4})?$/.test(tag) ? tag : null;
+}
+
+// "es-MX" → ["es-mx", "es", "en"]
+function localeChain(locale) {
+  const tag = normalizeLocale(locale);
+  const chain = tag ? [tag, tag.split("-")[0]] : [];
+  chain.push(defaultLocale());
+  return [...new Set(chain)];
+}
+
+/**
+ * Render a template for a locale.
+ * Returns { locale, subject, html, text }, or null for an unknown template.
+ */
+export async function renderTemplate(name, locale, data = {}) {
+  if (!/^[a-z0-9-]+$/.test(name)) return null;
+
+  for (const candidate of localeChain(locale)) {
+    const body = await readTemplateFile(candidate, `${name}.html`);
+    if (body === null) continue;
+
+    const strings = JSON.parse(
+      (await readTemplateFile(candidate, "strings.json")) || "{}",
+    );
+    const layout = (await readTemplateFile("layout.html")) || "{{{content}}}";
+    const vars = { ...strings, ...data };
+
+    const title = body.match(/<title>([\s\S]*?)<\/title>/i);
+    const content = interpolate(body.replace(title?.[0] || "", ""), vars);
+    // Spliced in after rendering so values in the body aren't re-expanded
+    const html = layout
+      .split(/\{\{\{\s*content\s*\}\}\}/)
+      .map((part) => interpolate(part, vars))
+      .join(content.trim());
+
+    return {
+      locale: candidate,
+      subject: title ? toText(interpolate(title[1], vars)) : name,
+      html,
+      text: toText(html),
+    };
+  }
+  return null;
+}
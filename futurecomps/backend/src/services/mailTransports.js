@@ -0,0 +1,140 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+/**
+ * Mail Transports — Where rendered emails are delivered.
+ *
+ *   smtp     nodemailer; SMTP_HOST/PORT/USER/PASSWORD, or Gmail with
+ *            EMAIL_USER/EMAIL_PASSWORD
+ *   api      HTTP mail API (SES/Postmark/Resend style): POSTs JSON to
+ *            MAIL_API_URL with MAIL_API_KEY as a bearer token
+ *   file     writes each message as JSON to MAIL_OUTBOX_DIR (for tests)
+ *   console  logs the message (default when nothing is configured)
+ *
+ * MAIL_TRANSPORT picks one. Each transport has `send(message)` resolving
+ * to { messageId }. Errors with `permanent: true` aren't worth retrying.
+ */
+
+// ── SMTP ────────────────────────────────────────────────
+
+let smtpTransporter = null;
+
+const smtp = {
+  name: "smtp",
+  async send(message) {
+    smtpTransporter ??= process.env.SMTP_HOST
+      ? nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === "true",
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined,
+        })
+      : nodemailer.createTransport({
+          service: "gmail",
+          auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASSWORD,
+          },
+        });
+
+    try {
+      const info = await smtpTransporter.sendMail(message);
+      return { messageId: info.messageId };
+    } catch (error) {
+      // 5xx replies (bad mailbox, rejected sender) won't succeed on retry
+      if (error.responseCode >= 500) error.permanent = true;
+      throw error;
+    }
+  },
+};
+
+// ── HTTP API ────────────────────────────────────────────
+
+const api = {
+  name: "api",
+  async send(message) {
+    if (!process.env.MAIL_API_URL) {
+      throw Object.assign(new Error("MAIL_API_URL is not set"), {
+        permanent: true,
+      });
+    }
+    const response = await fetch(process.env.MAIL_API_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.MAIL_API_KEY}`,
+      },
+      body: JSON.stringify({
+        from: message.from,
+        to: [message.to],
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+      }),
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(
+        body.message || `Mail API responded ${response.status}`,
+      );
+      // Rate limits are worth another try; other 4xx mean a bad request
+      error.permanent =
+        response.status >= 400 &&
+        response.status < 500 &&
+        response.status !== 429;
+      throw error;
+    }
+    return { messageId: body.id || body.messageId || body.MessageId || null };
+  },
+};
+
+// ── Local sinks ─────────────────────────────────────────
+
+const outboxDir = () =>
+  process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), "mail-outbox");
+
+const file = {
+  name: "file",
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    await fs.mkdir(outboxDir(), { recursive: true });
+    await fs.writeFile(
+      path.join(outboxDir(), `${messageId}.json`),
+      JSON.stringify(message, null, 2),
+    );
+    return { messageId };
+  },
+};
+
+const consoleSink = {
+  name: "console",
+  async send(message) {
+    // Bodies can hold sign-in codes — kept out of production logs
+    const body =
+      process.env.NODE_ENV === "production" ? "" : `\n${message.text}`;
+    console.log(
+      `📧 [mail] to=${message.to} subject="${message.subject}"${body}`,
+    );
+    return { messageId: null };
+  },
+};
+
+// ── Selection ───────────────────────────────────────────
+
+const TRANSPORTS = { smtp, api, file, console: consoleSink };
+
+// Env is read per call — dotenv runs after modules load
+export function getTransport() {
+  const configured = process.env.MAIL_TRANSPORT;
+  if (configured && TRANSPORTS[configured]) return TRANSPORTS[configured];
+  if (configured) {
+    console.warn(`Unknown MAIL_TRANSPORT "${configured}", using console`);
+    return consoleSink;
+  }
+  return process.env.SMTP_HOST || process.env.EMAIL_USER ? smtp : consoleSink;
+}
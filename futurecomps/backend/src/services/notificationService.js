@@ -0,0 +1,83 @@
+import User from "../models/User.js";
+import { sendPushToUsers } from "./pushService.js";
+import { orderNumber } from "./guestOrderService.js";
+
+/**
+ * Notification Service — Push notifications for one shopper.
+ *
+ * Every event belongs to a topic the user can switch off in their profile
+ * (User.pushTopics) and goes to each device they registered through
+ * POST /api/push/subscribe. Devices whose endpoint has expired are pruned
+ * by pushService as sends fail. Notifying never throws — a lost push
+ * mustn't fail the change that triggered it.
+ */
+
+export const PUSH_TOPICS = [
+  "orderUpdates",
+  "priceDrops",
+  "backInStock",
+  "marketing",
+];
+
+const ORDERS_URL = "/profile?section=orders";
+
+const ORDER_STATUS_MESSAGES = {
+  processing: "We're getting your order ready.",
+  shipped: "Your order is on its way.",
+  delivered: "Your order has been delivered.",
+  cancelled: "Your order was cancelled.",
+  refunded: "Your order was refunded.",
+};
+
+const orderTitle = (order) => `Order ${orderNumber(order)}`;
+
+/**
+ * Push an event to all of a user's devices.
+ *   event { topic, title, body, url? } — topic is one of PUSH_TOPICS,
+ *   url is opened when the notification is clicked
+ * Returns how many devices it reached.
+ */
+export async function notify(userId, event) {
+  const { topic, ...payload } = event;
+  if (!PUSH_TOPICS.includes(topic)) {
+    throw new Error(`Unknown push topic "${topic}"`);
+  }
+
+  try {
+    // Not lean, so users saved before pushTopics existed get the defaults
+    const user = await User.findById(userId).select("isActive pushTopics");
+    if (!user?.isActive || !user.pushTopics[topic]) return 0;
+
+    return await sendPushToUsers([user._id], payload);
+  } catch (error) {
+    console.error(`Push ${topic} for ${userId} failed:`, error.message);
+    return 0;
+  }
+}
+
+// ── Orders ──────────────────────────────────────────────
+
+// After an order moves to a new status (guest orders have no devices)
+export async function notifyOrderStatus(order) {
+  const body = ORDER_STATUS_MESSAGES[order.status];
+  if (!body || !order.userId) return 0;
+
+  return notify(order.userId, {
+    topic: "orderUpdates",
+    title: orderTitle(order),
+    body,
+    url: ORDERS_URL,
+  });
+}
+
+// After a tracking entry is added to a shipped order
+export async function notifyTrackingUpdate(order, entry) {
+  if (!order.userId) return 0;
+  const where = entry.location ? ` — ${entry.location}` : "";
+  return notify(order.userId, {
+    topic: "orderUpdates",
+    title: orderTitle(order),
+    body: `${entry.description || `Tracking update: ${entry.status}`}${where}`,
+    url: ORDERS_URL,
+  });
+}
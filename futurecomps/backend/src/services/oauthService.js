@@ -0,0 +1,409 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import OAuthState from "../models/OAuthState.js";
+import { revokeTokens } from "./tokenService.js";
+import { normalizeLocale } from "./mailTemplates.js";
+
+/**
+ * OAuth Service — Social sign-in with OAuth2 / OpenID Connect providers.
+ *
+ * The browser is sent to the provider with a random `state` and a PKCE
+ * challenge, and comes back to the frontend at
+ * `${FRONTEND_URL}/auth/callback/<provider>`, which posts the code here.
+ * The code is exchanged server-side and the identity is read from the
+ * provider's userinfo API.
+ *
+ * Signing in finds the user by linked identity first, then by verified
+ * email (linking the provider), and otherwise creates a verified account.
+ * Signed-in users can also link and unlink providers from their profile.
+ *
+ * Providers are configured from the environment and only offered when
+ * their client id and secret are set. OIDC providers need just an issuer;
+ * endpoints come from discovery. The generic "oidc" provider points at
+ * any issuer — e.g. the local mock in scripts/mockOidcProvider.js.
+ */
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// ── Providers ───────────────────────────────────────────
+
+const PROVIDERS = {
+  google: {
+    name: "Google",
+    env: "GOOGLE",
+    issuer: () => "https://accounts.google.com",
+    scope: "openid email profile",
+  },
+  github: {
+    name: "GitHub",
+    env: "GITHUB",
+    authorizationUrl: "https://github.com/login/oauth/authorize",
+    tokenUrl: "https://github.com/login/oauth/access_token",
+    scope: "read:user user:email",
+    fetchProfile: fetchGitHubProfile,
+  },
+  oidc: {
+    name: () => process.env.OIDC_NAME || "Single sign-on",
+    env: "OIDC",
+    issuer: () => process.env.OIDC_ISSUER,
+    scope: "openid email profile",
+  },
+};
+
+// Env is read per call — dotenv runs after modules load
+function resolveProvider(id) {
+  const provider = Object.hasOwn(PROVIDERS, id) ? PROVIDERS[id] : null;
+  if (!provider) return null;
+
+  const clientId = process.env[`${provider.env}_CLIENT_ID`];
+  const clientSecret = process.env[`${provider.env}_CLIENT_SECRET`];
+  const issuer = provider.issuer?.();
+  if (!clientId || !clientSecret || (provider.issuer && !issuer)) return null;
+
+  return {
+    ...provider,
+    id,
+    name: typeof provider.name === "function" ? provider.name() : provider.name,
+    clientId,
+    clientSecret,
+    issuer,
+  };
+}
+
+const redirectUri = (id) =>
+  `${process.env.FRONTEND_URL || "http://localhost:5173"}/auth/callback/${id}`;
+
+const unknownProvider = {
+  ok: false,
+  status: 404,
+  message: "This sign-in provider isn't available",
+};
+
+// Configured providers, for the sign-in buttons
+export function listProviders() {
+  return Object.keys(PROVIDERS)
+    .map(resolveProvider)
+    .filter(Boolean)
+    .map(({ id, name }) => ({ id, name }));
+}
+
+// ── Provider APIs ───────────────────────────────────────
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", ...options.headers },
+  });
+  if (!response.ok) {
+    const error = new Error(`${url} responded ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+// OIDC discovery documents rarely change — fetched once per issuer
+const discoveryCache = new Map();
+
+async function endpoints(provider) {
+  if (!provider.issuer) {
+    return {
+      authorization_endpoint: provider.authorizationUrl,
+      token_endpoint: provider.tokenUrl,
+    };
+  }
+  const issuer = provider.issuer.replace(/\/$/, "");
+  if (!discoveryCache.has(issuer)) {
+    const loading = fetchJson(`${issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(issuer, loading);
+    loading.catch(() => discoveryCache.delete(issuer));
+  }
+  return discoveryCache.get(issuer);
+}
+
+// Standard OIDC claims from the userinfo endpoint
+async function fetchOidcProfile(accessToken, provider) {
+  const { userinfo_endpoint } = await endpoints(provider);
+  const claims = await fetchJson(userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  return {
+    subject: String(claims.sub),
+    email: claims.email?.toLowerCase() || null,
+    emailVerified: claims.email_verified === true,
+    name: claims.name || claims.preferred_username || null,
+    avatar: claims.picture || null,
+    locale: claims.locale || null,
+  };
+}
+
+// GitHub isn't OIDC — the verified primary email is a separate call
+async function fetchGitHubProfile(accessToken) {
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  const [profile, emails] = await Promise.all([
+    fetchJson("https://api.github.com/user", { headers }),
+    fetchJson("https://api.github.com/user/emails", { headers }),
+  ]);
+  const primary = emails.find((e) => e.primary) || null;
+  return {
+    subject: String(profile.id),
+    email: primary?.email.toLowerCase() || null,
+    emailVerified: Boolean(primary?.verified),
+    name: profile.name || profile.login,
+    avatar: profile.avatar_url || null,
+  };
+}
+
+// ── Authorization flow ──────────────────────────────────
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+/**
+ * Start a sign-in (or, with userId, a link) and return the provider URL.
+ * Returns { ok, status, message, url?, state? }.
+ */
+export async function startAuthorization(providerId, { userId = null } = {}) {
+  const provider = resolveProvider(providerId);
+  if (!provider) return unknownProvider;
+
+  const state = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest(),
+  );
+
+  let authorizationEndpoint;
+  try {
+    ({ authorization_endpoint: authorizationEndpoint } =
+      await endpoints(provider));
+  } catch (error) {
+    console.error(`OAuth discovery failed (${providerId}):`, error.message);
+    return {
+      ok: false,
+      status: 502,
+      message: `Could not reach ${provider.name}`,
+    };
+  }
+
+  await OAuthState.create({
+    state,
+    provider: providerId,
+    codeVerifier,
+    userId,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS),
+  });
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri(providerId),
+    scope: provider.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return { ok: true, url: url.toString(), state };
+}
+
+const rejected = (provider) => ({
+  ok: false,
+  status: 400,
+  message: `${provider.name} didn't accept the sign-in. Please try again.`,
+});
+
+/**
+ * Finish the provider round trip: consume the state, exchange the code
+ * and read the identity. `userId` must match the user who started a link.
+ * Returns { ok, status, message, profile? }.
+ */
+export async function completeAuthorization(
+  providerId,
+  { code, state, userId = null },
+) {
+  const provider = resolveProvider(providerId);
+  if (!provider) return unknownProvider;
+  if (typeof code !== "string" || typeof state !== "string") {
+    return { ok: false, status: 400, message: "Missing code or state" };
+  }
+
+  // Single use — deleted as it's read
+  const pending = await OAuthState.findOneAndDelete({
+    state,
+    provider: providerId,
+    userId,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!pending) {
+    return {
+      ok: false,
+      status: 400,
+      message: "This sign-in link has expired. Please try again.",
+    };
+  }
+
+  try {
+    const { token_endpoint } = await endpoints(provider);
+    const tokens = await fetchJson(token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: redirectUri(providerId),
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        code_verifier: pending.codeVerifier,
+      }),
+    });
+    // GitHub reports a bad code with a 200 and an `error` field
+    if (!tokens.access_token) {
+      console.error(`OAuth token error (${providerId}):`, tokens.error);
+      return rejected(provider);
+    }
+
+    const fetchProfile = provider.fetchProfile || fetchOidcProfile;
+    const profile = await fetchProfile(tokens.access_token, provider);
+    return { ok: true, profile };
+  } catch (error) {
+    console.error(`OAuth exchange failed (${providerId}):`, error.message);
+    if (error.status >= 400 && error.status < 500) return rejected(provider);
+    return {
+      ok: false,
+      status: 502,
+      message: `Could not reach ${provider.name}`,
+    };
+  }
+}
+
+// ── Accounts ────────────────────────────────────────────
+
+const identity = (providerId, profile) => ({
+  provider: providerId,
+  subject: profile.subject,
+  email: profile.email,
+  linkedAt: new Date(),
+});
+
+const findByIdentity = (providerId, subject) =>
+  User.findOne({
+    oauthAccounts: { $elemMatch: { provider: providerId, subject } },
+  });
+
+/**
+ * Resolve a sign-in to a user — by linked identity, then by verified
+ * email, otherwise a new account.
+ * Returns { ok, status, message, user?, created? }.
+ */
+export async function findOrCreateUser(providerId, profile) {
+  const linked = await findByIdentity(providerId, profile.subject);
+  if (linked) return { ok: true, user: linked, created: false };
+
+  if (!profile.email || !profile.emailVerified) {
+    return {
+      ok: false,
+      status: 400,
+      message:
+        "Your account with this provider has no verified email address",
+    };
+  }
+
+  const existing = await User.findOne({ email: profile.email });
+  if (existing) {
+    existing.oauthAccounts.push(identity(providerId, profile));
+    if (!existing.isVerified) {
+      // An unfinished signup — its password was never proven to belong to
+      // the email's owner, so it's replaced
+      existing.isVerified = true;
+      existing.password = crypto.randomBytes(32).toString("hex");
+      existing.hasPassword = false;
+    }
+    await existing.save();
+    await revokeTokens(existing._id, "email_verification");
+    return { ok: true, user: existing, created: false };
+  }
+
+  const user = await User.create({
+    name: profile.name || profile.email.split("@")[0],
+    email: profile.email,
+    password: crypto.randomBytes(32).toString("hex"),
+    hasPassword: false,
+    avatar: profile.avatar || "",
+    locale: normalizeLocale(profile.locale),
+    isVerified: true,
+    oauthAccounts: [identity(providerId, profile)],
+  });
+  return { ok: true, user, created: true };
+}
+
+/**
+ * Link a provider identity to a signed-in user.
+ * Returns { ok, status, message }.
+ */
+export async function linkAccount(userId, providerId, profile) {
+  const owner = await findByIdentity(providerId, profile.subject);
+  if (owner) {
+    return owner._id.equals(userId)
+      ? { ok: true, message: "Already linked" }
+      : {
+          ok: false,
+          status: 409,
+          message: "That account is already linked to another user",
+        };
+  }
+
+  const result = await User.updateOne(
+    { _id: userId, "oauthAccounts.provider": { $ne: providerId } },
+    { $push: { oauthAccounts: identity(providerId, profile) } },
+  );
+  if (result.modifiedCount === 0) {
+    return {
+      ok: false,
+      status: 409,
+      message: "Unlink your current account for this provider first",
+    };
+  }
+  return { ok: true, message: "Account linked" };
+}
+
+/**
+ * Unlink a provider, keeping at least one way to sign in.
+ * Returns { ok, status, message }.
+ */
+export async function unlinkAccount(user, providerId) {
+  const accounts = user.oauthAccounts || [];
+  if (!accounts.some((a) => a.provider === providerId)) {
+    return { ok: false, status: 404, message: "Provider is not linked" };
+  }
+  if (!user.hasPassword && accounts.length === 1) {
+    return {
+      ok: false,
+      status: 400,
+      message:
+        "Set a password with Forgot Password before unlinking your only sign-in method",
+    };
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    { $pull: { oauthAccounts: { provider: providerId } } },
+  );
+  return { ok: true, message: "Account unlinked" };
+}
+
+// Linked providers for the profile page
+export function linkedAccounts(user) {
+  return {
+    hasPassword: user.hasPassword !== false,
+    accounts: (user.oauthAccounts || []).map(
+      ({ provider, email, linkedAt }) => ({
+        provider,
+        name: resolveProvider(provider)?.name || provider,
+        email,
+        linkedAt,
+      }),
+    ),
+    providers: listProviders(),
+  };
+}
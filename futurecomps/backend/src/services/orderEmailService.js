@@ -0,0 +1,243 @@
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import Settings from "../models/Settings.js";
+import { sendMail } from "./mailService.js";
+import { orderNumber } from "./guestOrderService.js";
+import { countryName } from "./addressService.js";
+
+/**
+ * Order Email Service — Customer emails across the order lifecycle.
+ *
+ *   confirmation  card payment captured (webhook) or COD order placed
+ *   shipped       order is shipped and has a tracking number, whichever
+ *                 happens last
+ *   delivered     order marked delivered
+ *   refunded      once per refund (partial or full, including returns)
+ *
+ * Each is switched off by Settings.notifications.emailNotifications or
+ * its own setting. An email is claimed in order.emailsSent before it is
+ * sent, so retried webhooks and repeated admin updates don't send it
+ * twice; a failed send releases the claim. Sending never throws — a lost
+ * email mustn't fail the order change that triggered it.
+ *
+ * Guest orders go to order.guestEmail and link to the order lookup page
+ * instead of the profile.
+ */
+
+const ORDER_EMAILS = {
+  confirmation: {
+    template: "order-confirmation",
+    setting: "orderConfirmations",
+  },
+  shipped: { template: "order-shipped", setting: "shippingUpdates" },
+  delivered: { template: "order-delivered", setting: "shippingUpdates" },
+  refunded: { template: "order-refunded", setting: "refundNotifications" },
+};
+
+const CARRIER_NAMES = {
+  fedex: "FedEx",
+  ups: "UPS",
+  usps: "USPS",
+  dhl: "DHL",
+};
+
+// Public tracking page (GET /api/payment/track/:trackingNumber)
+function trackingUrl(trackingNumber) {
+  const base =
+    process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base}/api/payment/track/${encodeURIComponent(trackingNumber)}`;
+}
+
+// ── Formatting ──────────────────────────────────────────
+
+export function moneyFormatter(locale, currency) {
+  try {
+    return new Intl.NumberFormat(locale || "en", {
+      style: "currency",
+      currency: (currency || "usd").toUpperCase(),
+    });
+  } catch {
+    return new Intl.NumberFormat("en", { style: "currency", currency: "USD" });
+  }
+}
+
+function formatDate(date, locale) {
+  try {
+    return new Date(date).toLocaleDateString(locale || "en", {
+      dateStyle: "long",
+    });
+  } catch {
+    return new Date(date).toDateString();
+  }
+}
+
+const itemOptions = (item) =>
+  [item.size, item.color].filter(Boolean).join(" / ");
+
+function formatAddress(address = {}, locale) {
+  const cityLine = [address.city, address.state, address.postalCode]
+    .filter(Boolean)
+    .join(" ");
+  return [
+    address.fullName || address.name,
+    address.addressLine1 || address.line1,
+    address.addressLine2 || address.line2,
+    cityLine,
+    address.country && countryName(address.country, locale),
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+// ── Template data ───────────────────────────────────────
+
+// The account holder, or the guest's contact from checkout
+async function recipientFor(order) {
+  if (order.userId) {
+    return User.findById(order.userId).select("name email locale").lean();
+  }
+  if (!order.guestEmail) return null;
+  return {
+    _id: null,
+    name: order.shippingAddress?.fullName || "",
+    email: order.guestEmail,
+    locale: null,
+  };
+}
+
+// Frontend path that shows the order to this recipient
+function orderPath(order, user) {
+  if (order.userId) return "/profile?section=orders";
+  const query = new URLSearchParams({
+    order: orderNumber(order),
+    email: user.email,
+  });
+  return `/order-lookup?${query}`;
+}
+
+function emailData(order, type, user, { refund } = {}) {
+  const money = moneyFormatter(user.locale, order.currency);
+  const data = {
+    name: user.name,
+    orderNumber: orderNumber(order),
+    orderPath: orderPath(order, user),
+    total: money.format(order.total),
+    cashOnDelivery: order.paymentMethod === "cod",
+    paidByCard: order.paymentMethod !== "cod",
+  };
+
+  if (type === "confirmation") {
+    Object.assign(data, {
+      items: order.items.map((item) => ({
+        name: item.name,
+        options: itemOptions(item),
+        quantity: item.quantity,
+        lineTotal: money.format(item.price * item.quantity),
+      })),
+      subtotal: money.format(order.subtotal),
+      discount: order.discount > 0 ? money.format(order.discount) : "",
+      tax: order.tax > 0 ? money.format(order.tax) : "",
+      shippingMethod: order.shippingRate?.name || "",
+      shipping: money.format(order.shipping || 0),
+      shippingAddress: formatAddress(order.shippingAddress, user.locale),
+    });
+  }
+
+  if (type === "shipped") {
+    const { trackingNumber, carrier, estimatedDelivery } = order.tracking;
+    Object.assign(data, {
+      trackingNumber,
+      carrier: CARRIER_NAMES[carrier] || "",
+      trackingUrl: trackingUrl(trackingNumber),
+      estimatedDelivery: estimatedDelivery
+        ? formatDate(estimatedDelivery, user.locale)
+        : "",
+    });
+  }
+
+  if (type === "refunded") {
+    Object.assign(data, {
+      amount: money.format(refund.amount),
+      fullyRefunded: order.paymentStatus === "refunded",
+      toCard: refund.method === "stripe",
+      manual: refund.method === "manual",
+      items: refund.items
+        .map(({ itemId, quantity }) => {
+          const item = order.items.find(
+            (i) => i._id.toString() === itemId.toString(),
+          );
+          return (
+            item && { name: item.name, options: itemOptions(item), quantity }
+          );
+        })
+        .filter(Boolean),
+    });
+  }
+
+  return data;
+}
+
+// ── Sending ─────────────────────────────────────────────
+
+async function isEnabled(setting) {
+  const { notifications } = await Settings.getSettings();
+  return notifications.emailNotifications && notifications[setting];
+}
+
+async function claim(orderId, key) {
+  const { modifiedCount } = await Order.updateOne(
+    { _id: orderId, emailsSent: { $ne: key } },
+    { $addToSet: { emailsSent: key } },
+  );
+  return modifiedCount === 1;
+}
+
+const release = (orderId, key) =>
+  Order.updateOne({ _id: orderId }, { $pull: { emailsSent: key } });
+
+/**
+ * Email the customer about an order event (see ORDER_EMAILS).
+ *   refund  the refund being announced — required for "refunded"
+ * Returns true when an email was sent.
+ */
+export async function sendOrderEmail(order, type, { refund } = {}) {
+  const config = ORDER_EMAILS[type];
+  if (!config) throw new Error(`Unknown order email "${type}"`);
+
+  // Wait until both are known so the email can link to tracking
+  if (
+    type === "shipped" &&
+    (order.status !== "shipped" || !order.tracking?.trackingNumber)
+  ) {
+    return false;
+  }
+
+  const key = type === "refunded" ? `refund:${refund._id}` : type;
+  try {
+    if (!(await isEnabled(config.setting))) return false;
+
+    const user = await recipientFor(order);
+    if (!user?.email) return false;
+
+    if (!(await claim(order._id, key))) return false;
+
+    const result = await sendMail({
+      to: user.email,
+      userId: user._id,
+      locale: user.locale,
+      template: config.template,
+      data: emailData(order, type, user, { refund }),
+    });
+    if (!result.ok) {
+      await release(order._id, key);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(
+      `Order ${type} email for ${order._id} failed:`,
+      error.message,
+    );
+    return false;
+  }
+}
@@ -0,0 +1,212 @@
+import Order from "../models/Order.js";
+
+/**
+ * Order State Service — Allowed order status transitions per payment
+ * method, plus the order event log.
+ *
+ * Card orders become "paid" only through the Stripe webhook. COD orders
+ * never pass through "paid" — the courier's cash is recorded separately
+ * with collectCash(), which moves paymentStatus to "paid".
+ * Functions return { ok: true, order } or { ok: false, status, message }.
+ */
+
+export const ORDER_TRANSITIONS = {
+  card: {
+    pending: ["cancelled"],
+    paid: ["processing", "shipped", "cancelled", "refunded"],
+    processing: ["shipped", "refunded"],
+    shipped: ["delivered", "refunded"],
+    delivered: ["refunded"],
+    cancelled: [],
+    refunded: [],
+  },
+  cod: {
+    pending: ["processing", "cancelled"],
+    processing: ["shipped", "cancelled"],
+    shipped: ["delivered"],
+    delivered: ["refunded"],
+    cancelled: [],
+    refunded: [],
+  },
+};
+
+// "online" is the legacy name for card payments
+function transitionsFor(paymentMethod) {
+  return paymentMethod === "cod"
+    ? ORDER_TRANSITIONS.cod
+    : ORDER_TRANSITIONS.card;
+}
+
+export function allowedTransitions(order) {
+  return transitionsFor(order.paymentMethod)[order.status] || [];
+}
+
+export function canTransition(order, toStatus) {
+  return allowedTransitions(order).includes(toStatus);
+}
+
+// Customers can only cancel before staff start on an order; staff can
+// cancel from anything ORDER_TRANSITIONS allows
+export const CUSTOMER_CANCELLABLE = ["pending", "paid"];
+
+// Statuses an order of each payment method can be cancelled from — by
+// staff, or by the customer when `customer` is set
+export function cancellableFilter({ customer = false } = {}) {
+  const from = (map) =>
+    Object.keys(map).filter(
+      (status) =>
+        map[status].includes("cancelled") &&
+        (!customer || CUSTOMER_CANCELLABLE.includes(status)),
+    );
+  return {
+    $or: [
+      { paymentMethod: "cod", status: { $in: from(ORDER_TRANSITIONS.cod) } },
+      {
+        paymentMethod: { $ne: "cod" },
+        status: { $in: from(ORDER_TRANSITIONS.card) },
+      },
+    ],
+  };
+}
+
+/**
+ * Build an entry for order.events.
+ *   actorRole "admin" | "customer" | "system" (no actorId)
+ */
+export function orderEvent(
+  type,
+  {
+    from = null,
+    to = null,
+    amount = null,
+    reason = "",
+    actorId = null,
+    actorRole,
+  } = {},
+) {
+  return {
+    type,
+    from,
+    to,
+    amount,
+    reason,
+    actorId,
+    actorRole: actorRole || (actorId ? "admin" : "system"),
+    at: new Date(),
+  };
+}
+
+function transitionError(order) {
+  const allowed = allowedTransitions(order);
+  return {
+    ok: false,
+    status: 400,
+    message: allowed.length
+      ? `A ${order.paymentMethod} order that is ${order.status} can only move to: ${allowed.join(", ")}`
+      : `A ${order.status} order can't change status`,
+  };
+}
+
+// ── Transitions ─────────────────────────────────────────
+
+/**
+ * Move an order to `toStatus` if its payment method allows it.
+ * Cancellation and refunds move money and stock — use refundService.
+ * `history: false` leaves tracking.history alone (carrier scans already
+ * record the move — see trackingService).
+ */
+export async function transitionOrder(
+  orderId,
+  toStatus,
+  { actorId = null, actorRole, reason = "", history = true } = {},
+) {
+  const order = await Order.findById(orderId)
+    .select("status paymentMethod")
+    .lean();
+  if (!order) return { ok: false, status: 404, message: "Order not found" };
+  if (!canTransition(order, toStatus)) return transitionError(order);
+
+  const now = new Date();
+  // Conditional on the status we validated against
+  const updated = await Order.findOneAndUpdate(
+    { _id: orderId, status: order.status },
+    {
+      $set: { status: toStatus, "tracking.lastUpdate": now },
+      $push: {
+        events: orderEvent("status", {
+          from: order.status,
+          to: toStatus,
+          reason,
+          actorId,
+          actorRole,
+        }),
+        ...(history && {
+          "tracking.history": {
+            status: toStatus,
+            description: reason || `Order status updated to ${toStatus}`,
+            timestamp: now,
+          },
+        }),
+      },
+    },
+    { new: true },
+  );
+  if (!updated) {
+    return {
+      ok: false,
+      status: 409,
+      message: "Order status changed concurrently — reload and try again",
+    };
+  }
+
+  return { ok: true, order: updated };
+}
+
+/**
+ * Record that the courier collected cash for a COD order on delivery
+ * (shipped or delivered) and mark it paid.
+ */
+export async function collectCash(
+  orderId,
+  { actorId = null, reason = "" } = {},
+) {
+  const order = await Order.findById(orderId)
+    .select("status paymentMethod paymentStatus total")
+    .lean();
+  if (!order) return { ok: false, status: 404, message: "Order not found" };
+  if (order.paymentMethod !== "cod") {
+    return { ok: false, status: 400, message: "Only COD orders collect cash" };
+  }
+  if (order.paymentStatus !== "pending") {
+    return { ok: false, status: 400, message: "Cash was already collected" };
+  }
+  if (!["shipped", "delivered"].includes(order.status)) {
+    return {
+      ok: false,
+      status: 400,
+      message: "Cash can only be collected once the order has shipped",
+    };
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: orderId, paymentStatus: "pending" },
+    {
+      $set: { paymentStatus: "paid", paidAt: new Date() },
+      $push: {
+        events: orderEvent("payment", {
+          from: "pending",
+          to: "paid",
+          amount: order.total,
+          reason: reason || "Cash collected",
+          actorId,
+        }),
+      },
+    },
+    { new: true },
+  );
+  if (!updated) {
+    return { ok: false, status: 409, message: "Cash was already collected" };
+  }
+
+  return { ok: true, order: updated };
+}
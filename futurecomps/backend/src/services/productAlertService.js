@@ -0,0 +1,227 @@
+import crypto from "crypto";
+import ProductAlert from "../models/ProductAlert.js";
+import User from "../models/User.js";
+import { sendMail } from "./mailService.js";
+import { notify } from "./notificationService.js";
+import { moneyFormatter } from "./orderEmailService.js";
+
+/**
+ * Product Alert Service — Back-in-stock and price-drop alerts for shoppers.
+ *
+ *   back-in-stock  asked for on a sold-out product page; sent once when
+ *                  the product is back in stock, then removed
+ *   price-drop     kept for every wishlisted product; sent when the price
+ *                  (discountedPrice when set) falls below the price the
+ *                  shopper last saw — when they wishlisted it or in the
+ *                  last alert. A rise moves that price back up.
+ *                  Turning one off mutes it (muteAlert) rather than
+ *                  deleting it, so wishlist syncs leave it off.
+ *
+ * An alert is pushed when the user has a device with the topic switched
+ * on, and emailed with an unsubscribe link otherwise. Each alert is
+ * claimed before it is sent so overlapping product edits send it once; a
+ * failed send releases the claim. Checking never throws — a product edit
+ * mustn't fail on alerts.
+ */
+
+export const ALERT_TYPES = ["back-in-stock", "price-drop"];
+
+export const effectivePrice = (product) =>
+  product.discountedPrice ?? product.price;
+
+// ── Unsubscribe links ───────────────────────────────────
+
+const signAlert = (alertId) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`product-alert:${alertId}`)
+    .digest("hex");
+
+export function verifyUnsubscribe(alertId, signature) {
+  if (typeof signature !== "string") return false;
+  const expected = signAlert(alertId);
+  return (
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+}
+
+// Frontend page that confirms with POST /api/alerts/unsubscribe
+function unsubscribeUrl(alert) {
+  const base = process.env.FRONTEND_URL || "http://localhost:5173";
+  return `${base}/unsubscribe?alert=${alert._id}&sig=${signAlert(alert._id)}`;
+}
+
+// ── Wishlist price watching ─────────────────────────────
+
+// Start price-drop alerts at today's price (already watched ones keep
+// theirs)
+export async function watchPrices(userId, products) {
+  if (products.length === 0) return;
+  await ProductAlert.bulkWrite(
+    products.map((product) => ({
+      updateOne: {
+        filter: { userId, productId: product._id, type: "price-drop" },
+        update: { $setOnInsert: { referencePrice: effectivePrice(product) } },
+        upsert: true,
+      },
+    })),
+  );
+}
+
+/**
+ * Turn an alert off. Price-drop alerts are muted — watchPrices recreates
+ * deleted ones on the next wishlist sync; back-in-stock alerts are
+ * deleted. `filter` picks the alert, e.g. { _id, userId }. Resolves to
+ * the alert as it was, or null when none matched.
+ */
+export async function muteAlert(filter) {
+  const alert = await ProductAlert.findOne(filter).lean();
+  if (!alert) return null;
+  if (alert.type === "price-drop") {
+    await ProductAlert.updateOne(
+      { _id: alert._id },
+      { $set: { mutedAt: new Date() } },
+    );
+  } else {
+    await ProductAlert.deleteOne({ _id: alert._id });
+  }
+  return alert;
+}
+
+// Stop price-drop alerts — for every product when productId is omitted
+export async function unwatchPrices(userId, productId = null) {
+  await ProductAlert.deleteMany({
+    userId,
+    type: "price-drop",
+    ...(productId && { productId }),
+  });
+}
+
+// ── Sending ─────────────────────────────────────────────
+
+const ALERTS = {
+  "back-in-stock": { topic: "backInStock", template: "back-in-stock" },
+  "price-drop": { topic: "priceDrops", template: "price-drop" },
+};
+
+async function deliver(alert, product, { oldPrice } = {}) {
+  const { topic, template } = ALERTS[alert.type];
+  const user = await User.findById(alert.userId)
+    .select("name email locale isActive")
+    .lean();
+  if (!user?.isActive) return false;
+
+  const money = moneyFormatter(user.locale, product.currency);
+  const price = money.format(effectivePrice(product));
+  const productPath = `/product/${product._id}`;
+
+  const pushed = await notify(user._id, {
+    topic,
+    title:
+      alert.type === "price-drop"
+        ? `Price drop: ${product.name}`
+        : `Back in stock: ${product.name}`,
+    body:
+      alert.type === "price-drop"
+        ? `Now ${price} (was ${money.format(oldPrice)})`
+        : `Available again at ${price}`,
+    url: productPath,
+  });
+  if (pushed > 0) return true;
+  if (!user.email) return false;
+
+  const result = await sendMail({
+    to: user.email,
+    userId: user._id,
+    locale: user.locale,
+    template,
+    data: {
+      name: user.name,
+      productName: product.name,
+      productPath,
+      price,
+      oldPrice: oldPrice === undefined ? "" : money.format(oldPrice),
+      unsubscribeUrl: unsubscribeUrl(alert),
+    },
+  });
+  return result.ok;
+}
+
+async function sendBackInStock(product) {
+  const alerts = await ProductAlert.find({
+    productId: product._id,
+    type: "back-in-stock",
+  }).lean();
+
+  for (const alert of alerts) {
+    // Removing it is the claim; put it back if the send fails
+    const { deletedCount } = await ProductAlert.deleteOne({ _id: alert._id });
+    if (deletedCount !== 1) continue;
+
+    if (!(await deliver(alert, product))) {
+      const { _id, userId, productId, type } = alert;
+      await ProductAlert.updateOne(
+        { userId, productId, type },
+        { $setOnInsert: { _id } },
+        { upsert: true },
+      );
+    }
+  }
+}
+
+async function sendPriceDrops(product) {
+  const price = effectivePrice(product);
+
+  // Re-arm alerts whose reference is below a raised price
+  await ProductAlert.updateMany(
+    {
+      productId: product._id,
+      type: "price-drop",
+      referencePrice: { $lt: price },
+    },
+    { $set: { referencePrice: price } },
+  );
+
+  const alerts = await ProductAlert.find({
+    productId: product._id,
+    type: "price-drop",
+    referencePrice: { $gt: price },
+    mutedAt: null,
+  }).lean();
+
+  for (const alert of alerts) {
+    const oldPrice = alert.referencePrice;
+    const claimed = await ProductAlert.updateOne(
+      { _id: alert._id, referencePrice: oldPrice },
+      { $set: { referencePrice: price } },
+    );
+    if (claimed.modifiedCount !== 1) continue;
+
+    if (!(await deliver(alert, product, { oldPrice }))) {
+      await ProductAlert.updateOne(
+        { _id: alert._id, referencePrice: price },
+        { $set: { referencePrice: oldPrice } },
+      );
+    }
+  }
+}
+
+/**
+ * Send the alerts a product edit calls for.
+ *   before  { price, stock } — effectivePrice and stock before the edit
+ * Returns nothing; failures are logged.
+ */
+export async function checkProductAlerts(before, product) {
+  if (!product.isActive) return;
+  try {
+    if (before.stock <= 0 && product.stock > 0) {
+      await sendBackInStock(product);
+    }
+    if (effectivePrice(product) !== before.price) {
+      await sendPriceDrops(product);
+    }
+  } catch (error) {
+    console.error(`Product alerts for ${product._id} failed:`, error.message);
+  }
+}
@@ -0,0 +1,74 @@
+import webpush from "web-push";
+import PushSubscription from "../models/PushSubscription.js";
+
+/**
+ * Push Service — Web push delivery to stored subscriptions.
+ *
+ * Needs VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY; without them nothing is sent.
+ * Endpoints the push service reports as gone (404/410) are deleted.
+ * Sending never throws.
+ */
+
+let vapidReady = false;
+
+// Env is read on first send — dotenv runs after modules load
+function ensureVapid() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return false;
+  if (!vapidReady) {
+    webpush.setVapidDetails(
+      "mailto:test@example.com",
+      VAPID_PUBLIC_KEY,
+      VAPID_PRIVATE_KEY,
+    );
+    vapidReady = true;
+  }
+  return true;
+}
+
+const toPushConfig = (sub) => ({
+  endpoint: sub.endpoint,
+  keys: { auth: sub.keys.auth, p256dh: sub.keys.p256dh },
+});
+
+/**
+ * Send one notification to each subscription.
+ *   payload { title, body, url? } — url is opened on click
+ * Returns how many were delivered.
+ */
+export async function sendPush(subscriptions, payload) {
+  if (!ensureVapid()) return 0;
+
+  const body = JSON.stringify(payload);
+  const results = await Promise.all(
+    subscriptions.map((sub) =>
+      webpush
+        .sendNotification(toPushConfig(sub), body)
+        .then(() => true)
+        .catch(async (err) => {
+          if (err.statusCode === 410 || err.statusCode === 404) {
+            console.log("Push subscription gone, removing:", sub.endpoint);
+            await PushSubscription.deleteOne({ _id: sub._id }).catch(() => {});
+          } else {
+            console.error("Error sending notification:", err.message);
+          }
+          return false;
+        }),
+    ),
+  );
+  return results.filter(Boolean).length;
+}
+
+// Every device registered by these users
+export async function sendPushToUsers(userIds, payload) {
+  if (userIds.length === 0) return 0;
+  try {
+    const subscriptions = await PushSubscription.find({
+      userId: { $in: userIds },
+    }).lean();
+    return await sendPush(subscriptions, payload);
+  } catch (error) {
+    console.error("sendPushToUsers error:", error.message);
+    return 0;
+  }
+}
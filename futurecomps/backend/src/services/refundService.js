@@ -0,0 +1,363 @@
+import Order from "../models/Order.js";
+import { createRefund } from "./stripeService.js";
+import { adjustStock } from "./inventoryService.js";
+import { cancellableFilter, orderEvent } from "./orderStateService.js";
+import { sendOrderEmail } from "./orderEmailService.js";
+import { formatMoney, roundMoney, toMinorUnits } from "./currencyService.js";
+
+/**
+ * Refund Service — Full/partial refunds and order cancellation.
+ *
+ * Card orders are refunded through the Stripe Refunds API; COD orders get
+ * a recorded manual refund (cash or bank transfer handled offline).
+ * Returned lines can be restocked. Amounts are in the order's currency
+ * and rounded to its minor unit. Functions return
+ * { ok: true, order, refund? } or { ok: false, status, message }.
+ */
+
+// ── Helpers ─────────────────────────────────────────────
+
+// What the customer actually paid per unit (after discount, incl. tax)
+export function unitPaid(item, currency) {
+  if (item.taxableAmount > 0) {
+    const paid = (item.taxableAmount + item.tax) / item.quantity;
+    return roundMoney(paid, currency);
+  }
+  return item.price;
+}
+
+// Compared in minor units, so float leftovers don't count
+const covers = (amount, total, currency) =>
+  toMinorUnits(amount, currency) >= toMinorUnits(total, currency);
+
+function isCardOrder(order) {
+  return order.paymentMethod !== "cod";
+}
+
+// Was money collected that can be given back? COD only counts once the
+// courier's cash has been recorded (orderStateService.collectCash)
+function hasPayment(order) {
+  if (isCardOrder(order)) return Boolean(order.stripePaymentIntentId);
+  return ["paid", "partially_refunded"].includes(order.paymentStatus);
+}
+
+// Card orders only take stock once the webhook's inventory step ran
+function stockWasTaken(order, statusBefore = order.status) {
+  if (!isCardOrder(order)) return true;
+  return (
+    order.fulfillmentSteps.includes("inventory") || statusBefore !== "pending"
+  );
+}
+
+async function restockLines(order, lines) {
+  for (const { item, quantity } of lines) {
+    await adjustStock(
+      item.productId,
+      { size: item.size, color: item.color },
+      quantity,
+    );
+  }
+}
+
+function applyRefund(order, { amount, lines }) {
+  for (const { item, quantity } of lines) {
+    item.refundedQuantity += quantity;
+  }
+  order.refundedAmount = roundMoney(
+    order.refundedAmount + amount,
+    order.currency,
+  );
+  const fullyRefunded = covers(
+    order.refundedAmount,
+    order.total,
+    order.currency,
+  );
+  order.paymentStatus = fullyRefunded ? "refunded" : "partially_refunded";
+  return fullyRefunded;
+}
+
+// ── Refunds ─────────────────────────────────────────────
+
+/**
+ * Refund an order.
+ *   items   [{ itemId, quantity }] — lines being returned; defaults to all
+ *           remaining units when neither items nor amount are given
+ *   amount  dollars to refund; defaults to what was paid for `items`
+ *   restock put returned units back into stock (default true)
+ *   returnId ReturnRequest this refund settles, if any
+ */
+export async function refundOrder(
+  orderId,
+  {
+    items,
+    amount,
+    reason = "",
+    restock = true,
+    actorId = null,
+    returnId = null,
+  } = {},
+) {
+  const order = await Order.findById(orderId);
+  if (!order) return { ok: false, status: 404, message: "Order not found" };
+
+  if (!hasPayment(order)) {
+    return {
+      ok: false,
+      status: 400,
+      message: "Order has no captured payment to refund",
+    };
+  }
+
+  const remaining = roundMoney(
+    order.total - order.refundedAmount,
+    order.currency,
+  );
+  if (remaining <= 0) {
+    return { ok: false, status: 400, message: "Order is already fully refunded" };
+  }
+
+  // Resolve the lines being returned
+  const requested =
+    items && items.length > 0
+      ? items
+      : amount == null
+        ? order.items.map((i) => ({
+            itemId: i._id,
+            quantity: i.quantity - i.refundedQuantity,
+          }))
+        : [];
+
+  const lines = [];
+  for (const { itemId, quantity } of requested) {
+    const qty = Number(quantity);
+    if (qty <= 0) continue;
+    const item = order.items.id(itemId);
+    if (!item) {
+      return { ok: false, status: 400, message: `Order item ${itemId} not found` };
+    }
+    if (qty > item.quantity - item.refundedQuantity) {
+      return {
+        ok: false,
+        status: 400,
+        message: `Only ${item.quantity - item.refundedQuantity} of "${item.name}" can still be refunded`,
+      };
+    }
+    lines.push({ item, quantity: qty });
+  }
+
+  const linesValue = roundMoney(
+    lines.reduce(
+      (sum, l) => sum + unitPaid(l.item, order.currency) * l.quantity,
+      0,
+    ),
+    order.currency,
+  );
+  // A full refund also returns shipping and rounding leftovers
+  const refundAmount =
+    amount != null
+      ? roundMoney(Number(amount), order.currency)
+      : items && items.length > 0
+        ? Math.min(linesValue, remaining)
+        : remaining;
+
+  if (!(refundAmount > 0)) {
+    return { ok: false, status: 400, message: "Refund amount must be positive" };
+  }
+  if (!covers(remaining, refundAmount, order.currency)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Refund exceeds remaining refundable amount (${formatMoney(
+        remaining,
+        order.currency,
+      )})`,
+    };
+  }
+
+  // Claim the amount first so concurrent refunds can't exceed the total
+  const claimed = await Order.updateOne(
+    { _id: order._id, refundedAmount: order.refundedAmount },
+    { $inc: { refundedAmount: refundAmount } },
+  );
+  if (claimed.modifiedCount !== 1) {
+    return {
+      ok: false,
+      status: 409,
+      message: "Order was refunded concurrently — reload and try again",
+    };
+  }
+
+  const refund = {
+    amount: refundAmount,
+    reason,
+    method: isCardOrder(order) ? "stripe" : "manual",
+    items: lines.map((l) => ({ itemId: l.item._id, quantity: l.quantity })),
+    restocked: restock && lines.length > 0 && stockWasTaken(order),
+    returnId,
+    createdBy: actorId,
+  };
+
+  if (refund.method === "stripe") {
+    try {
+      const stripeRefund = await createRefund({
+        paymentIntentId: order.stripePaymentIntentId,
+        amount: refundAmount,
+        currency: order.currency,
+        reason,
+        metadata: { orderId: order._id.toString(), reason },
+        idempotencyKey: `refund-${order._id}-${order.refunds.length}`,
+      });
+      refund.stripeRefundId = stripeRefund.id;
+    } catch (error) {
+      await Order.updateOne(
+        { _id: order._id },
+        { $inc: { refundedAmount: -refundAmount } },
+      );
+      console.error("Stripe refund error:", error.message);
+      return { ok: false, status: 502, message: `Stripe refund failed: ${error.message}` };
+    }
+  }
+
+  if (refund.restocked) await restockLines(order, lines);
+
+  const fullyRefunded = applyRefund(order, { amount: refundAmount, lines });
+  order.refunds.push(refund);
+  order.events.push(
+    orderEvent("refund", { amount: refundAmount, reason, actorId }),
+  );
+  if (fullyRefunded && !["cancelled", "refunded"].includes(order.status)) {
+    order.events.push(
+      orderEvent("status", {
+        from: order.status,
+        to: "refunded",
+        reason: "Fully refunded",
+        actorId,
+      }),
+    );
+    order.status = "refunded";
+  }
+  await order.save();
+
+  const saved = order.refunds[order.refunds.length - 1];
+  await sendOrderEmail(order, "refunded", { refund: saved });
+
+  return { ok: true, order, refund: saved };
+}
+
+// ── Cancellation ────────────────────────────────────────
+
+/**
+ * Cancel an order that hasn't shipped (see ORDER_TRANSITIONS). Refunds any
+ * payment in full, emailing the customer, and restocks every line. Pass
+ * `userId` to restrict to the owner, who can only cancel from
+ * CUSTOMER_CANCELLABLE statuses.
+ */
+export async function cancelOrder(
+  orderId,
+  { reason = "", userId = null, actorId = null } = {},
+) {
+  const filter = { _id: orderId };
+  if (userId) filter.userId = userId;
+
+  // Flip the status first so a concurrent cancel/ship can't interleave
+  const order = await Order.findOneAndUpdate(
+    { ...filter, ...cancellableFilter({ customer: Boolean(userId) }) },
+    { status: "cancelled", cancelledAt: new Date(), cancellationReason: reason },
+  );
+  if (!order) {
+    const existing = await Order.findOne(filter).select("status").lean();
+    if (!existing) return { ok: false, status: 404, message: "Order not found" };
+    return {
+      ok: false,
+      status: 400,
+      message: `Orders that are ${existing.status} can no longer be cancelled`,
+    };
+  }
+
+  const statusBefore = order.status;
+  const lines = order.items
+    .filter((i) => i.quantity > i.refundedQuantity)
+    .map((i) => ({ item: i, quantity: i.quantity - i.refundedQuantity }));
+  const remaining = roundMoney(
+    order.total - order.refundedAmount,
+    order.currency,
+  );
+
+  let refund = null;
+  if (hasPayment(order) && remaining > 0) {
+    refund = {
+      amount: remaining,
+      reason: reason || "Order cancelled",
+      method: isCardOrder(order) ? "stripe" : "manual",
+      items: lines.map((l) => ({ itemId: l.item._id, quantity: l.quantity })),
+      restocked: stockWasTaken(order, statusBefore),
+      createdBy: actorId || userId,
+    };
+
+    if (refund.method === "stripe") {
+      try {
+        const stripeRefund = await createRefund({
+          paymentIntentId: order.stripePaymentIntentId,
+          reason: "requested_by_customer",
+          metadata: { orderId: order._id.toString(), reason: refund.reason },
+          idempotencyKey: `cancel-${order._id}`,
+        });
+        refund.stripeRefundId = stripeRefund.id;
+      } catch (error) {
+        // Payment couldn't be returned — leave the order as it was
+        await Order.updateOne(
+          { _id: order._id },
+          { status: statusBefore, cancelledAt: null, cancellationReason: null },
+        );
+        console.error("Stripe cancellation refund error:", error.message);
+        return { ok: false, status: 502, message: `Stripe refund failed: ${error.message}` };
+      }
+    }
+  }
+
+  if (stockWasTaken(order, statusBefore)) await restockLines(order, lines);
+
+  order.status = "cancelled";
+  order.cancelledAt = new Date();
+  order.cancellationReason = reason;
+  const actor = {
+    actorId: actorId || userId,
+    actorRole: actorId ? "admin" : userId ? "customer" : "system",
+  };
+  order.events.push(
+    orderEvent("status", {
+      from: statusBefore,
+      to: "cancelled",
+      reason,
+      ...actor,
+    }),
+  );
+  if (refund) {
+    applyRefund(order, { amount: refund.amount, lines });
+    order.refunds.push(refund);
+    order.events.push(
+      orderEvent("refund", {
+        amount: refund.amount,
+        reason: refund.reason,
+        ...actor,
+      }),
+    );
+  }
+
+  if (!order.tracking) order.tracking = { history: [] };
+  order.tracking.history.push({
+    status: "cancelled",
+    description: reason ? `Order cancelled: ${reason}` : "Order cancelled",
+    timestamp: new Date(),
+  });
+  order.tracking.lastUpdate = new Date();
+
+  await order.save();
+
+  if (refund) {
+    const saved = order.refunds[order.refunds.length - 1];
+    await sendOrderEmail(order, "refunded", { refund: saved });
+  }
+
+  return { ok: true, order, refund };
+}
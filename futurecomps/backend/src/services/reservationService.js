@@ -0,0 +1,160 @@
+import { v4 as uuidv4 } from "uuid";
+import StockReservation from "../models/StockReservation.js";
+import { decrementStock, adjustStock } from "./inventoryService.js";
+
+/**
+ * Reservation Service — Holds stock while a shopper is on Stripe checkout.
+ *
+ * Lifecycle of a hold:
+ *   createHolds     → stock is taken out (conditionally, so no oversell)
+ *   convertHolds    → checkout.session.completed; stock stays out
+ *   releaseHolds    → checkout.session.expired / session creation failed
+ *   releaseExpired  → sweeper for holds whose TTL passed without a webhook
+ *
+ * Every status change is a conditional update on `status: "held"`, so a
+ * hold is converted or released exactly once even if events race.
+ */
+
+// Stripe requires session expiry at least 30 minutes after creation
+export const HOLD_TTL_MINUTES = 45;
+// Extra time before the sweeper steps in, so Stripe's own expiry event wins
+const SWEEP_GRACE_MINUTES = 5;
+
+/**
+ * Reserve stock for a set of lines: [{ productId, size, color, quantity }].
+ * All-or-nothing — if any line can't be reserved the earlier ones are put
+ * back. Returns { ok: true, holdId, expiresAt } or { ok: false, line }.
+ */
+export async function createHolds(lines, { userId = null } = {}) {
+  // Opportunistic sweep — serverless deployments have no background timer
+  await releaseExpiredHolds();
+
+  const holdId = uuidv4();
+  const expiresAt = new Date(Date.now() + HOLD_TTL_MINUTES * 60 * 1000);
+  const taken = [];
+
+  for (const line of lines) {
+    const selection = { size: line.size, color: line.color };
+    const ok = await decrementStock(line.productId, selection, line.quantity);
+    if (!ok) {
+      for (const t of taken) {
+        await adjustStock(t.productId, { size: t.size, color: t.color }, t.quantity);
+      }
+      return { ok: false, line };
+    }
+    taken.push(line);
+  }
+
+  await StockReservation.insertMany(
+    taken.map((line) => ({
+      holdId,
+      userId,
+      productId: line.productId,
+      size: line.size || null,
+      color: line.color || null,
+      quantity: line.quantity,
+      expiresAt: new Date(expiresAt.getTime() + SWEEP_GRACE_MINUTES * 60 * 1000),
+    })),
+  );
+
+  return { ok: true, holdId, expiresAt };
+}
+
+/**
+ * Link holds to the Stripe session they were created for.
+ */
+export async function attachSession(holdId, stripeSessionId) {
+  await StockReservation.updateMany({ holdId }, { stripeSessionId });
+}
+
+/**
+ * Convert a checkout's holds into a sale. Returns { converted, missing }
+ * where `missing` are holds that were released or expired before they
+ * could be converted — the caller must take that stock again
+ * (conditionally). Released holds stay released, so a retry reports them
+ * again.
+ */
+export async function convertHolds(holdId) {
+  const holds = await StockReservation.find({
+    holdId,
+    status: { $ne: "converted" },
+  }).lean();
+  let converted = 0;
+  const missing = [];
+
+  for (const hold of holds) {
+    const updated = await StockReservation.findOneAndUpdate(
+      { _id: hold._id, status: "held" },
+      { status: "converted" },
+    );
+    // Matching nothing means it was released since it was read
+    if (updated) converted++;
+    else missing.push(hold);
+  }
+
+  return { converted, missing };
+}
+
+/**
+ * Release a checkout's active holds and put their stock back.
+ */
+export async function releaseHolds(holdId, reason = "cancelled") {
+  const holds = await StockReservation.find({ holdId, status: "held" }).lean();
+  let released = 0;
+
+  for (const hold of holds) {
+    if (await releaseHold(hold._id, reason)) released++;
+  }
+  return released;
+}
+
+/**
+ * Release every hold past its expiry. Safe to run concurrently.
+ */
+export async function releaseExpiredHolds() {
+  const expired = await StockReservation.find({
+    status: "held",
+    expiresAt: { $lte: new Date() },
+  })
+    .select("_id")
+    .lean();
+
+  let released = 0;
+  for (const hold of expired) {
+    if (await releaseHold(hold._id, "expired")) released++;
+  }
+  if (released > 0) {
+    console.log(`Released ${released} expired stock hold(s)`);
+  }
+  return released;
+}
+
+/**
+ * Run `releaseExpiredHolds` on an interval (long-running servers only).
+ */
+export function startReservationSweeper(intervalMs = 60 * 1000) {
+  const timer = setInterval(() => {
+    releaseExpiredHolds().catch((error) =>
+      console.error("Reservation sweeper error:", error.message),
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// ── Helpers ─────────────────────────────────────────────
+
+async function releaseHold(reservationId, reason) {
+  const hold = await StockReservation.findOneAndUpdate(
+    { _id: reservationId, status: "held" },
+    { status: "released", releaseReason: reason },
+  );
+  if (!hold) return false;
+
+  await adjustStock(
+    hold.productId,
+    { size: hold.size, color: hold.color },
+    hold.quantity,
+  );
+  return true;
+}
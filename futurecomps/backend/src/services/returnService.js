@@ -0,0 +1,247 @@
+import Order from "../models/Order.js";
+import ReturnRequest from "../models/ReturnRequest.js";
+import { refundOrder } from "./refundService.js";
+
+/**
+ * Return Service — Customer return (RMA) requests for delivered orders.
+ *
+ * requested → approved → received → refunded, or → rejected before the
+ * parcel is received. Marking a return received issues the refund for
+ * its lines (restocked) through refundService. Functions return
+ * { ok: true, returnRequest } or { ok: false, status, message }.
+ */
+
+const MAX_PHOTOS = 5;
+// Returns still holding units that can't be requested again
+const OPEN_STATUSES = ["requested", "approved", "received"];
+
+// ── Helpers ─────────────────────────────────────────────
+
+// Units per order line that are neither refunded nor in an open return
+export async function getReturnableQuantities(order) {
+  const open = await ReturnRequest.find({
+    orderId: order._id,
+    status: { $in: OPEN_STATUSES },
+  })
+    .select("items")
+    .lean();
+
+  const pending = {};
+  for (const ret of open) {
+    for (const { itemId, quantity } of ret.items) {
+      const key = itemId.toString();
+      pending[key] = (pending[key] || 0) + quantity;
+    }
+  }
+
+  const returnable = {};
+  for (const item of order.items) {
+    const key = item._id.toString();
+    returnable[key] = Math.max(
+      0,
+      item.quantity - item.refundedQuantity - (pending[key] || 0),
+    );
+  }
+  return returnable;
+}
+
+// Only photos uploaded through /api/upload/image to the /returns folder:
+// URLs under the store's IMAGEKIT_URL_ENDPOINT
+function isUploadedPhoto(url) {
+  const endpoint = process.env.IMAGEKIT_URL_ENDPOINT;
+  if (!endpoint || typeof url !== "string") return false;
+  try {
+    const prefix = new URL(`${endpoint.replace(/\/+$/, "")}/returns/`);
+    const photo = new URL(url);
+    return (
+      photo.origin === prefix.origin &&
+      photo.pathname.startsWith(prefix.pathname)
+    );
+  } catch {
+    return false;
+  }
+}
+
+function normalizePhotos(photos = []) {
+  if (!Array.isArray(photos)) return null;
+  const normalized = photos.map((p) =>
+    typeof p === "string"
+      ? { url: p, fileId: null }
+      : { url: p?.url, fileId: p?.fileId || null },
+  );
+  return normalized.every((p) => isUploadedPhoto(p.url)) ? normalized : null;
+}
+
+// Atomically move a return between statuses; null when it isn't in `from`
+function transition(id, from, update) {
+  return ReturnRequest.findOneAndUpdate(
+    { _id: id, status: { $in: from } },
+    update,
+    { new: true },
+  );
+}
+
+async function transitionError(id, action) {
+  const existing = await ReturnRequest.findById(id).select("status").lean();
+  if (!existing) return { ok: false, status: 404, message: "Return not found" };
+  return {
+    ok: false,
+    status: 400,
+    message: `Returns that are ${existing.status} can't be ${action}`,
+  };
+}
+
+// ── Customer ────────────────────────────────────────────
+
+/**
+ * Open a return on a delivered order owned by `userId`.
+ *   items  [{ itemId, quantity }]
+ *   photos [{ url, fileId }] or URLs from /api/upload/image (folder
+ *          /returns)
+ */
+export async function createReturn(
+  orderId,
+  { userId, items, reason, photos = [] },
+) {
+  const order = await Order.findOne({ _id: orderId, userId });
+  if (!order) return { ok: false, status: 404, message: "Order not found" };
+
+  if (order.status !== "delivered") {
+    return {
+      ok: false,
+      status: 400,
+      message: "Only delivered orders can be returned",
+    };
+  }
+  if (!reason || !reason.trim()) {
+    return { ok: false, status: 400, message: "Please tell us why you're returning" };
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return { ok: false, status: 400, message: "Select at least one item to return" };
+  }
+
+  const photoList = normalizePhotos(photos);
+  if (!photoList) {
+    return { ok: false, status: 400, message: "Photos must be uploaded image URLs" };
+  }
+  if (photoList.length > MAX_PHOTOS) {
+    return { ok: false, status: 400, message: `Attach at most ${MAX_PHOTOS} photos` };
+  }
+
+  const returnable = await getReturnableQuantities(order);
+  const lines = [];
+  for (const { itemId, quantity } of items) {
+    const qty = Number(quantity);
+    if (!(qty > 0)) continue;
+    const item = order.items.id(itemId);
+    if (!item) {
+      return { ok: false, status: 400, message: `Order item ${itemId} not found` };
+    }
+    const available = returnable[item._id.toString()];
+    if (!Number.isInteger(qty) || qty > available) {
+      return {
+        ok: false,
+        status: 400,
+        message: `Only ${available} of "${item.name}" can be returned`,
+      };
+    }
+    lines.push({ itemId: item._id, name: item.name, quantity: qty });
+  }
+  if (lines.length === 0) {
+    return { ok: false, status: 400, message: "Select at least one item to return" };
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    orderId: order._id,
+    userId,
+    items: lines,
+    reason: reason.trim(),
+    photos: photoList,
+  });
+
+  return { ok: true, returnRequest };
+}
+
+// ── Admin ───────────────────────────────────────────────
+
+export async function approveReturn(id, { actorId = null, note } = {}) {
+  const returnRequest = await transition(id, ["requested"], {
+    status: "approved",
+    approvedAt: new Date(),
+    handledBy: actorId,
+    ...(note !== undefined && { adminNote: note }),
+  });
+  if (!returnRequest) return transitionError(id, "approved");
+  return { ok: true, returnRequest };
+}
+
+export async function rejectReturn(id, { actorId = null, note } = {}) {
+  const returnRequest = await transition(id, ["requested", "approved"], {
+    status: "rejected",
+    rejectedAt: new Date(),
+    handledBy: actorId,
+    ...(note !== undefined && { adminNote: note }),
+  });
+  if (!returnRequest) return transitionError(id, "rejected");
+  return { ok: true, returnRequest };
+}
+
+/**
+ * Mark the returned parcel as received and refund its lines. A return
+ * left in "received" by a failed refund can be marked again to retry.
+ * On success the result also carries the order's `currency`.
+ */
+export async function receiveReturn(id, { actorId = null, note } = {}) {
+  const returnRequest =
+    (await transition(id, ["approved"], {
+      status: "received",
+      receivedAt: new Date(),
+      handledBy: actorId,
+      ...(note !== undefined && { adminNote: note }),
+    })) || (await ReturnRequest.findOne({ _id: id, status: "received" }));
+  if (!returnRequest) return transitionError(id, "marked received");
+
+  return settleReturn(returnRequest, actorId);
+}
+
+async function settleReturn(returnRequest, actorId) {
+  // A previous attempt may have refunded before it could record it
+  const order = await Order.findById(returnRequest.orderId)
+    .select("refunds currency")
+    .lean();
+  let refund = order?.refunds.find(
+    (r) => r.returnId?.toString() === returnRequest._id.toString(),
+  );
+
+  if (!refund) {
+    const result = await refundOrder(returnRequest.orderId, {
+      items: returnRequest.items.map((i) => ({
+        itemId: i.itemId,
+        quantity: i.quantity,
+      })),
+      reason: `Return ${returnRequest._id}: ${returnRequest.reason}`,
+      restock: true,
+      actorId,
+      returnId: returnRequest._id,
+    });
+    if (!result.ok) {
+      returnRequest.refundError = result.message;
+      await returnRequest.save();
+      return {
+        ok: false,
+        status: result.status,
+        message: `Return received but refund failed: ${result.message}`,
+      };
+    }
+    refund = result.refund;
+  }
+
+  returnRequest.status = "refunded";
+  returnRequest.refundedAt = new Date();
+  returnRequest.refundAmount = refund.amount;
+  returnRequest.refundId = refund._id;
+  returnRequest.refundError = null;
+  await returnRequest.save();
+
+  return { ok: true, returnRequest, currency: order?.currency };
+}
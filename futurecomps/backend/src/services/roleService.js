@@ -0,0 +1,299 @@
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+
+/**
+ * Role Service — Named permission sets for staff accounts.
+ *
+ * A user's `role` names a Role document; its permissions decide which
+ * admin routes they can use (see requirePermission). Any role with at
+ * least one permission counts as staff and can open the admin area.
+ *
+ * The built-in roles are created on first use. "admin" always resolves
+ * to every permission in the catalog, so new permissions reach it
+ * without a migration, and it can't be edited. "user" is the customer
+ * role and has none.
+ */
+
+// ── Permission catalog ──────────────────────────────────
+
+export const PERMISSIONS = {
+  "stats:read": "View dashboard statistics",
+  "users:read": "View users",
+  "users:write": "Edit, activate and unlock users",
+  "users:delete": "Delete users",
+  "roles:manage": "Create and edit roles, assign roles to users",
+  "orders:read": "View orders and returns",
+  "orders:write": "Update order status, tracking and returns",
+  "orders:refund": "Refund orders and receive returns",
+  "products:read": "View all products, including inactive ones",
+  "products:write": "Create and edit products",
+  "products:delete": "Deactivate products",
+  "pricing:read": "See bottom prices and negotiation coupons",
+  "pricing:write": "Set bottom prices and negotiation",
+  "coupons:read": "View coupons",
+  "coupons:write": "Create and deactivate coupons",
+  "homepage:write": "Edit the homepage and carousel",
+  "settings:write": "Change store, notification and security settings",
+  "shipping:write": "Set up shipping zones, methods and rates",
+  "categories:write": "Create, arrange and delete product categories",
+  "payments:read": "View the payment webhook ledger",
+  "payments:write": "Replay payment webhooks",
+  "audit:read": "View the audit log",
+  "emails:read": "View the outgoing email log",
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const BUILT_IN_ROLES = [
+  {
+    name: "admin",
+    label: "Administrator",
+    description: "Full access to everything",
+    permissions: ALL_PERMISSIONS,
+  },
+  {
+    name: "support",
+    label: "Support",
+    description: "Helps customers with accounts, orders and refunds",
+    permissions: [
+      "stats:read",
+      "users:read",
+      "orders:read",
+      "orders:write",
+      "orders:refund",
+      "products:read",
+      "coupons:read",
+    ],
+  },
+  {
+    name: "warehouse",
+    label: "Warehouse",
+    description: "Fulfils orders and keeps stock up to date",
+    permissions: [
+      "stats:read",
+      "orders:read",
+      "orders:write",
+      "products:read",
+      "products:write",
+    ],
+  },
+  {
+    name: "user",
+    label: "Customer",
+    description: "No access to the admin area",
+    permissions: [],
+  },
+];
+
+const isBuiltIn = (name) => BUILT_IN_ROLES.some((role) => role.name === name);
+
+// Roles are resolved on every admin request — cache them briefly
+const ROLES_TTL_MS = 30 * 1000;
+let cachedRoles = null;
+let cachedAt = 0;
+let builtInsReady = null;
+
+// Inserts missing built-in roles; edits to existing ones are kept
+function ensureBuiltInRoles() {
+  builtInsReady ??= Promise.all(
+    BUILT_IN_ROLES.map((role) =>
+      Role.updateOne(
+        { name: role.name },
+        { $setOnInsert: { ...role, builtIn: true } },
+        { upsert: true },
+      ),
+    ),
+  ).catch((error) => {
+    builtInsReady = null;
+    throw error;
+  });
+  return builtInsReady;
+}
+
+async function loadRoles() {
+  if (cachedRoles && Date.now() - cachedAt < ROLES_TTL_MS) {
+    return cachedRoles;
+  }
+  try {
+    await ensureBuiltInRoles();
+    const roles = await Role.find().lean();
+    cachedRoles = new Map(roles.map((role) => [role.name, role]));
+  } catch (error) {
+    console.error("Failed to load roles:", error.message);
+    cachedRoles =
+      cachedRoles || new Map(BUILT_IN_ROLES.map((role) => [role.name, role]));
+  }
+  cachedAt = Date.now();
+  return cachedRoles;
+}
+
+// Call after a role changes so new permissions apply immediately
+export function invalidateRoles() {
+  cachedRoles = null;
+}
+
+// ── Lookup ──────────────────────────────────────────────
+
+export async function getRolePermissions(roleName) {
+  if (roleName === "admin") return ALL_PERMISSIONS;
+  const role = (await loadRoles()).get(roleName);
+  return role ? role.permissions.filter((p) => PERMISSIONS[p]) : [];
+}
+
+export async function isStaffRole(roleName) {
+  return (await getRolePermissions(roleName)).length > 0;
+}
+
+// Names of the roles that include a permission (always "admin")
+export async function rolesWithPermission(permission) {
+  const roles = await loadRoles();
+  return [
+    "admin",
+    ...[...roles.values()]
+      .filter((r) => r.name !== "admin" && r.permissions?.includes(permission))
+      .map((r) => r.name),
+  ];
+}
+
+export async function roleExists(roleName) {
+  return (await loadRoles()).has(roleName);
+}
+
+// All roles with how many users hold each, for the role editor
+export async function listRoles() {
+  const [roles, counts] = await Promise.all([
+    loadRoles(),
+    User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+  ]);
+  const userCounts = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+
+  return [...roles.values()]
+    .map((role) => ({
+      name: role.name,
+      label: role.label,
+      description: role.description,
+      permissions:
+        role.name === "admin" ? ALL_PERMISSIONS : role.permissions || [],
+      builtIn: isBuiltIn(role.name),
+      editable: role.name !== "admin",
+      userCount: userCounts[role.name] || 0,
+    }))
+    .sort(
+      (a, b) =>
+        b.builtIn - a.builtIn ||
+        b.permissions.length - a.permissions.length ||
+        a.name.localeCompare(b.name),
+    );
+}
+
+// ── Editing ─────────────────────────────────────────────
+
+function checkPermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    return "Permissions must be an array";
+  }
+  const unknown = permissions.filter((p) => !PERMISSIONS[p]);
+  return unknown.length ? `Unknown permissions: ${unknown.join(", ")}` : null;
+}
+
+/**
+ * Create a custom role.
+ * Returns { ok, status, message, role? }.
+ */
+export async function createRole({ name, label, description, permissions }) {
+  const slug = String(name || "")
+    .trim()
+    .toLowerCase();
+  if (!/^[a-z][a-z0-9_-]{1,31}$/.test(slug)) {
+    return {
+      ok: false,
+      status: 400,
+      message:
+        "Role name must be 2-32 characters: lowercase letters, digits, - or _",
+    };
+  }
+  if (typeof label !== "string" || !label.trim()) {
+    return { ok: false, status: 400, message: "Please provide a label" };
+  }
+  const invalid = checkPermissions(permissions || []);
+  if (invalid) return { ok: false, status: 400, message: invalid };
+
+  await ensureBuiltInRoles();
+  if (await Role.exists({ name: slug })) {
+    return { ok: false, status: 409, message: "A role with that name exists" };
+  }
+
+  const role = await Role.create({
+    name: slug,
+    label: label.trim(),
+    description: description || "",
+    permissions: [...new Set(permissions || [])],
+  });
+  invalidateRoles();
+  return { ok: true, role };
+}
+
+/**
+ * Update a role's label, description or permissions.
+ * Returns { ok, status, message, role? }.
+ */
+export async function updateRole(name, { label, description, permissions }) {
+  if (name === "admin") {
+    return {
+      ok: false,
+      status: 400,
+      message: "The admin role always has every permission",
+    };
+  }
+  if (permissions !== undefined) {
+    const invalid = checkPermissions(permissions);
+    if (invalid) return { ok: false, status: 400, message: invalid };
+  }
+
+  await ensureBuiltInRoles();
+  const role = await Role.findOne({ name });
+  if (!role) return { ok: false, status: 404, message: "Role not found" };
+
+  if (label !== undefined) {
+    if (typeof label !== "string" || !label.trim()) {
+      return { ok: false, status: 400, message: "Please provide a label" };
+    }
+    role.label = label.trim();
+  }
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+
+  await role.save();
+  invalidateRoles();
+  return { ok: true, role };
+}
+
+/**
+ * Delete a custom role that nobody holds.
+ * Returns { ok, status, message }.
+ */
+export async function deleteRole(name) {
+  if (isBuiltIn(name)) {
+    return {
+      ok: false,
+      status: 400,
+      message: "Built-in roles can't be deleted",
+    };
+  }
+
+  const holders = await User.countDocuments({ role: name });
+  if (holders > 0) {
+    return {
+      ok: false,
+      status: 400,
+      message: `${holders} user${holders === 1 ? " has" : "s have"} this role — reassign them first`,
+    };
+  }
+
+  const result = await Role.deleteOne({ name });
+  if (result.deletedCount === 0) {
+    return { ok: false, status: 404, message: "Role not found" };
+  }
+  invalidateRoles();
+  return { ok: true, message: "Role deleted" };
+}
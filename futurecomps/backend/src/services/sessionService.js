@@ -0,0 +1,264 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { getSecurityLimits } from "./authLockoutService.js";
+
+/**
+ * Session Service — Short-lived access tokens backed by server-side
+ * sessions with rotating refresh tokens.
+ *
+ * The access token is a JWT carrying the user id and session id (`sid`).
+ * The refresh token is "<sessionId>.<secret>"; only a hash of the secret
+ * is stored and it is replaced on every refresh. Replaying a replaced
+ * refresh token revokes the whole session.
+ *
+ * Settings.security is enforced here: `sessionTimeout` (minutes of
+ * inactivity) and `passwordExpiry` (days since the password was set).
+ * Either can be set to 0 to turn it off.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRE || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// lastUsedAt is written at most this often
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Two tabs refreshing at once both send the same token; the loser is
+// refused but the session survives if it lost by less than this
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(48).toString("hex");
+
+const clientInfo = (req) => ({
+  ip: req?.ip || null,
+  userAgent: req?.get?.("user-agent") || null,
+});
+
+export const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// ── Policy ──────────────────────────────────────────────
+
+function isIdle(session, limits) {
+  const minutes = limits.sessionTimeout;
+  if (!minutes) return false;
+  return Date.now() - new Date(session.lastUsedAt).getTime() > minutes * 60000;
+}
+
+// Accounts that predate passwordChangedAt don't expire until they next
+// change their password — counting from sign-up would lock out every
+// older account the day the policy ships. Social sign-in accounts
+// without a password of their own never expire.
+export function isPasswordExpired(user, limits) {
+  const days = limits.passwordExpiry;
+  if (!days || user.hasPassword === false) return false;
+  if (!user.passwordChangedAt) return false;
+  const age = Date.now() - new Date(user.passwordChangedAt).getTime();
+  return age > days * 24 * 60 * 60000;
+}
+
+export const passwordExpiredResponse = () => ({
+  message:
+    "Your password has expired. Reset it with Forgot Password to sign in again.",
+  passwordExpired: true,
+});
+
+// ── Lifecycle ───────────────────────────────────────────
+
+/**
+ * Start a session for a user who just signed in.
+ *   twoFactorVerified  the sign-in included a second factor
+ * Returns { token, refreshToken, session }.
+ */
+export async function createSession(
+  user,
+  req,
+  { twoFactorVerified = false } = {},
+) {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashSecret(secret),
+    twoFactorVerified,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60000),
+    ...clientInfo(req),
+  });
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    session,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Returns { ok, status, message, token?, refreshToken?, passwordExpired? }.
+ */
+export async function refreshSession(refreshToken, req) {
+  const invalid = {
+    ok: false,
+    status: 401,
+    message: "Invalid refresh token",
+  };
+
+  const [sessionId, secret] =
+    typeof refreshToken === "string" ? refreshToken.split(".") : [];
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return invalid;
+
+  const session = await Session.findById(sessionId);
+  if (!session) return invalid;
+  if (session.revokedAt) {
+    return { ok: false, status: 401, message: "Session has been signed out" };
+  }
+
+  const hash = hashSecret(secret);
+  if (hash !== session.refreshTokenHash) {
+    const justRotated =
+      session.rotatedAt && Date.now() - session.rotatedAt < REUSE_GRACE_MS;
+    if (hash === session.previousTokenHash && !justRotated) {
+      // A replaced token came back — someone else has a copy
+      await revokeSession(session._id, "reuse");
+      console.warn(`🔒 Refresh token reuse on session ${session._id}`);
+    }
+    return invalid;
+  }
+
+  if (session.expiresAt < Date.now()) {
+    await revokeSession(session._id, "expired");
+    return { ok: false, status: 401, message: "Session has expired" };
+  }
+
+  const limits = await getSecurityLimits();
+  if (isIdle(session, limits)) {
+    await revokeSession(session._id, "idle");
+    return {
+      ok: false,
+      status: 401,
+      message: "Session expired due to inactivity",
+    };
+  }
+
+  const user = await User.findById(session.userId).select(
+    "isActive passwordChangedAt hasPassword",
+  );
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, "revoked");
+    return invalid;
+  }
+  if (isPasswordExpired(user, limits)) {
+    await revokeSession(session._id, "password_expired");
+    return { ok: false, status: 403, ...passwordExpiredResponse() };
+  }
+
+  // Rotate — conditional on the hash, so a token can't be spent twice
+  const nextSecret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(nextSecret),
+        previousTokenHash: hash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        ...clientInfo(req),
+      },
+    },
+    { new: true },
+  );
+  if (!rotated) return invalid;
+
+  return {
+    ok: true,
+    token: signAccessToken(user._id, session._id),
+    refreshToken: `${session._id}.${nextSecret}`,
+  };
+}
+
+/**
+ * Check the session behind an access token (used by `protect`).
+ * Returns { ok, status?, message?, twoFactorVerified? }.
+ */
+export async function verifySession(sessionId, userId) {
+  const session = mongoose.isValidObjectId(sessionId)
+    ? await Session.findOne({ _id: sessionId, userId })
+    : null;
+  if (!session || session.revokedAt) {
+    return { ok: false, status: 401, message: "Session has been signed out" };
+  }
+
+  const limits = await getSecurityLimits();
+  if (isIdle(session, limits)) {
+    await revokeSession(session._id, "idle");
+    return {
+      ok: false,
+      status: 401,
+      message: "Session expired due to inactivity",
+    };
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { lastUsedAt: new Date() } },
+    );
+  }
+  return { ok: true, twoFactorVerified: session.twoFactorVerified };
+}
+
+// After enrolling in 2FA, the session that proved the first code counts
+export async function markTwoFactorVerified(sessionId) {
+  await Session.updateOne(
+    { _id: sessionId },
+    { $set: { twoFactorVerified: true } },
+  );
+}
+
+export async function revokeSession(
+  sessionId,
+  reason = "revoked",
+  filter = {},
+) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null, ...filter },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  return result.modifiedCount > 0;
+}
+
+// Sign a user out everywhere, optionally keeping one session
+export async function revokeUserSessions(userId, reason, { except } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount;
+}
+
+// Live sessions for the sessions page, newest activity first
+export async function listSessions(userId, currentSessionId) {
+  const filter = { userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  const { sessionTimeout } = await getSecurityLimits();
+  if (sessionTimeout) {
+    filter.lastUsedAt = { $gt: new Date(Date.now() - sessionTimeout * 60000) };
+  }
+
+  const sessions = await Session.find(filter)
+    .select("userAgent ip lastUsedAt createdAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map((session) => ({
+    ...session,
+    current: String(session._id) === String(currentSessionId),
+  }));
+}
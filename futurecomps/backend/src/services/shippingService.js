@@ -0,0 +1,337 @@
+import ShippingZone from "../models/ShippingZone.js";
+import { countryName, resolveCountry } from "./addressService.js";
+import { toMinorUnits } from "./currencyService.js";
+
+/**
+ * Shipping Service — Zones, methods and rates for an order.
+ *
+ * An address falls in the most specific active zone that matches it:
+ * postal code prefixes beat states, states beat countries, and a zone with
+ * no countries is the catch-all. The zone's active methods are priced
+ * against the parcel — its weight and the discounted subtotal — and
+ * methods that can't carry it (past their top weight tier) are left out.
+ *
+ * A unit weighs its `weight` or its volumetric weight (L×W×H / 5000 in
+ * cm), whichever is more. With no zones set up, shipping is free and
+ * checkout asks for no method.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Divisor used by most carriers for volumetric weight in cm/kg
+const VOLUMETRIC_DIVISOR = 5000;
+
+// ── Weight ──────────────────────────────────────────────
+
+export function unitWeight(product) {
+  const { length, width, height } = product?.dimensions || {};
+  const volumetric =
+    length && width && height
+      ? (length * width * height) / VOLUMETRIC_DIVISOR
+      : 0;
+  return Math.max(product?.weight || 0, volumetric);
+}
+
+// lines: [{ product, quantity }]
+export function parcelWeight(lines) {
+  const kg = lines.reduce(
+    (sum, line) => sum + unitWeight(line.product) * line.quantity,
+    0,
+  );
+  return Math.round(kg * 1000) / 1000;
+}
+
+// ── Zones ───────────────────────────────────────────────
+
+const same = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// How closely a zone matches an address: -1 when it doesn't
+function zoneScore(zone, address) {
+  const postal = (address.postalCode || "").replace(/\s+/g, "");
+  if (zone.countries.length && !zone.countries.includes(address.country)) {
+    return -1;
+  }
+  if (
+    zone.states.length &&
+    !zone.states.some((s) => address.state && same(s, address.state))
+  ) {
+    return -1;
+  }
+  if (
+    zone.postalPrefixes.length &&
+    !zone.postalPrefixes.some((prefix) =>
+      postal.startsWith(prefix.replace(/\s+/g, "")),
+    )
+  ) {
+    return -1;
+  }
+  return (
+    (zone.postalPrefixes.length ? 4 : 0) +
+    (zone.states.length ? 2 : 0) +
+    (zone.countries.length ? 1 : 0)
+  );
+}
+
+// Most specific zone for an address (oldest first on a tie), or null
+export function findZone(address, zones) {
+  let best = null;
+  let bestScore = -1;
+  for (const zone of zones) {
+    const score = zoneScore(zone, address);
+    if (score > bestScore) {
+      best = zone;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// ── Admin input ─────────────────────────────────────────
+
+const list = (value) =>
+  (Array.isArray(value) ? value : [])
+    .filter((v) => typeof v === "string" && v.trim())
+    .map((v) => v.trim());
+
+const amount = (value) =>
+  value === null || value === undefined || value === "" ? null : Number(value);
+
+function checkMethod(input) {
+  const fail = (message) => ({
+    ok: false,
+    status: 400,
+    message: `${input.name || "Shipping method"}: ${message}`,
+  });
+  const method = {
+    ...(input._id && { _id: input._id }),
+    name: typeof input.name === "string" ? input.name.trim() : "",
+    description:
+      typeof input.description === "string" ? input.description.trim() : "",
+    rateType: input.rateType || "flat",
+    rate: amount(input.rate) ?? 0,
+    freeOver: amount(input.freeOver),
+    weightTiers: (Array.isArray(input.weightTiers) ? input.weightTiers : [])
+      .map((t) => ({ upTo: amount(t.upTo), rate: amount(t.rate) }))
+      .sort((a, b) => a.upTo - b.upTo),
+    minDays: amount(input.minDays),
+    maxDays: amount(input.maxDays),
+    isActive: input.isActive ?? true,
+  };
+
+  if (!method.name) return fail("a name is required");
+  if (!["flat", "weight", "free_over"].includes(method.rateType)) {
+    return fail(`unknown rate type "${method.rateType}"`);
+  }
+  const numbers = [
+    method.rate,
+    method.freeOver,
+    method.minDays,
+    method.maxDays,
+    ...method.weightTiers.flatMap((t) => [t.upTo, t.rate]),
+  ];
+  if (numbers.some((n) => n !== null && !(n >= 0))) {
+    return fail("rates, weights and days must be numbers of 0 or more");
+  }
+  if (method.rateType === "weight" && method.weightTiers.length === 0) {
+    return fail("weight-based rates need at least one weight tier");
+  }
+  if (method.weightTiers.some((t) => t.upTo === null || t.rate === null)) {
+    return fail("each weight tier needs a weight and a rate");
+  }
+  if (method.rateType === "free_over" && method.freeOver === null) {
+    return fail("set the order amount that ships free");
+  }
+  if (
+    method.minDays !== null &&
+    method.maxDays !== null &&
+    method.minDays > method.maxDays
+  ) {
+    return fail("minimum days can't be more than maximum days");
+  }
+  return { ok: true, method };
+}
+
+/**
+ * Check and tidy a zone from the admin form: country names become codes,
+ * methods are checked per rate type. Returns { ok, zone } (fields to set)
+ * or { ok: false, status, message }.
+ */
+export function validateZone(input = {}) {
+  const fail = (message) => ({ ok: false, status: 400, message });
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) return fail("Zone name is required");
+
+  const countries = [];
+  for (const value of list(input.countries)) {
+    const code = resolveCountry(value);
+    if (!code) return fail(`Unknown country "${value}"`);
+    if (!countries.includes(code)) countries.push(code);
+  }
+
+  const methods = [];
+  for (const entry of Array.isArray(input.methods) ? input.methods : []) {
+    const result = checkMethod(entry || {});
+    if (!result.ok) return result;
+    methods.push(result.method);
+  }
+
+  return {
+    ok: true,
+    zone: {
+      name,
+      countries,
+      states: list(input.states),
+      postalPrefixes: list(input.postalPrefixes).map((prefix) =>
+        prefix.toUpperCase(),
+      ),
+      methods,
+      isActive: input.isActive ?? true,
+    },
+  };
+}
+
+// ── Rates ───────────────────────────────────────────────
+
+// Price of a method for a parcel, or null when it can't ship it
+export function methodRate(method, { weight, subtotal }) {
+  switch (method.rateType) {
+    case "weight": {
+      const tier = [...method.weightTiers]
+        .sort((a, b) => a.upTo - b.upTo)
+        .find((t) => weight <= t.upTo);
+      return tier ? round2(tier.rate) : null;
+    }
+    case "free_over":
+      return method.freeOver != null && subtotal >= method.freeOver
+        ? 0
+        : round2(method.rate);
+    default:
+      return round2(method.rate);
+  }
+}
+
+const activeZones = () =>
+  ShippingZone.find({ isActive: true }).sort({ createdAt: 1 }).lean();
+
+/**
+ * Shipping options for an order.
+ *   address  — normalized address (ISO country), see addressService
+ *   lines    — [{ product, quantity }]
+ *   subtotal — after discounts; free_over thresholds compare against it
+ * Returns { ok, required, zone, weight, rates } — `required` is false when
+ * the store has no zones — or { ok: false, status, message }.
+ * Rates are cheapest first: [{ methodId, name, description, amount,
+ * minDays, maxDays }].
+ */
+export async function quoteShipping({ address, lines, subtotal }) {
+  const zones = await activeZones();
+  if (zones.length === 0) {
+    return { ok: true, required: false, zone: null, weight: 0, rates: [] };
+  }
+  if (!address) {
+    return {
+      ok: false,
+      status: 400,
+      message: "A shipping address is required to calculate shipping",
+    };
+  }
+
+  const zone = findZone(address, zones);
+  if (!zone) {
+    return {
+      ok: false,
+      status: 400,
+      message: `We don't ship to ${countryName(address.country)} yet`,
+    };
+  }
+
+  const weight = parcelWeight(lines);
+  const rates = zone.methods
+    .filter((method) => method.isActive)
+    .map((method) => ({
+      methodId: method._id.toString(),
+      name: method.name,
+      description: method.description,
+      amount: methodRate(method, { weight, subtotal }),
+      minDays: method.minDays,
+      maxDays: method.maxDays,
+    }))
+    .filter((rate) => rate.amount !== null)
+    .sort((a, b) => a.amount - b.amount);
+
+  if (rates.length === 0) {
+    return {
+      ok: false,
+      status: 400,
+      message: "No shipping method can deliver this order to that address",
+    };
+  }
+
+  return { ok: true, required: true, zone, weight, rates };
+}
+
+/**
+ * The rate an order ships at: the method asked for, or the cheapest.
+ * Returns { ok, shipping } where shipping is null when the store has no
+ * zones, else { zoneId, zoneName, methodId, name, amount, minDays,
+ * maxDays } — the shape stored on Order.shippingRate.
+ */
+export async function selectShipping({ address, lines, subtotal, methodId }) {
+  const quote = await quoteShipping({ address, lines, subtotal });
+  if (!quote.ok) return quote;
+  if (!quote.required) return { ok: true, shipping: null };
+
+  const rate = methodId
+    ? quote.rates.find((r) => r.methodId === String(methodId))
+    : quote.rates[0];
+  if (!rate) {
+    return {
+      ok: false,
+      status: 400,
+      message: "That shipping method isn't available for this order",
+    };
+  }
+
+  return {
+    ok: true,
+    shipping: {
+      zoneId: quote.zone._id,
+      zoneName: quote.zone.name,
+      methodId: rate.methodId,
+      name: rate.name,
+      amount: rate.amount,
+      minDays: rate.minDays,
+      maxDays: rate.maxDays,
+    },
+  };
+}
+
+// ── Stripe ──────────────────────────────────────────────
+
+// Checkout Session `shipping_options` entry charging the selected rate;
+// `shipping.amount` must already be in `currency`
+export function stripeShippingOption(shipping, currency) {
+  const estimate = {};
+  if (shipping.minDays != null) {
+    estimate.minimum = { unit: "business_day", value: shipping.minDays };
+  }
+  if (shipping.maxDays != null) {
+    estimate.maximum = { unit: "business_day", value: shipping.maxDays };
+  }
+
+  return {
+    shipping_rate_data: {
+      type: "fixed_amount",
+      display_name: shipping.name,
+      fixed_amount: {
+        amount: toMinorUnits(shipping.amount, currency),
+        currency: currency.toLowerCase(),
+      },
+      ...(Object.keys(estimate).length > 0 && { delivery_estimate: estimate }),
+      metadata: {
+        zoneId: shipping.zoneId.toString(),
+        methodId: shipping.methodId,
+      },
+    },
+  };
+}
@@ -0,0 +1,137 @@
+import Product from "../models/Product.js";
+import Settings from "../models/Settings.js";
+import User from "../models/User.js";
+import { sendMail } from "./mailService.js";
+import { sendPushToUsers } from "./pushService.js";
+import { rolesWithPermission } from "./roleService.js";
+
+/**
+ * Stock Alert Service — Tells staff when a product runs low.
+ *
+ * A product is low once its stock is at or below its lowStockThreshold
+ * (or the store default in Settings.notifications). The first check that
+ * finds it low claims `lowStockAlertedAt` and alerts everyone who can edit
+ * products, by email and on their registered push devices. A check that
+ * finds stock back above the threshold clears the claim, so the next drop
+ * alerts again. Nothing is sent while Settings.notifications.stockAlerts
+ * is off. Checking never throws — stock changes mustn't fail on alerts.
+ *
+ * Staff who handle orders are also pushed an alert when a paid order has
+ * a line there was no stock left for (alertOversold).
+ */
+
+const effectiveThreshold = (product, settings) =>
+  product.lowStockThreshold ?? settings.notifications.lowStockThreshold ?? 5;
+
+// Mongo filter for active products at or below their threshold
+export function lowStockFilter(defaultThreshold) {
+  return {
+    isActive: true,
+    $expr: {
+      $lte: ["$stock", { $ifNull: ["$lowStockThreshold", defaultThreshold] }],
+    },
+  };
+}
+
+async function alertStaff(product, threshold) {
+  const roles = await rolesWithPermission("products:write");
+  const staff = await User.find({ role: { $in: roles }, isActive: true })
+    .select("name email locale")
+    .lean();
+
+  const data = {
+    productName: product.name,
+    stock: product.stock,
+    threshold,
+    soldOut: product.stock <= 0,
+  };
+  await Promise.all(
+    staff.map((user) =>
+      sendMail({
+        to: user.email,
+        userId: user._id,
+        locale: user.locale,
+        template: "low-stock",
+        data: { ...data, name: user.name },
+      }),
+    ),
+  );
+  await sendPushToUsers(
+    staff.map((user) => user._id),
+    {
+      title: product.stock <= 0 ? "Sold out" : "Low stock",
+      body: `${product.name}: ${product.stock} left (alert at ${threshold})`,
+      url: "/admin?tab=products",
+    },
+  );
+}
+
+/**
+ * Compare a product's stock with its threshold and alert on a crossing.
+ * Call after anything that changes stock. Returns true when an alert
+ * went out.
+ */
+export async function checkLowStock(productId) {
+  try {
+    const [product, settings] = await Promise.all([
+      Product.findById(productId)
+        .select("name stock isActive lowStockThreshold lowStockAlertedAt")
+        .lean(),
+      Settings.getSettings(),
+    ]);
+    if (!product) return false;
+
+    const threshold = effectiveThreshold(product, settings);
+    if (product.stock > threshold) {
+      if (product.lowStockAlertedAt) {
+        await Product.updateOne(
+          { _id: productId },
+          { $set: { lowStockAlertedAt: null } },
+        );
+      }
+      return false;
+    }
+
+    if (!settings.notifications.stockAlerts || !product.isActive) return false;
+
+    // Claimed so concurrent sales alert once
+    const claimed = await Product.updateOne(
+      { _id: productId, lowStockAlertedAt: null },
+      { $set: { lowStockAlertedAt: new Date() } },
+    );
+    if (claimed.modifiedCount !== 1) return false;
+
+    await alertStaff(product, threshold);
+    return true;
+  } catch (error) {
+    console.error(`Low stock check for ${productId} failed:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Tell staff who handle orders that a paid order has a line there was no
+ * stock left for. `line` is { productId, size, color, quantity }. Never
+ * throws.
+ */
+export async function alertOversold(order, line) {
+  try {
+    const roles = await rolesWithPermission("orders:write");
+    const staff = await User.find({ role: { $in: roles }, isActive: true })
+      .select("_id")
+      .lean();
+    const name =
+      order.oversold.find((o) => String(o.productId) === String(line.productId))
+        ?.name || "A product";
+    await sendPushToUsers(
+      staff.map((user) => user._id),
+      {
+        title: "Order oversold",
+        body: `${name}: ${line.quantity} paid for with no stock left`,
+        url: "/admin?tab=orders",
+      },
+    );
+  } catch (error) {
+    console.error("alertOversold error:", error.message);
+  }
+}
@@ -2,6 +2,7 @@ import Stripe from "stripe";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
+import { toMinorUnits } from "./currencyService.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,9 +12,14 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 /**
  * Create a Stripe coupon + promotion code to match our DB coupon.
+ * Fixed amounts are in `currency` (the store's base), with
+ * `currencyOptions` giving the amount off in other currencies.
  * Returns { stripeCouponId, stripePromotionCodeId }.
  */
-export async function createStripeCoupon(coupon) {
+export async function createStripeCoupon(
+  coupon,
+  { currency = "usd", currencyOptions } = {},
+) {
   try {
     const couponParams = {
       metadata: { dbCouponId: coupon._id.toString(), code: coupon.code },
@@ -22,9 +28,12 @@ export async function createStripeCoupon(coupon) {
     if (coupon.discountType === "percentage") {
       couponParams.percent_off = coupon.discountValue;
     } else {
-      // Stripe expects amount in cents
-      couponParams.amount_off = Math.round(coupon.discountValue * 100);
-      couponParams.currency = "usd";
+      // Stripe expects amount in the currency's smallest unit
+      couponParams.amount_off = toMinorUnits(coupon.discountValue, currency);
+      couponParams.currency = currency.toLowerCase();
+      if (currencyOptions && Object.keys(currencyOptions).length > 0) {
+        couponParams.currency_options = currencyOptions;
+      }
     }
 
     if (coupon.expiresAt) {
@@ -57,6 +66,23 @@ export async function createStripeCoupon(coupon) {
   }
 }
 
+/**
+ * Replace a fixed-amount coupon's amounts in other currencies.
+ */
+export async function updateStripeCouponCurrencies(
+  stripeCouponId,
+  currencyOptions,
+) {
+  try {
+    if (!stripeCouponId) return;
+    await stripe.coupons.update(stripeCouponId, {
+      currency_options: currencyOptions,
+    });
+  } catch (error) {
+    console.error("Stripe coupon currency update error:", error.message);
+  }
+}
+
 /**
  * Deactivate a Stripe coupon.
  */
@@ -69,17 +95,57 @@ export async function deactivateStripeCoupon(stripeCouponId) {
   }
 }
 
+// Stripe tax rate IDs keyed by percentage, cached for the process lifetime
+const taxRateCache = new Map();
+
+/**
+ * Find or create an exclusive Stripe tax rate for a percentage.
+ * Returns the tax rate ID to attach to checkout line items.
+ */
+export async function getStripeTaxRate(percentage) {
+  const key = Number(percentage).toFixed(4);
+  if (taxRateCache.has(key)) return taxRateCache.get(key);
+
+  const existing = await stripe.taxRates.list({
+    active: true,
+    inclusive: false,
+    limit: 100,
+  });
+  let taxRate = existing.data.find(
+    (r) =>
+      r.percentage === Number(percentage) && r.metadata?.source === "store",
+  );
+
+  if (!taxRate) {
+    taxRate = await stripe.taxRates.create({
+      display_name: "Sales Tax",
+      percentage: Number(percentage),
+      inclusive: false,
+      metadata: { source: "store" },
+    });
+  }
+
+  taxRateCache.set(key, taxRate.id);
+  return taxRate.id;
+}
+
 /**
  * Create a Stripe checkout session for the cart.
- * Accepts array of line items and optional promotion code.
+ * Accepts array of line items and optional promotion code. Guest sessions
+ * have an empty userId and pass customerEmail to prefill Stripe's form.
+ * shippingOptions are Stripe `shipping_options` entries; the first is
+ * charged.
  */
 export async function createCheckoutSession({
   lineItems,
   userId,
+  customerEmail,
   couponCode,
   stripePromotionCodeId,
   successUrl,
   cancelUrl,
+  expiresAt,
+  shippingOptions,
   metadata = {},
 }) {
   console.log("👳 Stripe Service - Creating session...");
@@ -102,6 +168,19 @@ export async function createCheckoutSession({
     },
   };
 
+  if (customerEmail) {
+    sessionParams.customer_email = customerEmail;
+  }
+
+  if (shippingOptions?.length) {
+    sessionParams.shipping_options = shippingOptions;
+  }
+
+  // Expire the session together with its stock hold
+  if (expiresAt) {
+    sessionParams.expires_at = Math.floor(new Date(expiresAt).getTime() / 1000);
+  }
+
   // Apply promotion code if available
   if (stripePromotionCodeId) {
     sessionParams.discounts = [{ promotion_code: stripePromotionCodeId }];
@@ -120,6 +199,37 @@ export async function createCheckoutSession({
   return session;
 }
 
+/**
+ * Refund all or part of a payment. `amount` is in the order's currency
+ * (e.g. dollars, not cents); omit it for a full refund. The idempotency
+ * key stops a retried request refunding twice.
+ */
+export async function createRefund({
+  paymentIntentId,
+  amount,
+  currency = "usd",
+  reason,
+  metadata = {},
+  idempotencyKey,
+}) {
+  const params = {
+    payment_intent: paymentIntentId,
+    metadata,
+  };
+  if (amount != null) {
+    params.amount = toMinorUnits(amount, currency);
+  }
+  // Stripe only accepts its own reason codes; free text goes in metadata
+  if (["duplicate", "fraudulent", "requested_by_customer"].includes(reason)) {
+    params.reason = reason;
+  }
+
+  return stripe.refunds.create(
+    params,
+    idempotencyKey ? { idempotencyKey } : undefined,
+  );
+}
+
 /**
  * Verify a Stripe webhook event.
  */
@@ -0,0 +1,86 @@
+import Settings from "../models/Settings.js";
+import { roundMoney } from "./currencyService.js";
+import { sameName } from "./categoryService.js";
+
+/**
+ * Tax Service — Resolves tax rates and computes per-line sales tax.
+ *
+ * Rate resolution order for a product:
+ *   1. product.taxClass  → Settings.taxClasses[name]
+ *   2. product.category  → Settings.categoryTaxRates[category] (matched
+ *      like category names: "Shoes" and "shoe" are the same)
+ *   3. Settings.taxRate  (store default)
+ *
+ * Rates are percentages (7.5 = 7.5%). Order-level discounts are spread
+ * across lines in proportion to their value so tax is charged on what the
+ * customer actually pays.
+ */
+
+// ── Rate Resolution ─────────────────────────────────────
+
+export function resolveTaxRate(product, settings) {
+  const taxClass = product?.taxClass;
+  if (taxClass) {
+    const match = (settings.taxClasses || []).find(
+      (c) => c.name.toLowerCase() === taxClass.toLowerCase(),
+    );
+    if (match) return { rate: match.rate, source: `class:${match.name}` };
+  }
+
+  const category = product?.category;
+  if (category) {
+    const match = (settings.categoryTaxRates || []).find(
+      (c) => sameName(c.category, category),
+    );
+    if (match) return { rate: match.rate, source: `category:${match.category}` };
+  }
+
+  return { rate: settings.taxRate || 0, source: "store" };
+}
+
+// ── Tax Calculation ─────────────────────────────────────
+
+/**
+ * Compute tax for a set of lines.
+ * lines: [{ productId, name, price, quantity, product }]
+ *   - `product` is the Product document/lean object used for rate lookup
+ *   - `rate` may be passed instead of `product` to reuse a snapshot rate
+ * Amounts are rounded for `currency` (two decimals when not given).
+ * Returns { tax, lines: [{ ...line, taxRate, taxableAmount, tax }] }
+ */
+export function calculateTax(lines, { discount = 0, settings, currency }) {
+  const round = (n) => roundMoney(n, currency);
+  const gross = lines.reduce((sum, l) => sum + l.price * l.quantity, 0);
+  const effectiveDiscount = Math.min(Math.max(discount, 0), gross);
+
+  const taxed = lines.map((line) => {
+    const lineTotal = line.price * line.quantity;
+    const share = gross > 0 ? (lineTotal / gross) * effectiveDiscount : 0;
+    const taxableAmount = round(lineTotal - share);
+    const taxRate =
+      line.rate ?? resolveTaxRate(line.product, settings).rate;
+
+    return {
+      productId: line.productId,
+      name: line.name,
+      price: line.price,
+      quantity: line.quantity,
+      taxRate,
+      taxableAmount,
+      tax: round(taxableAmount * (taxRate / 100)),
+    };
+  });
+
+  return {
+    tax: round(taxed.reduce((sum, l) => sum + l.tax, 0)),
+    lines: taxed,
+  };
+}
+
+/**
+ * Convenience wrapper that loads the store settings first.
+ */
+export async function quoteTax(lines, { discount = 0 } = {}) {
+  const settings = await Settings.getSettings();
+  return calculateTax(lines, { discount, settings });
+}
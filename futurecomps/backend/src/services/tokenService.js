@@ -0,0 +1,142 @@
+import crypto from "crypto";
+import AuthToken from "../models/AuthToken.js";
+
+/**
+ * Token Service — One-time codes sent by email (email verification and
+ * password reset).
+ *
+ * Only an HMAC of each code is stored, keyed with JWT_SECRET and bound to
+ * the user and purpose, so a database dump doesn't reveal live codes and
+ * the 6-digit space can't be searched offline. Issuing a code voids any
+ * earlier one for the same purpose; a code works once and survives at
+ * most MAX_ATTEMPTS wrong guesses. Account-wide lockout on top of this is
+ * handled by authLockoutService.
+ *
+ * Test scripts can't read codes from the database any more. With
+ * NODE_ENV other than "production" and EXPOSE_TEST_TOKENS=true, issued
+ * codes are also kept in memory and served by GET /api/auth/test/token.
+ */
+
+export const PURPOSES = ["email_verification", "password_reset"];
+
+export const TOKEN_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+
+const hashToken = (userId, purpose, token) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`${userId}:${purpose}:${token}`)
+    .digest("hex");
+
+const sameHash = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// ── Test hook ───────────────────────────────────────────
+
+// Env is read per call — dotenv runs after modules load
+export const testTokensEnabled = () =>
+  process.env.NODE_ENV !== "production" &&
+  process.env.EXPOSE_TEST_TOKENS === "true";
+
+// "<userId>:<purpose>" → { token, expiresAt }
+const issuedForTests = new Map();
+
+// Latest unused code for a user, when the test hook is enabled
+export function peekToken(userId, purpose) {
+  if (!testTokensEnabled()) return null;
+  const issued = issuedForTests.get(`${userId}:${purpose}`);
+  return issued && issued.expiresAt > Date.now() ? issued : null;
+}
+
+// ── Lifecycle ───────────────────────────────────────────
+
+const invalidToken = {
+  ok: false,
+  status: 400,
+  message: "Invalid OTP",
+  reason: "invalid",
+};
+
+/**
+ * Issue a new 6-digit code, voiding earlier ones for the same purpose.
+ * Returns the code to send — it isn't stored anywhere in plaintext.
+ */
+export async function issueToken(userId, purpose) {
+  const token = crypto.randomInt(100000, 1000000).toString();
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000);
+
+  await AuthToken.deleteMany({ userId, purpose });
+  await AuthToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(userId, purpose, token),
+    expiresAt,
+  });
+
+  if (testTokensEnabled()) {
+    issuedForTests.set(`${userId}:${purpose}`, { token, expiresAt });
+  }
+  return token;
+}
+
+/**
+ * Check a code and use it up.
+ * Returns { ok, status, message, reason? } — reason is "invalid",
+ * "exhausted" (too many wrong guesses) or "expired".
+ */
+export async function consumeToken(userId, purpose, token) {
+  const pending = await AuthToken.findOne({ userId, purpose, usedAt: null });
+  const tokenHash = hashToken(userId, purpose, String(token ?? ""));
+
+  if (!pending) return invalidToken;
+
+  if (!sameHash(pending.tokenHash, tokenHash)) {
+    // Counted atomically so parallel guesses can't exceed the limit
+    const updated = await AuthToken.findOneAndUpdate(
+      { _id: pending._id, usedAt: null },
+      { $inc: { attempts: 1 } },
+      { new: true },
+    );
+    if (updated && updated.attempts >= MAX_ATTEMPTS) {
+      await revokeTokens(userId, purpose);
+      return {
+        ok: false,
+        status: 400,
+        message: "Too many wrong codes. Please request a new one.",
+        reason: "exhausted",
+      };
+    }
+    return invalidToken;
+  }
+
+  if (pending.expiresAt < Date.now()) {
+    return {
+      ok: false,
+      status: 400,
+      message: "OTP has expired",
+      reason: "expired",
+    };
+  }
+
+  // Single use — only one request can claim it
+  const claimed = await AuthToken.findOneAndUpdate(
+    { _id: pending._id, usedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+    { usedAt: new Date() },
+  );
+  if (!claimed) return invalidToken;
+
+  issuedForTests.delete(`${userId}:${purpose}`);
+  return { ok: true };
+}
+
+// Void a user's outstanding codes — all of them unless a purpose is given
+export async function revokeTokens(userId, purpose) {
+  const filter = purpose ? { userId, purpose } : { userId };
+  await AuthToken.deleteMany(filter);
+
+  const prefix = purpose ? `${userId}:${purpose}` : `${userId}:`;
+  for (const key of issuedForTests.keys()) {
+    if (key.startsWith(prefix)) issuedForTests.delete(key);
+  }
+}
@@ -0,0 +1,389 @@
+import Order from "../models/Order.js";
+import {
+  TRACKING_STATUSES,
+  getCarrier,
+  configuredCarriers,
+} from "./carrierAdapters.js";
+import { canTransition, transitionOrder } from "./orderStateService.js";
+import { sendOrderEmail } from "./orderEmailService.js";
+import {
+  notifyOrderStatus,
+  notifyTrackingUpdate,
+} from "./notificationService.js";
+
+/**
+ * Tracking Service — Carrier scans for shipped orders, and the tracking
+ * view shoppers see.
+ *
+ * Orders with a FedEx, UPS, USPS or DHL tracking number get their scans
+ * from the carrier's adapter (services/carrierAdapters.js): polled by
+ * startTrackingPoller(), refreshed by staff, or pushed to
+ * POST /api/tracking/webhook/:carrier. New scans are added to
+ * tracking.history. The first scan showing movement marks the order
+ * shipped and a delivery scan marks it delivered, through
+ * orderStateService so the usual transitions apply.
+ * Functions return { ok: true, ... } or { ok: false, status, message }.
+ */
+
+const MOVING = ["in_transit", "out_for_delivery", "delivered"];
+
+// Statuses an order can be moved along by scans, in order
+const STATUS_PATH = ["processing", "shipped", "delivered"];
+
+// Orders still waiting on the carrier
+const OPEN_STATUSES = ["pending", "paid", "processing", "shipped"];
+
+const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+const scanKey = (entry) =>
+  [entry.status, new Date(entry.timestamp).getTime(), entry.location || ""]
+    .join("|");
+
+const carrierScans = (order) =>
+  (order.tracking?.history || [])
+    .filter((entry) => TRACKING_STATUSES.includes(entry.status))
+    .sort(byTime);
+
+// ── Carrier updates ─────────────────────────────────────
+
+// Step the order toward `target` (e.g. paid → shipped → delivered),
+// taking the furthest allowed transition each time
+async function advanceTo(order, target, reason) {
+  let current = order;
+  const limit = STATUS_PATH.indexOf(target);
+  while (current.status !== target) {
+    const next = STATUS_PATH.slice(0, limit + 1)
+      .reverse()
+      .find((status) => canTransition(current, status));
+    if (!next) break;
+
+    const result = await transitionOrder(current._id, next, {
+      actorRole: "system",
+      reason,
+      history: false,
+    });
+    if (!result.ok) break;
+    current = result.order;
+  }
+  return current;
+}
+
+/**
+ * Record a carrier's scans on an order (a Mongoose document) and move its
+ * status along. `update` is what an adapter's track()/parseWebhook()
+ * returns. Resolves to { ok, order, added }.
+ */
+export async function applyCarrierUpdate(order, carrier, update) {
+  const now = new Date();
+  order.tracking.history ??= [];
+
+  const seen = new Set(order.tracking.history.map(scanKey));
+  const added = update.events.filter((event) => !seen.has(scanKey(event)));
+  for (const event of added) order.tracking.history.push(event);
+
+  const scans = carrierScans(order);
+  const latest = scans.at(-1);
+  if (latest?.location) order.tracking.currentLocation = latest.location;
+  if (update.estimatedDelivery) {
+    order.tracking.estimatedDelivery = update.estimatedDelivery;
+  }
+  if (added.length > 0) order.tracking.lastUpdate = now;
+  order.tracking.lastCheckedAt = now;
+  await order.save();
+
+  const delivered = scans.find((scan) => scan.status === "delivered");
+  const moving = scans.find((scan) => MOVING.includes(scan.status));
+  const scan = delivered || moving;
+  const current = scan
+    ? await advanceTo(
+        order,
+        delivered ? "delivered" : "shipped",
+        `${carrier.label}: ${scan.description || scan.status}`,
+      )
+    : order;
+
+  if (current.status !== order.status) {
+    if (["shipped", "delivered"].includes(current.status)) {
+      await sendOrderEmail(current, current.status);
+    }
+    await notifyOrderStatus(current);
+  } else if (added.length > 0) {
+    await notifyTrackingUpdate(current, added.at(-1));
+  }
+
+  return { ok: true, order: current, added: added.length };
+}
+
+/**
+ * Ask the order's carrier for new scans now.
+ */
+export async function refreshTracking(orderId) {
+  const order = await Order.findById(orderId);
+  if (!order) return { ok: false, status: 404, message: "Order not found" };
+
+  const carrier = getCarrier(order.tracking?.carrier);
+  if (!carrier || !order.tracking.trackingNumber) {
+    return {
+      ok: false,
+      status: 400,
+      message: "The order has no FedEx, UPS, USPS or DHL tracking number",
+    };
+  }
+  if (!carrier.isConfigured()) {
+    return {
+      ok: false,
+      status: 400,
+      message: `${carrier.label} tracking isn't set up on this server`,
+    };
+  }
+
+  let update;
+  try {
+    update = await carrier.track(order.tracking.trackingNumber);
+  } catch (error) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { "tracking.lastCheckedAt": new Date() } },
+    );
+    return {
+      ok: false,
+      status: 502,
+      message: `${carrier.label}: ${error.message}`,
+    };
+  }
+  return applyCarrierUpdate(order, carrier, update);
+}
+
+/**
+ * Handle a carrier's push. `raw` is the request body as received (for
+ * the signature). Tracking numbers we don't know are ignored.
+ * Resolves to { ok, matched }.
+ */
+export async function receiveCarrierPush(name, raw, headers) {
+  const carrier = getCarrier(name);
+  if (!carrier) return { ok: false, status: 404, message: "Unknown carrier" };
+  if (!carrier.verifyWebhook(raw, headers)) {
+    return { ok: false, status: 401, message: "Invalid signature" };
+  }
+
+  let updates;
+  try {
+    updates = carrier.parseWebhook(JSON.parse(raw.toString("utf8")));
+  } catch {
+    return { ok: false, status: 400, message: "Invalid payload" };
+  }
+
+  let matched = 0;
+  for (const update of updates) {
+    if (!update.trackingNumber) continue;
+    const orders = await Order.find({
+      "tracking.carrier": carrier.name,
+      "tracking.trackingNumber": update.trackingNumber,
+    });
+    for (const order of orders) {
+      await applyCarrierUpdate(order, carrier, update);
+      matched++;
+    }
+  }
+  return { ok: true, matched };
+}
+
+// ── Polling ─────────────────────────────────────────────
+
+/**
+ * Refresh open orders from carriers with API credentials, skipping any
+ * checked within `staleMs`. Returns how many got new scans.
+ */
+export async function pollShipments({ staleMs = 30 * 60 * 1000 } = {}) {
+  const carriers = configuredCarriers();
+  if (carriers.length === 0) return 0;
+
+  const orders = await Order.find({
+    status: { $in: OPEN_STATUSES },
+    "tracking.carrier": { $in: carriers },
+    "tracking.trackingNumber": { $ne: null },
+    $or: [
+      { "tracking.lastCheckedAt": null },
+      { "tracking.lastCheckedAt": { $lte: new Date(Date.now() - staleMs) } },
+    ],
+  })
+    .sort({ "tracking.lastCheckedAt": 1 })
+    .limit(100)
+    .select("_id")
+    .lean();
+
+  let updated = 0;
+  for (const { _id } of orders) {
+    const result = await refreshTracking(_id);
+    if (result.ok && result.added > 0) updated++;
+    if (!result.ok) {
+      console.error(`Tracking poll for ${_id} failed:`, result.message);
+    }
+  }
+  if (updated > 0) console.log(`Tracking: new scans on ${updated} order(s)`);
+  return updated;
+}
+
+/**
+ * Run `pollShipments` on an interval (long-running servers only).
+ */
+export function startTrackingPoller(intervalMs = 10 * 60 * 1000) {
+  const timer = setInterval(() => {
+    pollShipments().catch((error) =>
+      console.error("Tracking poller error:", error.message),
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// ── Tracking view ───────────────────────────────────────
+
+const STEP_LABELS = {
+  pending: "Order Placed",
+  paid: "Payment Confirmed",
+  processing: "Processing",
+  shipped: "Shipped",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+  refunded: "Refunded",
+  label_created: "Label Created",
+  in_transit: "In Transit",
+  out_for_delivery: "Out for Delivery",
+  exception: "Delivery Exception",
+};
+
+const STATUS_TEXT = {
+  pending: "Order Placed",
+  paid: "Payment Confirmed",
+  processing: "Preparing for Shipment",
+  shipped: "In Transit",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+  refunded: "Refunded",
+};
+
+// Order stages before any tracking history exists
+const STAGES = {
+  pending: {
+    status: "order_placed",
+    label: "Order Placed",
+    description: "Your order has been received",
+    icon: "package",
+  },
+  paid: {
+    status: "payment_confirmed",
+    label: "Payment Confirmed",
+    description: "Payment has been verified",
+    icon: "credit-card",
+  },
+  processing: {
+    status: "processing",
+    label: "Processing",
+    description: "Your order is being prepared",
+    icon: "settings",
+  },
+  shipped: {
+    status: "shipped",
+    label: "Shipped",
+    description: "Package is on its way",
+    icon: "truck",
+  },
+  delivered: {
+    status: "delivered",
+    label: "Delivered",
+    description: "Package has been delivered",
+    icon: "check-circle",
+  },
+};
+
+// COD orders never pass through "paid"
+const stagesFor = (order) =>
+  Object.keys(STAGES).filter(
+    (status) => status !== "paid" || order.paymentMethod !== "cod",
+  );
+
+// When the order reached each stage, from its own records
+function stageTime(order, status) {
+  if (status === "pending") return order.createdAt;
+  if (status === "paid" && order.paidAt) return order.paidAt;
+  const event = (order.events || []).find(
+    (e) => e.type === "status" && e.to === status,
+  );
+  return event?.at || null;
+}
+
+function timelineFor(order) {
+  const history = [...(order.tracking?.history || [])].sort(byTime);
+
+  if (history.length > 0) {
+    const timeline = history.map((entry, index) => ({
+      status: entry.status,
+      label: STEP_LABELS[entry.status] || entry.status,
+      description: entry.description,
+      location: entry.location,
+      timestamp: entry.timestamp,
+      completed: true,
+      isCurrent: index === history.length - 1,
+    }));
+    if (order.status === "shipped") {
+      timeline.push({
+        ...STAGES.delivered,
+        description: "Not delivered yet",
+        completed: false,
+        isCurrent: false,
+        timestamp: null,
+      });
+    }
+    return timeline;
+  }
+
+  const stages = stagesFor(order);
+  const reached = stages.indexOf(order.status);
+  return stages.map((status, index) => {
+    const timestamp = index <= reached ? stageTime(order, status) : null;
+    return {
+      ...STAGES[status],
+      completed: index <= reached,
+      isCurrent: index === reached,
+      timestamp,
+    };
+  });
+}
+
+/**
+ * What the shopper sees for an order's delivery: status, carrier, scans
+ * and progress. Only recorded data — fields stay null until the order
+ * has a carrier and tracking number.
+ */
+export function trackingInfo(order) {
+  const stages = stagesFor(order);
+  const reached = stages.indexOf(order.status);
+  const latest = carrierScans(order).at(-1);
+  // A shipped order's text follows the carrier when it says more
+  const carrierText =
+    order.status === "shipped" &&
+    ["out_for_delivery", "exception"].includes(latest?.status)
+      ? STEP_LABELS[latest.status]
+      : null;
+
+  let progress = reached < 0 ? 0 : ((reached + 1) / stages.length) * 100;
+  if (order.status === "shipped" && latest?.status === "out_for_delivery") {
+    progress = Math.max(progress, 90);
+  }
+
+  return {
+    orderId: order._id,
+    trackingNumber: order.tracking?.trackingNumber || null,
+    status: order.status,
+    statusText: carrierText || STATUS_TEXT[order.status] || order.status,
+    carrier: order.tracking?.carrier || null,
+    estimatedDelivery: order.tracking?.estimatedDelivery || null,
+    currentLocation: order.tracking?.currentLocation || null,
+    progress: Math.round(progress),
+    timeline: timelineFor(order),
+    shippingAddress: order.shippingAddress,
+    items: order.items,
+    lastUpdate: order.tracking?.lastUpdate || order.updatedAt,
+  };
+}
@@ -0,0 +1,263 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import Settings from "../models/Settings.js";
+
+/**
+ * Two-Factor Service — TOTP (RFC 6238) second factor with recovery codes.
+ *
+ * Enrollment is two steps: `beginEnrollment` stores a pending secret and
+ * returns a QR code, `enableTwoFactor` confirms it with a first code and
+ * issues recovery codes. Recovery codes are stored hashed and work once.
+ * A TOTP step is accepted only once, so a code can't be replayed.
+ *
+ * At login, a password check on a 2FA account yields a short-lived
+ * challenge token instead of a session; the code is then verified
+ * against it.
+ */
+
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes one step either side, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+
+const SECRET_FIELDS =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes";
+
+// ── TOTP ────────────────────────────────────────────────
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) continue;
+    bits += index.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+
+function totp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// Returns the matching time step, or null
+function matchTotp(secret, code) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    const expected = Buffer.from(totp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// ── Recovery codes ──────────────────────────────────────
+
+const hashCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+// ── Second factor check ─────────────────────────────────
+
+/**
+ * Check a TOTP or recovery code for a user with 2FA on. TOTP steps and
+ * recovery codes are consumed atomically.
+ * Returns { ok, method?: "totp" | "recovery" }.
+ */
+export async function verifySecondFactor(userId, code) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user?.twoFactorEnabled || !user.twoFactorSecret) return { ok: false };
+
+  const step = matchTotp(user.twoFactorSecret, code);
+  if (step !== null) {
+    const consumed = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastStep: null },
+          { twoFactorLastStep: { $lt: step } },
+        ],
+      },
+      { $set: { twoFactorLastStep: step } },
+    );
+    return consumed.modifiedCount > 0
+      ? { ok: true, method: "totp" }
+      : { ok: false };
+  }
+
+  if (typeof code !== "string" || !code.trim()) return { ok: false };
+  const used = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: hashCode(code) },
+    { $pull: { twoFactorRecoveryCodes: hashCode(code) } },
+  );
+  return used.modifiedCount > 0
+    ? { ok: true, method: "recovery" }
+    : { ok: false };
+}
+
+export async function remainingRecoveryCodes(userId) {
+  const user = await User.findById(userId).select("+twoFactorRecoveryCodes");
+  return user?.twoFactorRecoveryCodes?.length || 0;
+}
+
+// ── Enrollment ──────────────────────────────────────────
+
+/**
+ * Start enrollment: store a pending secret and return it with a QR code.
+ * Returns { ok, status, message, secret?, otpauthUrl?, qrCode? }.
+ */
+export async function beginEnrollment(user) {
+  if (user.twoFactorEnabled) {
+    return {
+      ok: false,
+      status: 400,
+      message: "Two-factor authentication is already enabled",
+    };
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorPendingSecret: secret } },
+  );
+
+  const { storeName } = await Settings.getSettings();
+  const issuer = storeName || "Store";
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  const otpauthUrl =
+    `otpauth://totp/${label}?secret=${secret}` +
+    `&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD_SECONDS}`;
+
+  return {
+    ok: true,
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app.
+ * Returns { ok, status, message, recoveryCodes? }.
+ */
+export async function enableTwoFactor(userId, code) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (user.twoFactorEnabled) {
+    return {
+      ok: false,
+      status: 400,
+      message: "Two-factor authentication is already enabled",
+    };
+  }
+  if (!user.twoFactorPendingSecret) {
+    return { ok: false, status: 400, message: "Start setup first" };
+  }
+
+  const step = matchTotp(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    return { ok: false, status: 400, message: "Invalid verification code" };
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: recoveryCodes.map(hashCode),
+      },
+    },
+  );
+
+  return { ok: true, recoveryCodes };
+}
+
+// Replace all recovery codes (after a fresh second-factor check)
+export async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { twoFactorRecoveryCodes: recoveryCodes.map(hashCode) } },
+  );
+  return recoveryCodes;
+}
+
+export async function disableTwoFactor(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: [],
+      },
+    },
+  );
+}
+
+// ── Login challenge ─────────────────────────────────────
+
+// Proves the password step passed; useless as an access token (no `sid`)
+export const signChallenge = (userId) =>
+  jwt.sign({ id: userId, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+  });
+
+// Returns the user id, or null when the token is invalid or expired
+export function readChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa" ? decoded.id : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,322 @@
+import Cart from "../models/Cart.js";
+import Order from "../models/Order.js";
+import Coupon from "../models/Coupon.js";
+import WebhookEvent from "../models/WebhookEvent.js";
+import { calculateTax } from "./taxService.js";
+import { fromMinorUnits, roundMoney } from "./currencyService.js";
+import { decrementStock } from "./inventoryService.js";
+import { convertHolds, releaseHolds } from "./reservationService.js";
+import { orderEvent } from "./orderStateService.js";
+import { sendOrderEmail } from "./orderEmailService.js";
+import { alertOversold } from "./stockAlertService.js";
+
+/**
+ * Webhook Service — Idempotent processing of Stripe webhook events.
+ *
+ * Every event is recorded in the WebhookEvent ledger before it is
+ * handled. A processed event is never handled again; a failed event is
+ * retried by Stripe (we answer non-2xx) or replayed by an admin.
+ *
+ * Checkout fulfillment runs as named steps recorded on the order, so a
+ * retry after a partial failure finishes the remaining steps instead of
+ * duplicating the order, stock decrement or coupon usage.
+ */
+
+// A "processing" claim older than this is assumed to be from a crashed worker
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// ── Ledger ──────────────────────────────────────────────
+
+/**
+ * Record and process a verified Stripe event.
+ * Returns { status: "processed" | "duplicate" | "in_progress" | "failed", error? }
+ */
+export async function processStripeEvent(event) {
+  const claim = await claimEvent(event);
+  if (!claim.record) {
+    return { status: claim.status === "processed" ? "duplicate" : "in_progress" };
+  }
+  return runEvent(claim.record);
+}
+
+/**
+ * Re-run a failed event from its stored payload (admin action).
+ * Returns null when the event doesn't exist or isn't in a failed state.
+ */
+export async function replayWebhookEvent(id) {
+  const record = await WebhookEvent.findOneAndUpdate(
+    { _id: id, status: "failed" },
+    { status: "processing", $inc: { attempts: 1 } },
+    { new: true },
+  );
+  if (!record) return null;
+  return runEvent(record);
+}
+
+async function claimEvent(event) {
+  try {
+    const record = await WebhookEvent.create({
+      eventId: event.id,
+      type: event.type,
+      payload: event,
+      status: "processing",
+      attempts: 1,
+    });
+    return { record };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Seen before — only a failed or abandoned attempt may be retried
+  const record = await WebhookEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: "failed" },
+        {
+          status: "processing",
+          updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) },
+        },
+      ],
+    },
+    { status: "processing", $inc: { attempts: 1 } },
+    { new: true },
+  );
+  if (record) return { record };
+
+  const existing = await WebhookEvent.findOne({ eventId: event.id })
+    .select("status")
+    .lean();
+  return { status: existing?.status };
+}
+
+async function runEvent(record) {
+  try {
+    const result = await handleEvent(record.payload);
+    record.status = "processed";
+    record.processedAt = new Date();
+    record.lastError = null;
+    record.orderId = result?.orderId || record.orderId;
+    await record.save();
+    return { status: "processed", orderId: record.orderId };
+  } catch (error) {
+    console.error(`Webhook ${record.eventId} (${record.type}) failed:`, error);
+    record.status = "failed";
+    record.lastError = error.message;
+    await record.save();
+    return { status: "failed", error: error.message };
+  }
+}
+
+// ── Event Handlers ──────────────────────────────────────
+
+async function handleEvent(event) {
+  switch (event.type) {
+    case "checkout.session.completed":
+      return fulfillCheckoutSession(event.data.object);
+    case "checkout.session.expired":
+      return releaseCheckoutHolds(event.data.object);
+    default:
+      return null;
+  }
+}
+
+// Shopper abandoned Stripe checkout — put held stock back
+async function releaseCheckoutHolds(session) {
+  if (session.metadata?.holdId) {
+    const released = await releaseHolds(session.metadata.holdId, "expired");
+    console.log(`🔓 Released ${released} stock hold(s) for session ${session.id}`);
+  }
+  return null;
+}
+
+async function fulfillCheckoutSession(session) {
+  console.log("🎉 Fulfilling checkout session:", session.id);
+  const userId = session.metadata.userId || null;
+  const couponCode = session.metadata.couponCode || null;
+  const items = JSON.parse(session.metadata.itemsJson || "[]");
+
+  const order =
+    (await Order.findOne({ stripeSessionId: session.id })) ||
+    (await createOrderFromSession(session, items));
+
+  // Runs `fn` once per order — skipped if a previous attempt completed it
+  const step = async (name, fn) => {
+    if (order.fulfillmentSteps.includes(name)) return;
+    await fn();
+    await Order.updateOne(
+      { _id: order._id },
+      { $addToSet: { fulfillmentSteps: name } },
+    );
+    order.fulfillmentSteps.push(name);
+  };
+
+  // ── Inventory Update ──────────────────────────────
+  // Stock was taken when the hold was created; convert it to a sale.
+  // Lines whose hold already lapsed (or sessions without holds) must
+  // take stock again — conditionally, so we never go negative. Each line
+  // is recorded once taken, so a retry only takes the rest. A line with
+  // no stock left is recorded on the order as oversold and staff are
+  // alerted; the order is still paid.
+  await step("inventory", async () => {
+    let untaken = items.map((item, index) => ({ key: `line:${index}`, item }));
+    if (session.metadata.holdId) {
+      const { missing } = await convertHolds(session.metadata.holdId);
+      untaken = missing.map((hold) => ({
+        key: `hold:${hold._id}`,
+        item: hold,
+      }));
+    }
+    for (const { key, item } of untaken) {
+      if (order.stockTaken.includes(key)) continue;
+      const taken = await decrementStock(
+        item.productId,
+        { size: item.size, color: item.color },
+        item.quantity,
+      );
+      order.stockTaken.push(key);
+      if (!taken) {
+        console.error(
+          `⚠️ Oversold: order ${order._id} — no stock left for product ${item.productId} (qty ${item.quantity})`,
+        );
+        recordOversold(order, item);
+      }
+      await order.save();
+      if (!taken) await alertOversold(order, item);
+    }
+  });
+
+  // ── Record coupon usage ───────────────────────────
+  await step("coupon", async () => {
+    if (!couponCode) return;
+    const coupon = await Coupon.findOne({ code: couponCode });
+    if (coupon) await coupon.recordUsage(userId);
+  });
+
+  // ── Clear the shopper's cart ──────────────────────
+  await step("cart", async () => {
+    if (!session.metadata.cartId) return;
+    await Cart.findByIdAndUpdate(session.metadata.cartId, {
+      items: [],
+      appliedCoupon: { code: null, discountType: null, discountValue: 0 },
+    });
+  });
+
+  // Order only shows as paid once every step has succeeded
+  if (order.status === "pending") {
+    order.status = "paid";
+    order.paymentStatus = "paid";
+    order.paidAt = new Date();
+    order.events.push(
+      orderEvent("status", {
+        from: "pending",
+        to: "paid",
+        reason: `Stripe checkout ${session.id} completed`,
+      }),
+      orderEvent("payment", {
+        from: "pending",
+        to: "paid",
+        amount: order.total,
+        reason: "Card payment captured",
+      }),
+    );
+    await order.save();
+  }
+
+  // Sent once — a retried event finds it in order.emailsSent
+  await sendOrderEmail(order, "confirmation");
+
+  console.log("✅ Order fulfilled:", order._id);
+  return { orderId: order._id };
+}
+
+// Note a paid line there was no stock for, on the order and its event log
+function recordOversold(order, item) {
+  const name =
+    order.items.find((i) => String(i.productId) === String(item.productId))
+      ?.name || "";
+  const variant = [item.size, item.color].filter(Boolean).join(" / ");
+  order.oversold.push({
+    productId: item.productId,
+    name,
+    size: item.size || null,
+    color: item.color || null,
+    quantity: item.quantity,
+  });
+  order.events.push(
+    orderEvent("stock", {
+      reason: `Oversold: no stock left for ${item.quantity} × ${
+        name || item.productId
+      }${variant ? ` (${variant})` : ""}`,
+    }),
+  );
+}
+
+async function createOrderFromSession(session, items) {
+  // Calculate totals (Stripe reports tax, shipping and discount separately,
+  // in the session currency's smallest unit). Item prices were converted
+  // to that currency at checkout.
+  const currency = session.currency || "usd";
+  const amount = (minor) => fromMinorUnits(minor || 0, currency);
+  const subtotal = roundMoney(
+    items.reduce((sum, i) => sum + i.price * i.quantity, 0),
+    currency,
+  );
+  const totalPaid = amount(session.amount_total);
+  const tax = amount(session.total_details?.amount_tax);
+  const shipping = amount(session.total_details?.amount_shipping);
+  const discount =
+    session.total_details?.amount_discount != null
+      ? amount(session.total_details.amount_discount)
+      : roundMoney(subtotal + tax + shipping - totalPaid, currency);
+
+  // Per-line breakdown from the tax rates snapshotted at checkout
+  const taxLines = calculateTax(
+    items.map((i) => ({ ...i, rate: i.taxRate || 0 })),
+    { discount: Math.max(0, discount), currency },
+  ).lines;
+
+  const order = new Order({
+    // Guest sessions carry an empty userId and the checkout email
+    userId: session.metadata.userId || null,
+    guestEmail: session.metadata.guestEmail || null,
+    ...(session.metadata.shippingJson && {
+      shippingAddress: JSON.parse(session.metadata.shippingJson),
+    }),
+    // Rate picked at checkout; the amount is what Stripe charged
+    ...(session.metadata.shippingRateJson && {
+      shippingRate: {
+        ...JSON.parse(session.metadata.shippingRateJson),
+        amount: shipping,
+      },
+    }),
+    items: items.map((i, index) => ({
+      productId: i.productId,
+      name: i.name,
+      price: i.price,
+      quantity: i.quantity,
+      size: i.size,
+      color: i.color,
+      sku: i.sku || null,
+      imageUrl: i.imageUrl,
+      taxRate: taxLines[index].taxRate,
+      taxableAmount: taxLines[index].taxableAmount,
+      tax: taxLines[index].tax,
+    })),
+    subtotal,
+    discount: Math.max(0, discount),
+    couponCode: session.metadata.couponCode || null,
+    tax,
+    shipping,
+    total: totalPaid,
+    currency,
+    exchangeRate: Number(session.metadata.exchangeRate) || 1,
+    stripeSessionId: session.id,
+    stripePaymentIntentId: session.payment_intent,
+    status: "pending",
+  });
+
+  await order.save();
+  console.log("Order created:", order._id);
+  return order;
+}
@@ -9,7 +9,8 @@ self.addEventListener('push', function(event) {
       vibrate: [100, 50, 100],
       data: {
         dateOfArrival: Date.now(),
-        primaryKey: 1
+        primaryKey: 1,
+        url: data.url || '/'
       },
       actions: [
         {
@@ -33,6 +34,6 @@ self.addEventListener('push', function(event) {
 self.addEventListener('notificationclick', function(event) {
   event.notification.close();
   event.waitUntil(
-    clients.openWindow('/')
+    clients.openWindow(event.notification.data?.url || '/')
   );
 });
@@ -19,6 +19,7 @@ import { ProductDetail } from "./pages/ProductDetail";
 // Auth & Admin Pages
 import Auth from "./pages/Auth";
 import VerifyOTP from "./pages/VerifyOTP";
+import OAuthCallback from "./pages/OAuthCallback";
 import ForgotPassword from "./pages/ForgotPassword";
 import Profile from "./pages/Profile";
 import ChangePassword from "./pages/ChangePassword";
@@ -26,7 +27,9 @@ import AdminDashboard from "./pages/AdminDashboard";
 import UserManagement from "./pages/UserManagement";
 import AdminProducts from "./pages/AdminProducts";
 import Checkout from "./pages/Checkout";
+import OrderLookup from "./pages/OrderLookup";
 import Wishlist from "./pages/Wishlist";
+import Unsubscribe from "./pages/Unsubscribe";
 
 // Other Pages
 import Todos from "./pages/Todos";
@@ -46,11 +49,16 @@ function App() {
               <Route path="/shop" element={<ProductListing />} />
               <Route path="/product/:id" element={<ProductDetail />} />
               <Route path="/wishlist" element={<Wishlist />} />
+              <Route path="/unsubscribe" element={<Unsubscribe />} />
 
               {/* Auth Routes */}
               <Route path="/login" element={<Auth />} />
               <Route path="/register" element={<Auth />} />
               <Route path="/auth" element={<Auth />} />
+              <Route
+                path="/auth/callback/:provider"
+                element={<OAuthCallback />}
+              />
               <Route path="/verify-otp" element={<VerifyOTP />} />
               <Route path="/forgot-password" element={<ForgotPassword />} />
 
@@ -98,15 +106,9 @@ function App() {
                 }
               />
 
-              {/* Checkout Route */}
-              <Route
-                path="/checkout"
-                element={
-                  <ProtectedRoute>
-                    <Checkout />
-                  </ProtectedRoute>
-                }
-              />
+              {/* Checkout Routes (open to guests) */}
+              <Route path="/checkout" element={<Checkout />} />
+              <Route path="/order-lookup" element={<OrderLookup />} />
 
               {/* Other Routes */}
               <Route path="/todos" element={<Todos />} />
@@ -1,83 +1,60 @@
 import api from "./api";
 
+// A saved address in the user's address book. `country` is an ISO
+// 3166-1 alpha-2 code (see utils/countries).
 export interface Address {
-  _id?: string;
-  userId?: string;
-  name: string;
+  _id: string;
+  label?: string;
+  fullName: string;
+  phone?: string;
   addressLine1: string;
   addressLine2?: string;
   city: string;
-  state: string;
-  postalCode: string;
+  state?: string;
+  postalCode?: string;
   country: string;
-  phone: string;
-  isDefault?: boolean;
-  type?: "shipping" | "billing" | "both";
+  isDefaultShipping: boolean;
+  isDefaultBilling: boolean;
   createdAt?: string;
   updatedAt?: string;
 }
 
+export type AddressInput = Partial<Omit<Address, "_id" | "createdAt" | "updatedAt">>;
+
+interface AddressResponse {
+  message: string;
+  address: Address;
+}
+
 // Get all addresses for the current user
 export const getAddresses = async (): Promise<Address[]> => {
-  try {
-    const response = await api.get("/addresses");
-    return response.data;
-  } catch (error) {
-    console.error("Error fetching addresses:", error);
-    return [];
-  }
-};
-
-// Get a specific address by ID
-export const getAddressById = async (addressId: string): Promise<Address> => {
-  const response = await api.get(`/addresses/${addressId}`);
+  const response = await api.get("/profile/addresses");
   return response.data;
 };
 
-// Create a new address
-export const createAddress = async (address: Omit<Address, "_id" | "userId">): Promise<Address> => {
-  const response = await api.post("/addresses", address);
+// Save a new address
+export const createAddress = async (address: AddressInput): Promise<AddressResponse> => {
+  const response = await api.post("/profile/addresses", address);
   return response.data;
 };
 
-// Update an existing address
-export const updateAddress = async (addressId: string, address: Partial<Address>): Promise<Address> => {
-  const response = await api.put(`/addresses/${addressId}`, address);
+// Update an address; isDefaultShipping / isDefaultBilling: true make it a default
+export const updateAddress = async (
+  addressId: string,
+  address: AddressInput,
+): Promise<AddressResponse> => {
+  const response = await api.put(`/profile/addresses/${addressId}`, address);
   return response.data;
 };
 
 // Delete an address
 export const deleteAddress = async (addressId: string): Promise<void> => {
-  await api.delete(`/addresses/${addressId}`);
-};
-
-// Set an address as default
-export const setDefaultAddress = async (addressId: string): Promise<Address> => {
-  const response = await api.put(`/addresses/${addressId}/default`);
-  return response.data;
-};
-
-// Save address from checkout
-export const saveAddressFromCheckout = async (address: Omit<Address, "_id" | "userId">): Promise<Address> => {
-  try {
-    // Create a new address with the checkout data
-    const response = await api.post("/addresses", {
-      ...address,
-      type: "both", // Default to both shipping and billing
-    });
-    return response.data;
-  } catch (error) {
-    console.error("Error saving address from checkout:", error);
-    throw error;
-  }
+  await api.delete(`/profile/addresses/${addressId}`);
 };
 
 export default {
   getAddresses,
-  getAddressById,
   createAddress,
   updateAddress,
   deleteAddress,
-  setDefaultAddress,
-  saveAddressFromCheckout,
 };
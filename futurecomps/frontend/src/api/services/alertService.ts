@@ -0,0 +1,45 @@
+import api from "./api";
+
+export type ProductAlertType = "back-in-stock" | "price-drop";
+
+export interface ProductAlert {
+  _id: string;
+  productId: string;
+  type: ProductAlertType;
+  referencePrice: number | null;
+  createdAt: string;
+}
+
+const alertService = {
+  // Back-in-stock and price-drop alerts of the signed-in user
+  getAlerts: async (): Promise<ProductAlert[]> => {
+    const response = await api.get("/alerts");
+    // productId comes back populated
+    return response.data.map(
+      (alert: Omit<ProductAlert, "productId"> & { productId: { _id: string } }) => ({
+        ...alert,
+        productId: alert.productId?._id,
+      }),
+    );
+  },
+
+  createAlert: async (
+    productId: string,
+    type: ProductAlertType,
+  ): Promise<{ message: string; alert: ProductAlert }> => {
+    const response = await api.post("/alerts", { productId, type });
+    return response.data;
+  },
+
+  deleteAlert: async (id: string): Promise<void> => {
+    await api.delete(`/alerts/${id}`);
+  },
+
+  // From the link in an alert email — works signed out
+  unsubscribe: async (alert: string, sig: string): Promise<{ message: string }> => {
+    const response = await api.post("/alerts/unsubscribe", { alert, sig });
+    return response.data;
+  },
+};
+
+export default alertService;
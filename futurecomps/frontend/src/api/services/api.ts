@@ -29,6 +29,15 @@ const onTokenRefreshFailed = () => {
   refreshSubscribers = [];
 };
 
+// Guest cart token, issued by the server with the first cart write of a
+// signed-out shopper and sent back until the cart is merged on sign-in
+const GUEST_CART_TOKEN_KEY = "guest_cart_token";
+
+export const guestCartToken = {
+  get: (): string | null => localStorage.getItem(GUEST_CART_TOKEN_KEY),
+  clear: (): void => localStorage.removeItem(GUEST_CART_TOKEN_KEY),
+};
+
 // Create Axios instance with config
 const api = axios.create({
   baseURL:
@@ -58,6 +67,11 @@ api.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
 
+    const cartToken = guestCartToken.get();
+    if (cartToken) {
+      config.headers["X-Cart-Token"] = cartToken;
+    }
+
     // Add CSRF token to all non-GET requests
     if (config.method !== "get") {
       const csrfToken = cookies.getCsrfToken();
@@ -85,6 +99,9 @@ api.interceptors.request.use(
 // Response interceptor for API calls
 api.interceptors.response.use(
   (response) => {
+    if (typeof response.data?.guestToken === "string") {
+      localStorage.setItem(GUEST_CART_TOKEN_KEY, response.data.guestToken);
+    }
     return response;
   },
   async (error) => {
@@ -133,18 +150,27 @@ api.interceptors.response.use(
       return Promise.reject(error);
     }
 
-    // Handle authentication errors
-    if (error.response && error.response.status === 401) {
-      // Check if we have a token - if we do, don't try to refresh or redirect
-      const token = cookies.getAccessToken();
-
-      // If we have a token but still got 401, it means the token is invalid
-      // Don't create a redirect loop - just reject the error
-      if (token && window.location.pathname.includes("/admin")) {
-        console.error("Admin API call failed with 401 despite having token");
-        return Promise.reject(error);
+    // Admin features need 2FA (Settings.security.requireAdmin2FA)
+    const twoFactor = error.response?.data;
+    if (
+      error.response?.status === 403 &&
+      (twoFactor?.twoFactorSetupRequired || twoFactor?.twoFactorRequired) &&
+      window.location.pathname.startsWith("/admin")
+    ) {
+      if (twoFactor.twoFactorSetupRequired) {
+        window.location.href = "/profile?section=settings";
+      } else {
+        // This session predates 2FA — sign in again with a code
+        cookies.clearAuthCookies();
+        window.location.href = `/auth?redirectTo=${encodeURIComponent(
+          window.location.pathname,
+        )}`;
       }
+      return Promise.reject(error);
+    }
 
+    // Handle authentication errors
+    if (error.response && error.response.status === 401) {
       // Check if we should attempt to refresh the token
       const now = Date.now();
       const shouldAttemptRefresh =
@@ -259,11 +285,25 @@ api.checkApiAvailability = async () => {
   }
 };
 
+// Refresh tokens are single-use, so concurrent callers share one request
+let refreshInFlight: Promise<string> | null = null;
+
 /**
  * Refresh the access token using the refresh token
  * @returns {Promise<string>} New access token
  */
-export const refreshAccessToken = async (): Promise<string> => {
+export const refreshAccessToken = (): Promise<string> => {
+  if (!refreshInFlight) {
+    refreshInFlight = requestTokenRefresh().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+};
+
+const requestTokenRefresh = async (): Promise<string> => {
+  // Another tab may rotate the shared refresh token cookie under us
+  const sentRefreshToken = cookies.getRefreshToken();
   try {
     // Use a separate axios instance to avoid interceptor loops
     const refreshAxios = axios.create({
@@ -308,6 +348,17 @@ export const refreshAccessToken = async (): Promise<string> => {
       throw new Error("No token received from refresh endpoint");
     }
   } catch (error) {
+    const currentRefreshToken = cookies.getRefreshToken();
+    const currentToken = cookies.getAccessToken();
+    if (
+      sentRefreshToken &&
+      currentRefreshToken &&
+      currentRefreshToken !== sentRefreshToken &&
+      currentToken
+    ) {
+      return currentToken;
+    }
+
     // Clear auth data on refresh failure
     cookies.clearAuthCookies();
     throw error;
@@ -0,0 +1,52 @@
+import api from "./api";
+
+export interface AuditChange {
+  path: string;
+  before: unknown;
+  after: unknown;
+}
+
+export interface AuditLogEntry {
+  _id: string;
+  actorId: { _id: string; name?: string; email?: string } | string | null;
+  actorEmail: string | null;
+  action: string;
+  resource: string;
+  resourceId: string | null;
+  changes: AuditChange[];
+  method?: string;
+  path?: string;
+  statusCode?: number;
+  ip?: string | null;
+  createdAt: string;
+}
+
+export interface AuditLogPage {
+  entries: AuditLogEntry[];
+  total: number;
+  page: number;
+  pages: number;
+}
+
+export interface AuditLogFilters {
+  resource?: string;
+  resourceId?: string;
+  action?: string;
+  actorId?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+// Get admin actions from the audit log, newest first (admin only)
+export const getAuditLogs = async (
+  params?: AuditLogFilters,
+): Promise<AuditLogPage> => {
+  const response = await api.get<AuditLogPage>("/admin/audit", { params });
+  return response.data;
+};
+
+export default {
+  getAuditLogs,
+};
@@ -1,4 +1,4 @@
-import api from "./api";
+import api, { guestCartToken } from "./api";
 
 export interface CartItem {
   _id: string;
@@ -371,6 +371,12 @@ const clearCart = async (): Promise<void> => {
 // Sync local cart with server after login
 const syncCartAfterLogin = async (): Promise<CartItem[]> => {
   try {
+    // Move the cart built while signed out into the account cart
+    if (guestCartToken.get()) {
+      await api.post("/cart/merge").catch(() => undefined);
+      guestCartToken.clear();
+    }
+
     const localItems = localCart.getItems();
 
     if (localItems.length > 0) {
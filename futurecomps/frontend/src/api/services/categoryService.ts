@@ -0,0 +1,126 @@
+import api from "./api";
+
+export interface Category {
+  _id: string;
+  name: string;
+  slug: string;
+  parent: string | null;
+  description: string;
+  image: string;
+  sortOrder: number;
+  isActive: boolean;
+  aliases?: string[];
+}
+
+// A category in the tree, with its subcategories
+export interface CategoryNode extends Category {
+  productCount: number; // active products directly in it
+  totalCount: number; // including subcategories
+  children: CategoryNode[];
+}
+
+// A step in a product's category path, top level first
+export interface CategoryCrumb {
+  _id: string;
+  name: string;
+  slug: string;
+}
+
+export type CategoryInput = Partial<
+  Pick<
+    Category,
+    | "name"
+    | "slug"
+    | "parent"
+    | "description"
+    | "image"
+    | "sortOrder"
+    | "isActive"
+    | "aliases"
+  >
+>;
+
+// Every category in the tree, parents first, with its depth
+export const flattenCategories = (
+  nodes: CategoryNode[],
+  depth = 0,
+): { category: CategoryNode; depth: number }[] =>
+  nodes.flatMap((category) => [
+    { category, depth },
+    ...flattenCategories(category.children, depth + 1),
+  ]);
+
+// The category with this slug, or null
+export const findCategoryBySlug = (
+  nodes: CategoryNode[],
+  slug: string,
+): CategoryNode | null =>
+  flattenCategories(nodes).find(
+    ({ category }) => category.slug === slug.toLowerCase(),
+  )?.category ?? null;
+
+// Ids of a category and everything under it
+export const categoryIds = (category: CategoryNode): string[] => [
+  category._id,
+  ...category.children.flatMap(categoryIds),
+];
+
+// The category tree shoppers see, with product counts
+export const getCategoryTree = async (): Promise<CategoryNode[]> => {
+  const response = await api.get<CategoryNode[]>("/products/categories");
+  return response.data;
+};
+
+// The full tree, inactive categories included (admin only)
+export const getAdminCategoryTree = async (): Promise<CategoryNode[]> => {
+  const response = await api.get<CategoryNode[]>("/categories");
+  return response.data;
+};
+
+// Create a category (admin only)
+export const createCategory = async (
+  category: CategoryInput,
+): Promise<Category> => {
+  const response = await api.post<Category>("/categories", category);
+  return response.data;
+};
+
+// Update, move or reorder a category (admin only)
+export const updateCategory = async (
+  categoryId: string,
+  category: CategoryInput,
+): Promise<Category> => {
+  const response = await api.put<Category>(
+    `/categories/${categoryId}`,
+    category,
+  );
+  return response.data;
+};
+
+// Delete an empty category (admin only)
+export const deleteCategory = async (categoryId: string): Promise<void> => {
+  await api.delete(`/categories/${categoryId}`);
+};
+
+// Link products without a category to the tree by their category text
+// (admin only)
+export const migrateCategories = async (): Promise<{
+  message: string;
+  created: string[];
+  linked: number;
+}> => {
+  const response = await api.post("/categories/migrate");
+  return response.data;
+};
+
+export default {
+  flattenCategories,
+  findCategoryBySlug,
+  categoryIds,
+  getCategoryTree,
+  getAdminCategoryTree,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  migrateCategories,
+};
@@ -0,0 +1,50 @@
+import api from "./api";
+
+export interface EmailLogEntry {
+  _id: string;
+  to: string;
+  template: string;
+  locale: string | null;
+  subject: string;
+  transport: string;
+  status: "sending" | "sent" | "failed";
+  attempts: number;
+  lastError: string | null;
+  sentAt: string | null;
+  createdAt: string;
+}
+
+export interface EmailLogPage {
+  emails: EmailLogEntry[];
+  total: number;
+  page: number;
+  pages: number;
+  // Where mail is currently delivered: smtp, api, file or console
+  transport: string;
+}
+
+// Get sent and failed emails, newest first (admin only)
+export const getEmailLog = async (params?: {
+  status?: EmailLogEntry["status"];
+  template?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}): Promise<EmailLogPage> => {
+  const response = await api.get<EmailLogPage>("/admin/emails", { params });
+  return response.data;
+};
+
+// Send a test email through the configured transport (admin only)
+export const sendTestEmail = async (data?: {
+  to?: string;
+  locale?: string;
+}): Promise<{ message: string }> => {
+  const response = await api.post("/admin/emails/test", data);
+  return response.data;
+};
+
+export default {
+  getEmailLog,
+  sendTestEmail,
+};
@@ -22,6 +22,34 @@ export interface OrderItem {
   };
   color?: string;
   size?: string;
+  _id?: string;
+  sku?: string;
+  taxableAmount?: number;
+  tax?: number;
+  refundedQuantity?: number;
+}
+
+export interface Refund {
+  _id: string;
+  amount: number;
+  reason: string;
+  method: "stripe" | "manual";
+  stripeRefundId?: string | null;
+  items: { itemId: string; quantity: number }[];
+  restocked: boolean;
+  returnId?: string | null;
+  createdAt: string;
+}
+
+export interface OrderEvent {
+  type: "status" | "payment" | "refund" | "stock";
+  from?: string | null;
+  to?: string | null;
+  amount?: number | null;
+  reason?: string;
+  actorId?: string | { _id: string; name?: string; email?: string } | null;
+  actorRole: "admin" | "customer" | "system";
+  at: string;
 }
 
 export interface ShippingAddress {
@@ -59,12 +87,13 @@ export interface TrackingTimeline {
 
 export interface TrackingInfo {
   orderId: string;
-  trackingNumber: string;
+  // null until the order ships with a carrier
+  trackingNumber: string | null;
   status: string;
   statusText: string;
-  carrier: string;
-  estimatedDelivery: string;
-  currentLocation: string;
+  carrier: string | null;
+  estimatedDelivery: string | null;
+  currentLocation: string | null;
   progress: number;
   timeline: TrackingTimeline[];
   shippingAddress?: ShippingAddress;
@@ -80,10 +109,33 @@ export interface Order {
   items: OrderItem[];
   totalAmount?: number;
   total?: number;
+  currency?: string; // what the shopper paid in, e.g. "usd"
+  exchangeRate?: number; // units of `currency` per base-currency unit
   shippingAddress: ShippingAddress;
   paymentMethod: string;
   shippingMethod: string;
-  status: "pending" | "processing" | "shipped" | "delivered" | "cancelled";
+  status:
+    | "pending"
+    | "paid"
+    | "processing"
+    | "shipped"
+    | "delivered"
+    | "cancelled"
+    | "refunded";
+  paymentStatus?:
+    | "pending"
+    | "paid"
+    | "failed"
+    | "partially_refunded"
+    | "refunded";
+  paidAt?: string | null;
+  refunds?: Refund[];
+  refundedAmount?: number;
+  events?: OrderEvent[];
+  // Next statuses allowed by the order state machine (admin list only)
+  allowedStatuses?: Order["status"][];
+  cancelledAt?: string | null;
+  cancellationReason?: string | null;
   createdAt: string;
   updatedAt: string;
   trackingNumber?: string;
@@ -204,10 +256,16 @@ export const createOrder = async (orderData: {
   }
 };
 
-export const cancelOrder = async (orderId: string): Promise<void> => {
+export const cancelOrder = async (
+  orderId: string,
+  reason?: string,
+): Promise<{ message: string; order: Order }> => {
   try {
     // No need to check for token manually as the API interceptor will handle it
-    await api.post(`/orders/${orderId}/cancel`);
+    const response = await api.post(`/payment/orders/${orderId}/cancel`, {
+      reason,
+    });
+    return response.data;
   } catch (error) {
     // Check if this is an authentication error
     if (
@@ -242,6 +300,32 @@ export const cancelOrder = async (orderId: string): Promise<void> => {
   }
 };
 
+// Refund all or part of an order (admin only).
+// Empty payload = full refund; items/amount for a partial refund.
+export const refundOrder = async (
+  orderId: string,
+  payload: {
+    items?: { itemId: string; quantity: number }[];
+    amount?: number;
+    reason?: string;
+    restock?: boolean;
+  } = {},
+): Promise<{ message: string; refund: Refund; order: Order }> => {
+  const response = await api.post(`/admin/orders/${orderId}/refund`, payload);
+  return response.data;
+};
+
+// Record that the courier collected cash for a COD order (admin only)
+export const collectCash = async (
+  orderId: string,
+  reason?: string,
+): Promise<{ message: string; order: Order }> => {
+  const response = await api.post(`/admin/orders/${orderId}/collect-cash`, {
+    reason,
+  });
+  return response.data;
+};
+
 export const updateShippingAddress = async (
   orderId: string,
   shippingAddress: ShippingAddress
@@ -343,6 +427,47 @@ export const trackPackageByNumber = async (trackingNumber: string): Promise<Trac
   }
 };
 
+// ── Guest Orders ────────────────────────────────────────
+
+export interface OrderLookupResult extends TrackingInfo {
+  orderNumber: string;
+  createdAt: string;
+  paymentMethod: string;
+  subtotal: number;
+  discount: number;
+  tax: number;
+  shipping: number;
+  shippingMethod: string | null;
+  total: number;
+  currency: string;
+}
+
+// Find an order by its number and the email it was placed with (public)
+export const lookupOrder = async (
+  orderNumber: string,
+  email: string,
+): Promise<OrderLookupResult> => {
+  const response = await api.post("/payment/orders/lookup", {
+    orderNumber,
+    email,
+  });
+  return response.data;
+};
+
+// Guest orders placed with the signed-in user's (verified) email
+export const getClaimableOrderCount = async (): Promise<number> => {
+  const response = await api.get<{ count: number }>("/payment/orders/claimable");
+  return response.data.count;
+};
+
+export const claimGuestOrders = async (): Promise<{
+  message: string;
+  claimed: number;
+}> => {
+  const response = await api.post("/payment/orders/claim");
+  return response.data;
+};
+
 export const getUserOrdersWithTracking = async (): Promise<{ orders: Order[]; total: number }> => {
   try {
     const response = await api.get("/payment/orders");
@@ -357,9 +482,14 @@ export default {
   getOrderById,
   createOrder,
   cancelOrder,
+  refundOrder,
+  collectCash,
   updateShippingAddress,
   updateJazzCashPayment,
   getOrderTracking,
   trackPackageByNumber,
   getUserOrdersWithTracking,
+  lookupOrder,
+  getClaimableOrderCount,
+  claimGuestOrders,
 };
@@ -1,4 +1,14 @@
 import api from "./api";
+import type { CategoryCrumb, CategoryNode } from "./categoryService";
+
+export interface ProductVariant {
+  _id?: string;
+  sku?: string;
+  size: string | null;
+  color: string | null;
+  stock: number;
+  price?: number | null;
+}
 
 export interface Product {
   id: string;
@@ -10,10 +20,19 @@ export interface Product {
   images: string[];
   imageUrl?: string;
   category: string;
+  categoryId?: string | null;
+  // The category and its parents, top level first (single product only)
+  breadcrumbs?: CategoryCrumb[];
   colors: string[];
   sizes: string[];
   inStock: boolean;
   stock?: number;
+  // Alert staff at or below this stock; null uses the store default
+  lowStockThreshold?: number | null;
+  // Packed weight (kg) and size (cm) of one unit, for shipping rates
+  weight?: number;
+  dimensions?: ProductDimensions;
+  variants?: ProductVariant[];
   isNew: boolean;
   isFeatured: boolean;
   rating?: number;
@@ -24,6 +43,31 @@ export interface Product {
   origin?: string;
 }
 
+export interface ProductDimensions {
+  length: number | null;
+  width: number | null;
+  height: number | null;
+}
+
+export interface LowStockProduct {
+  _id: string;
+  name: string;
+  category: string;
+  imageUrl?: string;
+  images?: string[];
+  stock: number;
+  lowStockThreshold: number | null;
+  // Effective threshold (the product's own, or the store default)
+  threshold: number;
+  variants?: ProductVariant[];
+}
+
+export interface LowStockSummary {
+  defaultThreshold: number;
+  alertsEnabled: boolean;
+  products: LowStockProduct[];
+}
+
 export interface Review {
   id: string;
   userId: string;
@@ -51,8 +95,8 @@ const productService = {
     }
   },
 
-  // Get all product categories
-  getCategories: async (): Promise<string[]> => {
+  // Get the category tree, with product counts
+  getCategories: async (): Promise<CategoryNode[]> => {
     try {
       const response = await api.get("/products/categories");
       return response.data;
@@ -136,6 +180,12 @@ const productService = {
     }
   },
 
+  // Admin: Active products at or below their low-stock threshold
+  getLowStockProducts: async (): Promise<LowStockSummary> => {
+    const response = await api.get("/products/admin/low-stock");
+    return response.data;
+  },
+
   // Admin: Create new product
   createProduct: async (productData: Omit<Product, "id">): Promise<Product> => {
     try {
@@ -0,0 +1,73 @@
+import api from "./api";
+import { createPushSubscription } from "@/lib/notifications";
+
+export interface PushTopics {
+  orderUpdates: boolean;
+  priceDrops: boolean;
+  backInStock: boolean;
+  marketing: boolean;
+}
+
+export interface PushDevice {
+  _id: string;
+  endpoint: string;
+  userAgent: string | null;
+  createdAt: string;
+}
+
+const pushService = {
+  // Register this device for the signed-in user's notifications
+  // (staff also get admin alerts such as low stock)
+  subscribe: async (): Promise<{ message: string }> => {
+    const subscription = await createPushSubscription();
+    const response = await api.post("/push/subscribe", subscription);
+    return response.data;
+  },
+
+  // Stop notifications on this device
+  unsubscribe: async (): Promise<void> => {
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription();
+    if (!subscription) return;
+    await api.delete("/push/subscribe", {
+      data: { endpoint: subscription.endpoint },
+    });
+    await subscription.unsubscribe();
+  },
+
+  // Endpoint of this device's subscription, if it has one
+  getCurrentEndpoint: async (): Promise<string | null> => {
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription();
+    return subscription?.endpoint ?? null;
+  },
+
+  getDevices: async (): Promise<PushDevice[]> => {
+    const response = await api.get<PushDevice[]>("/push/devices");
+    return response.data;
+  },
+
+  removeDevice: async (id: string): Promise<void> => {
+    await api.delete(`/push/devices/${id}`);
+  },
+
+  getPreferences: async (): Promise<PushTopics> => {
+    const response = await api.get<PushTopics>("/push/preferences");
+    return response.data;
+  },
+
+  updatePreferences: async (
+    preferences: Partial<PushTopics>,
+  ): Promise<{ message: string; preferences: PushTopics }> => {
+    const response = await api.put("/push/preferences", preferences);
+    return response.data;
+  },
+
+  // Sends to every device of the signed-in user
+  sendTest: async (): Promise<{ message: string }> => {
+    const response = await api.post("/push/send-test");
+    return response.data;
+  },
+};
+
+export default pushService;
@@ -0,0 +1,128 @@
+import api from "./api";
+
+export type ReturnStatus =
+  | "requested"
+  | "approved"
+  | "received"
+  | "refunded"
+  | "rejected";
+
+export interface ReturnPhoto {
+  url: string;
+  fileId?: string | null;
+}
+
+export interface ReturnItem {
+  itemId: string;
+  name?: string;
+  quantity: number;
+}
+
+export interface ReturnRequest {
+  _id: string;
+  orderId:
+    | string
+    | {
+        _id: string;
+        orderId?: string;
+        total?: number;
+        paymentMethod?: string;
+        status?: string;
+      };
+  userId: string | { _id: string; name?: string; email?: string };
+  items: ReturnItem[];
+  reason: string;
+  photos: ReturnPhoto[];
+  status: ReturnStatus;
+  adminNote?: string;
+  refundAmount?: number | null;
+  refundError?: string | null;
+  approvedAt?: string | null;
+  receivedAt?: string | null;
+  refundedAt?: string | null;
+  rejectedAt?: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface OrderReturns {
+  returns: ReturnRequest[];
+  // Units per order item _id that can still be returned
+  returnable: Record<string, number>;
+}
+
+export interface ReturnRequestPage {
+  returns: ReturnRequest[];
+  total: number;
+  page: number;
+  pages: number;
+}
+
+// Upload a return photo through the image upload endpoint
+export const uploadReturnPhoto = async (file: File): Promise<ReturnPhoto> => {
+  const formData = new FormData();
+  formData.append("image", file);
+  formData.append("folder", "/returns");
+  const response = await api.post<{ url: string; fileId: string }>(
+    "/upload/image",
+    formData,
+    { headers: { "Content-Type": "multipart/form-data" } },
+  );
+  return { url: response.data.url, fileId: response.data.fileId };
+};
+
+// Get the customer's returns for an order
+export const getOrderReturns = async (
+  orderId: string,
+): Promise<OrderReturns> => {
+  const response = await api.get<OrderReturns>(
+    `/payment/orders/${orderId}/returns`,
+  );
+  return response.data;
+};
+
+// Request a return for items of a delivered order
+export const createReturn = async (
+  orderId: string,
+  payload: { items: ReturnItem[]; reason: string; photos: ReturnPhoto[] },
+): Promise<{ message: string; returnRequest: ReturnRequest }> => {
+  const response = await api.post(
+    `/payment/orders/${orderId}/returns`,
+    payload,
+  );
+  return response.data;
+};
+
+// Get the return approval queue (admin only)
+export const getReturns = async (params?: {
+  // One status or a comma-separated list
+  status?: string;
+  page?: number;
+  limit?: number;
+}): Promise<ReturnRequestPage> => {
+  const response = await api.get<ReturnRequestPage>("/admin/returns", {
+    params,
+  });
+  return response.data;
+};
+
+// Approve, reject or receive a return — receiving refunds it (admin only)
+export const updateReturnStatus = async (
+  returnId: string,
+  status: "approved" | "rejected" | "received",
+  note?: string,
+): Promise<{ message: string; returnRequest: ReturnRequest }> => {
+  const response = await api.put(`/admin/returns/${returnId}/status`, {
+    status,
+    note,
+  });
+  return response.data;
+};
+
+export default {
+  uploadReturnPhoto,
+  getOrderReturns,
+  createReturn,
+  getReturns,
+  updateReturnStatus,
+};
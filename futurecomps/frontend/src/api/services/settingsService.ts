@@ -1,21 +1,40 @@
 import api from "./api";
 
+export interface ExchangeRate {
+  currency: string;
+  rate: number; // units of `currency` per one unit of the base currency
+  source?: "manual" | "import";
+  updatedAt?: string;
+}
+
 export interface StoreSettings {
   storeName: string;
   storeEmail: string;
   storePhone: string;
   storeAddress: string;
-  currency: string;
+  currency: string; // base currency — prices are entered in it
+  currencies?: string[]; // other currencies shoppers can pay in
+  exchangeRates?: ExchangeRate[];
   taxRate: number;
   notifications: {
     emailNotifications: boolean;
     orderConfirmations: boolean;
+    shippingUpdates: boolean;
+    refundNotifications: boolean;
     stockAlerts: boolean;
+    lowStockThreshold: number;
     marketingEmails: boolean;
   };
   security: {
     sessionTimeout: number;
     passwordExpiry: number;
+    maxLoginAttempts: number;
+    maxOtpAttempts: number;
+    lockoutMinutes: number;
+    authRateLimitWindow: number;
+    authRateLimitPerIp: number;
+    authRateLimitPerAccount: number;
+    requireAdmin2FA: boolean;
   };
 }
 
@@ -42,16 +61,28 @@ const settingsService = {
         storePhone: "+1 (555) 123-4567",
         storeAddress: "123 Main St, City, Country",
         currency: "USD",
+        currencies: [],
+        exchangeRates: [],
         taxRate: 7.5,
         notifications: {
           emailNotifications: true,
           orderConfirmations: true,
+          shippingUpdates: true,
+          refundNotifications: true,
           stockAlerts: true,
+          lowStockThreshold: 5,
           marketingEmails: false,
         },
         security: {
           sessionTimeout: 30,
           passwordExpiry: 90,
+          maxLoginAttempts: 5,
+          maxOtpAttempts: 5,
+          lockoutMinutes: 15,
+          authRateLimitWindow: 15,
+          authRateLimitPerIp: 30,
+          authRateLimitPerAccount: 10,
+          requireAdmin2FA: false,
         },
       };
     }
@@ -90,6 +121,28 @@ const settingsService = {
     return response.data;
   },
 
+  // Update enabled currencies and exchange rates (admin only)
+  updateCurrencySettings: async (settings: {
+    currencies?: string[];
+    exchangeRates?: { currency: string; rate: number }[];
+  }): Promise<StoreSettings> => {
+    const response = await api.put<StoreSettings>(
+      "/settings/admin/currencies",
+      settings
+    );
+    return response.data;
+  },
+
+  // Import exchange rates from the server's rate feed (admin only)
+  importExchangeRates: async (): Promise<{
+    message: string;
+    currencies: string[];
+    exchangeRates: ExchangeRate[];
+  }> => {
+    const response = await api.post("/settings/admin/currencies/import");
+    return response.data;
+  },
+
   // Update user preferences
   updateUserPreferences: async (
     preferences: Partial<UserPreferences>
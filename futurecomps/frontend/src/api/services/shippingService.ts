@@ -0,0 +1,121 @@
+import api from "./api";
+
+export type RateType = "flat" | "weight" | "free_over";
+
+export interface WeightTier {
+  upTo: number; // kg
+  rate: number;
+}
+
+export interface ShippingMethod {
+  _id?: string;
+  name: string;
+  description?: string;
+  rateType: RateType;
+  rate: number;
+  freeOver?: number | null;
+  weightTiers: WeightTier[];
+  minDays?: number | null;
+  maxDays?: number | null;
+  isActive: boolean;
+}
+
+export interface ShippingZone {
+  _id: string;
+  name: string;
+  countries: string[]; // ISO codes; empty = everywhere else
+  states: string[];
+  postalPrefixes: string[];
+  methods: ShippingMethod[];
+  isActive: boolean;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export type ShippingZoneInput = Omit<ShippingZone, "_id" | "createdAt" | "updatedAt">;
+
+export interface ShippingRate {
+  methodId: string;
+  name: string;
+  description?: string;
+  amount: number;
+  minDays?: number | null;
+  maxDays?: number | null;
+}
+
+export interface ShippingQuote {
+  // false when the store has no shipping zones (shipping is free)
+  required: boolean;
+  zone: string | null;
+  weight: number;
+  rates: ShippingRate[]; // cheapest first
+}
+
+export interface ShippingAddressInput {
+  country: string;
+  state?: string;
+  postalCode?: string;
+}
+
+// Get shipping rates for cart items and an address or saved address id
+export const getShippingQuote = async (
+  items: { productId: string; quantity: number }[],
+  destination: { shippingAddress: ShippingAddressInput } | { addressId: string },
+  discount: number = 0,
+): Promise<ShippingQuote> => {
+  const response = await api.post<ShippingQuote>("/payment/shipping-quote", {
+    items,
+    discount,
+    ...destination,
+  });
+  return response.data;
+};
+
+// "3–5 business days" for a rate or method, or ""
+export const deliveryEstimate = (rate: {
+  minDays?: number | null;
+  maxDays?: number | null;
+}) => {
+  const { minDays, maxDays } = rate;
+  if (minDays != null && maxDays != null && minDays !== maxDays) {
+    return `${minDays}–${maxDays} business days`;
+  }
+  const days = maxDays ?? minDays;
+  if (days == null) return "";
+  return days === 1 ? "1 business day" : `${days} business days`;
+};
+
+// Get all shipping zones (admin only)
+export const getZones = async (): Promise<ShippingZone[]> => {
+  const response = await api.get<ShippingZone[]>("/shipping/zones");
+  return response.data;
+};
+
+// Create a shipping zone (admin only)
+export const createZone = async (zone: ShippingZoneInput): Promise<ShippingZone> => {
+  const response = await api.post<ShippingZone>("/shipping/zones", zone);
+  return response.data;
+};
+
+// Update a shipping zone (admin only)
+export const updateZone = async (
+  zoneId: string,
+  zone: Partial<ShippingZoneInput>,
+): Promise<ShippingZone> => {
+  const response = await api.put<ShippingZone>(`/shipping/zones/${zoneId}`, zone);
+  return response.data;
+};
+
+// Delete a shipping zone (admin only)
+export const deleteZone = async (zoneId: string): Promise<void> => {
+  await api.delete(`/shipping/zones/${zoneId}`);
+};
+
+export default {
+  getShippingQuote,
+  deliveryEstimate,
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone,
+};
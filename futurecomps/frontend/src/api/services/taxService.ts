@@ -0,0 +1,32 @@
+import api from "./api";
+
+export interface TaxLine {
+  productId: string;
+  name: string;
+  price: number;
+  quantity: number;
+  taxRate: number;
+  taxableAmount: number;
+  tax: number;
+}
+
+export interface TaxQuote {
+  tax: number;
+  lines: TaxLine[];
+}
+
+// Get a tax estimate for cart items (public endpoint)
+export const getTaxQuote = async (
+  items: { productId: string; quantity: number }[],
+  discount: number = 0,
+): Promise<TaxQuote> => {
+  const response = await api.post<TaxQuote>("/payment/tax-quote", {
+    items,
+    discount,
+  });
+  return response.data;
+};
+
+export default {
+  getTaxQuote,
+};
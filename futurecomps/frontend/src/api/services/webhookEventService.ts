@@ -0,0 +1,46 @@
+import api from "./api";
+
+export interface WebhookEvent {
+  _id: string;
+  eventId: string;
+  type: string;
+  status: "processing" | "processed" | "failed";
+  attempts: number;
+  lastError: string | null;
+  orderId: string | null;
+  processedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WebhookEventPage {
+  events: WebhookEvent[];
+  total: number;
+  page: number;
+  pages: number;
+}
+
+// Get Stripe webhook events from the ledger (admin only)
+export const getWebhookEvents = async (params?: {
+  status?: WebhookEvent["status"];
+  page?: number;
+  limit?: number;
+}): Promise<WebhookEventPage> => {
+  const response = await api.get<WebhookEventPage>("/admin/webhook-events", {
+    params,
+  });
+  return response.data;
+};
+
+// Re-run a failed webhook event from its stored payload (admin only)
+export const replayWebhookEvent = async (
+  eventId: string,
+): Promise<{ message: string; event: WebhookEvent }> => {
+  const response = await api.post(`/admin/webhook-events/${eventId}/replay`);
+  return response.data;
+};
+
+export default {
+  getWebhookEvents,
+  replayWebhookEvent,
+};
@@ -10,6 +10,8 @@ export interface WishlistItem {
     discountedPrice?: number | null;
     images: string[];
   };
+  // Signed-in only — the price-drop alert, when it's on
+  priceAlertId?: string | null;
 }
 
 const WISHLIST_STORAGE_KEY = "wishlist_items";
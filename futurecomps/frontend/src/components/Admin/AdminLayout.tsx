@@ -14,6 +14,9 @@ import {
   Home,
   ExternalLink,
   Tag,
+  CreditCard,
+  Truck,
+  FolderTree,
 } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { Button } from "@/components/ui/Button";
@@ -30,6 +33,8 @@ type NavItem = {
   href: string;
   icon: React.ReactNode;
   external?: boolean;
+  // Hidden from staff whose role lacks it
+  permission?: string;
 };
 
 const navItems: NavItem[] = [
@@ -37,36 +42,61 @@ const navItems: NavItem[] = [
     title: "Dashboard",
     href: "/admin",
     icon: <LayoutDashboard className="h-5 w-5" />,
+    permission: "stats:read",
   },
   {
     title: "Products",
     href: "/admin?tab=products",
     icon: <Package className="h-5 w-5" />,
+    permission: "products:read",
+  },
+  {
+    title: "Categories",
+    href: "/admin?tab=categories",
+    icon: <FolderTree className="h-5 w-5" />,
+    permission: "categories:write",
   },
   {
     title: "Orders",
     href: "/admin?tab=orders",
     icon: <ShoppingCart className="h-5 w-5" />,
+    permission: "orders:read",
   },
   {
     title: "Users",
     href: "/admin?tab=users",
     icon: <Users className="h-5 w-5" />,
+    permission: "users:read",
   },
   {
     title: "Coupons",
     href: "/admin?tab=coupons",
     icon: <Tag className="h-5 w-5" />,
+    permission: "coupons:read",
+  },
+  {
+    title: "Shipping",
+    href: "/admin?tab=shipping",
+    icon: <Truck className="h-5 w-5" />,
+    permission: "shipping:write",
+  },
+  {
+    title: "Payments",
+    href: "/admin?tab=payments",
+    icon: <CreditCard className="h-5 w-5" />,
+    permission: "payments:read",
   },
   {
     title: "Analytics",
     href: "/admin?tab=analytics",
     icon: <BarChart2 className="h-5 w-5" />,
+    permission: "stats:read",
   },
   {
     title: "Settings",
     href: "/admin?tab=settings",
     icon: <Settings className="h-5 w-5" />,
+    permission: "settings:write",
   },
   {
     title: "Back to Store",
@@ -82,9 +112,13 @@ export default function AdminLayout({ children }: { children: ReactNode }) {
   const location = useLocation();
   const navigate = useNavigate();
   const { toast } = useToast();
-  const { user, logout, isAuthenticated } = useAuth();
+  const { user, logout, isAuthenticated, isStaff, hasPermission } =
+    useAuth();
+  const visibleNavItems = navItems.filter(
+    (item) => !item.permission || hasPermission(item.permission),
+  );
 
-  // Check if user is admin and redirect if not
+  // Check if user has a staff role and redirect if not
   useEffect(() => {
     const checkAdminAccess = async () => {
       setIsLoading(true);
@@ -99,7 +133,7 @@ export default function AdminLayout({ children }: { children: ReactNode }) {
           return;
         }
 
-        if (user?.role !== "admin") {
+        if (!isStaff) {
           toast({
             title: "Access denied",
             description: "You do not have permission to access the admin area",
@@ -117,7 +151,7 @@ export default function AdminLayout({ children }: { children: ReactNode }) {
     };
 
     checkAdminAccess();
-  }, [isAuthenticated, user, navigate, toast]);
+  }, [isAuthenticated, isStaff, navigate, toast]);
 
   // Handle active tab based on URL
   useEffect(() => {
@@ -213,7 +247,7 @@ export default function AdminLayout({ children }: { children: ReactNode }) {
             </Button>
           </div>
           <nav className="p-4 space-y-1 flex-1 overflow-y-auto">
-            {navItems.map((item) => {
+            {visibleNavItems.map((item) => {
               const isActive =
                 (location.pathname === "/admin" && item.href === "/admin") ||
                 (location.pathname === "/admin" &&
@@ -312,7 +346,7 @@ export default function AdminLayout({ children }: { children: ReactNode }) {
         </div>
         <div className="px-3 py-4 flex-1 overflow-y-auto">
           <nav className="flex flex-col gap-1">
-            {navItems.map((item) => {
+            {visibleNavItems.map((item) => {
               const isActive =
                 (location.pathname === "/admin" && item.href === "/admin") ||
                 (location.pathname === "/admin" &&
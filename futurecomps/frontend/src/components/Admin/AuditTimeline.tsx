@@ -0,0 +1,174 @@
+import { useState, useEffect, useCallback } from "react";
+import { Badge } from "@/components/ui/Badge";
+import { Button } from "@/components/ui/Button";
+import { Skeleton } from "@/components/ui/Skeleton";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/Select";
+import { ShieldCheck } from "lucide-react";
+import auditService from "@/api/services/auditService";
+import type { AuditLogEntry } from "@/api/services/auditService";
+
+const PAGE_SIZE = 10;
+
+const RESOURCES = [
+  "user",
+  "order",
+  "product",
+  "coupon",
+  "shipping_zone",
+  "settings",
+  "homepage",
+  "return",
+  "webhook_event",
+];
+
+const RESOURCE_STYLES: Record<string, string> = {
+  user: "bg-purple-100 text-purple-800",
+  order: "bg-blue-100 text-blue-800",
+  product: "bg-green-100 text-green-800",
+  coupon: "bg-yellow-100 text-yellow-800",
+  settings: "bg-gray-200 text-gray-800",
+};
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const actorName = (entry: AuditLogEntry) =>
+  entry.actorId && typeof entry.actorId === "object"
+    ? entry.actorId.name || entry.actorId.email
+    : entry.actorEmail || "Unknown admin";
+
+// Timeline of admin actions from /api/admin/audit
+export default function AuditTimeline() {
+  const [entries, setEntries] = useState<AuditLogEntry[]>([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [resource, setResource] = useState("all");
+  const [loading, setLoading] = useState(true);
+
+  const fetchEntries = useCallback(
+    async (nextPage: number) => {
+      setLoading(true);
+      try {
+        const data = await auditService.getAuditLogs({
+          resource: resource === "all" ? undefined : resource,
+          page: nextPage,
+          limit: PAGE_SIZE,
+        });
+        setEntries((current) =>
+          nextPage === 1 ? data.entries : [...current, ...data.entries],
+        );
+        setPage(data.page);
+        setPages(data.pages);
+      } catch (error) {
+        console.error("Error fetching audit log:", error);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [resource],
+  );
+
+  useEffect(() => {
+    fetchEntries(1);
+  }, [fetchEntries]);
+
+  return (
+    <div className="space-y-4">
+      <Select value={resource} onValueChange={setResource}>
+        <SelectTrigger className="w-48">
+          <SelectValue placeholder="Resource" />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value="all">All resources</SelectItem>
+          {RESOURCES.map((r) => (
+            <SelectItem key={r} value={r}>
+              {r.replace("_", " ")}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      {entries.length === 0 && loading ? (
+        <div className="space-y-4">
+          {[1, 2, 3].map((i) => (
+            <Skeleton key={i} className="h-14 w-full" />
+          ))}
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-8 text-center">
+          <ShieldCheck className="h-12 w-12 text-muted-foreground mb-3" />
+          <h3 className="text-lg font-medium">No Admin Actions Yet</h3>
+          <p className="text-sm text-muted-foreground max-w-xs mt-1">
+            Changes made by admins will be recorded here.
+          </p>
+        </div>
+      ) : (
+        <ol className="space-y-4">
+          {entries.map((entry) => (
+            <li key={entry._id} className="border-l-2 border-muted pl-4">
+              <div className="flex flex-wrap items-center gap-2">
+                <Badge
+                  variant="outline"
+                  className={RESOURCE_STYLES[entry.resource] || ""}
+                >
+                  {entry.action}
+                </Badge>
+                <span className="text-sm font-medium">{actorName(entry)}</span>
+                <span className="text-xs text-muted-foreground">
+                  {new Date(entry.createdAt).toLocaleString()}
+                </span>
+              </div>
+              {entry.resourceId && (
+                <p className="text-xs text-muted-foreground font-mono mt-1">
+                  {entry.resource} {entry.resourceId}
+                </p>
+              )}
+              {entry.changes.length > 0 && (
+                <ul className="mt-1 space-y-0.5 text-xs">
+                  {entry.changes.slice(0, 5).map((change) => (
+                    <li key={change.path} className="truncate">
+                      <span className="font-mono">{change.path}</span>:{" "}
+                      <span className="text-red-600 line-through">
+                        {formatValue(change.before)}
+                      </span>{" "}
+                      →{" "}
+                      <span className="text-green-700">
+                        {formatValue(change.after)}
+                      </span>
+                    </li>
+                  ))}
+                  {entry.changes.length > 5 && (
+                    <li className="text-muted-foreground">
+                      +{entry.changes.length - 5} more changes
+                    </li>
+                  )}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {page < pages && (
+        <Button
+          variant="outline"
+          size="sm"
+          className="w-full"
+          disabled={loading}
+          onClick={() => fetchEntries(page + 1)}
+        >
+          {loading ? "Loading..." : "Load More"}
+        </Button>
+      )}
+    </div>
+  );
+}
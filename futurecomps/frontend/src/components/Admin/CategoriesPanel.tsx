@@ -0,0 +1,510 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/Table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/Dialog";
+import { Button } from "@/components/ui/Button";
+import { Badge } from "@/components/ui/Badge";
+import { Input } from "@/components/ui/Input";
+import { Label } from "@/components/ui/Label";
+import { Textarea } from "@/components/ui/Textarea";
+import { Switch } from "@/components/ui/Switch";
+import { useToast } from "@/components/ui/use-toast";
+import { useStore } from "@/context/StoreContext";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/Select";
+import {
+  FolderTree,
+  Loader2,
+  Pencil,
+  Plus,
+  RefreshCw,
+  Trash2,
+} from "lucide-react";
+import categoryService, {
+  type CategoryInput,
+  type CategoryNode,
+} from "@/api/services/categoryService";
+
+// Select items can't have an empty value
+const NO_PARENT = "none";
+
+interface CategoryForm {
+  name: string;
+  slug: string;
+  parent: string;
+  description: string;
+  image: string;
+  sortOrder: string;
+  aliases: string; // comma-separated
+  isActive: boolean;
+}
+
+const EMPTY_CATEGORY: CategoryForm = {
+  name: "",
+  slug: "",
+  parent: NO_PARENT,
+  description: "",
+  image: "",
+  sortOrder: "0",
+  aliases: "",
+  isActive: true,
+};
+
+const toForm = (category: CategoryNode): CategoryForm => ({
+  name: category.name,
+  slug: category.slug,
+  parent: category.parent ?? NO_PARENT,
+  description: category.description,
+  image: category.image,
+  sortOrder: String(category.sortOrder),
+  aliases: (category.aliases ?? []).join(", "),
+  isActive: category.isActive,
+});
+
+const toInput = (form: CategoryForm): CategoryInput => ({
+  name: form.name,
+  slug: form.slug,
+  parent: form.parent === NO_PARENT ? null : form.parent,
+  description: form.description,
+  image: form.image,
+  sortOrder: Number(form.sortOrder) || 0,
+  aliases: form.aliases
+    .split(",")
+    .map((alias) => alias.trim())
+    .filter(Boolean),
+  isActive: form.isActive,
+});
+
+const errorMessage = (error: unknown) =>
+  (error as { response?: { data?: { message?: string } } }).response?.data
+    ?.message;
+
+export default function CategoriesPanel() {
+  const { toast } = useToast();
+  const { refreshCategories } = useStore();
+  const [tree, setTree] = useState<CategoryNode[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState<CategoryNode | null>(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form, setForm] = useState<CategoryForm>(EMPTY_CATEGORY);
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState<string | null>(null);
+  const [migrating, setMigrating] = useState(false);
+
+  const rows = categoryService.flattenCategories(tree);
+  // A category can't move under itself or its subcategories
+  const excluded = editing ? categoryService.categoryIds(editing) : [];
+  const parentOptions = rows.filter(
+    ({ category }) => !excluded.includes(category._id),
+  );
+
+  const fetchCategories = useCallback(async () => {
+    setLoading(true);
+    try {
+      setTree(await categoryService.getAdminCategoryTree());
+      // Keep the storefront and product form in step
+      refreshCategories();
+    } catch (error) {
+      console.error("Error fetching categories:", error);
+      toast({
+        title: "Error",
+        description: "Failed to load categories",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast, refreshCategories]);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const openForm = (category: CategoryNode | null, parentId?: string) => {
+    setEditing(category);
+    setForm(
+      category
+        ? toForm(category)
+        : { ...EMPTY_CATEGORY, parent: parentId ?? NO_PARENT },
+    );
+    setIsFormOpen(true);
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editing) {
+        await categoryService.updateCategory(editing._id, toInput(form));
+      } else {
+        await categoryService.createCategory(toInput(form));
+      }
+      toast({
+        title: editing ? "Category Updated" : "Category Created",
+        description: `${form.name} was saved.`,
+      });
+      setIsFormOpen(false);
+      fetchCategories();
+    } catch (error) {
+      toast({
+        title: "Save Failed",
+        description: errorMessage(error) || "Failed to save category",
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (category: CategoryNode) => {
+    if (!window.confirm(`Delete the category "${category.name}"?`)) {
+      return;
+    }
+    setDeletingId(category._id);
+    try {
+      await categoryService.deleteCategory(category._id);
+      toast({
+        title: "Category Deleted",
+        description: `${category.name} was deleted.`,
+      });
+      fetchCategories();
+    } catch (error) {
+      toast({
+        title: "Delete Failed",
+        description: errorMessage(error) || "Failed to delete category",
+        variant: "destructive",
+      });
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const handleMigrate = async () => {
+    setMigrating(true);
+    try {
+      const result = await categoryService.migrateCategories();
+      toast({ title: "Products Linked", description: result.message });
+      fetchCategories();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: errorMessage(error) || "Failed to link products",
+        variant: "destructive",
+      });
+    } finally {
+      setMigrating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold">Categories</h2>
+          <p className="text-sm text-muted-foreground">
+            Shoppers browse these in the order shown. A category includes
+            the products of its subcategories.
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <Button
+            variant="outline"
+            onClick={fetchCategories}
+            title="Refresh categories"
+            disabled={loading}
+          >
+            {loading ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <RefreshCw className="h-4 w-4" />
+            )}
+          </Button>
+          <Button
+            variant="outline"
+            onClick={handleMigrate}
+            disabled={migrating}
+            title="Link products that have no category yet, by their category name"
+          >
+            {migrating ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <FolderTree className="h-4 w-4 mr-2" />
+            )}
+            Link Products
+          </Button>
+          <Button onClick={() => openForm(null)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Category
+          </Button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex flex-col items-center justify-center p-8 space-y-4">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          <p className="text-muted-foreground">Loading categories...</p>
+        </div>
+      ) : rows.length === 0 ? (
+        <div className="bg-card rounded-lg shadow p-8 text-center">
+          <p className="text-muted-foreground">
+            No categories yet — add one, or use Link Products to create them
+            from your products' category names
+          </p>
+        </div>
+      ) : (
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Category</TableHead>
+                <TableHead>Slug</TableHead>
+                <TableHead>Products</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {rows.map(({ category, depth }) => (
+                <TableRow key={category._id}>
+                  <TableCell>
+                    <div
+                      className="flex items-center gap-3"
+                      style={{ paddingLeft: `${depth * 1.5}rem` }}
+                    >
+                      {category.image && (
+                        <img
+                          src={category.image}
+                          alt=""
+                          className="h-8 w-8 rounded object-cover"
+                        />
+                      )}
+                      <div>
+                        <div className="font-medium">{category.name}</div>
+                        {category.description && (
+                          <div className="text-xs text-muted-foreground line-clamp-1">
+                            {category.description}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {category.slug}
+                  </TableCell>
+                  <TableCell className="text-sm">
+                    {category.productCount}
+                    {category.totalCount !== category.productCount && (
+                      <span className="text-muted-foreground">
+                        {" "}
+                        ({category.totalCount} with subcategories)
+                      </span>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {category.isActive ? (
+                      <Badge
+                        variant="outline"
+                        className="bg-green-100 text-green-800"
+                      >
+                        Active
+                      </Badge>
+                    ) : (
+                      <Badge
+                        variant="outline"
+                        className="bg-gray-100 text-gray-800"
+                      >
+                        Hidden
+                      </Badge>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right space-x-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => openForm(null, category._id)}
+                      title="Add subcategory"
+                    >
+                      <Plus className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => openForm(category)}
+                      title="Edit category"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleDelete(category)}
+                      disabled={deletingId === category._id}
+                      title="Delete category"
+                    >
+                      {deletingId === category._id ? (
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                      ) : (
+                        <Trash2 className="h-4 w-4" />
+                      )}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>
+              {editing ? "Edit Category" : "Add Category"}
+            </DialogTitle>
+            <DialogDescription>
+              Renaming a category renames it on its products too. The slug
+              is used in shop links; leave it blank to make one from the
+              name.
+            </DialogDescription>
+          </DialogHeader>
+
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="categoryName">Name</Label>
+                <Input
+                  id="categoryName"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="Running Shoes"
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="categorySlug">Slug</Label>
+                <Input
+                  id="categorySlug"
+                  value={form.slug}
+                  onChange={(e) => setForm({ ...form, slug: e.target.value })}
+                  placeholder="running-shoes"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="categoryParent">Parent</Label>
+                <Select
+                  value={form.parent}
+                  onValueChange={(value) => setForm({ ...form, parent: value })}
+                >
+                  <SelectTrigger id="categoryParent">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_PARENT}>None (top level)</SelectItem>
+                    {parentOptions.map(({ category, depth }) => (
+                      <SelectItem key={category._id} value={category._id}>
+                        {"— ".repeat(depth)}
+                        {category.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="categorySort">Sort Order</Label>
+                <Input
+                  id="categorySort"
+                  type="number"
+                  value={form.sortOrder}
+                  onChange={(e) =>
+                    setForm({ ...form, sortOrder: e.target.value })
+                  }
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="categoryImage">Image URL</Label>
+              <Input
+                id="categoryImage"
+                value={form.image}
+                onChange={(e) => setForm({ ...form, image: e.target.value })}
+                placeholder="https://..."
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="categoryDescription">Description</Label>
+              <Textarea
+                id="categoryDescription"
+                value={form.description}
+                onChange={(e) =>
+                  setForm({ ...form, description: e.target.value })
+                }
+                rows={3}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="categoryAliases">Other Names</Label>
+              <Input
+                id="categoryAliases"
+                value={form.aliases}
+                onChange={(e) => setForm({ ...form, aliases: e.target.value })}
+                placeholder="sneakers, trainers"
+              />
+              <p className="text-xs text-muted-foreground">
+                Category names in product imports and searches that mean
+                this category. Case and plurals are ignored.
+              </p>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <Switch
+                id="categoryActive"
+                checked={form.isActive}
+                onCheckedChange={(checked) =>
+                  setForm({ ...form, isActive: checked })
+                }
+              />
+              <Label htmlFor="categoryActive">
+                Shown to shoppers (with its subcategories)
+              </Label>
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setIsFormOpen(false)}
+                disabled={saving}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving}>
+                {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save Category
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+import { useState } from "react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/Table";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/Card";
+import { Button } from "@/components/ui/Button";
+import { Input } from "@/components/ui/Input";
+import { Label } from "@/components/ui/Label";
+import { Badge } from "@/components/ui/Badge";
+import { useToast } from "@/components/ui/use-toast";
+import { useStoreSettings } from "@/context/StoreSettingsContext";
+import settingsService, {
+  type StoreSettings,
+} from "@/api/services/settingsService";
+import { Download, Loader2, Plus, Trash2 } from "lucide-react";
+
+interface CurrencyRow {
+  currency: string;
+  rate: string; // as typed
+  source?: "manual" | "import";
+  updatedAt?: string;
+}
+
+const rowsFrom = (settings: StoreSettings): CurrencyRow[] =>
+  (settings.currencies || []).map((currency) => {
+    const entry = settings.exchangeRates?.find((r) => r.currency === currency);
+    return {
+      currency,
+      rate: entry ? String(entry.rate) : "",
+      source: entry?.source,
+      updatedAt: entry?.updatedAt,
+    };
+  });
+
+const errorMessage = (error: unknown) =>
+  (error as { response?: { data?: { message?: string } } }).response?.data
+    ?.message;
+
+// Presentment currencies and their exchange rates, under Settings → Currencies
+export default function CurrencySettingsPanel() {
+  const { toast } = useToast();
+  const { settings, refreshSettings } = useStoreSettings();
+  // Edits in progress; null shows the saved setup
+  const [draft, setDraft] = useState<CurrencyRow[] | null>(null);
+  const [newCode, setNewCode] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const base = settings.currency.toUpperCase();
+  const rows = draft ?? rowsFrom(settings);
+
+  const updateRow = (index: number, rate: string) =>
+    setDraft(rows.map((row, i) => (i === index ? { ...row, rate } : row)));
+
+  const removeRow = (index: number) =>
+    setDraft(rows.filter((_, i) => i !== index));
+
+  const addRow = () => {
+    const currency = newCode.trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      toast({
+        title: "Invalid Currency",
+        description: "Enter a three-letter ISO code, e.g. EUR",
+        variant: "destructive",
+      });
+      return;
+    }
+    if (currency === base || rows.some((row) => row.currency === currency)) {
+      setNewCode("");
+      return;
+    }
+    setDraft([...rows, { currency, rate: "" }]);
+    setNewCode("");
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await settingsService.updateCurrencySettings({
+        currencies: rows.map((row) => row.currency),
+        exchangeRates: rows
+          .filter((row) => row.rate.trim() !== "")
+          .map((row) => ({ currency: row.currency, rate: Number(row.rate) })),
+      });
+      await refreshSettings();
+      setDraft(null);
+      toast({
+        title: "Currencies Saved",
+        description: "Currencies and exchange rates have been updated.",
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: errorMessage(error) || "Failed to save currencies",
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const data = await settingsService.importExchangeRates();
+      await refreshSettings();
+      setDraft(null);
+      toast({ title: "Rates Imported", description: data.message });
+    } catch (error) {
+      toast({
+        title: "Import Failed",
+        description: errorMessage(error) || "Failed to import exchange rates",
+        variant: "destructive",
+      });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Currencies</CardTitle>
+        <CardDescription>
+          Prices are entered in {base}, the base currency. Shoppers can also
+          see prices and pay in the currencies below, converted at these
+          rates. A currency without a rate isn't offered.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {rows.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            Only {base} is offered.
+          </p>
+        ) : (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Currency</TableHead>
+                  <TableHead>Rate (per 1 {base})</TableHead>
+                  <TableHead>Source</TableHead>
+                  <TableHead>Updated</TableHead>
+                  <TableHead className="w-12" />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rows.map((row, index) => (
+                  <TableRow key={row.currency}>
+                    <TableCell className="font-medium">{row.currency}</TableCell>
+                    <TableCell>
+                      <Input
+                        type="number"
+                        min={0}
+                        step="any"
+                        value={row.rate}
+                        placeholder="No rate"
+                        onChange={(e) => updateRow(index, e.target.value)}
+                        className="w-32"
+                        aria-label={`${row.currency} rate`}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      {row.source && (
+                        <Badge variant="outline">
+                          {row.source === "import" ? "Imported" : "Manual"}
+                        </Badge>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm text-muted-foreground">
+                      {row.updatedAt
+                        ? new Date(row.updatedAt).toLocaleString()
+                        : "—"}
+                    </TableCell>
+                    <TableCell>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => removeRow(index)}
+                        title={`Stop offering ${row.currency}`}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <Label htmlFor="newCurrency">Add a currency</Label>
+          <div className="flex space-x-2">
+            <Input
+              id="newCurrency"
+              placeholder="EUR"
+              maxLength={3}
+              value={newCode}
+              onChange={(e) => setNewCode(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && addRow()}
+              className="w-32 uppercase"
+            />
+            <Button variant="outline" onClick={addRow}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add
+            </Button>
+          </div>
+        </div>
+      </CardContent>
+      <CardFooter className="flex gap-2">
+        <Button onClick={handleSave} disabled={saving || !draft}>
+          {saving ? (
+            <>
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            "Save Changes"
+          )}
+        </Button>
+        <Button
+          variant="outline"
+          onClick={handleImport}
+          disabled={importing || rows.length === 0}
+          title="Fetch rates from the server's EXCHANGE_RATES_URL"
+        >
+          {importing ? (
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          ) : (
+            <Download className="mr-2 h-4 w-4" />
+          )}
+          Import Rates
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+}
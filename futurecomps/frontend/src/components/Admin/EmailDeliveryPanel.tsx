@@ -0,0 +1,200 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/Table";
+import { Button } from "@/components/ui/Button";
+import { Input } from "@/components/ui/Input";
+import { Label } from "@/components/ui/Label";
+import { Badge } from "@/components/ui/Badge";
+import { useToast } from "@/components/ui/use-toast";
+import { useAuth } from "@/context/AuthContext";
+import { Loader2, RefreshCw, Send } from "lucide-react";
+import emailService from "@/api/services/emailService";
+import type { EmailLogEntry } from "@/api/services/emailService";
+
+// Test sends and the recent outgoing email log, under Settings → Notifications
+export default function EmailDeliveryPanel() {
+  const { toast } = useToast();
+  const { user, hasPermission } = useAuth();
+  const canViewLog = hasPermission("emails:read");
+  const [emails, setEmails] = useState<EmailLogEntry[]>([]);
+  const [transport, setTransport] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [testAddress, setTestAddress] = useState("");
+  const [sending, setSending] = useState(false);
+
+  const fetchLog = useCallback(async () => {
+    if (!canViewLog) return;
+    setLoading(true);
+    try {
+      const data = await emailService.getEmailLog({ limit: 20 });
+      setEmails(data.emails);
+      setTransport(data.transport);
+    } catch (error) {
+      console.error("Error fetching email log:", error);
+      toast({
+        title: "Error",
+        description: "Failed to load the email log",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [canViewLog, toast]);
+
+  useEffect(() => {
+    fetchLog();
+  }, [fetchLog]);
+
+  const handleSendTest = async () => {
+    setSending(true);
+    try {
+      const data = await emailService.sendTestEmail({
+        to: testAddress.trim() || undefined,
+      });
+      toast({ title: "Test Email Sent", description: data.message });
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      toast({
+        title: "Test Email Failed",
+        description: message || "Failed to send test email",
+        variant: "destructive",
+      });
+    } finally {
+      setSending(false);
+      fetchLog();
+    }
+  };
+
+  const getStatusBadge = (status: EmailLogEntry["status"]) => {
+    switch (status) {
+      case "sent":
+        return (
+          <Badge variant="outline" className="bg-green-100 text-green-800">
+            Sent
+          </Badge>
+        );
+      case "failed":
+        return (
+          <Badge variant="outline" className="bg-red-100 text-red-800">
+            Failed
+          </Badge>
+        );
+      default:
+        return (
+          <Badge variant="outline" className="bg-blue-100 text-blue-800">
+            Sending
+          </Badge>
+        );
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="testEmail">Send a test email</Label>
+        <div className="flex space-x-2">
+          <Input
+            id="testEmail"
+            type="email"
+            placeholder={user?.email || "you@example.com"}
+            value={testAddress}
+            onChange={(e) => setTestAddress(e.target.value)}
+          />
+          <Button variant="outline" onClick={handleSendTest} disabled={sending}>
+            {sending ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Send className="h-4 w-4 mr-2" />
+            )}
+            Send
+          </Button>
+        </div>
+        {transport && (
+          <p className="text-sm text-muted-foreground">
+            Emails are delivered through the "{transport}" transport.
+          </p>
+        )}
+      </div>
+
+      {canViewLog && (
+        <div className="space-y-2">
+          <div className="flex justify-between items-center">
+            <Label>Recent emails</Label>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={fetchLog}
+              title="Refresh email log"
+              disabled={loading}
+            >
+              {loading ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                <RefreshCw className="h-4 w-4" />
+              )}
+            </Button>
+          </div>
+          {emails.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No emails sent yet</p>
+          ) : (
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Recipient</TableHead>
+                    <TableHead>Template</TableHead>
+                    <TableHead>Sent</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Error</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {emails.map((email) => (
+                    <TableRow key={email._id}>
+                      <TableCell>
+                        <div className="font-medium">{email.to}</div>
+                        <div className="text-xs text-muted-foreground truncate max-w-xs">
+                          {email.subject}
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        {email.template}
+                        {email.locale && (
+                          <span className="text-xs text-muted-foreground">
+                            {" "}
+                            ({email.locale})
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {new Date(email.createdAt).toLocaleString()}
+                      </TableCell>
+                      <TableCell>
+                        {getStatusBadge(email.status)}
+                        {email.attempts > 1 && (
+                          <div className="text-xs text-muted-foreground">
+                            {email.attempts} attempts
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="max-w-xs truncate text-sm text-red-600">
+                        {email.lastError || "—"}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -17,6 +17,7 @@ import {
 } from "@/components/ui/Select";
 import { useState, useEffect } from "react";
 import productService from "@/api/services/productService";
+import { countryName } from "@/utils/countries";
 
 interface Product {
   id: string;
@@ -50,12 +51,17 @@ export interface Order {
   userId?: string;
   customerName?: string;
   customerEmail?: string;
+  // Set on guest checkouts, which have no userId
+  guestEmail?: string | null;
   items: OrderItem[];
   total?: number;
   totalAmount?: number;
   subTotal?: number;
   shippingCost?: number;
+  shipping?: number;
+  shippingRate?: { name: string; zoneName?: string } | null;
   discount?: number;
+  tax?: number;
   status: "pending" | "processing" | "shipped" | "delivered" | "cancelled";
   paymentStatus?: "paid" | "pending" | "failed";
   shippingAddress: {
@@ -144,12 +150,12 @@ const OrderDetails = ({
 
   const formatAddress = (address: Order["shippingAddress"]) => {
     const parts = [
-      address.line1,
-      address.line2,
+      address.addressLine1 || address.line1,
+      address.addressLine2 || address.line2,
       address.city,
       address.state,
       address.postalCode,
-      address.country,
+      address.country && countryName(address.country),
     ].filter(Boolean);
 
     return parts.join(", ");
@@ -227,7 +233,8 @@ const OrderDetails = ({
               <div className="bg-muted p-4 rounded-lg">
                 <p className="font-medium">{order.customerName}</p>
                 <p className="text-sm text-muted-foreground">
-                  {order.customerEmail}
+                  {order.customerEmail || order.guestEmail}
+                  {!order.userId && order.guestEmail && " (guest)"}
                 </p>
               </div>
             </div>
@@ -406,9 +413,10 @@ const OrderDetails = ({
                       className="pl-4 pr-3 py-3.5 text-right text-sm font-medium"
                     >
                       Shipping
+                      {order.shippingRate && ` (${order.shippingRate.name})`}
                     </th>
                     <td className="px-3 py-3.5 text-right text-sm font-medium">
-                      ${(order.shippingCost || 0).toFixed(2)}
+                      ${(order.shipping ?? order.shippingCost ?? 0).toFixed(2)}
                     </td>
                   </tr>
                   {order.discount && order.discount > 0 && (
@@ -425,6 +433,20 @@ const OrderDetails = ({
                       </td>
                     </tr>
                   )}
+                  {order.tax !== undefined && order.tax > 0 && (
+                    <tr>
+                      <th
+                        scope="row"
+                        colSpan={4}
+                        className="pl-4 pr-3 py-3.5 text-right text-sm font-medium"
+                      >
+                        Tax
+                      </th>
+                      <td className="px-3 py-3.5 text-right text-sm font-medium">
+                        ${order.tax.toFixed(2)}
+                      </td>
+                    </tr>
+                  )}
                   <tr>
                     <th
                       scope="row"
@@ -515,7 +537,8 @@ const OrderDetails = ({
                   "Unknown"}
               </p>
               <p className="text-sm text-muted-foreground">
-                {order.customerEmail || "No email provided"}
+                {order.customerEmail || order.guestEmail || "No email provided"}
+                {!order.userId && order.guestEmail && " (guest)"}
               </p>
             </div>
           </div>
@@ -690,9 +713,10 @@ const OrderDetails = ({
                     className="pl-4 pr-3 py-3.5 text-right text-sm font-medium"
                   >
                     Shipping
+                    {order.shippingRate && ` (${order.shippingRate.name})`}
                   </th>
                   <td className="px-3 py-3.5 text-right text-sm font-medium">
-                    ${(order.shippingCost || 0).toFixed(2)}
+                    ${(order.shipping ?? order.shippingCost ?? 0).toFixed(2)}
                   </td>
                 </tr>
                 {order.discount && order.discount > 0 && (
@@ -709,6 +733,20 @@ const OrderDetails = ({
                     </td>
                   </tr>
                 )}
+                {order.tax !== undefined && order.tax > 0 && (
+                  <tr>
+                    <th
+                      scope="row"
+                      colSpan={4}
+                      className="pl-4 pr-3 py-3.5 text-right text-sm font-medium"
+                    >
+                      Tax
+                    </th>
+                    <td className="px-3 py-3.5 text-right text-sm font-medium">
+                      ${order.tax.toFixed(2)}
+                    </td>
+                  </tr>
+                )}
                 <tr>
                   <th
                     scope="row"
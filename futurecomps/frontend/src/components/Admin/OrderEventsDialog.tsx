@@ -0,0 +1,88 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/Dialog";
+import { Badge } from "@/components/ui/Badge";
+import type { OrderEvent } from "@/api/services/orderService";
+
+interface OrderEventsDialogProps {
+  orderLabel: string;
+  events: OrderEvent[] | null;
+  onOpenChange: (open: boolean) => void;
+}
+
+const TYPE_STYLES: Record<OrderEvent["type"], string> = {
+  status: "bg-blue-100 text-blue-800",
+  payment: "bg-green-100 text-green-800",
+  refund: "bg-orange-100 text-orange-800",
+  stock: "bg-red-100 text-red-800",
+};
+
+const describe = (event: OrderEvent) => {
+  switch (event.type) {
+    case "payment":
+      return `Payment ${event.to}${event.amount != null ? ` — $${event.amount.toFixed(2)}` : ""}`;
+    case "refund":
+      return `Refunded $${(event.amount || 0).toFixed(2)}`;
+    case "stock":
+      return "Paid with no stock left";
+    default:
+      return `${event.from || "—"} → ${event.to}`;
+  }
+};
+
+const actorLabel = (event: OrderEvent) => {
+  if (event.actorRole === "system") return "System";
+  const actor = event.actorId;
+  const name =
+    actor && typeof actor === "object" ? actor.name || actor.email : null;
+  const role = event.actorRole === "admin" ? "Admin" : "Customer";
+  return name ? `${name} (${role})` : role;
+};
+
+// Order event log: who changed the status or payment, when and why
+export default function OrderEventsDialog({
+  orderLabel,
+  events,
+  onOpenChange,
+}: OrderEventsDialogProps) {
+  return (
+    <Dialog open={events !== null} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Order History</DialogTitle>
+          <DialogDescription>Order #{orderLabel}</DialogDescription>
+        </DialogHeader>
+
+        {!events || events.length === 0 ? (
+          <p className="text-sm text-muted-foreground py-4">
+            No status changes recorded for this order yet.
+          </p>
+        ) : (
+          <ol className="space-y-3 max-h-[60vh] overflow-y-auto">
+            {[...events].reverse().map((event, index) => (
+              <li
+                key={`${event.at}-${index}`}
+                className="border-l-2 border-muted pl-4"
+              >
+                <div className="flex items-center gap-2">
+                  <Badge variant="outline" className={TYPE_STYLES[event.type]}>
+                    {event.type}
+                  </Badge>
+                  <span className="font-medium text-sm">{describe(event)}</span>
+                </div>
+                <p className="text-xs text-muted-foreground mt-1">
+                  {new Date(event.at).toLocaleString()} · {actorLabel(event)}
+                </p>
+                {event.reason && <p className="text-sm mt-1">{event.reason}</p>}
+              </li>
+            ))}
+          </ol>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -33,12 +33,25 @@ import {
   Eye,
   TruckIcon,
   AlertCircle,
+  RotateCcw,
+  History,
+  Banknote,
 } from "lucide-react";
+import RefundDialog from "./RefundDialog";
+import OrderEventsDialog from "./OrderEventsDialog";
+import { collectCash } from "@/api/services/orderService";
+import type { OrderEvent } from "@/api/services/orderService";
+import { countryName } from "@/utils/countries";
 
 export interface OrderItem {
+  _id?: string;
   productId?: string;
+  name?: string;
   quantity: number;
   price: number;
+  taxableAmount?: number;
+  tax?: number;
+  refundedQuantity?: number;
   product: {
     id: string;
     name: string;
@@ -67,6 +80,13 @@ export interface Order {
     phone: string;
   };
   paymentMethod: string;
+  paymentStatus?: string;
+  refundedAmount?: number;
+  events?: OrderEvent[];
+  // Paid lines there was no stock left for
+  oversold?: { name: string; quantity: number }[];
+  // Next statuses allowed by the server's order state machine
+  allowedStatuses?: StatusColorKey[];
   shippingMethod: string;
   status: StatusColorKey;
   createdAt: string;
@@ -79,15 +99,18 @@ interface OrdersTableProps {
   loading: boolean;
   onViewDetails: (order: Order) => void;
   onUpdateStatus: (orderId: string, status: string) => void;
+  onRefresh?: () => void; // Called after a refund or cash collection
 }
 
 // Define status colors type
 type StatusColorKey =
   | "pending"
+  | "paid"
   | "processing"
   | "shipped"
   | "delivered"
-  | "cancelled";
+  | "cancelled"
+  | "refunded";
 
 type StatusColors = {
   [key in StatusColorKey]: {
@@ -100,19 +123,28 @@ type StatusColors = {
 // Define status colors
 const statusColors: StatusColors = {
   pending: { bg: "bg-yellow-100", text: "text-yellow-800", variant: "outline" },
+  paid: { bg: "bg-teal-100", text: "text-teal-800", variant: "outline" },
   processing: { bg: "bg-blue-100", text: "text-blue-800", variant: "outline" },
   shipped: { bg: "bg-purple-100", text: "text-purple-800", variant: "outline" },
   delivered: { bg: "bg-green-100", text: "text-green-800", variant: "outline" },
   cancelled: { bg: "bg-red-100", text: "text-red-800", variant: "outline" },
+  refunded: { bg: "bg-gray-200", text: "text-gray-800", variant: "outline" },
 };
 
+// Status changes offered in the menu — refunds go through RefundDialog
+const nextStatuses = (order: Order) =>
+  (order.allowedStatuses || []).filter((status) => status !== "refunded");
+
 export default function OrdersTable({
   orders,
   loading,
   // onViewDetails, // Unused parameter
   onUpdateStatus,
+  onRefresh,
 }: OrdersTableProps) {
   const navigate = useNavigate();
+  const [refundOrder, setRefundOrder] = useState<Order | null>(null);
+  const [historyOrder, setHistoryOrder] = useState<Order | null>(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [statusFilter, setStatusFilter] = useState<string>("all");
   const [timeFilter, setTimeFilter] = useState<string>("all");
@@ -133,6 +165,24 @@ export default function OrdersTable({
     }
   }, [orders, toast]);
 
+  const handleCollectCash = async (order: Order) => {
+    const orderId = order._id || order.orderId || order.id;
+    if (!orderId) return;
+    try {
+      const result = await collectCash(orderId);
+      toast({ title: "Payment Recorded", description: result.message });
+      onRefresh?.();
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      toast({
+        title: "Error",
+        description: message || "Failed to record cash collection",
+        variant: "destructive",
+      });
+    }
+  };
+
   // Get unique statuses for filter
   const uniqueStatuses = Array.from(
     new Set(orders.map((order) => order.status))
@@ -157,7 +207,9 @@ export default function OrdersTable({
 
       // Status filter
       const matchesStatus =
-        statusFilter === "all" || order.status === statusFilter;
+        statusFilter === "all" ||
+        order.status === statusFilter ||
+        (statusFilter === "oversold" && (order.oversold?.length ?? 0) > 0);
 
       // Time filter
       const orderDate = new Date(order.createdAt);
@@ -233,6 +285,7 @@ export default function OrdersTable({
             </SelectTrigger>
             <SelectContent>
               <SelectItem value="all">All Statuses</SelectItem>
+              <SelectItem value="oversold">Oversold</SelectItem>
               {uniqueStatuses.map((status) => (
                 <SelectItem key={status} value={status}>
                   {status.charAt(0).toUpperCase() + status.slice(1)}
@@ -314,7 +367,7 @@ export default function OrdersTable({
                     </div>
                     <div className="text-xs text-muted-foreground">
                       {order.shippingAddress.city},{" "}
-                      {order.shippingAddress.country}
+                      {countryName(order.shippingAddress.country)}
                     </div>
                   </TableCell>
                   <TableCell className="text-right">
@@ -343,6 +396,23 @@ export default function OrdersTable({
                       {order.status.charAt(0).toUpperCase() +
                         order.status.slice(1)}
                     </Badge>
+                    {(order.oversold?.length ?? 0) > 0 && (
+                      <div
+                        className="text-xs text-red-600 mt-1"
+                        title={order.oversold
+                          ?.map((line) => `${line.quantity} × ${line.name}`)
+                          .join(", ")}
+                      >
+                        Oversold
+                      </div>
+                    )}
+                    {order.paymentMethod === "cod" && (
+                      <div className="text-xs text-muted-foreground mt-1">
+                        {order.paymentStatus === "pending"
+                          ? "Cash pending"
+                          : "Cash collected"}
+                      </div>
+                    )}
                   </TableCell>
                   <TableCell className="text-right">
                     <DropdownMenu>
@@ -366,18 +436,47 @@ export default function OrdersTable({
                           <Eye className="mr-2 h-4 w-4" />
                           View Details
                         </DropdownMenuItem>
+                        <DropdownMenuItem
+                          onClick={() => setHistoryOrder(order)}
+                        >
+                          <History className="mr-2 h-4 w-4" />
+                          View History
+                        </DropdownMenuItem>
+                        {order.paymentMethod === "cod" &&
+                          order.paymentStatus === "pending" && (
+                            <DropdownMenuItem
+                              disabled={
+                                order.status !== "shipped" &&
+                                order.status !== "delivered"
+                              }
+                              onClick={() => handleCollectCash(order)}
+                            >
+                              <Banknote className="mr-2 h-4 w-4" />
+                              Mark Cash Collected
+                            </DropdownMenuItem>
+                          )}
+                        <DropdownMenuItem
+                          disabled={
+                            order.paymentStatus === "refunded" ||
+                            (order.paymentMethod === "cod" &&
+                              order.paymentStatus !== "paid" &&
+                              order.paymentStatus !== "partially_refunded")
+                          }
+                          onClick={() => setRefundOrder(order)}
+                        >
+                          <RotateCcw className="mr-2 h-4 w-4" />
+                          Refund...
+                        </DropdownMenuItem>
                         <DropdownMenuSeparator />
                         <DropdownMenuLabel>Update Status</DropdownMenuLabel>
-                        {[
-                          "pending",
-                          "processing",
-                          "shipped",
-                          "delivered",
-                          "cancelled",
-                        ].map((status) => (
+                        {nextStatuses(order).length === 0 && (
+                          <DropdownMenuItem disabled>
+                            No further status changes
+                          </DropdownMenuItem>
+                        )}
+                        {nextStatuses(order).map((status) => (
                           <DropdownMenuItem
                             key={status}
-                            disabled={order.status === status}
                             onClick={() => {
                               // Use any available ID field, with _id taking precedence
                               const orderId =
@@ -387,8 +486,7 @@ export default function OrdersTable({
                           >
                             <div
                               className={`w-2 h-2 rounded-full mr-2 ${
-                                statusColors[status as StatusColorKey]?.bg ||
-                                "bg-gray-100"
+                                statusColors[status]?.bg || "bg-gray-100"
                               }`}
                             ></div>
                             {status.charAt(0).toUpperCase() + status.slice(1)}
@@ -403,6 +501,22 @@ export default function OrdersTable({
           </TableBody>
         </Table>
       </div>
+
+      <RefundDialog
+        order={refundOrder}
+        open={refundOrder !== null}
+        onOpenChange={(open) => !open && setRefundOrder(null)}
+        onRefunded={onRefresh}
+      />
+
+      <OrderEventsDialog
+        orderLabel={
+          historyOrder?.orderId ||
+          (historyOrder?._id || historyOrder?.id || "").slice(-8).toUpperCase()
+        }
+        events={historyOrder ? historyOrder.events || [] : null}
+        onOpenChange={(open) => !open && setHistoryOrder(null)}
+      />
     </div>
   );
 }
@@ -20,6 +20,8 @@ import {
   Package,
   Bookmark,
   Barcode,
+  Layers,
+  Wand2,
 } from "lucide-react";
 import {
   Select,
@@ -29,6 +31,12 @@ import {
   SelectValue,
 } from "@/components/ui/Select";
 import { ProductImageUpload } from "./ProductImageUpload";
+import { useStore } from "@/context/StoreContext";
+import categoryService from "@/api/services/categoryService";
+import type {
+  ProductDimensions,
+  ProductVariant,
+} from "@/api/services/productService";
 
 interface Product {
   id?: string;
@@ -37,11 +45,16 @@ interface Product {
   price: number;
   description: string;
   category: string;
+  categoryId?: string | null;
   images: string[];
   imageUrl?: string;
   stock?: number;
+  lowStockThreshold?: number | null;
+  weight?: number;
+  dimensions?: ProductDimensions;
   colors: string[];
   sizes: string[];
+  variants?: ProductVariant[];
   inStock: boolean;
   discountedPrice?: number;
   taxRate?: number;
@@ -62,8 +75,8 @@ interface ProductFormProps {
   onCancel: () => void;
 }
 
-// Common product categories
-const categories = [
+// Offered until the store sets up its category tree
+const defaultCategories = [
   "Clothing",
   "Shoes",
   "Accessories",
@@ -105,9 +118,35 @@ export default function ProductForm({
   const [sizes, setSizes] = useState<string[]>(
     initialData.sizes || ["S", "M", "L"]
   );
+  const [variants, setVariants] = useState<ProductVariant[]>(
+    initialData.variants || []
+  );
   const [tags, setTags] = useState<string[]>(initialData.tags || []);
   const [tagInput, setTagInput] = useState("");
 
+  // Categories from the tree, by id; subcategories indented
+  const { categories: categoryTree } = useStore();
+  const categoryOptions = categoryService.flattenCategories(categoryTree);
+  const selectedCategoryId =
+    formData.categoryId ??
+    categoryOptions.find(
+      ({ category }) =>
+        category.name.toLowerCase() === formData.category?.toLowerCase(),
+    )?.category._id;
+  // A product in a hidden category keeps it as an option
+  const hiddenCategory =
+    !!selectedCategoryId &&
+    !categoryOptions.some(({ category }) => category._id === selectedCategoryId);
+
+  const handleCategoryChange = (value: string) => {
+    const option = categoryOptions.find(({ category }) => category._id === value);
+    setFormData(
+      option
+        ? { ...formData, categoryId: value, category: option.category.name }
+        : { ...formData, category: value },
+    );
+  };
+
   // Handle basic form inputs
   const handleInputChange = (
     e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>
@@ -191,6 +230,57 @@ export default function ProductForm({
     setFormData({ ...formData, tags: newTags });
   };
 
+  // Handle variants — when present, stock is tracked per size/color
+  const variantStock = variants.reduce(
+    (sum, v) => sum + (Number(v.stock) || 0),
+    0
+  );
+
+  const handleVariantChange = (
+    index: number,
+    field: keyof ProductVariant,
+    value: string
+  ) => {
+    const newVariants = [...variants];
+    const numeric = field === "stock" || field === "price";
+    newVariants[index] = {
+      ...newVariants[index],
+      [field]: numeric
+        ? value === ""
+          ? field === "price"
+            ? null
+            : 0
+          : Number(value)
+        : value || null,
+    };
+    setVariants(newVariants);
+  };
+
+  const addVariant = () => {
+    setVariants([...variants, { size: null, color: null, stock: 0 }]);
+  };
+
+  const removeVariant = (index: number) => {
+    setVariants(variants.filter((_, i) => i !== index));
+  };
+
+  // Build one variant per size × color, keeping existing rows' stock/price
+  const generateVariants = () => {
+    const sizeList = sizes.filter((s) => s.trim());
+    const colorList = colors.filter((c) => c.trim());
+    const combos = (sizeList.length ? sizeList : [null]).flatMap((size) =>
+      (colorList.length ? colorList : [null]).map((color) => ({ size, color }))
+    );
+    setVariants(
+      combos.map(
+        (combo) =>
+          variants.find(
+            (v) => v.size === combo.size && v.color === combo.color
+          ) || { ...combo, stock: 0 }
+      )
+    );
+  };
+
   // Handle form submission
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
@@ -203,6 +293,8 @@ export default function ProductForm({
       colors: colors.filter((color) => color.trim()),
       sizes: sizes.filter((size) => size.trim()),
       tags: tags.filter((tag) => tag.trim()),
+      variants,
+      ...(variants.length > 0 && { stock: variantStock }),
     };
 
     // Apply UI fix before submitting
@@ -249,20 +341,38 @@ export default function ProductForm({
                   <Package className="h-4 w-4" /> Category
                 </Label>
                 <Select
-                  value={formData.category || ""}
-                  onValueChange={(value) =>
-                    setFormData({ ...formData, category: value })
+                  value={
+                    categoryOptions.length > 0
+                      ? selectedCategoryId || ""
+                      : formData.category || ""
                   }
+                  onValueChange={handleCategoryChange}
                 >
                   <SelectTrigger className="focus-visible:ring-primary bg-background text-foreground border-input">
                     <SelectValue placeholder="Select category" />
                   </SelectTrigger>
                   <SelectContent>
-                    {categories.map((category) => (
-                      <SelectItem key={category} value={category}>
-                        {category}
-                      </SelectItem>
-                    ))}
+                    {categoryOptions.length > 0 ? (
+                      <>
+                        {categoryOptions.map(({ category, depth }) => (
+                          <SelectItem key={category._id} value={category._id}>
+                            {"— ".repeat(depth)}
+                            {category.name}
+                          </SelectItem>
+                        ))}
+                        {hiddenCategory && (
+                          <SelectItem value={selectedCategoryId}>
+                            {formData.category} (hidden)
+                          </SelectItem>
+                        )}
+                      </>
+                    ) : (
+                      defaultCategories.map((category) => (
+                        <SelectItem key={category} value={category}>
+                          {category}
+                        </SelectItem>
+                      ))
+                    )}
                   </SelectContent>
                 </Select>
               </div>
@@ -381,10 +491,94 @@ export default function ProductForm({
                   name="stock"
                   type="number"
                   min="0"
-                  value={formData.stock || ""}
+                  value={
+                    variants.length > 0 ? variantStock : formData.stock || ""
+                  }
                   onChange={handleInputChange}
+                  disabled={variants.length > 0}
                   className="focus-visible:ring-primary bg-background text-foreground border-input"
                 />
+                {variants.length > 0 && (
+                  <p className="text-xs text-muted-foreground">
+                    Total of all variant stock
+                  </p>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="lowStockThreshold">Low Stock Alert At</Label>
+                <Input
+                  id="lowStockThreshold"
+                  name="lowStockThreshold"
+                  type="number"
+                  min="0"
+                  value={formData.lowStockThreshold ?? ""}
+                  onChange={(e) =>
+                    setFormData({
+                      ...formData,
+                      lowStockThreshold:
+                        e.target.value === "" ? null : Number(e.target.value),
+                    })
+                  }
+                  className="focus-visible:ring-primary bg-background text-foreground border-input"
+                  placeholder="Store default"
+                />
+                <p className="text-xs text-muted-foreground">
+                  Staff are alerted when stock falls to this level
+                </p>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="weight">Shipping Weight (kg)</Label>
+                <Input
+                  id="weight"
+                  name="weight"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.weight || ""}
+                  onChange={(e) =>
+                    setFormData({ ...formData, weight: Number(e.target.value) })
+                  }
+                  className="focus-visible:ring-primary bg-background text-foreground border-input"
+                  placeholder="0"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label>Package Size (cm)</Label>
+                <div className="grid grid-cols-3 gap-2">
+                  {(["length", "width", "height"] as const).map((side) => (
+                    <Input
+                      key={side}
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      aria-label={side}
+                      placeholder={side[0].toUpperCase()}
+                      value={formData.dimensions?.[side] ?? ""}
+                      onChange={(e) =>
+                        setFormData({
+                          ...formData,
+                          dimensions: {
+                            length: formData.dimensions?.length ?? null,
+                            width: formData.dimensions?.width ?? null,
+                            height: formData.dimensions?.height ?? null,
+                            [side]:
+                              e.target.value === ""
+                                ? null
+                                : Number(e.target.value),
+                          },
+                        })
+                      }
+                      className="focus-visible:ring-primary bg-background text-foreground border-input"
+                    />
+                  ))}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  Bulky items ship at their volumetric weight (L×W×H / 5000)
+                  when it is more
+                </p>
               </div>
             </div>
 
@@ -635,6 +829,107 @@ export default function ProductForm({
         </Card>
       </div>
 
+      <Card className="overflow-hidden">
+        <div className="bg-primary-50 dark:bg-primary-950 p-4 border-b flex items-center justify-between">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <Layers className="h-5 w-5 text-primary" />
+            Variants
+          </h3>
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={generateVariants}
+            className="flex items-center gap-1"
+          >
+            <Wand2 className="h-4 w-4" /> Generate from sizes × colors
+          </Button>
+        </div>
+        <CardContent className="p-6">
+          <div className="space-y-3">
+            {variants.length === 0 ? (
+              <p className="text-sm text-muted-foreground">
+                No variants — stock is tracked for the product as a whole.
+              </p>
+            ) : (
+              <div className="grid grid-cols-12 gap-2 text-xs font-medium text-muted-foreground">
+                <span className="col-span-3">SKU</span>
+                <span className="col-span-2">Size</span>
+                <span className="col-span-2">Color</span>
+                <span className="col-span-2">Stock</span>
+                <span className="col-span-2">Price override</span>
+              </div>
+            )}
+            {variants.map((variant, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                <Input
+                  value={variant.sku || ""}
+                  onChange={(e) =>
+                    handleVariantChange(index, "sku", e.target.value)
+                  }
+                  placeholder="Auto"
+                  className="col-span-3 focus-visible:ring-primary bg-background text-foreground border-input"
+                />
+                <Input
+                  value={variant.size || ""}
+                  onChange={(e) =>
+                    handleVariantChange(index, "size", e.target.value)
+                  }
+                  placeholder="Size"
+                  className="col-span-2 focus-visible:ring-primary bg-background text-foreground border-input"
+                />
+                <Input
+                  value={variant.color || ""}
+                  onChange={(e) =>
+                    handleVariantChange(index, "color", e.target.value)
+                  }
+                  placeholder="Color"
+                  className="col-span-2 focus-visible:ring-primary bg-background text-foreground border-input"
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  value={variant.stock}
+                  onChange={(e) =>
+                    handleVariantChange(index, "stock", e.target.value)
+                  }
+                  className="col-span-2 focus-visible:ring-primary bg-background text-foreground border-input"
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={variant.price ?? ""}
+                  onChange={(e) =>
+                    handleVariantChange(index, "price", e.target.value)
+                  }
+                  placeholder="—"
+                  className="col-span-2 focus-visible:ring-primary bg-background text-foreground border-input"
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="icon"
+                  onClick={() => removeVariant(index)}
+                  className="col-span-1 flex-shrink-0"
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={addVariant}
+              className="mt-2 flex items-center gap-1"
+            >
+              <Plus className="h-4 w-4" /> Add Variant
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
       <Card className="overflow-hidden">
         <div className="bg-primary-50 dark:bg-primary-950 p-4 border-b">
           <h3 className="text-lg font-semibold flex items-center gap-2">
@@ -32,8 +32,16 @@ import {
   Trash2,
   MoreHorizontal,
   Search,
+  AlertTriangle,
+  BellRing,
 } from "lucide-react";
-import type { Product } from "../../api/services/productService";
+import productService from "../../api/services/productService";
+import type {
+  Product,
+  LowStockSummary,
+} from "../../api/services/productService";
+import pushService from "../../api/services/pushService";
+import { isPushSupported } from "@/lib/notifications";
 
 interface ProductsTableProps {
   products: Product[];
@@ -54,8 +62,47 @@ export default function ProductsTable({
   const [categoryFilter, setCategoryFilter] = useState<string>("all");
   const [stockFilter, setStockFilter] = useState<string>("all");
   const [hasError, setHasError] = useState(false);
+  const [lowStock, setLowStock] = useState<LowStockSummary | null>(null);
+  const [enablingAlerts, setEnablingAlerts] = useState(false);
   const { toast } = useToast();
 
+  // Re-checked whenever the product list changes (e.g. after an edit)
+  useEffect(() => {
+    let cancelled = false;
+    productService
+      .getLowStockProducts()
+      .then((data) => {
+        if (!cancelled) setLowStock(data);
+      })
+      .catch((error) =>
+        console.error("Error fetching low stock products:", error),
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [products]);
+
+  const lowStockIds = new Set(lowStock?.products.map((p) => p._id) ?? []);
+
+  const handleEnableAlerts = async () => {
+    setEnablingAlerts(true);
+    try {
+      const data = await pushService.subscribe();
+      toast({ title: "Alerts Enabled", description: data.message });
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      toast({
+        title: "Couldn't Enable Alerts",
+        description:
+          message || "Allow notifications for this site and try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setEnablingAlerts(false);
+    }
+  };
+
   // Check if products data is valid
   useEffect(() => {
     if (!Array.isArray(products)) {
@@ -92,7 +139,8 @@ export default function ProductsTable({
     const matchesStock =
       stockFilter === "all" ||
       (stockFilter === "in-stock" && product.inStock) ||
-      (stockFilter === "out-of-stock" && !product.inStock);
+      (stockFilter === "out-of-stock" && !product.inStock) ||
+      (stockFilter === "low-stock" && lowStockIds.has(product.id));
 
     return matchesSearch && matchesCategory && matchesStock;
   });
@@ -134,6 +182,61 @@ export default function ProductsTable({
         </Button>
       </div>
 
+      {lowStock && lowStock.products.length > 0 && (
+        <div className="border border-amber-200 bg-amber-50 rounded-lg p-4 space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex items-center gap-2 font-medium text-amber-900">
+              <AlertTriangle className="h-4 w-4" />
+              {lowStock.products.length === 1
+                ? "1 product is low on stock"
+                : `${lowStock.products.length} products are low on stock`}
+            </div>
+            <div className="flex gap-2">
+              {isPushSupported() && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={handleEnableAlerts}
+                  disabled={enablingAlerts}
+                  title="Get a push notification when stock runs low"
+                >
+                  <BellRing className="h-4 w-4 mr-2" />
+                  Alerts on this device
+                </Button>
+              )}
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setStockFilter("low-stock")}
+              >
+                Show all
+              </Button>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {lowStock.products.slice(0, 8).map((product) => (
+              <Badge
+                key={product._id}
+                variant="outline"
+                className={
+                  product.stock > 0
+                    ? "bg-white text-amber-800"
+                    : "bg-white text-red-700"
+                }
+              >
+                {product.name}: {product.stock} / {product.threshold}
+              </Badge>
+            ))}
+          </div>
+          {!lowStock.alertsEnabled && (
+            <p className="text-xs text-amber-900">
+              Stock alerts are off — turn them on in Settings → Notifications
+              to be emailed when products run low.
+            </p>
+          )}
+        </div>
+      )}
+
       <div className="flex flex-col sm:flex-row gap-4">
         <div className="relative flex-1">
           <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground h-4 w-4" />
@@ -166,6 +269,7 @@ export default function ProductsTable({
             <SelectContent>
               <SelectItem value="all">All Stock</SelectItem>
               <SelectItem value="in-stock">In Stock</SelectItem>
+              <SelectItem value="low-stock">Low Stock</SelectItem>
               <SelectItem value="out-of-stock">Out of Stock</SelectItem>
             </SelectContent>
           </Select>
@@ -237,11 +341,11 @@ export default function ProductsTable({
                     {product.stock !== undefined ? (
                       <span
                         className={
-                          product.stock > 10
-                            ? "text-green-500"
-                            : product.stock > 0
+                          product.stock <= 0
+                            ? "text-red-500"
+                            : lowStockIds.has(product.id)
                               ? "text-amber-500"
-                              : "text-red-500"
+                              : "text-green-500"
                         }
                       >
                         {product.stock}
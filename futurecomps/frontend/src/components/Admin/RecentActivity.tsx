@@ -12,11 +12,12 @@ import {
   TabsList,
   TabsTrigger,
 } from "@/components/ui/Tabs";
-import { ShoppingBag, User, Package } from "lucide-react";
+import { ShoppingBag, User, Package, ShieldCheck } from "lucide-react";
 import { Badge } from "@/components/ui/Badge";
 import { Skeleton } from "@/components/ui/Skeleton";
 import { Button } from "@/components/ui/Button";
 import { Avatar, AvatarFallback } from "@/components/ui/Avatar";
+import AuditTimeline from "./AuditTimeline";
 
 interface Order {
   id: string;
@@ -189,12 +190,12 @@ export default function RecentActivity({
       <CardHeader>
         <CardTitle>Recent Activity</CardTitle>
         <CardDescription>
-          Latest orders, users, and products in your store
+          Latest orders, users, products and admin actions in your store
         </CardDescription>
       </CardHeader>
       <CardContent>
         <Tabs defaultValue={activeTab} onValueChange={setActiveTab}>
-          <TabsList className="grid grid-cols-3 mb-4">
+          <TabsList className="grid grid-cols-4 mb-4">
             <TabsTrigger value="orders" className="flex items-center gap-2">
               <ShoppingBag className="h-4 w-4" />
               <span className="hidden sm:inline">Orders</span>
@@ -207,6 +208,10 @@ export default function RecentActivity({
               <Package className="h-4 w-4" />
               <span className="hidden sm:inline">Products</span>
             </TabsTrigger>
+            <TabsTrigger value="audit" className="flex items-center gap-2">
+              <ShieldCheck className="h-4 w-4" />
+              <span className="hidden sm:inline">Audit</span>
+            </TabsTrigger>
           </TabsList>
 
           <TabsContent value="orders" className="space-y-4">
@@ -358,6 +363,10 @@ export default function RecentActivity({
               </div>
             )}
           </TabsContent>
+
+          <TabsContent value="audit" className="space-y-4">
+            {activeTab === "audit" && <AuditTimeline />}
+          </TabsContent>
         </Tabs>
       </CardContent>
     </Card>
@@ -0,0 +1,232 @@
+import { useState, useEffect } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/Dialog";
+import { Button } from "@/components/ui/Button";
+import { Input } from "@/components/ui/Input";
+import { Label } from "@/components/ui/Label";
+import { Switch } from "@/components/ui/Switch";
+import { useToast } from "@/components/ui/use-toast";
+import { Loader2 } from "lucide-react";
+import { refundOrder } from "@/api/services/orderService";
+
+interface RefundableItem {
+  _id?: string;
+  name?: string;
+  product?: { name: string };
+  quantity: number;
+  price: number;
+  taxableAmount?: number;
+  tax?: number;
+  refundedQuantity?: number;
+}
+
+export interface RefundableOrder {
+  _id?: string;
+  id?: string;
+  orderId?: string;
+  items: RefundableItem[];
+  total?: number;
+  totalAmount?: number;
+  refundedAmount?: number;
+  paymentMethod?: string;
+}
+
+interface RefundDialogProps {
+  order: RefundableOrder | null;
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onRefunded?: () => void;
+}
+
+// What the customer paid per unit (after discount, incl. tax)
+const unitPaid = (item: RefundableItem) =>
+  item.taxableAmount && item.taxableAmount > 0
+    ? Math.round(((item.taxableAmount + (item.tax || 0)) / item.quantity) * 100) /
+      100
+    : item.price;
+
+export default function RefundDialog({
+  order,
+  open,
+  onOpenChange,
+  onRefunded,
+}: RefundDialogProps) {
+  const { toast } = useToast();
+  const [quantities, setQuantities] = useState<Record<string, number>>({});
+  const [amount, setAmount] = useState("");
+  const [reason, setReason] = useState("");
+  const [restock, setRestock] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Reset the form whenever a different order is opened
+  useEffect(() => {
+    setQuantities({});
+    setAmount("");
+    setReason("");
+    setRestock(true);
+  }, [order, open]);
+
+  if (!order) return null;
+
+  const orderTotal = order.total ?? order.totalAmount ?? 0;
+  const remaining =
+    Math.round((orderTotal - (order.refundedAmount || 0)) * 100) / 100;
+  const isCod = order.paymentMethod === "cod";
+
+  const selectedItems = order.items
+    .filter((item) => item._id && quantities[item._id] > 0)
+    .map((item) => ({ item, quantity: quantities[item._id as string] }));
+  const linesValue = selectedItems.reduce(
+    (sum, { item, quantity }) => sum + unitPaid(item) * quantity,
+    0,
+  );
+  const suggestedAmount =
+    selectedItems.length > 0 ? Math.min(linesValue, remaining) : remaining;
+
+  const handleQuantityChange = (item: RefundableItem, value: string) => {
+    if (!item._id) return;
+    const max = item.quantity - (item.refundedQuantity || 0);
+    const quantity = Math.max(0, Math.min(max, Number(value) || 0));
+    setQuantities({ ...quantities, [item._id]: quantity });
+  };
+
+  const handleSubmit = async () => {
+    const orderId = order._id || order.id || order.orderId;
+    if (!orderId) return;
+
+    setSubmitting(true);
+    try {
+      const result = await refundOrder(orderId, {
+        items: selectedItems.map(({ item, quantity }) => ({
+          itemId: item._id as string,
+          quantity,
+        })),
+        amount: amount !== "" ? Number(amount) : undefined,
+        reason,
+        restock,
+      });
+      toast({
+        title: "Refund Issued",
+        description: result.message,
+      });
+      onOpenChange(false);
+      onRefunded?.();
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      toast({
+        title: "Refund Failed",
+        description: message || "Failed to refund order",
+        variant: "destructive",
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Refund Order</DialogTitle>
+          <DialogDescription>
+            {isCod
+              ? "Cash on delivery — the refund is recorded here and paid out manually."
+              : "The refund is sent to the customer's card through Stripe."}{" "}
+            Remaining refundable: ${remaining.toFixed(2)}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="rounded-md border divide-y">
+            {order.items.map((item, index) => {
+              const refundable = item.quantity - (item.refundedQuantity || 0);
+              return (
+                <div
+                  key={item._id || `item-${index}`}
+                  className="flex items-center justify-between gap-4 p-3"
+                >
+                  <div>
+                    <p className="font-medium text-sm">
+                      {item.name || item.product?.name || "Item"}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      ${unitPaid(item).toFixed(2)} each · {refundable} of{" "}
+                      {item.quantity} refundable
+                    </p>
+                  </div>
+                  <Input
+                    type="number"
+                    min="0"
+                    max={refundable}
+                    value={item._id ? quantities[item._id] || "" : ""}
+                    onChange={(e) => handleQuantityChange(item, e.target.value)}
+                    disabled={!item._id || refundable <= 0}
+                    placeholder="0"
+                    className="w-20"
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="refundAmount">Amount</Label>
+              <Input
+                id="refundAmount"
+                type="number"
+                min="0"
+                step="0.01"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder={suggestedAmount.toFixed(2)}
+              />
+              <p className="text-xs text-muted-foreground">
+                Leave blank to refund{" "}
+                {selectedItems.length > 0
+                  ? "the selected items"
+                  : "the full remaining amount"}
+              </p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="refundReason">Reason</Label>
+              <Input
+                id="refundReason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. Damaged item"
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <Switch
+              id="restock"
+              checked={restock}
+              onCheckedChange={setRestock}
+            />
+            <Label htmlFor="restock">Return refunded items to stock</Label>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={submitting || remaining <= 0}>
+            {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Refund $
+            {(amount !== "" ? Number(amount) || 0 : suggestedAmount).toFixed(2)}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,275 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/Table";
+import { Button } from "@/components/ui/Button";
+import { Badge } from "@/components/ui/Badge";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/Select";
+import { Loader2, RefreshCw } from "lucide-react";
+import returnService from "@/api/services/returnService";
+import type {
+  ReturnRequest,
+  ReturnStatus,
+} from "@/api/services/returnService";
+
+type StatusFilter = ReturnStatus | "open" | "all";
+type ReturnAction = "approved" | "rejected" | "received";
+
+interface ReturnsQueueProps {
+  // Called after a return is refunded so the orders list can reload
+  onRefunded?: () => void;
+}
+
+// Returns still waiting on an admin action
+const OPEN_STATUSES: ReturnStatus[] = ["requested", "approved", "received"];
+
+const STATUS_STYLES: Record<ReturnStatus, string> = {
+  requested: "bg-yellow-100 text-yellow-800",
+  approved: "bg-blue-100 text-blue-800",
+  received: "bg-purple-100 text-purple-800",
+  refunded: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+};
+
+export default function ReturnsQueue({ onRefunded }: ReturnsQueueProps) {
+  const { toast } = useToast();
+  const [returns, setReturns] = useState<ReturnRequest[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>("open");
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const fetchReturns = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await returnService.getReturns({
+        status:
+          statusFilter === "all"
+            ? undefined
+            : statusFilter === "open"
+              ? OPEN_STATUSES.join(",")
+              : statusFilter,
+        limit: 50,
+      });
+      setReturns(data.returns);
+    } catch (error) {
+      console.error("Error fetching returns:", error);
+      toast({
+        title: "Error",
+        description: "Failed to load return requests",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, toast]);
+
+  useEffect(() => {
+    fetchReturns();
+  }, [fetchReturns]);
+
+  const handleAction = async (ret: ReturnRequest, status: ReturnAction) => {
+    setBusyId(ret._id);
+    try {
+      const result = await returnService.updateReturnStatus(ret._id, status);
+      toast({ title: "Return Updated", description: result.message });
+      if (result.returnRequest.status === "refunded") onRefunded?.();
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      toast({
+        title: "Update Failed",
+        description: message || "Failed to update return",
+        variant: "destructive",
+      });
+    } finally {
+      setBusyId(null);
+      fetchReturns();
+    }
+  };
+
+  const orderLabel = (ret: ReturnRequest) =>
+    typeof ret.orderId === "string"
+      ? ret.orderId.slice(-8).toUpperCase()
+      : ret.orderId.orderId || ret.orderId._id.slice(-8).toUpperCase();
+
+  const customerLabel = (ret: ReturnRequest) =>
+    typeof ret.userId === "string"
+      ? ret.userId
+      : ret.userId.name || ret.userId.email || "—";
+
+  const renderActions = (ret: ReturnRequest) => {
+    const busy = busyId === ret._id;
+    const button = (
+      status: ReturnAction,
+      label: string,
+      variant: "outline" | "destructive" = "outline",
+    ) => (
+      <Button
+        key={status}
+        variant={variant}
+        size="sm"
+        disabled={busy}
+        onClick={() => handleAction(ret, status)}
+      >
+        {label}
+      </Button>
+    );
+
+    switch (ret.status) {
+      case "requested":
+        return [
+          button("approved", "Approve"),
+          button("rejected", "Reject", "destructive"),
+        ];
+      case "approved":
+        return [
+          button("received", "Mark Received"),
+          button("rejected", "Reject", "destructive"),
+        ];
+      case "received":
+        return [button("received", "Retry Refund")];
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold">Returns</h2>
+        <div className="flex space-x-2">
+          <Select
+            value={statusFilter}
+            onValueChange={(value) => setStatusFilter(value as StatusFilter)}
+          >
+            <SelectTrigger className="w-40">
+              <SelectValue placeholder="Status" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="open">Open</SelectItem>
+              <SelectItem value="requested">Requested</SelectItem>
+              <SelectItem value="approved">Approved</SelectItem>
+              <SelectItem value="received">Received</SelectItem>
+              <SelectItem value="refunded">Refunded</SelectItem>
+              <SelectItem value="rejected">Rejected</SelectItem>
+              <SelectItem value="all">All</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button
+            variant="outline"
+            onClick={fetchReturns}
+            title="Refresh returns"
+            disabled={loading}
+          >
+            {loading ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <RefreshCw className="h-4 w-4" />
+            )}
+          </Button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex flex-col items-center justify-center p-8 space-y-4">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          <p className="text-muted-foreground">Loading returns...</p>
+        </div>
+      ) : returns.length === 0 ? (
+        <div className="bg-card rounded-lg shadow p-8 text-center">
+          <p className="text-muted-foreground">No return requests found</p>
+        </div>
+      ) : (
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Order</TableHead>
+                <TableHead>Customer</TableHead>
+                <TableHead>Items</TableHead>
+                <TableHead>Reason</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {returns.map((ret) => (
+                <TableRow key={ret._id}>
+                  <TableCell>
+                    <div className="font-medium">#{orderLabel(ret)}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {new Date(ret.createdAt).toLocaleDateString()}
+                    </div>
+                  </TableCell>
+                  <TableCell>{customerLabel(ret)}</TableCell>
+                  <TableCell className="text-sm">
+                    {ret.items.map((item) => (
+                      <div key={item.itemId}>
+                        {item.quantity} × {item.name || "Item"}
+                      </div>
+                    ))}
+                  </TableCell>
+                  <TableCell className="max-w-xs">
+                    <p className="text-sm truncate" title={ret.reason}>
+                      {ret.reason}
+                    </p>
+                    {ret.photos.length > 0 && (
+                      <div className="flex gap-1 mt-1">
+                        {ret.photos.map((photo) => (
+                          <a
+                            key={photo.url}
+                            href={photo.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                          >
+                            <img
+                              src={photo.url}
+                              alt="Return photo"
+                              className="h-10 w-10 rounded object-cover"
+                            />
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant="outline" className={STATUS_STYLES[ret.status]}>
+                      {ret.status.charAt(0).toUpperCase() + ret.status.slice(1)}
+                    </Badge>
+                    {ret.refundAmount != null && (
+                      <div className="text-xs text-muted-foreground mt-1">
+                        ${ret.refundAmount.toFixed(2)}
+                      </div>
+                    )}
+                    {ret.refundError && (
+                      <div className="text-xs text-red-600 mt-1">
+                        {ret.refundError}
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <div className="flex justify-end gap-2">
+                      {renderActions(ret)}
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -23,6 +23,8 @@ import settingsService from "@/api/services/settingsService";
 import { useStoreSettings } from "@/context/StoreSettingsContext";
 import { Loader2 } from "lucide-react";
 import HomepageSettingsPanel from "./HomepageSettingsPanel";
+import EmailDeliveryPanel from "./EmailDeliveryPanel";
+import CurrencySettingsPanel from "./CurrencySettingsPanel";
 
 export default function SettingsPanel() {
   const { toast } = useToast();
@@ -39,11 +41,23 @@ export default function SettingsPanel() {
 
   const [notificationSettings, setNotificationSettings] = useState({
     stockAlerts: true,
+    lowStockThreshold: 5,
+    emailNotifications: true,
+    orderConfirmations: true,
+    shippingUpdates: true,
+    refundNotifications: true,
   });
 
   const [securitySettings, setSecuritySettings] = useState({
     sessionTimeout: 30,
     passwordExpiry: 90,
+    maxLoginAttempts: 5,
+    maxOtpAttempts: 5,
+    lockoutMinutes: 15,
+    authRateLimitWindow: 15,
+    authRateLimitPerIp: 30,
+    authRateLimitPerAccount: 10,
+    requireAdmin2FA: false,
   });
 
   // Use the store settings context
@@ -69,12 +83,30 @@ export default function SettingsPanel() {
         // Update notification settings from context
         setNotificationSettings({
           stockAlerts: storeContextSettings.notifications.stockAlerts,
+          lowStockThreshold:
+            storeContextSettings.notifications.lowStockThreshold ?? 5,
+          emailNotifications:
+            storeContextSettings.notifications.emailNotifications,
+          orderConfirmations:
+            storeContextSettings.notifications.orderConfirmations,
+          shippingUpdates: storeContextSettings.notifications.shippingUpdates,
+          refundNotifications:
+            storeContextSettings.notifications.refundNotifications,
         });
 
         // Update security settings from context
         setSecuritySettings({
           sessionTimeout: storeContextSettings.security.sessionTimeout,
           passwordExpiry: storeContextSettings.security.passwordExpiry,
+          maxLoginAttempts: storeContextSettings.security.maxLoginAttempts,
+          maxOtpAttempts: storeContextSettings.security.maxOtpAttempts,
+          lockoutMinutes: storeContextSettings.security.lockoutMinutes,
+          authRateLimitWindow:
+            storeContextSettings.security.authRateLimitWindow,
+          authRateLimitPerIp: storeContextSettings.security.authRateLimitPerIp,
+          authRateLimitPerAccount:
+            storeContextSettings.security.authRateLimitPerAccount,
+          requireAdmin2FA: storeContextSettings.security.requireAdmin2FA,
         });
       } catch (error) {
         console.error("Error setting up settings:", error);
@@ -132,7 +164,10 @@ export default function SettingsPanel() {
       console.error("Error saving store settings:", error);
       toast({
         title: "Error",
-        description: "Failed to save store settings. Please try again.",
+        description:
+          (error as { response?: { data?: { message?: string } } }).response
+            ?.data?.message ||
+          "Failed to save store settings. Please try again.",
         variant: "destructive",
       });
     } finally {
@@ -176,7 +211,10 @@ export default function SettingsPanel() {
       console.error("Error saving security settings:", error);
       toast({
         title: "Error",
-        description: "Failed to save security settings. Please try again.",
+        description:
+          (error as { response?: { data?: { message?: string } } }).response
+            ?.data?.message ||
+          "Failed to save security settings. Please try again.",
         variant: "destructive",
       });
     } finally {
@@ -196,6 +234,7 @@ export default function SettingsPanel() {
       <Tabs defaultValue="store">
         <TabsList className="mb-4">
           <TabsTrigger value="store">Store</TabsTrigger>
+          <TabsTrigger value="currencies">Currencies</TabsTrigger>
           <TabsTrigger value="notifications">Notifications</TabsTrigger>
           <TabsTrigger value="security">Security</TabsTrigger>
           <TabsTrigger value="homepage">Homepage</TabsTrigger>
@@ -243,7 +282,7 @@ export default function SettingsPanel() {
                   />
                 </div>
                 <div className="space-y-2">
-                  <Label htmlFor="currency">Currency</Label>
+                  <Label htmlFor="currency">Base Currency</Label>
                   <Input
                     id="currency"
                     name="currency"
@@ -251,6 +290,10 @@ export default function SettingsPanel() {
                     onChange={handleStoreSettingsChange}
                     className="bg-background text-foreground border-input"
                   />
+                  <p className="text-sm text-muted-foreground">
+                    Prices are entered in it. Changing it doesn't convert
+                    prices and clears the exchange rates.
+                  </p>
                 </div>
               </div>
 
@@ -293,6 +336,10 @@ export default function SettingsPanel() {
           </Card>
         </TabsContent>
 
+        <TabsContent value="currencies">
+          <CurrencySettingsPanel />
+        </TabsContent>
+
         <TabsContent value="notifications">
           <Card>
             <CardHeader>
@@ -307,7 +354,8 @@ export default function SettingsPanel() {
                   <div className="space-y-0.5">
                     <Label>Stock Alerts</Label>
                     <p className="text-sm text-muted-foreground">
-                      Get notified when product stock is low.
+                      Email staff who manage products (and push to devices
+                      they enabled) when product stock is low.
                     </p>
                   </div>
                   <Switch
@@ -317,16 +365,93 @@ export default function SettingsPanel() {
                     }
                   />
                 </div>
-                <Separator />
-                <div className="p-4 border rounded-md bg-muted/50">
-                  <p className="text-sm font-medium">
-                    Email Notifications Disabled
-                  </p>
-                  <p className="text-sm text-muted-foreground mt-1">
-                    Email notifications have been disabled in this application.
-                    Only in-app notifications are available.
+                <div className="space-y-2 pl-4">
+                  <Label htmlFor="lowStockThreshold">
+                    Default Low Stock Threshold
+                  </Label>
+                  <Input
+                    id="lowStockThreshold"
+                    type="number"
+                    min="0"
+                    className="max-w-[120px]"
+                    value={notificationSettings.lowStockThreshold}
+                    onChange={(e) =>
+                      setNotificationSettings({
+                        ...notificationSettings,
+                        lowStockThreshold: parseInt(e.target.value) || 0,
+                      })
+                    }
+                  />
+                  <p className="text-sm text-muted-foreground">
+                    Alert at this many units or fewer, unless a product sets
+                    its own threshold.
                   </p>
                 </div>
+                <Separator />
+                <div className="flex items-center justify-between">
+                  <div className="space-y-0.5">
+                    <Label>Customer Order Emails</Label>
+                    <p className="text-sm text-muted-foreground">
+                      Email customers as their orders progress. Turning this
+                      off stops all order emails below.
+                    </p>
+                  </div>
+                  <Switch
+                    checked={notificationSettings.emailNotifications}
+                    onCheckedChange={(checked) =>
+                      handleNotificationToggle("emailNotifications", checked)
+                    }
+                  />
+                </div>
+                <div className="flex items-center justify-between pl-4">
+                  <div className="space-y-0.5">
+                    <Label>Order Confirmations</Label>
+                    <p className="text-sm text-muted-foreground">
+                      Itemized receipt when a card payment goes through or a
+                      cash on delivery order is placed.
+                    </p>
+                  </div>
+                  <Switch
+                    checked={notificationSettings.orderConfirmations}
+                    disabled={!notificationSettings.emailNotifications}
+                    onCheckedChange={(checked) =>
+                      handleNotificationToggle("orderConfirmations", checked)
+                    }
+                  />
+                </div>
+                <div className="flex items-center justify-between pl-4">
+                  <div className="space-y-0.5">
+                    <Label>Shipping Updates</Label>
+                    <p className="text-sm text-muted-foreground">
+                      When an order ships (once it has a tracking number) and
+                      when it is delivered.
+                    </p>
+                  </div>
+                  <Switch
+                    checked={notificationSettings.shippingUpdates}
+                    disabled={!notificationSettings.emailNotifications}
+                    onCheckedChange={(checked) =>
+                      handleNotificationToggle("shippingUpdates", checked)
+                    }
+                  />
+                </div>
+                <div className="flex items-center justify-between pl-4">
+                  <div className="space-y-0.5">
+                    <Label>Refund Notices</Label>
+                    <p className="text-sm text-muted-foreground">
+                      Each time an order is fully or partially refunded.
+                    </p>
+                  </div>
+                  <Switch
+                    checked={notificationSettings.refundNotifications}
+                    disabled={!notificationSettings.emailNotifications}
+                    onCheckedChange={(checked) =>
+                      handleNotificationToggle("refundNotifications", checked)
+                    }
+                  />
+                </div>
+                <Separator />
+                <EmailDeliveryPanel />
               </div>
             </CardContent>
             <CardFooter>
@@ -357,7 +482,26 @@ export default function SettingsPanel() {
             </CardHeader>
             <CardContent className="space-y-4">
               <div className="space-y-4">
-                {/* Two-Factor Authentication removed as requested */}
+                <div className="flex items-center justify-between">
+                  <div className="space-y-0.5">
+                    <Label>Require Two-Factor Authentication for Admins</Label>
+                    <p className="text-sm text-muted-foreground">
+                      Admin features are blocked until each admin sets up an
+                      authenticator app and signs in with it. Set it up for
+                      your own account from your profile first.
+                    </p>
+                  </div>
+                  <Switch
+                    checked={securitySettings.requireAdmin2FA}
+                    onCheckedChange={(checked) =>
+                      setSecuritySettings({
+                        ...securitySettings,
+                        requireAdmin2FA: checked,
+                      })
+                    }
+                  />
+                </div>
+                <Separator />
                 <div className="space-y-2">
                   <Label htmlFor="sessionTimeout">
                     Session Timeout (minutes)
@@ -371,7 +515,8 @@ export default function SettingsPanel() {
                     className="bg-background text-foreground border-input"
                   />
                   <p className="text-sm text-muted-foreground">
-                    Time before your session expires due to inactivity.
+                    Time before your session expires due to inactivity. Set to 0
+                    to turn off.
                   </p>
                 </div>
                 <Separator />
@@ -386,7 +531,114 @@ export default function SettingsPanel() {
                     className="bg-background text-foreground border-input"
                   />
                   <p className="text-sm text-muted-foreground">
-                    Number of days before password change is required.
+                    Number of days before password change is required. Set to 0
+                    to turn off.
+                  </p>
+                </div>
+                <Separator />
+                <div className="space-y-2">
+                  <Label htmlFor="maxLoginAttempts">Max Failed Logins</Label>
+                  <Input
+                    id="maxLoginAttempts"
+                    name="maxLoginAttempts"
+                    type="number"
+                    min={1}
+                    value={securitySettings.maxLoginAttempts}
+                    onChange={handleSecuritySettingsChange}
+                    className="bg-background text-foreground border-input"
+                  />
+                  <p className="text-sm text-muted-foreground">
+                    Failed password attempts before the account is locked.
+                  </p>
+                </div>
+                <Separator />
+                <div className="space-y-2">
+                  <Label htmlFor="maxOtpAttempts">Max Failed OTP Codes</Label>
+                  <Input
+                    id="maxOtpAttempts"
+                    name="maxOtpAttempts"
+                    type="number"
+                    min={1}
+                    value={securitySettings.maxOtpAttempts}
+                    onChange={handleSecuritySettingsChange}
+                    className="bg-background text-foreground border-input"
+                  />
+                  <p className="text-sm text-muted-foreground">
+                    Wrong verification or reset codes before the account is
+                    locked.
+                  </p>
+                </div>
+                <Separator />
+                <div className="space-y-2">
+                  <Label htmlFor="lockoutMinutes">
+                    Lockout Duration (minutes)
+                  </Label>
+                  <Input
+                    id="lockoutMinutes"
+                    name="lockoutMinutes"
+                    type="number"
+                    min={1}
+                    value={securitySettings.lockoutMinutes}
+                    onChange={handleSecuritySettingsChange}
+                    className="bg-background text-foreground border-input"
+                  />
+                  <p className="text-sm text-muted-foreground">
+                    How long a locked account stays locked. Admins can unlock it
+                    sooner from the Users tab.
+                  </p>
+                </div>
+                <Separator />
+                <div className="space-y-2">
+                  <Label htmlFor="authRateLimitWindow">
+                    Rate Limit Window (minutes)
+                  </Label>
+                  <Input
+                    id="authRateLimitWindow"
+                    name="authRateLimitWindow"
+                    type="number"
+                    min={1}
+                    value={securitySettings.authRateLimitWindow}
+                    onChange={handleSecuritySettingsChange}
+                    className="bg-background text-foreground border-input"
+                  />
+                  <p className="text-sm text-muted-foreground">
+                    Time window for the login, signup and password reset limits
+                    below.
+                  </p>
+                </div>
+                <Separator />
+                <div className="space-y-2">
+                  <Label htmlFor="authRateLimitPerIp">Requests per IP</Label>
+                  <Input
+                    id="authRateLimitPerIp"
+                    name="authRateLimitPerIp"
+                    type="number"
+                    min={1}
+                    value={securitySettings.authRateLimitPerIp}
+                    onChange={handleSecuritySettingsChange}
+                    className="bg-background text-foreground border-input"
+                  />
+                  <p className="text-sm text-muted-foreground">
+                    Auth requests allowed from one IP address per window.
+                  </p>
+                </div>
+                <Separator />
+                <div className="space-y-2">
+                  <Label htmlFor="authRateLimitPerAccount">
+                    Requests per Account
+                  </Label>
+                  <Input
+                    id="authRateLimitPerAccount"
+                    name="authRateLimitPerAccount"
+                    type="number"
+                    min={1}
+                    value={securitySettings.authRateLimitPerAccount}
+                    onChange={handleSecuritySettingsChange}
+                    className="bg-background text-foreground border-input"
+                  />
+                  <p className="text-sm text-muted-foreground">
+                    Auth requests allowed for one email address per window, from
+                    any IP.
                   </p>
                 </div>
               </div>
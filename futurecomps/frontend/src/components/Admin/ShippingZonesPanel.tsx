@@ -0,0 +1,750 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/Table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/Dialog";
+import { Button } from "@/components/ui/Button";
+import { Badge } from "@/components/ui/Badge";
+import { Input } from "@/components/ui/Input";
+import { Label } from "@/components/ui/Label";
+import { Switch } from "@/components/ui/Switch";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/Select";
+import { Loader2, Pencil, Plus, RefreshCw, Trash2, X } from "lucide-react";
+import shippingService, {
+  deliveryEstimate,
+} from "@/api/services/shippingService";
+import type {
+  RateType,
+  ShippingMethod,
+  ShippingZone,
+  ShippingZoneInput,
+} from "@/api/services/shippingService";
+import { countryName } from "@/utils/countries";
+import { formatCurrency } from "@/lib/utils";
+
+// Numbers are kept as strings while editing so fields can be left blank
+interface TierForm {
+  upTo: string;
+  rate: string;
+}
+
+interface MethodForm {
+  _id?: string;
+  name: string;
+  description: string;
+  rateType: RateType;
+  rate: string;
+  freeOver: string;
+  weightTiers: TierForm[];
+  minDays: string;
+  maxDays: string;
+  isActive: boolean;
+}
+
+interface ZoneForm {
+  name: string;
+  countries: string;
+  states: string;
+  postalPrefixes: string;
+  methods: MethodForm[];
+  isActive: boolean;
+}
+
+const RATE_TYPES: { value: RateType; label: string }[] = [
+  { value: "flat", label: "Flat rate" },
+  { value: "weight", label: "By weight" },
+  { value: "free_over", label: "Free over amount" },
+];
+
+const EMPTY_METHOD: MethodForm = {
+  name: "",
+  description: "",
+  rateType: "flat",
+  rate: "",
+  freeOver: "",
+  weightTiers: [],
+  minDays: "",
+  maxDays: "",
+  isActive: true,
+};
+
+const EMPTY_ZONE: ZoneForm = {
+  name: "",
+  countries: "",
+  states: "",
+  postalPrefixes: "",
+  methods: [{ ...EMPTY_METHOD }],
+  isActive: true,
+};
+
+const text = (value?: number | null) => (value == null ? "" : String(value));
+const number = (value: string) =>
+  value.trim() === "" ? null : Number(value);
+const splitList = (value: string) =>
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+const toForm = (zone: ShippingZone): ZoneForm => ({
+  name: zone.name,
+  countries: zone.countries.join(", "),
+  states: zone.states.join(", "),
+  postalPrefixes: zone.postalPrefixes.join(", "),
+  isActive: zone.isActive,
+  methods: zone.methods.map((method) => ({
+    _id: method._id,
+    name: method.name,
+    description: method.description || "",
+    rateType: method.rateType,
+    rate: text(method.rate),
+    freeOver: text(method.freeOver),
+    weightTiers: method.weightTiers.map((tier) => ({
+      upTo: text(tier.upTo),
+      rate: text(tier.rate),
+    })),
+    minDays: text(method.minDays),
+    maxDays: text(method.maxDays),
+    isActive: method.isActive,
+  })),
+});
+
+const toInput = (form: ZoneForm): ShippingZoneInput => ({
+  name: form.name,
+  countries: splitList(form.countries),
+  states: splitList(form.states),
+  postalPrefixes: splitList(form.postalPrefixes),
+  isActive: form.isActive,
+  methods: form.methods.map(
+    (method): ShippingMethod => ({
+      ...(method._id && { _id: method._id }),
+      name: method.name,
+      description: method.description,
+      rateType: method.rateType,
+      rate: number(method.rate) ?? 0,
+      freeOver: number(method.freeOver),
+      weightTiers:
+        method.rateType === "weight"
+          ? method.weightTiers.map((tier) => ({
+              upTo: Number(tier.upTo),
+              rate: Number(tier.rate),
+            }))
+          : [],
+      minDays: number(method.minDays),
+      maxDays: number(method.maxDays),
+      isActive: method.isActive,
+    }),
+  ),
+});
+
+const describeArea = (zone: ShippingZone) => {
+  const parts = [
+    zone.countries.length
+      ? zone.countries.map((code) => countryName(code)).join(", ")
+      : "Everywhere else",
+  ];
+  if (zone.states.length) parts.push(zone.states.join(", "));
+  if (zone.postalPrefixes.length) {
+    parts.push(`Postal codes ${zone.postalPrefixes.join(", ")}…`);
+  }
+  return parts.join(" · ");
+};
+
+const describeRate = (method: ShippingMethod) => {
+  switch (method.rateType) {
+    case "weight":
+      return method.weightTiers
+        .map((tier) => `≤${tier.upTo} kg ${formatCurrency(tier.rate)}`)
+        .join(", ");
+    case "free_over":
+      return `${formatCurrency(method.rate)}, free over ${formatCurrency(
+        method.freeOver ?? 0,
+      )}`;
+    default:
+      return method.rate > 0 ? formatCurrency(method.rate) : "Free";
+  }
+};
+
+export default function ShippingZonesPanel() {
+  const { toast } = useToast();
+  const [zones, setZones] = useState<ShippingZone[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState<ShippingZone | null>(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form, setForm] = useState<ZoneForm>(EMPTY_ZONE);
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState<string | null>(null);
+
+  const fetchZones = useCallback(async () => {
+    setLoading(true);
+    try {
+      setZones(await shippingService.getZones());
+    } catch (error) {
+      console.error("Error fetching shipping zones:", error);
+      toast({
+        title: "Error",
+        description: "Failed to load shipping zones",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchZones();
+  }, [fetchZones]);
+
+  const openForm = (zone: ShippingZone | null) => {
+    setEditing(zone);
+    setForm(zone ? toForm(zone) : EMPTY_ZONE);
+    setIsFormOpen(true);
+  };
+
+  const updateMethod = (index: number, changes: Partial<MethodForm>) => {
+    setForm((prev) => ({
+      ...prev,
+      methods: prev.methods.map((method, i) =>
+        i === index ? { ...method, ...changes } : method,
+      ),
+    }));
+  };
+
+  const updateTier = (
+    methodIndex: number,
+    tierIndex: number,
+    changes: Partial<TierForm>,
+  ) => {
+    const tiers = form.methods[methodIndex].weightTiers.map((tier, i) =>
+      i === tierIndex ? { ...tier, ...changes } : tier,
+    );
+    updateMethod(methodIndex, { weightTiers: tiers });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editing) {
+        await shippingService.updateZone(editing._id, toInput(form));
+      } else {
+        await shippingService.createZone(toInput(form));
+      }
+      toast({
+        title: editing ? "Zone Updated" : "Zone Created",
+        description: `${form.name} was saved.`,
+      });
+      setIsFormOpen(false);
+      fetchZones();
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      toast({
+        title: "Save Failed",
+        description: message || "Failed to save shipping zone",
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (zone: ShippingZone) => {
+    if (!window.confirm(`Delete the shipping zone "${zone.name}"?`)) {
+      return;
+    }
+    setDeletingId(zone._id);
+    try {
+      await shippingService.deleteZone(zone._id);
+      toast({
+        title: "Zone Deleted",
+        description: `${zone.name} was deleted.`,
+      });
+      fetchZones();
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      toast({
+        title: "Delete Failed",
+        description: message || "Failed to delete shipping zone",
+        variant: "destructive",
+      });
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold">Shipping</h2>
+          <p className="text-sm text-muted-foreground">
+            Orders ship with the most specific zone matching their address.
+            With no zones, shipping is free.
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <Button
+            variant="outline"
+            onClick={fetchZones}
+            title="Refresh shipping zones"
+            disabled={loading}
+          >
+            {loading ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <RefreshCw className="h-4 w-4" />
+            )}
+          </Button>
+          <Button onClick={() => openForm(null)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Zone
+          </Button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex flex-col items-center justify-center p-8 space-y-4">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          <p className="text-muted-foreground">Loading shipping zones...</p>
+        </div>
+      ) : zones.length === 0 ? (
+        <div className="bg-card rounded-lg shadow p-8 text-center">
+          <p className="text-muted-foreground">
+            No shipping zones yet — all orders ship free
+          </p>
+        </div>
+      ) : (
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Zone</TableHead>
+                <TableHead>Methods</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {zones.map((zone) => (
+                <TableRow key={zone._id}>
+                  <TableCell>
+                    <div className="font-medium">{zone.name}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {describeArea(zone)}
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    {zone.methods.length === 0 ? (
+                      <span className="text-sm text-muted-foreground">—</span>
+                    ) : (
+                      <ul className="space-y-1 text-sm">
+                        {zone.methods.map((method) => (
+                          <li
+                            key={method._id}
+                            className={
+                              method.isActive ? "" : "text-muted-foreground"
+                            }
+                          >
+                            <span className="font-medium">{method.name}</span>
+                            {" — "}
+                            {describeRate(method)}
+                            {deliveryEstimate(method) &&
+                              ` (${deliveryEstimate(method)})`}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {zone.isActive ? (
+                      <Badge
+                        variant="outline"
+                        className="bg-green-100 text-green-800"
+                      >
+                        Active
+                      </Badge>
+                    ) : (
+                      <Badge
+                        variant="outline"
+                        className="bg-gray-100 text-gray-800"
+                      >
+                        Inactive
+                      </Badge>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right space-x-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => openForm(zone)}
+                      title="Edit zone"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleDelete(zone)}
+                      disabled={deletingId === zone._id}
+                      title="Delete zone"
+                    >
+                      {deletingId === zone._id ? (
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                      ) : (
+                        <Trash2 className="h-4 w-4" />
+                      )}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
+        <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>
+              {editing ? "Edit Shipping Zone" : "Add Shipping Zone"}
+            </DialogTitle>
+            <DialogDescription>
+              Leave countries empty for a catch-all zone. States and postal
+              code prefixes narrow the zone further.
+            </DialogDescription>
+          </DialogHeader>
+
+          <form onSubmit={handleSave} className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="zoneName">Name</Label>
+                <Input
+                  id="zoneName"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="Domestic"
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="zoneCountries">Countries</Label>
+                <Input
+                  id="zoneCountries"
+                  value={form.countries}
+                  onChange={(e) =>
+                    setForm({ ...form, countries: e.target.value })
+                  }
+                  placeholder="US, CA"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="zoneStates">States / Regions</Label>
+                <Input
+                  id="zoneStates"
+                  value={form.states}
+                  onChange={(e) => setForm({ ...form, states: e.target.value })}
+                  placeholder="AK, HI"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="zonePostal">Postal Code Prefixes</Label>
+                <Input
+                  id="zonePostal"
+                  value={form.postalPrefixes}
+                  onChange={(e) =>
+                    setForm({ ...form, postalPrefixes: e.target.value })
+                  }
+                  placeholder="995, 996"
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <Switch
+                id="zoneActive"
+                checked={form.isActive}
+                onCheckedChange={(checked) =>
+                  setForm({ ...form, isActive: checked })
+                }
+              />
+              <Label htmlFor="zoneActive">Active</Label>
+            </div>
+
+            <div className="space-y-4">
+              <div className="flex justify-between items-center">
+                <h3 className="font-semibold">Methods</h3>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() =>
+                    setForm({
+                      ...form,
+                      methods: [...form.methods, { ...EMPTY_METHOD }],
+                    })
+                  }
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add Method
+                </Button>
+              </div>
+
+              {form.methods.map((method, index) => (
+                <div
+                  key={method._id || index}
+                  className="border rounded-lg p-4 space-y-4"
+                >
+                  <div className="flex items-start gap-2">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 flex-1">
+                      <div className="space-y-2">
+                        <Label>Name</Label>
+                        <Input
+                          value={method.name}
+                          onChange={(e) =>
+                            updateMethod(index, { name: e.target.value })
+                          }
+                          placeholder="Standard"
+                          required
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label>Description</Label>
+                        <Input
+                          value={method.description}
+                          onChange={(e) =>
+                            updateMethod(index, { description: e.target.value })
+                          }
+                          placeholder="Tracked delivery"
+                        />
+                      </div>
+                    </div>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      className="mt-7"
+                      onClick={() =>
+                        setForm({
+                          ...form,
+                          methods: form.methods.filter((_, i) => i !== index),
+                        })
+                      }
+                      title="Remove method"
+                    >
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                    <div className="space-y-2 col-span-2">
+                      <Label>Rate Type</Label>
+                      <Select
+                        value={method.rateType}
+                        onValueChange={(value) =>
+                          updateMethod(index, {
+                            rateType: value as RateType,
+                            weightTiers:
+                              value === "weight" &&
+                              method.weightTiers.length === 0
+                                ? [{ upTo: "", rate: "" }]
+                                : method.weightTiers,
+                          })
+                        }
+                      >
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {RATE_TYPES.map((type) => (
+                            <SelectItem key={type.value} value={type.value}>
+                              {type.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    {method.rateType !== "weight" && (
+                      <div className="space-y-2">
+                        <Label>Rate</Label>
+                        <Input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={method.rate}
+                          onChange={(e) =>
+                            updateMethod(index, { rate: e.target.value })
+                          }
+                          placeholder="0.00"
+                        />
+                      </div>
+                    )}
+                    {method.rateType === "free_over" && (
+                      <div className="space-y-2">
+                        <Label>Free Over</Label>
+                        <Input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={method.freeOver}
+                          onChange={(e) =>
+                            updateMethod(index, { freeOver: e.target.value })
+                          }
+                          required
+                        />
+                      </div>
+                    )}
+                    <div className="space-y-2">
+                      <Label>Min Days</Label>
+                      <Input
+                        type="number"
+                        min="0"
+                        value={method.minDays}
+                        onChange={(e) =>
+                          updateMethod(index, { minDays: e.target.value })
+                        }
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label>Max Days</Label>
+                      <Input
+                        type="number"
+                        min="0"
+                        value={method.maxDays}
+                        onChange={(e) =>
+                          updateMethod(index, { maxDays: e.target.value })
+                        }
+                      />
+                    </div>
+                  </div>
+
+                  {method.rateType === "weight" && (
+                    <div className="space-y-2">
+                      <Label>Weight Tiers</Label>
+                      {method.weightTiers.map((tier, tierIndex) => (
+                        <div key={tierIndex} className="flex items-center gap-2">
+                          <span className="text-sm text-muted-foreground">
+                            Up to
+                          </span>
+                          <Input
+                            type="number"
+                            min="0"
+                            step="0.001"
+                            className="w-28"
+                            value={tier.upTo}
+                            onChange={(e) =>
+                              updateTier(index, tierIndex, {
+                                upTo: e.target.value,
+                              })
+                            }
+                            required
+                          />
+                          <span className="text-sm text-muted-foreground">
+                            kg costs
+                          </span>
+                          <Input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            className="w-28"
+                            value={tier.rate}
+                            onChange={(e) =>
+                              updateTier(index, tierIndex, {
+                                rate: e.target.value,
+                              })
+                            }
+                            required
+                          />
+                          <Button
+                            type="button"
+                            variant="ghost"
+                            size="sm"
+                            onClick={() =>
+                              updateMethod(index, {
+                                weightTiers: method.weightTiers.filter(
+                                  (_, i) => i !== tierIndex,
+                                ),
+                              })
+                            }
+                            title="Remove tier"
+                          >
+                            <X className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      ))}
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={() =>
+                          updateMethod(index, {
+                            weightTiers: [
+                              ...method.weightTiers,
+                              { upTo: "", rate: "" },
+                            ],
+                          })
+                        }
+                      >
+                        <Plus className="h-4 w-4 mr-2" />
+                        Add Tier
+                      </Button>
+                      <p className="text-xs text-muted-foreground">
+                        Parcels heavier than the last tier can't use this
+                        method.
+                      </p>
+                    </div>
+                  )}
+
+                  <div className="flex items-center space-x-2">
+                    <Switch
+                      id={`methodActive-${index}`}
+                      checked={method.isActive}
+                      onCheckedChange={(checked) =>
+                        updateMethod(index, { isActive: checked })
+                      }
+                    />
+                    <Label htmlFor={`methodActive-${index}`}>Offered</Label>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setIsFormOpen(false)}
+                disabled={saving}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving}>
+                {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save Zone
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -24,6 +24,9 @@ import {
   DropdownMenuItem,
   DropdownMenuLabel,
   DropdownMenuSeparator,
+  DropdownMenuSub,
+  DropdownMenuSubContent,
+  DropdownMenuSubTrigger,
   DropdownMenuTrigger,
 } from "@/components/ui/DropdownMenu";
 import {
@@ -36,6 +39,7 @@ import {
   Eye,
   MailOpen,
   AlertCircle,
+  Unlock,
 } from "lucide-react";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/Avatar";
 
@@ -49,24 +53,39 @@ export interface User {
   status?: string;
   isActive?: boolean;
   avatarUrl?: string;
+  lockUntil?: string | null;
+  lockReason?: "password" | "otp" | null;
+}
+
+export interface RoleOption {
+  name: string;
+  label: string;
 }
 
 interface UsersTableProps {
   users: User[];
   loading: boolean;
+  // Assignable roles — the role menu is hidden without them
+  roles?: RoleOption[];
   onInspectUser: (user: User) => void;
-  onDeleteUser: (userId: string) => void;
+  onDeleteUser?: (userId: string) => void;
   onToggleUserStatus: (userId: string, currentStatus: string) => void;
   onChangeUserRole?: (userId: string, newRole: string) => void;
+  onUnlockUser?: (userId: string) => void;
 }
 
+const isLocked = (user: User) =>
+  Boolean(user.lockUntil && new Date(user.lockUntil).getTime() > Date.now());
+
 export default function UsersTable({
   users,
   loading,
+  roles = [],
   onInspectUser,
   onDeleteUser,
   onToggleUserStatus,
   onChangeUserRole,
+  onUnlockUser,
 }: UsersTableProps) {
   const [searchTerm, setSearchTerm] = useState("");
   const [roleFilter, setRoleFilter] = useState<string>("all");
@@ -251,14 +270,15 @@ export default function UsersTable({
                     <TableCell>{userEmail}</TableCell>
                     <TableCell className="text-center">
                       <Badge
-                        variant={userRole === "admin" ? "default" : "outline"}
+                        variant={userRole !== "user" ? "default" : "outline"}
                         className={
-                          userRole === "admin"
+                          userRole !== "user"
                             ? "bg-purple-100 text-purple-800 hover:bg-purple-100"
                             : ""
                         }
                       >
-                        {userRole.charAt(0).toUpperCase() + userRole.slice(1)}
+                        {roles.find((r) => r.name === userRole)?.label ||
+                          userRole.charAt(0).toUpperCase() + userRole.slice(1)}
                       </Badge>
                     </TableCell>
                     <TableCell>{userCreatedAt}</TableCell>
@@ -274,6 +294,17 @@ export default function UsersTable({
                         {userStatus.charAt(0).toUpperCase() +
                           userStatus.slice(1)}
                       </Badge>
+                      {isLocked(user) && (
+                        <Badge
+                          variant="outline"
+                          className="ml-1 bg-orange-100 text-orange-800 hover:bg-orange-100"
+                          title={`Locked until ${new Date(
+                            user.lockUntil as string,
+                          ).toLocaleString()}`}
+                        >
+                          Locked
+                        </Badge>
+                      )}
                     </TableCell>
                     <TableCell className="text-right">
                       <DropdownMenu>
@@ -313,36 +344,47 @@ export default function UsersTable({
                               Activate User
                             </DropdownMenuItem>
                           )}
-                          {userRole !== "admin" && (
+                          {isLocked(user) && onUnlockUser && (
                             <DropdownMenuItem
-                              onClick={() =>
-                                onChangeUserRole &&
-                                onChangeUserRole(userId, "admin")
-                              }
+                              onClick={() => onUnlockUser(userId)}
                             >
-                              <UserCog className="mr-2 h-4 w-4" />
-                              Make Admin
+                              <Unlock className="mr-2 h-4 w-4" />
+                              Unlock Account
                             </DropdownMenuItem>
                           )}
-                          {userRole === "admin" && (
-                            <DropdownMenuItem
-                              onClick={() =>
-                                onChangeUserRole &&
-                                onChangeUserRole(userId, "user")
-                              }
-                            >
-                              <UserCog className="mr-2 h-4 w-4" />
-                              Remove Admin
-                            </DropdownMenuItem>
+                          {onChangeUserRole && roles.length > 0 && (
+                            <DropdownMenuSub>
+                              <DropdownMenuSubTrigger>
+                                <UserCog className="mr-2 h-4 w-4" />
+                                Change Role
+                              </DropdownMenuSubTrigger>
+                              <DropdownMenuSubContent>
+                                {roles.map((role) => (
+                                  <DropdownMenuItem
+                                    key={role.name}
+                                    disabled={role.name === userRole}
+                                    onClick={() =>
+                                      onChangeUserRole(userId, role.name)
+                                    }
+                                  >
+                                    {role.label}
+                                  </DropdownMenuItem>
+                                ))}
+                              </DropdownMenuSubContent>
+                            </DropdownMenuSub>
+                          )}
+                          {onDeleteUser && (
+                            <>
+                              <DropdownMenuSeparator />
+                              <DropdownMenuItem
+                                className="text-red-600"
+                                onClick={() => onDeleteUser(userId)}
+                              >
+                                <Trash2 className="mr-2 h-4 w-4" />
+                                Delete User
+                              </DropdownMenuItem>
+                            </>
                           )}
-                          <DropdownMenuSeparator />
-                          <DropdownMenuItem
-                            className="text-red-600"
-                            onClick={() => onDeleteUser(userId)}
-                          >
-                            <Trash2 className="mr-2 h-4 w-4" />
-                            Delete User
-                          </DropdownMenuItem>
                         </DropdownMenuContent>
                       </DropdownMenu>
                     </TableCell>
@@ -0,0 +1,201 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/Table";
+import { Button } from "@/components/ui/Button";
+import { Badge } from "@/components/ui/Badge";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/Select";
+import { Loader2, RefreshCw, RotateCcw } from "lucide-react";
+import webhookEventService from "@/api/services/webhookEventService";
+import type { WebhookEvent } from "@/api/services/webhookEventService";
+
+type StatusFilter = WebhookEvent["status"] | "all";
+
+export default function WebhookEventsPanel() {
+  const { toast } = useToast();
+  const [events, setEvents] = useState<WebhookEvent[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>("failed");
+  const [replayingId, setReplayingId] = useState<string | null>(null);
+
+  const fetchEvents = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await webhookEventService.getWebhookEvents({
+        status: statusFilter === "all" ? undefined : statusFilter,
+        limit: 50,
+      });
+      setEvents(data.events);
+    } catch (error) {
+      console.error("Error fetching webhook events:", error);
+      toast({
+        title: "Error",
+        description: "Failed to load webhook events",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, toast]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleReplay = async (event: WebhookEvent) => {
+    setReplayingId(event._id);
+    try {
+      await webhookEventService.replayWebhookEvent(event._id);
+      toast({
+        title: "Event Replayed",
+        description: `${event.type} was processed successfully.`,
+      });
+      fetchEvents();
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      toast({
+        title: "Replay Failed",
+        description: message || "Failed to replay webhook event",
+        variant: "destructive",
+      });
+      fetchEvents();
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  const getStatusBadge = (status: WebhookEvent["status"]) => {
+    switch (status) {
+      case "processed":
+        return (
+          <Badge variant="outline" className="bg-green-100 text-green-800">
+            Processed
+          </Badge>
+        );
+      case "failed":
+        return (
+          <Badge variant="outline" className="bg-red-100 text-red-800">
+            Failed
+          </Badge>
+        );
+      default:
+        return (
+          <Badge variant="outline" className="bg-blue-100 text-blue-800">
+            Processing
+          </Badge>
+        );
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold">Payment Events</h2>
+        <div className="flex space-x-2">
+          <Select
+            value={statusFilter}
+            onValueChange={(value) => setStatusFilter(value as StatusFilter)}
+          >
+            <SelectTrigger className="w-40">
+              <SelectValue placeholder="Status" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="failed">Failed</SelectItem>
+              <SelectItem value="processing">Processing</SelectItem>
+              <SelectItem value="processed">Processed</SelectItem>
+              <SelectItem value="all">All</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button
+            variant="outline"
+            onClick={fetchEvents}
+            title="Refresh webhook events"
+            disabled={loading}
+          >
+            {loading ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <RefreshCw className="h-4 w-4" />
+            )}
+          </Button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex flex-col items-center justify-center p-8 space-y-4">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          <p className="text-muted-foreground">Loading webhook events...</p>
+        </div>
+      ) : events.length === 0 ? (
+        <div className="bg-card rounded-lg shadow p-8 text-center">
+          <p className="text-muted-foreground">No webhook events found</p>
+        </div>
+      ) : (
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Event</TableHead>
+                <TableHead>Received</TableHead>
+                <TableHead>Attempts</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Error</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {events.map((event) => (
+                <TableRow key={event._id}>
+                  <TableCell>
+                    <div className="font-medium">{event.type}</div>
+                    <div className="text-xs text-muted-foreground font-mono">
+                      {event.eventId}
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    {new Date(event.createdAt).toLocaleString()}
+                  </TableCell>
+                  <TableCell>{event.attempts}</TableCell>
+                  <TableCell>{getStatusBadge(event.status)}</TableCell>
+                  <TableCell className="max-w-xs truncate text-sm text-red-600">
+                    {event.lastError || "—"}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {event.status === "failed" && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleReplay(event)}
+                        disabled={replayingId === event._id}
+                      >
+                        {replayingId === event._id ? (
+                          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                        ) : (
+                          <RotateCcw className="h-4 w-4 mr-2" />
+                        )}
+                        Replay
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,7 +4,7 @@ import { Link, useNavigate } from "react-router-dom";
 import { Button } from "@/components/ui/Button";
 import { Input } from "@/components/ui/Input";
 import { useStore } from "@/context/StoreContext";
-import { formatCurrency } from "@/lib/utils";
+import { useStoreSettings } from "@/context/StoreSettingsContext";
 import { useState } from "react";
 import { useAuth } from "@/context/AuthContext";
 
@@ -20,6 +20,8 @@ export function CartDrawer() {
   } = useStore();
 
   const { isAuthenticated } = useAuth();
+  // Cart amounts are in the base currency; shown in the shopper's
+  const { formatPrice } = useStoreSettings();
   const navigate = useNavigate();
   const [couponCode, setCouponCode] = useState("");
   const [couponError, setCouponError] = useState("");
@@ -52,13 +54,6 @@ export function CartDrawer() {
   };
 
   const handleCheckout = async () => {
-    if (!isAuthenticated) {
-      console.log("❌ User not logged in, redirecting to login");
-      setCartOpen(false);
-      navigate("/login", { state: { from: "/checkout" } });
-      return;
-    }
-
     if (!cart || cart.items.length === 0) {
       console.log("❌ Cart is empty");
       return;
@@ -230,10 +225,9 @@ export function CartDrawer() {
                                 Subtotal
                               </p>
                               <p className="font-bold text-base text-gray-900 dark:text-white">
-                                {formatCurrency(
+                                {formatPrice(
                                   (item.product.discountedPrice ??
                                     item.product.price) * item.quantity,
-                                  item.product.currency,
                                 )}
                               </p>
                             </div>
@@ -320,7 +314,7 @@ export function CartDrawer() {
                       Subtotal
                     </span>
                     <span className="font-medium text-gray-900 dark:text-white">
-                      {formatCurrency(cart.subtotal)}
+                      {formatPrice(cart.subtotal)}
                     </span>
                   </div>
                   {cart.discount > 0 && (
@@ -329,10 +323,20 @@ export function CartDrawer() {
                         Discount
                       </span>
                       <span className="text-green-600 dark:text-green-400 font-semibold">
-                        -{formatCurrency(cart.discount)}
+                        -{formatPrice(cart.discount)}
                       </span>
                     </div>
                   )}
+                  <div className="flex justify-between text-xs">
+                    <span className="text-gray-600 dark:text-gray-400">
+                      Tax
+                    </span>
+                    <span className="font-medium text-gray-900 dark:text-white">
+                      {cart.tax === undefined
+                        ? "Calculating..."
+                        : formatPrice(cart.tax)}
+                    </span>
+                  </div>
                   <div className="flex justify-between text-xs">
                     <span className="text-gray-600 dark:text-gray-400">
                       Shipping
@@ -344,7 +348,7 @@ export function CartDrawer() {
                   <div className="flex justify-between text-base font-bold pt-2 border-t-2 border-gray-200 dark:border-gray-800">
                     <span className="text-gray-900 dark:text-white">Total</span>
                     <span className="text-primary">
-                      {formatCurrency(cart.total)}
+                      {formatPrice(cart.total)}
                     </span>
                   </div>
                 </div>
@@ -354,7 +358,8 @@ export function CartDrawer() {
                   {!isAuthenticated && (
                     <div className="p-3 bg-blue-50 dark:bg-blue-900/20 rounded-lg border border-blue-200 dark:border-blue-800">
                       <p className="text-sm text-blue-700 dark:text-blue-400 font-medium">
-                        Sign in to complete your purchase
+                        Check out as a guest, or sign in to save the order
+                        to your account
                       </p>
                     </div>
                   )}
@@ -363,9 +368,7 @@ export function CartDrawer() {
                     size="lg"
                     onClick={handleCheckout}
                   >
-                    {isAuthenticated
-                      ? "Proceed to Checkout"
-                      : "Sign In & Checkout"}
+                    Proceed to Checkout
                   </Button>
                   <Button
                     variant="outline"
@@ -1,34 +1,20 @@
 import { motion } from "framer-motion";
 import { Link } from "react-router-dom";
+import { useStore } from "@/context/StoreContext";
 
-const categories = [
-  {
-    name: "Electronics",
-    image: "https://images.unsplash.com/photo-1498049794561-7780e7231661?w=500",
-    count: 42,
-    color: "from-blue-500/20 to-blue-600/20",
-  },
-  {
-    name: "Clothing",
-    image: "https://images.unsplash.com/photo-1445205170230-053b83016050?w=500",
-    count: 156,
-    color: "from-pink-500/20 to-pink-600/20",
-  },
-  {
-    name: "Home & Garden",
-    image: "https://images.unsplash.com/photo-1484101403633-562f891dc89a?w=500",
-    count: 89,
-    color: "from-green-500/20 to-green-600/20",
-  },
-  {
-    name: "Sports",
-    image: "https://images.unsplash.com/photo-1517649763962-0c623066013b?w=500",
-    count: 67,
-    color: "from-orange-500/20 to-orange-600/20",
-  },
+// Backdrops for categories without an image, in turn
+const colors = [
+  "from-blue-500 to-blue-700",
+  "from-pink-500 to-pink-700",
+  "from-green-500 to-green-700",
+  "from-orange-500 to-orange-700",
 ];
 
 export function Categories() {
+  const { categories } = useStore();
+
+  if (categories.length === 0) return null;
+
   return (
     <section className="py-12 sm:py-16 lg:py-20 px-4 sm:px-6 lg:px-8 max-w-7xl mx-auto bg-gray-50 dark:bg-gray-900/50">
       <div className="text-center mb-10">
@@ -43,27 +29,48 @@ export function Categories() {
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
         {categories.map((category, index) => (
           <motion.div
-            key={category.name}
+            key={category._id}
             initial={{ opacity: 0, y: 20 }}
             whileInView={{ opacity: 1, y: 0 }}
             viewport={{ once: true }}
             transition={{ delay: index * 0.1 }}
           >
             <Link
-              to={`/shop?category=${category.name.toLowerCase()}`}
+              to={`/shop?category=${category.slug}`}
               className="group block relative aspect-[4/3] rounded-2xl overflow-hidden"
             >
-              <img
-                src={category.image}
-                alt={category.name}
-                className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110"
-              />
+              {category.image ? (
+                <img
+                  src={category.image}
+                  alt={category.name}
+                  className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-110"
+                />
+              ) : (
+                <div
+                  className={`w-full h-full bg-gradient-to-br ${colors[index % colors.length]}`}
+                />
+              )}
               <div className="absolute inset-0 bg-gradient-to-t from-black/70 via-black/20 to-transparent" />
               <div className="absolute bottom-0 left-0 right-0 p-6 text-white">
                 <h3 className="text-xl font-bold mb-1">{category.name}</h3>
-                <p className="text-white/80 text-sm">{category.count} products</p>
+                <p className="text-white/80 text-sm">
+                  {category.totalCount} products
+                </p>
               </div>
             </Link>
+            {category.children.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-3">
+                {category.children.map((child) => (
+                  <Link
+                    key={child._id}
+                    to={`/shop?category=${child.slug}`}
+                    className="px-3 py-1 rounded-full text-xs font-medium bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-gray-700 hover:border-blue-500 hover:text-blue-500 transition-colors"
+                  >
+                    {child.name}
+                  </Link>
+                ))}
+              </div>
+            )}
           </motion.div>
         ))}
       </div>
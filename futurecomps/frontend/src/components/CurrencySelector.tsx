@@ -0,0 +1,39 @@
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/Select";
+import { useStoreSettings } from "@/context/StoreSettingsContext";
+import { cn } from "@/lib/utils";
+
+interface CurrencySelectorProps {
+  className?: string;
+}
+
+// Lets shoppers see prices and pay in another enabled currency; hidden
+// when the store only sells in its base currency
+export function CurrencySelector({ className }: CurrencySelectorProps) {
+  const { currency, currencies, setCurrency } = useStoreSettings();
+
+  if (currencies.length < 2) return null;
+
+  return (
+    <Select value={currency} onValueChange={setCurrency}>
+      <SelectTrigger
+        className={cn("w-[84px] h-9 rounded-xl text-sm", className)}
+        aria-label="Currency"
+      >
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {currencies.map((c) => (
+          <SelectItem key={c.code} value={c.code}>
+            {c.code}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
@@ -22,6 +22,7 @@ import {
   type TrackingInfo,
   type Order,
 } from "@/api/services/orderService";
+import { countryName } from "@/utils/countries";
 
 interface PackageTrackerProps {
   isOpen: boolean;
@@ -44,15 +45,22 @@ const statusColors: Record<string, string> = {
 const getStatusIcon = (status: string) => {
   switch (status) {
     case "order_placed":
+    case "pending":
+    case "label_created":
       return <Package className="w-5 h-5" />;
     case "payment_confirmed":
+    case "paid":
       return <CreditCard className="w-5 h-5" />;
     case "processing":
       return <Settings className="w-5 h-5" />;
     case "shipped":
+    case "in_transit":
+    case "out_for_delivery":
       return <Truck className="w-5 h-5" />;
     case "delivered":
       return <CheckCircle className="w-5 h-5" />;
+    case "exception":
+      return <AlertCircle className="w-5 h-5" />;
     default:
       return <Clock className="w-5 h-5" />;
   }
@@ -311,7 +319,8 @@ export function PackageTracker({ isOpen, onClose }: PackageTrackerProps) {
                   >
                     <div className="flex items-center justify-between mb-4">
                       <Badge className="bg-white/20 text-white border-0">
-                        {selectedTracking.carrier.toUpperCase()}
+                        {selectedTracking.carrier?.toUpperCase() ||
+                          "NOT SHIPPED"}
                       </Badge>
                       <button
                         onClick={handleRefresh}
@@ -329,7 +338,7 @@ export function PackageTracker({ isOpen, onClose }: PackageTrackerProps) {
                         Tracking Number
                       </p>
                       <p className="font-mono font-semibold">
-                        {selectedTracking.trackingNumber}
+                        {selectedTracking.trackingNumber || "Not assigned yet"}
                       </p>
                     </div>
 
@@ -395,7 +404,7 @@ export function PackageTracker({ isOpen, onClose }: PackageTrackerProps) {
                     <div className="space-y-1">
                       {selectedTracking.timeline.map((step, index) => (
                         <motion.div
-                          key={step.status}
+                          key={`${step.status}-${index}`}
                           initial={{ opacity: 0, x: -20 }}
                           animate={{ opacity: 1, x: 0 }}
                           transition={{ delay: index * 0.1 }}
@@ -463,17 +472,29 @@ export function PackageTracker({ isOpen, onClose }: PackageTrackerProps) {
                         Delivery Address
                       </h4>
                       <div className="text-sm text-gray-600 dark:text-gray-400">
-                        <p>{selectedTracking.shippingAddress.name}</p>
-                        <p>{selectedTracking.shippingAddress.line1}</p>
-                        {selectedTracking.shippingAddress.line2 && (
-                          <p>{selectedTracking.shippingAddress.line2}</p>
+                        <p>
+                          {selectedTracking.shippingAddress.fullName ||
+                            selectedTracking.shippingAddress.name}
+                        </p>
+                        <p>
+                          {selectedTracking.shippingAddress.addressLine1 ||
+                            selectedTracking.shippingAddress.line1}
+                        </p>
+                        {(selectedTracking.shippingAddress.addressLine2 ||
+                          selectedTracking.shippingAddress.line2) && (
+                          <p>
+                            {selectedTracking.shippingAddress.addressLine2 ||
+                              selectedTracking.shippingAddress.line2}
+                          </p>
                         )}
                         <p>
                           {selectedTracking.shippingAddress.city},{" "}
                           {selectedTracking.shippingAddress.state}{" "}
                           {selectedTracking.shippingAddress.postalCode}
                         </p>
-                        <p>{selectedTracking.shippingAddress.country}</p>
+                        <p>
+                          {countryName(selectedTracking.shippingAddress.country)}
+                        </p>
                       </div>
                     </div>
                   )}
@@ -6,7 +6,7 @@ import { Badge } from "@/components/ui/Badge";
 import { Rating } from "@/components/ui/Rating";
 import { Button } from "@/components/ui/Button";
 import { useStore } from "@/context/StoreContext";
-import { formatCurrency } from "@/lib/utils";
+import { useStoreSettings } from "@/context/StoreSettingsContext";
 import type { Product } from "@/types/store";
 import { cn } from "@/lib/utils";
 
@@ -17,6 +17,7 @@ interface ProductCardProps {
 
 export function ProductCard({ product, index = 0 }: ProductCardProps) {
   const { addToCart, addToWishlist, removeFromWishlist, isInWishlist } = useStore();
+  const { formatPrice } = useStoreSettings();
 
   const toggleWishlist = async (e: React.MouseEvent) => {
     e.preventDefault();
@@ -123,11 +124,11 @@ export function ProductCard({ product, index = 0 }: ProductCardProps) {
                 "font-bold text-lg",
                 hasDiscount ? "text-primary" : ""
               )}>
-                {formatCurrency(displayPrice, product.currency)}
+                {formatPrice(displayPrice)}
               </span>
               {hasDiscount && (
                 <span className="text-sm text-muted-foreground line-through">
-                  {formatCurrency(product.originalPrice!, product.currency)}
+                  {formatPrice(product.originalPrice!)}
                 </span>
               )}
             </div>
@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import { authAPI } from '../../services/api';
+import { useToast } from '@/components/ui/use-toast';
+import { describeDevice, isMobile } from '../../utils/device';
+
+interface Session {
+  _id: string;
+  userAgent?: string | null;
+  ip?: string | null;
+  lastUsedAt: string;
+  createdAt: string;
+  current: boolean;
+}
+
+const errorMessage = (error: unknown) =>
+  (error as { response?: { data?: { message?: string } } }).response?.data?.message ||
+  'Please try again later.';
+
+export default function ActiveSessions() {
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await authAPI.getSessions();
+        setSessions(response.data);
+      } catch (error) {
+        console.error('Failed to fetch sessions:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId: string) => {
+    setBusy(sessionId);
+    try {
+      await authAPI.revokeSession(sessionId);
+      setSessions(sessions.filter((s) => s._id !== sessionId));
+      toast({ title: 'Device signed out' });
+    } catch (error) {
+      toast({
+        title: 'Could not sign out device',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setBusy('others');
+    try {
+      const response = await authAPI.revokeOtherSessions();
+      setSessions(sessions.filter((s) => s.current));
+      toast({ title: 'Signed out', description: response.data.message });
+    } catch (error) {
+      toast({
+        title: 'Could not sign out devices',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="h-16 rounded-lg bg-secondary/50 animate-pulse" />;
+  }
+
+  const others = sessions.filter((s) => !s.current);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-muted-foreground">Signed-in devices</h4>
+        {others.length > 0 && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={busy !== null}
+            className="text-sm font-medium text-destructive hover:underline disabled:opacity-50"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+      <ul className="divide-y divide-border border border-border rounded-lg">
+        {sessions.map((session) => {
+          const Icon = isMobile(session.userAgent) ? Smartphone : Monitor;
+          return (
+            <li key={session._id} className="flex items-center gap-3 p-3">
+              <Icon className="w-5 h-5 text-muted-foreground shrink-0" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium truncate">
+                  {describeDevice(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 text-xs text-green-600 font-normal">This device</span>
+                  )}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  {session.ip || 'Unknown IP'} · Last active{' '}
+                  {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevoke(session._id)}
+                  disabled={busy !== null}
+                  className="p-2 text-muted-foreground hover:text-destructive disabled:opacity-50"
+                  title="Sign out this device"
+                >
+                  <LogOut className="w-4 h-4" />
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
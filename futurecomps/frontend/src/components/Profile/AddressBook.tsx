@@ -0,0 +1,353 @@
+import { useState, useEffect } from 'react';
+import { MapPin, Plus, Pencil, Trash2, Truck, CreditCard } from 'lucide-react';
+import type { Address, AddressInput } from '../../api/services/addressService';
+import {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+} from '../../api/services/addressService';
+import { countryName, countryOptions, requiresState, stateLabel } from '../../utils/countries';
+import { useToast } from '@/components/ui/use-toast';
+
+const errorMessage = (error: unknown) =>
+  (error as { response?: { data?: { message?: string } } }).response?.data?.message ||
+  'Please try again later.';
+
+const EMPTY_FORM: AddressInput = {
+  label: '',
+  fullName: '',
+  phone: '',
+  addressLine1: '',
+  addressLine2: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  country: 'US',
+};
+
+const inputClass =
+  'w-full px-4 py-2 bg-background border border-input rounded-lg focus:ring-2 focus:ring-primary/20 focus:border-primary transition-all';
+
+// Saved shipping/billing addresses. The first address saved becomes both
+// defaults; the server keeps exactly one default of each kind.
+export default function AddressBook() {
+  const [addresses, setAddresses] = useState<Address[]>([]);
+  const [loading, setLoading] = useState(true);
+  // null: form closed; '': new address; otherwise the id being edited
+  const [editing, setEditing] = useState<string | null>(null);
+  const [form, setForm] = useState<AddressInput>(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+  const { toast } = useToast();
+
+  const fetchAddresses = async () => {
+    try {
+      setAddresses(await getAddresses());
+    } catch (error) {
+      console.error('Failed to fetch addresses:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAddresses();
+  }, []);
+
+  const openForm = (address?: Address) => {
+    setEditing(address?._id || '');
+    setForm(
+      address
+        ? {
+            label: address.label || '',
+            fullName: address.fullName,
+            phone: address.phone || '',
+            addressLine1: address.addressLine1,
+            addressLine2: address.addressLine2 || '',
+            city: address.city,
+            state: address.state || '',
+            postalCode: address.postalCode || '',
+            country: address.country,
+          }
+        : EMPTY_FORM
+    );
+  };
+
+  const setField = (field: keyof AddressInput) => (
+    e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>
+  ) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = editing
+        ? await updateAddress(editing, form)
+        : await createAddress(form);
+      toast({ title: response.message });
+      setEditing(null);
+      await fetchAddresses();
+    } catch (error) {
+      toast({
+        title: 'Could not save address',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleMakeDefault = async (
+    address: Address,
+    kind: 'isDefaultShipping' | 'isDefaultBilling'
+  ) => {
+    setBusy(true);
+    try {
+      await updateAddress(address._id, { [kind]: true });
+      await fetchAddresses();
+    } catch (error) {
+      toast({
+        title: 'Could not change default address',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (address: Address) => {
+    setBusy(true);
+    try {
+      await deleteAddress(address._id);
+      toast({ title: 'Address deleted' });
+      await fetchAddresses();
+    } catch (error) {
+      toast({
+        title: 'Could not delete address',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="space-y-4">
+        {[1, 2].map((i) => (
+          <div key={i} className="h-32 bg-muted/50 rounded-2xl animate-pulse" />
+        ))}
+      </div>
+    );
+  }
+
+  const country = form.country || 'US';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold">Addresses</h2>
+        {editing === null && (
+          <button
+            onClick={() => openForm()}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-primary text-primary-foreground text-sm font-medium rounded-full hover:bg-primary/90 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add address
+          </button>
+        )}
+      </div>
+
+      {editing !== null && (
+        <form
+          onSubmit={handleSubmit}
+          className="bg-white/5 border border-white/10 rounded-2xl p-6 backdrop-blur-sm space-y-4"
+        >
+          <h3 className="text-lg font-semibold">{editing ? 'Edit address' : 'New address'}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Label (optional)</label>
+              <input
+                value={form.label}
+                onChange={setField('label')}
+                className={inputClass}
+                placeholder="Home, Work…"
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Full Name</label>
+              <input
+                value={form.fullName}
+                onChange={setField('fullName')}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div className="space-y-2 md:col-span-2">
+              <label className="text-sm font-medium">Address</label>
+              <input
+                value={form.addressLine1}
+                onChange={setField('addressLine1')}
+                className={inputClass}
+                placeholder="Street address"
+                required
+              />
+              <input
+                value={form.addressLine2}
+                onChange={setField('addressLine2')}
+                className={inputClass}
+                placeholder="Apartment, suite, etc. (optional)"
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">City</label>
+              <input
+                value={form.city}
+                onChange={setField('city')}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">
+                {stateLabel(country)}
+                {!requiresState(country) && ' (optional)'}
+              </label>
+              <input
+                value={form.state}
+                onChange={setField('state')}
+                className={inputClass}
+                required={requiresState(country)}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Postal Code</label>
+              <input
+                value={form.postalCode}
+                onChange={setField('postalCode')}
+                className={inputClass}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Country</label>
+              <select value={country} onChange={setField('country')} className={inputClass}>
+                {countryOptions.map((option) => (
+                  <option key={option.code} value={option.code}>
+                    {option.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Phone (optional)</label>
+              <input
+                type="tel"
+                value={form.phone}
+                onChange={setField('phone')}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 text-sm font-medium text-muted-foreground hover:text-foreground"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-6 py-2 bg-primary text-primary-foreground text-sm font-medium rounded-full hover:bg-primary/90 transition-colors disabled:opacity-50"
+            >
+              {busy ? 'Saving...' : 'Save address'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {addresses.length === 0 && editing === null && (
+        <div className="text-center py-12 bg-white/5 border border-white/10 rounded-2xl backdrop-blur-sm">
+          <MapPin className="w-12 h-12 text-muted-foreground mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-foreground mb-2">No saved addresses</h3>
+          <p className="text-muted-foreground">
+            Save an address to fill in checkout in one click.
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {addresses.map((address) => (
+          <div
+            key={address._id}
+            className="bg-white/5 border border-white/10 rounded-2xl p-6 backdrop-blur-sm flex flex-col"
+          >
+            <div className="flex items-start justify-between gap-2 mb-3">
+              <p className="font-semibold">{address.label || address.fullName}</p>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => openForm(address)}
+                  disabled={busy}
+                  className="p-2 text-muted-foreground hover:text-foreground disabled:opacity-50"
+                  title="Edit address"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(address)}
+                  disabled={busy}
+                  className="p-2 text-muted-foreground hover:text-destructive disabled:opacity-50"
+                  title="Delete address"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+            <div className="text-sm text-muted-foreground space-y-0.5 flex-1">
+              {address.label && <p>{address.fullName}</p>}
+              <p>{address.addressLine1}</p>
+              {address.addressLine2 && <p>{address.addressLine2}</p>}
+              <p>
+                {[address.city, address.state, address.postalCode].filter(Boolean).join(', ')}
+              </p>
+              <p>{countryName(address.country)}</p>
+              {address.phone && <p>{address.phone}</p>}
+            </div>
+            <div className="flex flex-wrap gap-2 mt-4 text-xs">
+              {address.isDefaultShipping ? (
+                <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-primary/10 text-primary">
+                  <Truck className="w-3 h-3" /> Default shipping
+                </span>
+              ) : (
+                <button
+                  onClick={() => handleMakeDefault(address, 'isDefaultShipping')}
+                  disabled={busy}
+                  className="font-medium text-primary hover:underline disabled:opacity-50"
+                >
+                  Ship here by default
+                </button>
+              )}
+              {address.isDefaultBilling ? (
+                <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-primary/10 text-primary">
+                  <CreditCard className="w-3 h-3" /> Default billing
+                </span>
+              ) : (
+                <button
+                  onClick={() => handleMakeDefault(address, 'isDefaultBilling')}
+                  disabled={busy}
+                  className="font-medium text-primary hover:underline disabled:opacity-50"
+                >
+                  Bill here by default
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import { Link2, Unlink } from 'lucide-react';
+import { authAPI } from '../../services/api';
+import { redirectToProvider } from '../../utils/oauth';
+import { useToast } from '@/components/ui/use-toast';
+
+interface LinkedAccount {
+  provider: string;
+  name: string;
+  email?: string | null;
+  linkedAt: string;
+}
+
+interface LinkedAccountsState {
+  hasPassword: boolean;
+  accounts: LinkedAccount[];
+  providers: { id: string; name: string }[];
+}
+
+const errorMessage = (error: unknown) =>
+  (error as { response?: { data?: { message?: string } } }).response?.data?.message ||
+  'Please try again later.';
+
+// Social sign-in providers linked to the account
+export default function LinkedAccounts() {
+  const [linked, setLinked] = useState<LinkedAccountsState | null>(null);
+  const [busy, setBusy] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const fetchLinked = async () => {
+      try {
+        const response = await authAPI.getLinkedAccounts();
+        setLinked(response.data);
+      } catch (error) {
+        console.error('Failed to fetch linked accounts:', error);
+      }
+    };
+
+    fetchLinked();
+  }, []);
+
+  const handleLink = async (provider: string) => {
+    setBusy(provider);
+    try {
+      const response = await authAPI.startOAuthLink(provider);
+      redirectToProvider(
+        { provider, state: response.data.state, mode: 'link' },
+        response.data.url
+      );
+    } catch (error) {
+      toast({
+        title: 'Could not link account',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+      setBusy(null);
+    }
+  };
+
+  const handleUnlink = async (provider: string) => {
+    setBusy(provider);
+    try {
+      const response = await authAPI.unlinkOAuth(provider);
+      setLinked(response.data);
+      toast({ title: response.data.message });
+    } catch (error) {
+      toast({
+        title: 'Could not unlink account',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Nothing to show when no provider is configured or linked
+  if (!linked || (linked.providers.length === 0 && linked.accounts.length === 0)) {
+    return null;
+  }
+
+  const unlinked = linked.providers.filter(
+    (p) => !linked.accounts.some((a) => a.provider === p.id)
+  );
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-medium text-muted-foreground">Linked accounts</h4>
+      <ul className="divide-y divide-border border border-border rounded-lg">
+        {linked.accounts.map((account) => (
+          <li key={account.provider} className="flex items-center gap-3 p-3">
+            <Link2 className="w-5 h-5 text-muted-foreground shrink-0" />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium">{account.name}</p>
+              <p className="text-xs text-muted-foreground truncate">
+                {account.email || 'No email'} · Linked{' '}
+                {new Date(account.linkedAt).toLocaleDateString()}
+              </p>
+            </div>
+            <button
+              onClick={() => handleUnlink(account.provider)}
+              disabled={busy !== null}
+              className="p-2 text-muted-foreground hover:text-destructive disabled:opacity-50"
+              title="Unlink"
+            >
+              <Unlink className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+        {unlinked.map((provider) => (
+          <li key={provider.id} className="flex items-center gap-3 p-3">
+            <Link2 className="w-5 h-5 text-muted-foreground/50 shrink-0" />
+            <p className="flex-1 text-sm text-muted-foreground">{provider.name}</p>
+            <button
+              onClick={() => handleLink(provider.id)}
+              disabled={busy !== null}
+              className="text-sm font-medium text-primary hover:underline disabled:opacity-50"
+            >
+              {busy === provider.id ? 'Redirecting...' : 'Link'}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {!linked.hasPassword && (
+        <p className="text-xs text-muted-foreground">
+          Your account has no password yet — use Forgot Password to set one.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,18 +1,49 @@
 import { useState, useEffect } from 'react';
-import { Package, Clock, CheckCircle, Truck, XCircle, ChevronRight } from 'lucide-react';
+import { Package, Clock, CheckCircle, Truck, XCircle, ChevronRight, RotateCcw, Inbox } from 'lucide-react';
 import type { Order } from '../../api/services/orderService';
-import { getOrders } from '../../api/services/orderService';
+import {
+  getUserOrdersWithTracking,
+  cancelOrder,
+  getClaimableOrderCount,
+  claimGuestOrders,
+} from '../../api/services/orderService';
 import { Link } from 'react-router-dom';
+import { formatCurrency } from '@/lib/utils';
+import { useToast } from '@/components/ui/use-toast';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/AlertDialog';
+import ReturnRequestDialog from './ReturnRequestDialog';
+
+// Mirrors the server: customers can cancel until staff start processing
+const canCancel = (order: Order) => ['pending', 'paid'].includes(order.status);
 
 export default function OrderHistory() {
   const [orders, setOrders] = useState<Order[]>([]);
   const [loading, setLoading] = useState(true);
+  const [orderToCancel, setOrderToCancel] = useState<Order | null>(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [orderToReturn, setOrderToReturn] = useState<Order | null>(null);
+  const [claimable, setClaimable] = useState(0);
+  const [claiming, setClaiming] = useState(false);
+  const { toast } = useToast();
 
   useEffect(() => {
     const fetchOrders = async () => {
       try {
-        const data = await getOrders();
-        setOrders(data);
+        const [data, guestOrders] = await Promise.all([
+          getUserOrdersWithTracking(),
+          getClaimableOrderCount().catch(() => 0),
+        ]);
+        setOrders(data.orders);
+        setClaimable(guestOrders);
       } catch (error) {
         console.error('Failed to fetch orders:', error);
       } finally {
@@ -23,12 +54,74 @@ export default function OrderHistory() {
     fetchOrders();
   }, []);
 
+  const handleCancelOrder = async () => {
+    const orderId = orderToCancel?._id || orderToCancel?.id;
+    if (!orderId) return;
+
+    setCancelling(true);
+    try {
+      const result = await cancelOrder(orderId);
+      setOrders(orders.map((o) => ((o._id || o.id) === orderId ? result.order : o)));
+      toast({ title: 'Order cancelled', description: result.message });
+    } catch (error) {
+      toast({
+        title: 'Could not cancel order',
+        description: error instanceof Error ? error.message : 'Please try again later.',
+        variant: 'destructive',
+      });
+    } finally {
+      setCancelling(false);
+      setOrderToCancel(null);
+    }
+  };
+
+  // Guest orders placed with this account's email before signing up
+  const handleClaim = async () => {
+    setClaiming(true);
+    try {
+      const result = await claimGuestOrders();
+      const data = await getUserOrdersWithTracking();
+      setOrders(data.orders);
+      setClaimable(0);
+      toast({ title: result.message });
+    } catch (error) {
+      toast({
+        title: 'Could not add orders',
+        description:
+          (error as { response?: { data?: { message?: string } } }).response?.data?.message ||
+          'Please try again later.',
+        variant: 'destructive',
+      });
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  const claimBanner = claimable > 0 && (
+    <div className="flex flex-col sm:flex-row sm:items-center gap-4 p-4 border border-primary/30 bg-primary/5 rounded-2xl">
+      <Inbox className="w-6 h-6 text-primary shrink-0" />
+      <p className="flex-1 text-sm">
+        We found {claimable} order{claimable !== 1 ? 's' : ''} placed as a guest with your
+        email. Add {claimable !== 1 ? 'them' : 'it'} to your account to track and manage{' '}
+        {claimable !== 1 ? 'them' : 'it'} here.
+      </p>
+      <button
+        onClick={handleClaim}
+        disabled={claiming}
+        className="px-4 py-2 text-sm font-medium bg-primary text-primary-foreground rounded-full hover:bg-primary/90 disabled:opacity-50 transition-colors"
+      >
+        {claiming ? 'Adding...' : 'Add to my account'}
+      </button>
+    </div>
+  );
+
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'delivered': return 'text-green-500 bg-green-500/10 border-green-500/20';
       case 'shipped': return 'text-blue-500 bg-blue-500/10 border-blue-500/20';
       case 'processing': return 'text-yellow-500 bg-yellow-500/10 border-yellow-500/20';
       case 'cancelled': return 'text-red-500 bg-red-500/10 border-red-500/20';
+      case 'refunded': return 'text-orange-500 bg-orange-500/10 border-orange-500/20';
       default: return 'text-gray-500 bg-gray-500/10 border-gray-500/20';
     }
   };
@@ -39,6 +132,7 @@ export default function OrderHistory() {
       case 'shipped': return Truck;
       case 'processing': return Clock;
       case 'cancelled': return XCircle;
+      case 'refunded': return RotateCcw;
       default: return Package;
     }
   };
@@ -55,16 +149,19 @@ export default function OrderHistory() {
 
   if (orders.length === 0) {
     return (
-      <div className="text-center py-12 bg-white/5 border border-white/10 rounded-2xl backdrop-blur-sm">
-        <Package className="w-12 h-12 text-muted-foreground mx-auto mb-4" />
-        <h3 className="text-lg font-medium text-foreground mb-2">No orders yet</h3>
-        <p className="text-muted-foreground mb-6">Start shopping to see your orders here.</p>
-        <Link 
-            to="/shop" 
-            className="inline-flex items-center justify-center px-6 py-2 bg-primary text-primary-foreground font-medium rounded-full hover:bg-primary/90 transition-colors"
-        >
-            Browse Products
-        </Link>
+      <div className="space-y-4">
+        {claimBanner}
+        <div className="text-center py-12 bg-white/5 border border-white/10 rounded-2xl backdrop-blur-sm">
+          <Package className="w-12 h-12 text-muted-foreground mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-foreground mb-2">No orders yet</h3>
+          <p className="text-muted-foreground mb-6">Start shopping to see your orders here.</p>
+          <Link 
+              to="/shop" 
+              className="inline-flex items-center justify-center px-6 py-2 bg-primary text-primary-foreground font-medium rounded-full hover:bg-primary/90 transition-colors"
+          >
+              Browse Products
+          </Link>
+        </div>
       </div>
     );
   }
@@ -72,6 +169,7 @@ export default function OrderHistory() {
   return (
     <div className="space-y-4">
       <h2 className="text-2xl font-bold mb-6">Order History</h2>
+      {claimBanner}
       {orders.map((order) => {
         const StatusIcon = getStatusIcon(order.status);
         const statusStyle = getStatusColor(order.status);
@@ -88,7 +186,7 @@ export default function OrderHistory() {
                 </div>
                 <div>
                   <p className="text-sm text-muted-foreground">Order #{order.orderId || (order._id || order.id)?.slice(-8).toUpperCase()}</p>
-                  <p className="font-semibold text-lg">${order.totalAmount?.toFixed(2) || order.total?.toFixed(2)}</p>
+                  <p className="font-semibold text-lg">{formatCurrency(order.totalAmount ?? order.total ?? 0, order.currency)}</p>
                 </div>
               </div>
               <div className="flex items-center gap-4">
@@ -105,15 +203,58 @@ export default function OrderHistory() {
                 <div className="flex items-center justify-between">
                     <p className="text-sm text-muted-foreground">
                         {order.items.length} item{order.items.length !== 1 ? 's' : ''}
+                        {order.refundedAmount ? ` · ${formatCurrency(order.refundedAmount, order.currency)} refunded` : ''}
                     </p>
-                    <button className="flex items-center gap-1 text-sm font-medium text-primary hover:text-primary/80 transition-colors">
-                        View Details <ChevronRight className="w-4 h-4" />
-                    </button>
+                    <div className="flex items-center gap-4">
+                        {canCancel(order) && (
+                            <button
+                                onClick={() => setOrderToCancel(order)}
+                                className="text-sm font-medium text-red-500 hover:text-red-400 transition-colors"
+                            >
+                                Cancel Order
+                            </button>
+                        )}
+                        {order.status === 'delivered' && (
+                            <button
+                                onClick={() => setOrderToReturn(order)}
+                                className="text-sm font-medium text-primary hover:text-primary/80 transition-colors"
+                            >
+                                Return Items
+                            </button>
+                        )}
+                        <button className="flex items-center gap-1 text-sm font-medium text-primary hover:text-primary/80 transition-colors">
+                            View Details <ChevronRight className="w-4 h-4" />
+                        </button>
+                    </div>
                 </div>
             </div>
           </div>
         );
       })}
+
+      <AlertDialog open={orderToCancel !== null} onOpenChange={(open) => !open && setOrderToCancel(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Cancel this order?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {orderToCancel?.paymentMethod === 'cod'
+                ? 'Your order will be cancelled and nothing will be delivered.'
+                : 'Your order will be cancelled and the full amount refunded to your card.'}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={cancelling}>Keep Order</AlertDialogCancel>
+            <AlertDialogAction onClick={handleCancelOrder} disabled={cancelling}>
+              {cancelling ? 'Cancelling...' : 'Cancel Order'}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      <ReturnRequestDialog
+        order={orderToReturn}
+        onOpenChange={(open) => !open && setOrderToReturn(null)}
+      />
     </div>
   );
 }
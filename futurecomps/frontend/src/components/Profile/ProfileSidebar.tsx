@@ -1,4 +1,4 @@
-import { User, ShoppingBag, Heart, Settings, LogOut, Shield } from 'lucide-react';
+import { User, ShoppingBag, Heart, MapPin, Settings, LogOut, Shield } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 
@@ -8,7 +8,7 @@ interface ProfileSidebarProps {
 }
 
 export default function ProfileSidebar({ activeSection, setActiveSection }: ProfileSidebarProps) {
-  const { user, logout } = useAuth();
+  const { user, logout, isStaff } = useAuth();
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -20,6 +20,7 @@ export default function ProfileSidebar({ activeSection, setActiveSection }: Prof
     { id: 'overview', label: 'Overview', icon: User },
     { id: 'orders', label: 'Orders', icon: ShoppingBag },
     { id: 'wishlist', label: 'Wishlist', icon: Heart }, // If Wishlist is implemented here
+    { id: 'addresses', label: 'Addresses', icon: MapPin },
     { id: 'settings', label: 'Settings', icon: Settings },
   ];
 
@@ -44,7 +45,7 @@ export default function ProfileSidebar({ activeSection, setActiveSection }: Prof
         <p className="text-sm text-muted-foreground">{user?.email}</p>
 
         {/* Admin Dashboard - Distinct & Persistent */}
-        {user?.role === 'admin' && (
+        {isStaff && (
              <div className="w-full mt-4 pt-4 border-t border-white/10">
                 <button
                     onClick={() => navigate('/admin')}
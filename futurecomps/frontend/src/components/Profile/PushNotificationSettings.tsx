@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react';
+import { Bell, BellOff, Monitor, Smartphone, Trash2 } from 'lucide-react';
+import { Switch } from '@/components/ui/Switch';
+import { useToast } from '@/components/ui/use-toast';
+import pushService from '@/api/services/pushService';
+import type { PushDevice, PushTopics } from '@/api/services/pushService';
+import { isPushSupported } from '@/lib/notifications';
+import { describeDevice, isMobile } from '../../utils/device';
+
+const TOPICS: { key: keyof PushTopics; label: string; description: string }[] = [
+  { key: 'orderUpdates', label: 'Order updates', description: 'Status changes and tracking' },
+  { key: 'priceDrops', label: 'Price drops', description: 'Items on your wishlist go on sale' },
+  { key: 'backInStock', label: 'Back in stock', description: 'Items you asked about return' },
+  { key: 'marketing', label: 'News and offers', description: 'Promotions and new arrivals' },
+];
+
+const errorMessage = (error: unknown) =>
+  (error as { response?: { data?: { message?: string } } }).response?.data?.message ||
+  'Please try again later.';
+
+// Push notification devices and topics, under Profile → Settings
+export default function PushNotificationSettings() {
+  const [topics, setTopics] = useState<PushTopics | null>(null);
+  const [devices, setDevices] = useState<PushDevice[]>([]);
+  const [currentEndpoint, setCurrentEndpoint] = useState<string | null>(null);
+  const [busy, setBusy] = useState<string | null>(null);
+  const { toast } = useToast();
+  const supported = isPushSupported();
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const [preferences, deviceList] = await Promise.all([
+          pushService.getPreferences(),
+          pushService.getDevices(),
+        ]);
+        setTopics(preferences);
+        setDevices(deviceList);
+        if (supported) setCurrentEndpoint(await pushService.getCurrentEndpoint());
+      } catch (error) {
+        console.error('Failed to fetch notification settings:', error);
+      }
+    };
+
+    fetchSettings();
+  }, [supported]);
+
+  const thisDevice = devices.find((d) => d.endpoint === currentEndpoint);
+
+  const refreshDevices = async () => {
+    setDevices(await pushService.getDevices());
+    setCurrentEndpoint(await pushService.getCurrentEndpoint());
+  };
+
+  const handleEnable = async () => {
+    setBusy('device');
+    try {
+      const data = await pushService.subscribe();
+      await refreshDevices();
+      toast({ title: data.message });
+    } catch (error) {
+      toast({
+        title: 'Could not enable notifications',
+        description:
+          Notification.permission === 'denied'
+            ? 'Notifications are blocked for this site in your browser settings.'
+            : errorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDisable = async () => {
+    setBusy('device');
+    try {
+      await pushService.unsubscribe();
+      await refreshDevices();
+      toast({ title: 'Notifications disabled on this device' });
+    } catch (error) {
+      toast({
+        title: 'Could not disable notifications',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRemove = async (id: string) => {
+    setBusy(id);
+    try {
+      await pushService.removeDevice(id);
+      setDevices(devices.filter((d) => d._id !== id));
+    } catch (error) {
+      toast({
+        title: 'Could not remove device',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleTopic = async (key: keyof PushTopics, enabled: boolean) => {
+    if (!topics) return;
+    const previous = topics;
+    setTopics({ ...topics, [key]: enabled });
+    try {
+      const data = await pushService.updatePreferences({ [key]: enabled });
+      setTopics(data.preferences);
+    } catch (error) {
+      setTopics(previous);
+      toast({
+        title: 'Could not save preference',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const handleTest = async () => {
+    setBusy('test');
+    try {
+      const data = await pushService.sendTest();
+      toast({ title: 'Test sent', description: data.message });
+    } catch (error) {
+      toast({
+        title: 'Test failed',
+        description: errorMessage(error),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!topics) {
+    return <div className="h-16 rounded-lg bg-secondary/50 animate-pulse" />;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-muted-foreground">Push notifications</h4>
+        {devices.length > 0 && (
+          <button
+            onClick={handleTest}
+            disabled={busy !== null}
+            className="text-sm font-medium text-primary hover:underline disabled:opacity-50"
+          >
+            Send test
+          </button>
+        )}
+      </div>
+
+      <div className="flex items-center gap-3 p-3 border border-border rounded-lg">
+        {thisDevice ? (
+          <Bell className="w-5 h-5 text-green-600 shrink-0" />
+        ) : (
+          <BellOff className="w-5 h-5 text-muted-foreground shrink-0" />
+        )}
+        <p className="flex-1 text-sm">
+          {!supported
+            ? "This browser doesn't support push notifications."
+            : thisDevice
+              ? 'Notifications are on for this device.'
+              : 'Notifications are off for this device.'}
+        </p>
+        {supported && (
+          <button
+            onClick={thisDevice ? handleDisable : handleEnable}
+            disabled={busy !== null}
+            className="px-3 py-1.5 text-sm font-medium rounded-lg bg-secondary hover:bg-secondary/80 disabled:opacity-50"
+          >
+            {busy === 'device' ? 'Saving...' : thisDevice ? 'Turn off' : 'Turn on'}
+          </button>
+        )}
+      </div>
+
+      <ul className="divide-y divide-border border border-border rounded-lg">
+        {TOPICS.map((topic) => (
+          <li key={topic.key} className="flex items-center gap-3 p-3">
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium">{topic.label}</p>
+              <p className="text-xs text-muted-foreground">{topic.description}</p>
+            </div>
+            <Switch
+              checked={topics[topic.key]}
+              onCheckedChange={(checked) => handleTopic(topic.key, checked)}
+            />
+          </li>
+        ))}
+      </ul>
+
+      {devices.length > 0 && (
+        <ul className="divide-y divide-border border border-border rounded-lg">
+          {devices.map((device) => {
+            const Icon = isMobile(device.userAgent) ? Smartphone : Monitor;
+            return (
+              <li key={device._id} className="flex items-center gap-3 p-3">
+                <Icon className="w-5 h-5 text-muted-foreground shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium truncate">
+                    {describeDevice(device.userAgent)}
+                    {device.endpoint === currentEndpoint && (
+                      <span className="ml-2 text-xs text-green-600 font-normal">This device</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    Added {new Date(device.createdAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRemove(device._id)}
+                  disabled={busy !== null}
+                  className="p-2 text-muted-foreground hover:text-destructive disabled:opacity-50"
+                  title="Stop notifications on this device"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,261 @@
+import { useState, useEffect } from 'react';
+import { Loader2, ImagePlus, X } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/Dialog';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { Label } from '@/components/ui/Label';
+import { Textarea } from '@/components/ui/Textarea';
+import { useToast } from '@/components/ui/use-toast';
+import type { Order } from '@/api/services/orderService';
+import {
+  getOrderReturns,
+  createReturn,
+  uploadReturnPhoto,
+} from '@/api/services/returnService';
+import type { ReturnRequest, ReturnPhoto } from '@/api/services/returnService';
+
+const MAX_PHOTOS = 5;
+
+const STATUS_LABELS: Record<ReturnRequest['status'], string> = {
+  requested: 'Awaiting review',
+  approved: 'Approved — please ship the items back',
+  received: 'Received — refund in progress',
+  refunded: 'Refunded',
+  rejected: 'Rejected',
+};
+
+interface ReturnRequestDialogProps {
+  order: Order | null;
+  onOpenChange: (open: boolean) => void;
+}
+
+export default function ReturnRequestDialog({ order, onOpenChange }: ReturnRequestDialogProps) {
+  const { toast } = useToast();
+  const [returns, setReturns] = useState<ReturnRequest[]>([]);
+  const [returnable, setReturnable] = useState<Record<string, number>>({});
+  const [quantities, setQuantities] = useState<Record<string, number>>({});
+  const [reason, setReason] = useState('');
+  const [photos, setPhotos] = useState<ReturnPhoto[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const orderId = order?._id || order?.id;
+
+  useEffect(() => {
+    setQuantities({});
+    setReason('');
+    setPhotos([]);
+    if (!orderId) return;
+
+    setLoading(true);
+    getOrderReturns(orderId)
+      .then((data) => {
+        setReturns(data.returns);
+        setReturnable(data.returnable);
+      })
+      .catch((error) => console.error('Failed to fetch returns:', error))
+      .finally(() => setLoading(false));
+  }, [orderId]);
+
+  if (!order || !orderId) return null;
+
+  const selectedItems = order.items
+    .filter((item) => item._id && quantities[item._id] > 0)
+    .map((item) => ({ itemId: item._id as string, quantity: quantities[item._id as string] }));
+  const canReturn = Object.values(returnable).some((qty) => qty > 0);
+
+  const handleQuantityChange = (itemId: string, value: string) => {
+    const quantity = Math.max(0, Math.min(returnable[itemId] || 0, Number(value) || 0));
+    setQuantities({ ...quantities, [itemId]: quantity });
+  };
+
+  const handlePhotoSelect = async (files: FileList | null) => {
+    if (!files) return;
+    setUploading(true);
+    try {
+      const selected = Array.from(files).slice(0, MAX_PHOTOS - photos.length);
+      const uploaded = await Promise.all(selected.map(uploadReturnPhoto));
+      setPhotos([...photos, ...uploaded]);
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      toast({
+        title: 'Upload failed',
+        description: message || 'Could not upload photo',
+        variant: 'destructive',
+      });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const result = await createReturn(orderId, { items: selectedItems, reason, photos });
+      toast({ title: 'Return requested', description: result.message });
+      onOpenChange(false);
+    } catch (error) {
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
+      toast({
+        title: 'Could not request return',
+        description: message || 'Please try again later.',
+        variant: 'destructive',
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={order !== null} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Return Items</DialogTitle>
+          <DialogDescription>
+            Choose what you're sending back. Once we receive the items, your refund is issued
+            automatically.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex justify-center p-8">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {returns.length > 0 && (
+              <div className="space-y-2">
+                <Label>Your returns</Label>
+                {returns.map((ret) => (
+                  <div key={ret._id} className="rounded-md border p-3 text-sm">
+                    <div className="flex justify-between gap-4">
+                      <span>
+                        {ret.items.map((i) => `${i.quantity} × ${i.name || 'Item'}`).join(', ')}
+                      </span>
+                      <span className="font-medium">{STATUS_LABELS[ret.status]}</span>
+                    </div>
+                    {ret.refundAmount != null && (
+                      <p className="text-xs text-muted-foreground">
+                        ${ret.refundAmount.toFixed(2)} refunded
+                      </p>
+                    )}
+                    {ret.adminNote && (
+                      <p className="text-xs text-muted-foreground">{ret.adminNote}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {canReturn ? (
+              <>
+                <div className="rounded-md border divide-y">
+                  {order.items.map((item, index) => {
+                    const available = item._id ? returnable[item._id] || 0 : 0;
+                    return (
+                      <div
+                        key={item._id || `item-${index}`}
+                        className="flex items-center justify-between gap-4 p-3"
+                      >
+                        <div>
+                          <p className="font-medium text-sm">{item.name || item.product?.name || 'Item'}</p>
+                          <p className="text-xs text-muted-foreground">
+                            {available} of {item.quantity} returnable
+                          </p>
+                        </div>
+                        <Input
+                          type="number"
+                          min="0"
+                          max={available}
+                          value={item._id ? quantities[item._id] || '' : ''}
+                          onChange={(e) => item._id && handleQuantityChange(item._id, e.target.value)}
+                          disabled={available <= 0}
+                          placeholder="0"
+                          className="w-20"
+                        />
+                      </div>
+                    );
+                  })}
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="returnReason">Reason</Label>
+                  <Textarea
+                    id="returnReason"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    placeholder="e.g. Wrong size, arrived damaged..."
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label>Photos (optional, up to {MAX_PHOTOS})</Label>
+                  <div className="flex flex-wrap gap-2">
+                    {photos.map((photo) => (
+                      <div key={photo.url} className="relative h-20 w-20">
+                        <img src={photo.url} alt="Return" className="h-full w-full rounded-md object-cover" />
+                        <button
+                          type="button"
+                          onClick={() => setPhotos(photos.filter((p) => p.url !== photo.url))}
+                          className="absolute -top-2 -right-2 rounded-full bg-red-500 p-0.5 text-white"
+                        >
+                          <X className="h-3 w-3" />
+                        </button>
+                      </div>
+                    ))}
+                    {photos.length < MAX_PHOTOS && (
+                      <label className="flex h-20 w-20 cursor-pointer items-center justify-center rounded-md border border-dashed">
+                        {uploading ? (
+                          <Loader2 className="h-5 w-5 animate-spin" />
+                        ) : (
+                          <ImagePlus className="h-5 w-5 text-muted-foreground" />
+                        )}
+                        <input
+                          type="file"
+                          accept="image/*"
+                          multiple
+                          className="hidden"
+                          disabled={uploading}
+                          onChange={(e) => handlePhotoSelect(e.target.files)}
+                        />
+                      </label>
+                    )}
+                  </div>
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-muted-foreground">
+                All items in this order have already been returned or refunded.
+              </p>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+          {canReturn && (
+            <Button
+              onClick={handleSubmit}
+              disabled={submitting || uploading || selectedItems.length === 0 || !reason.trim()}
+            >
+              {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Request Return
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldAlert, KeyRound } from 'lucide-react';
+import { authAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '@/components/ui/use-toast';
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt?: string | null;
+  recoveryCodesLeft: number;
+  required: boolean;
+}
+
+interface Enrollment {
+  secret: string;
+  qrCode: string;
+}
+
+const errorMessage = (error: unknown) =>
+  (error as { response?: { data?: { message?: string } } }).response?.data?.message ||
+  'Please try again later.';
+
+const inputClass =
+  'w-full px-3 py-2 bg-background border border-input rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-ring';
+const buttonClass =
+  'px-4 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-50';
+
+// Authenticator-app 2FA: setup with a QR code, recovery codes, turning it off
+export default function TwoFactorSettings() {
+  const { user, setUser } = useAuth();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [enrollment, setEnrollment] = useState<Enrollment | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [disabling, setDisabling] = useState(false);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const { toast } = useToast();
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to fetch 2FA status:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const reset = () => {
+    setEnrollment(null);
+    setDisabling(false);
+    setCode('');
+    setPassword('');
+  };
+
+  const run = async (action: () => Promise<void>, failure: string) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      toast({ title: failure, description: errorMessage(error), variant: 'destructive' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () =>
+    run(async () => {
+      const response = await authAPI.setupTwoFactor();
+      setRecoveryCodes(null);
+      setEnrollment(response.data);
+    }, 'Could not start setup');
+
+  const handleEnable = () =>
+    run(async () => {
+      const response = await authAPI.enableTwoFactor({ code: code.trim() });
+      setRecoveryCodes(response.data.recoveryCodes);
+      reset();
+      if (user) setUser({ ...user, twoFactorEnabled: true });
+      await fetchStatus();
+      toast({ title: 'Two-factor authentication enabled' });
+    }, 'Could not enable two-factor authentication');
+
+  const handleRegenerate = () =>
+    run(async () => {
+      const response = await authAPI.regenerateRecoveryCodes({ code: code.trim() });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setCode('');
+      await fetchStatus();
+    }, 'Could not create recovery codes');
+
+  const handleDisable = () =>
+    run(async () => {
+      await authAPI.disableTwoFactor({ password, code: code.trim() });
+      reset();
+      setRecoveryCodes(null);
+      if (user) setUser({ ...user, twoFactorEnabled: false });
+      await fetchStatus();
+      toast({ title: 'Two-factor authentication disabled' });
+    }, 'Could not disable two-factor authentication');
+
+  if (!status) {
+    return <div className="h-16 rounded-lg bg-secondary/50 animate-pulse" />;
+  }
+
+  return (
+    <div className="space-y-4 border border-border rounded-lg p-4">
+      <div className="flex items-start gap-3">
+        {status.enabled ? (
+          <ShieldCheck className="w-5 h-5 text-green-600 shrink-0 mt-0.5" />
+        ) : (
+          <ShieldAlert className="w-5 h-5 text-yellow-600 shrink-0 mt-0.5" />
+        )}
+        <div className="flex-1">
+          <h4 className="text-sm font-medium">Two-factor authentication</h4>
+          <p className="text-xs text-muted-foreground">
+            {status.enabled
+              ? `On — ${status.recoveryCodesLeft} recovery code${status.recoveryCodesLeft === 1 ? '' : 's'} left.`
+              : 'Protect your account with a code from an authenticator app.'}
+            {status.required && !status.enabled && ' Required for admin accounts.'}
+          </p>
+        </div>
+      </div>
+
+      {recoveryCodes && (
+        <div className="space-y-2">
+          <p className="text-sm font-medium flex items-center gap-2">
+            <KeyRound className="w-4 h-4" /> Save your recovery codes
+          </p>
+          <p className="text-xs text-muted-foreground">
+            Each code signs you in once if you lose your authenticator. They won't be shown again.
+          </p>
+          <ul className="grid grid-cols-2 gap-1 font-mono text-sm bg-secondary/50 rounded-lg p-3">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!status.enabled && !enrollment && (
+        <button
+          onClick={handleStart}
+          disabled={busy}
+          className={`${buttonClass} bg-neutral-900 text-white hover:bg-neutral-800`}
+        >
+          Set up two-factor authentication
+        </button>
+      )}
+
+      {enrollment && (
+        <div className="space-y-3">
+          <p className="text-sm">
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img
+            src={enrollment.qrCode}
+            alt="Two-factor QR code"
+            className="w-40 h-40 border border-border rounded-lg bg-white"
+          />
+          <p className="text-xs text-muted-foreground">
+            Can't scan? Enter this key: <span className="font-mono break-all">{enrollment.secret}</span>
+          </p>
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            autoComplete="one-time-code"
+            className={inputClass}
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={handleEnable}
+              disabled={busy || !code.trim()}
+              className={`${buttonClass} bg-neutral-900 text-white hover:bg-neutral-800`}
+            >
+              Verify and enable
+            </button>
+            <button onClick={reset} className={`${buttonClass} bg-secondary hover:bg-secondary/80`}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status.enabled && (
+        <div className="space-y-3">
+          {disabling && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Current password"
+              className={inputClass}
+            />
+          )}
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Authenticator or recovery code"
+            autoComplete="one-time-code"
+            className={inputClass}
+          />
+          <div className="flex flex-wrap gap-2">
+            {disabling ? (
+              <>
+                <button
+                  onClick={handleDisable}
+                  disabled={busy || !code.trim() || !password}
+                  className={`${buttonClass} bg-destructive text-destructive-foreground hover:bg-destructive/90`}
+                >
+                  Turn off
+                </button>
+                <button onClick={reset} className={`${buttonClass} bg-secondary hover:bg-secondary/80`}>
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  onClick={handleRegenerate}
+                  disabled={busy || !code.trim()}
+                  className={`${buttonClass} bg-secondary hover:bg-secondary/80`}
+                >
+                  New recovery codes
+                </button>
+                {!status.required && (
+                  <button
+                    onClick={() => setDisabling(true)}
+                    className={`${buttonClass} text-destructive hover:bg-destructive/10`}
+                  >
+                    Turn off two-factor
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -11,15 +11,11 @@ import { useStore } from "@/context/StoreContext";
 import { useAuth } from "@/context/AuthContext";
 import { useTheme } from "@/context/ThemeContext";
 import { PackageTracker } from "@/components/PackageTracker";
+import { CurrencySelector } from "@/components/CurrencySelector";
 import { cn } from "@/lib/utils";
 
-const categories = [
-  { name: "All Products", path: "/shop" },
-  { name: "Electronics", path: "/shop?category=electronics" },
-  { name: "Clothing", path: "/shop?category=clothing" },
-  { name: "Home & Garden", path: "/shop?category=home" },
-  { name: "Sports", path: "/shop?category=sports" },
-];
+// Top-level categories shown in the bar
+const MAX_NAV_CATEGORIES = 4;
 
 export function Navbar() {
   const [isScrolled, setIsScrolled] = useState(false);
@@ -29,7 +25,15 @@ export function Navbar() {
   const [isTrackingOpen, setTrackingOpen] = useState(false);
   const location = useLocation();
 
-  const { cart, setCartOpen, setFilters, wishlist } = useStore();
+  const { cart, setCartOpen, setFilters, wishlist, categories: tree } =
+    useStore();
+  const categories = [
+    { name: "All Products", path: "/shop" },
+    ...tree.slice(0, MAX_NAV_CATEGORIES).map((category) => ({
+      name: category.name,
+      path: `/shop?category=${category.slug}`,
+    })),
+  ];
   const { user } = useAuth();
   const { toggleTheme, ThemeIcon } = useTheme();
 
@@ -141,8 +145,8 @@ export function Navbar() {
 
             {/* Right: Actions */}
             <div className="flex items-center gap-0.5 sm:gap-1">
-              
-
+              {/* Currency */}
+              <CurrencySelector className="hidden sm:flex mr-1" />
 
               {/* Theme Toggle */}
               <motion.button
@@ -382,6 +386,9 @@ export function Navbar() {
                         </span>
                       )}
                     </Link>
+
+                    {/* Currency - Mobile */}
+                    <CurrencySelector className="sm:hidden ml-4 mt-2" />
                   </div>
 
                   <div className="pt-5 mt-4 border-t border-gray-100 dark:border-gray-800">
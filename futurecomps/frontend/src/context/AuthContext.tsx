@@ -1,6 +1,7 @@
 import { createContext, useContext, useState, useEffect } from "react";
 import type { ReactNode } from "react";
 import { authAPI } from "../services/api";
+import cookies from "../utils/cookies";
 
 interface User {
   id: string;
@@ -10,8 +11,11 @@ interface User {
   avatar?: string;
   bio?: string;
   role?: string;
+  // From the user's role — empty for customers
+  permissions?: string[];
   isActive?: boolean;
   isVerified: boolean;
+  twoFactorEnabled?: boolean;
   createdAt?: string;
 }
 
@@ -20,10 +24,27 @@ interface AuthContextType {
   token: string | null;
   loading: boolean;
   isAuthenticated: boolean;
+  // Any role with a permission can open the admin area
+  isStaff: boolean;
+  hasPermission: (permission: string) => boolean;
   login: (email: string, password: string) => Promise<any>;
+  loginWithOAuth: (
+    provider: string,
+    code: string,
+    state: string,
+  ) => Promise<{
+    user?: User;
+    created?: boolean;
+    twoFactorRequired?: boolean;
+    challengeToken?: string;
+  }>;
   logout: () => void;
   register: (name: string, email: string, password: string) => Promise<any>;
   verifyOTP: (email: string, otp: string) => Promise<any>;
+  verifyTwoFactor: (
+    challengeToken: string,
+    code: string,
+  ) => Promise<{ user: User; recoveryCodesLeft?: number }>;
   setUser: (user: User | null) => void;
   setToken: (token: string | null) => void;
 }
@@ -33,19 +54,21 @@ const AuthContext = createContext<AuthContextType | undefined>(undefined);
 export const AuthProvider = ({ children }: { children: ReactNode }) => {
   const [user, setUser] = useState<User | null>(null);
   const [token, setTokenState] = useState<string | null>(
-    localStorage.getItem("token"),
+    cookies.getAccessToken() || null,
   );
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     const loadUser = async () => {
-      const savedToken = localStorage.getItem("token");
+      const savedToken = cookies.getAccessToken();
       if (savedToken) {
         try {
           const response = await authAPI.getMe();
           setUser(response.data);
+          // The access token may have been refreshed while loading
+          setTokenState(cookies.getAccessToken() || null);
         } catch (error) {
-          localStorage.removeItem("token");
+          cookies.clearAuthCookies();
           setTokenState(null);
         }
       }
@@ -58,38 +81,84 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
   const setToken = (newToken: string | null) => {
     setTokenState(newToken);
     if (newToken) {
-      localStorage.setItem("token", newToken);
+      cookies.setAccessToken(newToken);
     } else {
-      localStorage.removeItem("token");
+      cookies.clearAuthCookies();
+    }
+  };
+
+  // Sign-in responses carry a refresh token for the new session
+  const startSession = (data: { token: string; refreshToken?: string }) => {
+    setToken(data.token);
+    if (data.refreshToken) {
+      cookies.setRefreshToken(data.refreshToken);
     }
   };
 
   const register = async (name: string, email: string, password: string) => {
-    const response = await authAPI.register({ name, email, password });
+    // Emails are sent in the browser's language when a translation exists
+    const response = await authAPI.register({
+      name,
+      email,
+      password,
+      locale: navigator.language,
+    });
     return response.data;
   };
 
   const verifyOTP = async (email: string, otp: string) => {
     const response = await authAPI.verifyOTP({ email, otp });
-    const { token: newToken, user: newUser } = response.data;
-    setToken(newToken);
-    setUser(newUser);
+    startSession(response.data);
+    setUser(response.data.user);
     return response.data;
   };
 
   const login = async (email: string, password: string) => {
     const response = await authAPI.login({ email, password });
-    const { token: newToken, user: newUser } = response.data;
-    setToken(newToken);
-    setUser(newUser);
+    // 2FA accounts get a challenge instead — finished by verifyTwoFactor
+    if (response.data.twoFactorRequired) {
+      return response.data;
+    }
+    startSession(response.data);
+    setUser(response.data.user);
+    return response.data;
+  };
+
+  // Finishes a social sign-in — may also end in a 2FA challenge
+  const loginWithOAuth = async (
+    provider: string,
+    code: string,
+    state: string,
+  ) => {
+    const response = await authAPI.oauthLogin(provider, { code, state });
+    if (response.data.twoFactorRequired) {
+      return response.data;
+    }
+    startSession(response.data);
+    setUser(response.data.user);
+    return response.data;
+  };
+
+  const verifyTwoFactor = async (challengeToken: string, code: string) => {
+    const response = await authAPI.verifyTwoFactor({ challengeToken, code });
+    startSession(response.data);
+    setUser(response.data.user);
     return response.data;
   };
 
   const logout = () => {
+    // Revoke the session server-side; local sign-out doesn't wait for it
+    const currentToken = cookies.getAccessToken();
+    if (currentToken) {
+      authAPI.logout(currentToken).catch(() => {});
+    }
     setToken(null);
     setUser(null);
   };
 
+  const hasPermission = (permission: string) =>
+    Boolean(user?.permissions?.includes(permission));
+
   return (
     <AuthContext.Provider
       value={{
@@ -97,10 +166,14 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
         token,
         loading,
         isAuthenticated: !!user && !!token,
+        isStaff: Boolean(user?.permissions?.length),
+        hasPermission,
         login,
+        loginWithOAuth,
         logout,
         register,
         verifyOTP,
+        verifyTwoFactor,
         setUser,
         setToken,
       }}
@@ -16,6 +16,10 @@ import type {
 import axios from "axios";
 import cartService from "@/api/services/cartService";
 import wishlistService from "@/api/services/wishlistService";
+import taxService from "@/api/services/taxService";
+import categoryService, {
+  type CategoryNode,
+} from "@/api/services/categoryService";
 import type { WishlistItem } from "@/api/services/wishlistService";
 import { useAuth } from "./AuthContext";
 
@@ -29,6 +33,8 @@ interface StoreContextType {
   loading: boolean;
   error: string | null;
   filters: FilterState;
+  // Active category tree, for navigation and filters
+  categories: CategoryNode[];
 
   // Cart
   cart: Cart;
@@ -41,6 +47,8 @@ interface StoreContextType {
 
   // Actions
   fetchProducts: () => Promise<void>;
+  // Reload the category tree after staff change it
+  refreshCategories: () => Promise<void>;
   setFilters: (filters: Partial<FilterState>) => void;
   clearFilters: () => void;
   addToCart: (
@@ -88,6 +96,7 @@ export function StoreProvider({ children }: { children: React.ReactNode }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [filters, setFiltersState] = useState<FilterState>(defaultFilters);
+  const [categories, setCategories] = useState<CategoryNode[]>([]);
   const [cart, setCart] = useState<Cart>(defaultCart);
   const [isCartOpen, setIsCartOpen] = useState(false);
   const [cartLoading, setCartLoading] = useState(true);
@@ -171,6 +180,34 @@ export function StoreProvider({ children }: { children: React.ReactNode }) {
     initStore();
   }, [isAuthenticated, authLoading, calculateCartTotals]);
 
+  // Refresh the tax estimate whenever cart lines or the discount change
+  useEffect(() => {
+    if (cart.items.length === 0) return;
+
+    let cancelled = false;
+    taxService
+      .getTaxQuote(
+        cart.items.map((item) => ({
+          productId: item.productId,
+          quantity: item.quantity,
+        })),
+        cart.discount,
+      )
+      .then(({ tax }) => {
+        if (cancelled) return;
+        setCart((prev) => ({
+          ...prev,
+          tax,
+          total: Math.round((prev.subtotal - prev.discount + tax) * 100) / 100,
+        }));
+      })
+      .catch((err) => console.error("Failed to fetch tax quote", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cart.items, cart.discount]);
+
   // Fetch products from API
   const fetchProducts = useCallback(async () => {
     setLoading(true);
@@ -208,6 +245,7 @@ export function StoreProvider({ children }: { children: React.ReactNode }) {
           "https://images.unsplash.com/photo-1523275335684-37898b6baf30?w=500",
         images: p.images || [p.imageUrl],
         category: p.category || "General",
+        categoryId: p.categoryId ?? null,
         rating: p.rating || 4.5,
         reviewCount: p.reviewCount || Math.floor(Math.random() * 200) + 10,
         currency: p.currency || "USD",
@@ -235,11 +273,23 @@ export function StoreProvider({ children }: { children: React.ReactNode }) {
   useEffect(() => {
     let result = [...products];
 
-    // Category filter
+    // Category filter — a category includes its subcategories; names not
+    // in the tree match the product's category text
     if (filters.category) {
-      result = result.filter((p) =>
-        p.category.toLowerCase().includes(filters.category!.toLowerCase()),
+      const category = categoryService.findCategoryBySlug(
+        categories,
+        filters.category,
       );
+      if (category) {
+        const ids = categoryService.categoryIds(category);
+        result = result.filter(
+          (p) => !!p.categoryId && ids.includes(p.categoryId),
+        );
+      } else {
+        result = result.filter((p) =>
+          p.category.toLowerCase().includes(filters.category!.toLowerCase()),
+        );
+      }
     }
 
     // Search filter
@@ -284,7 +334,7 @@ export function StoreProvider({ children }: { children: React.ReactNode }) {
     }
 
     setFilteredProducts(result);
-  }, [products, filters]);
+  }, [products, filters, categories]);
 
   // Cart actions
   const addToCart = useCallback(
@@ -593,6 +643,19 @@ export function StoreProvider({ children }: { children: React.ReactNode }) {
     fetchProducts();
   }, [fetchProducts]);
 
+  const refreshCategories = useCallback(
+    () =>
+      categoryService
+        .getCategoryTree()
+        .then(setCategories)
+        .catch((err) => console.error("Error fetching categories:", err)),
+    [],
+  );
+
+  useEffect(() => {
+    refreshCategories();
+  }, [refreshCategories]);
+
   return (
     <StoreContext.Provider
       value={{
@@ -602,12 +665,14 @@ export function StoreProvider({ children }: { children: React.ReactNode }) {
         loading,
         error,
         filters,
+        categories,
         cart,
         isCartOpen,
         cartLoading,
         wishlist,
         wishlistLoading,
         fetchProducts,
+        refreshCategories,
         setFilters,
         clearFilters,
         addToCart,
@@ -9,6 +9,7 @@ import settingsService, {
   type StoreSettings,
 } from "../api/services/settingsService";
 import { useToast } from "../components/ui/use-toast";
+import { formatCurrency, roundMoney } from "../lib/utils";
 
 // Default store settings
 const defaultStoreSettings: StoreSettings = {
@@ -17,27 +18,54 @@ const defaultStoreSettings: StoreSettings = {
   storePhone: "+1 (555) 123-4567",
   storeAddress: "123 Main St, City, Country",
   currency: "USD",
+  currencies: [],
+  exchangeRates: [],
   taxRate: 7.5,
   notifications: {
     emailNotifications: true,
     orderConfirmations: true,
+    shippingUpdates: true,
+    refundNotifications: true,
     stockAlerts: true,
+    lowStockThreshold: 5,
     marketingEmails: false,
   },
   security: {
     sessionTimeout: 30,
     passwordExpiry: 90,
+    maxLoginAttempts: 5,
+    maxOtpAttempts: 5,
+    lockoutMinutes: 15,
+    authRateLimitWindow: 15,
+    authRateLimitPerIp: 30,
+    authRateLimitPerAccount: 10,
+    requireAdmin2FA: false,
   },
 };
 
+// A currency shoppers can pick, with units per one base-currency unit
+export interface PresentmentCurrency {
+  code: string;
+  rate: number;
+}
+
 interface StoreSettingsContextType {
   settings: StoreSettings;
   loading: boolean;
   error: string | null;
   refreshSettings: () => Promise<void>;
   updateSettings: (newSettings: Partial<StoreSettings>) => Promise<void>;
+  // The shopper's currency and the ones they can switch to
+  currency: string;
+  currencies: PresentmentCurrency[];
+  setCurrency: (code: string) => void;
+  // Base-currency amount → the shopper's currency (rounded / formatted)
+  convertPrice: (amount: number) => number;
+  formatPrice: (amount: number) => string;
 }
 
+const CURRENCY_KEY = "currency";
+
 const StoreSettingsContext = createContext<
   StoreSettingsContextType | undefined
 >(undefined);
@@ -48,8 +76,37 @@ export const StoreSettingsProvider: React.FC<{ children: ReactNode }> = ({
   const [settings, setSettings] = useState<StoreSettings>(defaultStoreSettings);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
+  const [chosenCurrency, setChosenCurrency] = useState<string | null>(() =>
+    localStorage.getItem(CURRENCY_KEY),
+  );
   const { toast } = useToast();
 
+  // The base currency plus enabled currencies that have a rate
+  const baseCurrency = settings.currency.toUpperCase();
+  const currencies: PresentmentCurrency[] = [
+    { code: baseCurrency, rate: 1 },
+    ...(settings.currencies || []).flatMap((code) => {
+      const rate = settings.exchangeRates?.find(
+        (r) => r.currency === code,
+      )?.rate;
+      return code !== baseCurrency && rate && rate > 0 ? [{ code, rate }] : [];
+    }),
+  ];
+  // A saved choice the store no longer offers falls back to the base
+  const selected =
+    currencies.find((c) => c.code === chosenCurrency) || currencies[0];
+
+  const setCurrency = (code: string) => {
+    localStorage.setItem(CURRENCY_KEY, code);
+    setChosenCurrency(code);
+  };
+
+  const convertPrice = (amount: number) =>
+    roundMoney(amount * selected.rate, selected.code);
+
+  const formatPrice = (amount: number) =>
+    formatCurrency(convertPrice(amount), selected.code);
+
   const fetchSettings = async () => {
     try {
       setLoading(true);
@@ -187,6 +244,11 @@ export const StoreSettingsProvider: React.FC<{ children: ReactNode }> = ({
         error,
         refreshSettings: fetchSettings,
         updateSettings,
+        currency: selected.code,
+        currencies,
+        setCurrency,
+        convertPrice,
+        formatPrice,
       }}
     >
       {children}
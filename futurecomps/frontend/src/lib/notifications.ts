@@ -17,56 +17,27 @@ function urlBase64ToUint8Array(base64String: string) {
   return outputArray;
 }
 
-export async function subscribeToPush() {
-  if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
-    console.warn('Push messaging is not supported');
-    return null;
-  }
-
-  try {
-    const registration = await navigator.serviceWorker.ready;
-    
-    // Get the VAPID Public Key from the backend
-    const response = await fetch(`${API_URL}/push/vapid-key`);
-    const { publicKey } = await response.json();
-    
-    if (!publicKey) {
-        throw new Error('No VAPID public key returned from server.');
-    }
-
-    const convertedVapidKey = urlBase64ToUint8Array(publicKey);
+export function isPushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window;
+}
 
-    // Subscribe the user
-    const subscription = await registration.pushManager.subscribe({
-      userVisibleOnly: true,
-      applicationServerKey: convertedVapidKey
-    });
+// Ask the browser for a push subscription for this device
+export async function createPushSubscription() {
+  const registration = await navigator.serviceWorker.ready;
 
-    // Send the subscription to your backend
-    await fetch(`${API_URL}/push/subscribe`, {
-      method: 'POST',
-      body: JSON.stringify(subscription),
-      headers: {
-        'content-type': 'application/json'
-      }
-    });
-    
-    console.log('Push Subscription successful:', subscription);
-    return subscription;
+  // Get the VAPID Public Key from the backend
+  const response = await fetch(`${API_URL}/push/vapid-key`);
+  const { publicKey } = await response.json();
 
-  } catch (error) {
-    console.error('Failed to subscribe to push:', error);
-    throw error;
+  if (!publicKey) {
+      throw new Error('No VAPID public key returned from server.');
   }
-}
 
-export async function sendTestNotification() {
-    try {
-        await fetch(`${API_URL}/push/send-test`, {
-            method: 'POST',
-        });
-        console.log('Test notification request sent.');
-    } catch (error) {
-        console.error('Error sending test notification:', error);
-    }
+  const convertedVapidKey = urlBase64ToUint8Array(publicKey);
+
+  // Subscribe the user
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: convertedVapidKey
+  });
 }
@@ -12,6 +12,20 @@ export function formatCurrency(amount: number, currency: string = "USD"): string
   }).format(amount);
 }
 
+// Currencies charged in whole units (matches the backend's currencyService)
+const ZERO_DECIMAL_CURRENCIES = [
+  "BIF", "CLP", "DJF", "GNF", "JPY", "KMF", "KRW", "MGA",
+  "PYG", "RWF", "UGX", "VND", "VUV", "XAF", "XOF", "XPF",
+];
+
+// Round an amount to what can be charged in `currency`
+export function roundMoney(amount: number, currency: string = "USD"): number {
+  const factor = ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase())
+    ? 1
+    : 100;
+  return Math.round(amount * factor) / factor;
+}
+
 export function generateId(): string {
   return Math.random().toString(36).substring(2, 15);
 }
@@ -24,7 +24,7 @@ import AdminLayout from "../components/Admin/AdminLayout";
 import DashboardHeader from "../components/Admin/DashboardHeader";
 import ProductsTable from "../components/Admin/ProductsTable";
 import OrdersTable from "../components/Admin/OrdersTable";
-import UsersTable from "../components/Admin/UsersTable";
+import UsersTable, { type RoleOption } from "../components/Admin/UsersTable";
 import ProductForm from "../components/Admin/ProductForm";
 import CouponsTable from "../components/Admin/CouponsTable";
 import CouponForm from "../components/Admin/CouponForm";
@@ -33,6 +33,10 @@ import SettingsPanel from "../components/Admin/SettingsPanel";
 import RecentActivity from "../components/Admin/RecentActivity";
 import SalesChart from "../components/Admin/SalesChart";
 import TopProducts from "../components/Admin/TopProducts";
+import WebhookEventsPanel from "../components/Admin/WebhookEventsPanel";
+import ShippingZonesPanel from "../components/Admin/ShippingZonesPanel";
+import CategoriesPanel from "../components/Admin/CategoriesPanel";
+import ReturnsQueue from "../components/Admin/ReturnsQueue";
 import type { Product } from "../api/services/productService";
 
 // Types
@@ -85,10 +89,12 @@ interface User {
   createdAt?: string;
   status?: string;
   isActive?: boolean;
+  lockUntil?: string | null;
+  lockReason?: "password" | "otp" | null;
 }
 
 export default function AdminDashboard() {
-  const { user: currentUser, isAuthenticated } = useAuth();
+  const { user: currentUser, isAuthenticated, hasPermission } = useAuth();
   const navigate = useNavigate();
   const { toast } = useToast();
   const [searchParams, setSearchParams] = useSearchParams();
@@ -97,6 +103,7 @@ export default function AdminDashboard() {
   const [products, setProducts] = useState<Product[]>([]);
   const [orders, setOrders] = useState<Order[]>([]);
   const [users, setUsers] = useState<User[]>([]);
+  const [roles, setRoles] = useState<RoleOption[]>([]);
   const [coupons, setCoupons] = useState<Coupon[]>([]);
   const [dashboardStats, setDashboardStats] = useState({
     totalRevenue: 0,
@@ -212,8 +219,8 @@ export default function AdminDashboard() {
     setLoading(true);
 
     try {
-      // Check if user is logged in and has admin privileges
-      let isAdmin = currentUser && currentUser.role === "admin";
+      // Check if user is logged in with a staff role (any permission)
+      let isAdmin = Boolean(currentUser?.permissions?.length);
 
       // If not available in context, try localStorage as fallback
       if (!isAdmin) {
@@ -222,7 +229,7 @@ export default function AdminDashboard() {
         if (userStr) {
           try {
             const userData = JSON.parse(userStr);
-            isAdmin = userData.role === "admin";
+            isAdmin = Boolean(userData.permissions?.length);
             console.log("User data from localStorage:", userData);
           } catch (e) {
             console.error("Error parsing user data:", e);
@@ -503,6 +510,17 @@ export default function AdminDashboard() {
     }
   };
 
+  // Roles for the user role menu (roles:manage only)
+  const fetchRoles = async () => {
+    if (!hasPermission("roles:manage") || roles.length > 0) return;
+    try {
+      const response = await api.get("/admin/roles");
+      setRoles(response.data.roles);
+    } catch (error) {
+      console.error("Error fetching roles:", error);
+    }
+  };
+
   // Calculate dashboard statistics
   const calculateDashboardStats = (
     products: any[],
@@ -655,6 +673,7 @@ export default function AdminDashboard() {
       fetchOrdersData();
     } else if (activeTab === "users") {
       fetchUsersData();
+      fetchRoles();
     } else if (activeTab === "coupons") {
       fetchCouponsData();
     }
@@ -701,25 +720,13 @@ export default function AdminDashboard() {
     console.log("Using MongoDB ID for update:", mongoId);
 
     try {
-      const response = await api.put(`/orders/${mongoId}/status`, {
+      const response = await api.put(`/admin/orders/${mongoId}/status`, {
         status: newStatus,
       });
       console.log("Order status update response:", response.data);
 
-      // Update the order in the local state
-      if (Array.isArray(orders)) {
-        setOrders(
-          orders.map((order) => {
-            const orderIdMatch =
-              order.id === orderId ||
-              order.orderId === orderId ||
-              order._id === orderId ||
-              order._id === mongoId;
-
-            return orderIdMatch ? { ...order, status: newStatus } : order;
-          }),
-        );
-      }
+      // Reload so the allowed next statuses and event log stay in sync
+      fetchOrdersData();
 
       toast({
         title: "Success",
@@ -727,9 +734,11 @@ export default function AdminDashboard() {
       });
     } catch (error) {
       console.error("Error updating order status:", error);
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
       toast({
         title: "Error",
-        description: "Failed to update order status",
+        description: message || "Failed to update order status",
         variant: "destructive",
       });
     }
@@ -781,9 +790,11 @@ export default function AdminDashboard() {
       });
     } catch (error) {
       console.error("Error adding product:", error);
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
       toast({
         title: "Error",
-        description: "Failed to add product",
+        description: message || "Failed to add product",
         variant: "destructive",
       });
     }
@@ -833,9 +844,11 @@ export default function AdminDashboard() {
       });
     } catch (error) {
       console.error("Error updating product:", error);
+      const message = (error as { response?: { data?: { message?: string } } })
+        .response?.data?.message;
       toast({
         title: "Error",
-        description: "Failed to update product",
+        description: message || "Failed to update product",
         variant: "destructive",
       });
     }
@@ -945,6 +958,35 @@ export default function AdminDashboard() {
     }
   };
 
+  // Lift a brute-force lockout
+  const handleUnlockUser = async (userId: string) => {
+    try {
+      await api.post(`/admin/users/${userId}/unlock`);
+
+      if (Array.isArray(users)) {
+        setUsers(
+          users.map((user) =>
+            (user._id || user.id) === userId
+              ? { ...user, lockUntil: null, lockReason: null }
+              : user,
+          ),
+        );
+      }
+
+      toast({
+        title: "Success",
+        description: "User account unlocked",
+      });
+    } catch (error) {
+      console.error("Error unlocking user:", error);
+      toast({
+        title: "Error",
+        description: "Failed to unlock user. Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
   // Handle changing user role
   const handleChangeUserRole = async (userId: string, newRole: string) => {
     console.log(`Changing user role: ${userId} to ${newRole}`);
@@ -974,7 +1016,9 @@ export default function AdminDashboard() {
       console.error("Error updating user role:", error);
       toast({
         title: "Error",
-        description: "Failed to update user role. Please try again.",
+        description:
+          (error as { response?: { data?: { message?: string } } }).response
+            ?.data?.message || "Failed to update user role. Please try again.",
         variant: "destructive",
       });
     }
@@ -1141,27 +1185,45 @@ export default function AdminDashboard() {
           />
         </TabsContent>
 
-        <TabsContent value="orders">
+        <TabsContent value="categories">
+          <CategoriesPanel />
+        </TabsContent>
+
+        <TabsContent value="orders" className="space-y-8">
           <OrdersTable
             // @ts-ignore
             orders={Array.isArray(orders) ? orders : []}
             loading={ordersLoading}
             onViewDetails={() => {}}
             onUpdateStatus={handleUpdateOrderStatus}
+            onRefresh={fetchOrdersData}
           />
+          <ReturnsQueue onRefunded={fetchOrdersData} />
         </TabsContent>
 
         <TabsContent value="users">
           <UsersTable
             users={Array.isArray(users) ? users : []}
             loading={usersLoading}
+            roles={roles}
             onInspectUser={handleInspectUser}
-            onDeleteUser={handleDeleteUser}
+            onDeleteUser={
+              hasPermission("users:delete") ? handleDeleteUser : undefined
+            }
             onToggleUserStatus={handleToggleUserStatus}
             onChangeUserRole={handleChangeUserRole}
+            onUnlockUser={handleUnlockUser}
           />
         </TabsContent>
 
+        <TabsContent value="shipping">
+          <ShippingZonesPanel />
+        </TabsContent>
+
+        <TabsContent value="payments">
+          <WebhookEventsPanel />
+        </TabsContent>
+
         <TabsContent value="analytics">
           <UserAnalytics />
         </TabsContent>
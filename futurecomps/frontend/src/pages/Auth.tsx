@@ -8,6 +8,8 @@ import { motion, AnimatePresence } from "framer-motion";
 import { Eye, EyeOff } from "lucide-react";
 import { Logo } from "../components/ui/Logo";
 import { cn } from "@/lib/utils";
+import { authAPI } from "../services/api";
+import { redirectToProvider } from "../utils/oauth";
 
 // Login validation schema
 const loginSchema = z.object({
@@ -34,6 +36,12 @@ type RegisterFormValues = z.infer<typeof registerSchema>;
 // Input focus state type
 type FocusState = "none" | "email" | "name" | "password" | "confirmPassword";
 
+// A configured social sign-in provider
+interface OAuthProvider {
+  id: string;
+  name: string;
+}
+
 // Underline Input Component with focus callback
 interface UnderlineInputProps extends React.InputHTMLAttributes<HTMLInputElement> {
   label: string;
@@ -422,9 +430,23 @@ export default function Auth() {
   const [focusedField, setFocusedField] = useState<FocusState>("none");
   const [mousePos, setMousePos] = useState({ x: 200, y: 175 });
   const containerRef = useRef<HTMLDivElement>(null);
-  const { login, register, user } = useAuth();
+  const { login, register, verifyTwoFactor, user } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
+  // Set once the password step passes on a 2FA account — or handed over
+  // by the social sign-in callback
+  const [challengeToken, setChallengeToken] = useState<string | null>(
+    (location.state as { challengeToken?: string } | null)?.challengeToken ??
+      null,
+  );
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [twoFactorError, setTwoFactorError] = useState("");
+  const [verifyingCode, setVerifyingCode] = useState(false);
+  const [providers, setProviders] = useState<OAuthProvider[]>([]);
+  const [oauthError, setOauthError] = useState("");
+  const [startingProvider, setStartingProvider] = useState<string | null>(
+    null,
+  );
 
   // Redirect if already authenticated
   useEffect(() => {
@@ -435,6 +457,14 @@ export default function Auth() {
     }
   }, [user, navigate, location]);
 
+  // Social sign-in buttons — only configured providers are listed
+  useEffect(() => {
+    authAPI
+      .getOAuthProviders()
+      .then((response) => setProviders(response.data))
+      .catch(() => setProviders([]));
+  }, []);
+
   // Mouse tracking for character eyes
   useEffect(() => {
     const handleMouseMove = (e: MouseEvent) => {
@@ -473,7 +503,11 @@ export default function Auth() {
   // Handle login submit
   const handleLogin = async (values: LoginFormValues) => {
     try {
-      await login(values.email, values.password);
+      const data = await login(values.email, values.password);
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        return;
+      }
       navigate("/");
     } catch (error: any) {
       // Check if email is not verified
@@ -501,6 +535,62 @@ export default function Auth() {
     }
   };
 
+  // Second login step for 2FA accounts
+  const handleVerifyTwoFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challengeToken) return;
+    setTwoFactorError("");
+    setVerifyingCode(true);
+    try {
+      await verifyTwoFactor(challengeToken, twoFactorCode.trim());
+      navigate("/");
+    } catch (error) {
+      const response = (
+        error as {
+          response?: { status?: number; data?: { message?: string } };
+        }
+      ).response;
+      // Challenge expired or account locked — start over
+      if (response?.status === 401 || response?.status === 423) {
+        setChallengeToken(null);
+        setTwoFactorCode("");
+        loginForm.setError("root", {
+          message: response.data?.message || "Please log in again.",
+        });
+      } else {
+        setTwoFactorError(
+          response?.data?.message || "Invalid code. Please try again.",
+        );
+      }
+    } finally {
+      setVerifyingCode(false);
+    }
+  };
+
+  const handleOAuth = async (provider: string) => {
+    setOauthError("");
+    setStartingProvider(provider);
+    try {
+      const response = await authAPI.startOAuth(provider);
+      const params = new URLSearchParams(location.search);
+      redirectToProvider(
+        {
+          provider,
+          state: response.data.state,
+          mode: "login",
+          redirectTo: params.get("redirectTo") || undefined,
+        },
+        response.data.url,
+      );
+    } catch (error) {
+      setOauthError(
+        (error as { response?: { data?: { message?: string } } }).response
+          ?.data?.message || "Could not start sign-in. Please try again.",
+      );
+      setStartingProvider(null);
+    }
+  };
+
   // Handle register submit
   const handleRegister = async (values: RegisterFormValues) => {
     try {
@@ -561,8 +651,77 @@ export default function Auth() {
           </motion.div>
 
           <AnimatePresence mode="wait">
+            {/* Two-factor step */}
+            {activeTab === "login" && challengeToken && (
+              <motion.form
+                key="two-factor"
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                transition={{ duration: 0.3 }}
+                onSubmit={handleVerifyTwoFactor}
+                className="space-y-6"
+              >
+                {twoFactorError && (
+                  <motion.div
+                    initial={{ opacity: 0, y: -10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-600 text-sm"
+                  >
+                    {twoFactorError}
+                  </motion.div>
+                )}
+
+                <p className="text-sm text-gray-600">
+                  Enter the 6-digit code from your authenticator app, or one
+                  of your recovery codes.
+                </p>
+
+                <UnderlineInput
+                  label="Verification code"
+                  type="text"
+                  placeholder="123456"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  onFocusChange={(focused) =>
+                    setFocusedField(focused ? "password" : "none")
+                  }
+                />
+
+                <motion.button
+                  type="submit"
+                  disabled={verifyingCode || !twoFactorCode.trim()}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  className={cn(
+                    "w-full py-3.5 rounded-full font-medium text-white transition-all duration-200",
+                    "bg-neutral-900 hover:bg-neutral-800",
+                    "disabled:opacity-70 disabled:cursor-not-allowed",
+                  )}
+                >
+                  {verifyingCode ? "Verifying..." : "Verify"}
+                </motion.button>
+
+                <p className="text-center text-sm text-gray-700">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setChallengeToken(null);
+                      setTwoFactorCode("");
+                      setTwoFactorError("");
+                    }}
+                    className="font-semibold text-orange-600 hover:text-orange-700 hover:underline"
+                  >
+                    Back to login
+                  </button>
+                </p>
+              </motion.form>
+            )}
+
             {/* Login Form */}
-            {activeTab === "login" && (
+            {activeTab === "login" && !challengeToken && (
               <motion.form
                 key="login"
                 initial={{ opacity: 0, x: -20 }}
@@ -654,6 +813,35 @@ export default function Auth() {
                   )}
                 </motion.button>
 
+                {/* Social sign-in */}
+                {providers.length > 0 && (
+                  <div className="space-y-3">
+                    <div className="flex items-center gap-3 text-xs text-gray-400">
+                      <span className="flex-1 h-px bg-gray-200" />
+                      or
+                      <span className="flex-1 h-px bg-gray-200" />
+                    </div>
+                    {oauthError && (
+                      <p className="text-sm text-red-600 text-center">
+                        {oauthError}
+                      </p>
+                    )}
+                    {providers.map((provider) => (
+                      <button
+                        key={provider.id}
+                        type="button"
+                        onClick={() => handleOAuth(provider.id)}
+                        disabled={startingProvider !== null}
+                        className="w-full py-3 rounded-full border border-gray-300 text-sm font-medium text-gray-800 hover:bg-gray-50 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+                      >
+                        {startingProvider === provider.id
+                          ? "Redirecting..."
+                          : `Continue with ${provider.name}`}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
                 {/* Sign Up Link */}
                 <p className="text-center text-sm text-gray-700">
                   Don't have an account?{" "}
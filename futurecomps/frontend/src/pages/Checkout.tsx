@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { useStore } from "@/context/StoreContext";
 import { useAuth } from "@/context/AuthContext";
 import { Button } from "@/components/ui/Button";
@@ -7,15 +7,61 @@ import { Input } from "@/components/ui/Input";
 import { Label } from "@/components/ui/Label";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/RadioGroup";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/Card";
-import { Loader2, ShoppingBag, CreditCard, Truck } from "lucide-react";
+import { Checkbox } from "@/components/ui/Checkbox";
+import {
+  Loader2,
+  ShoppingBag,
+  CreditCard,
+  Truck,
+  Package,
+} from "lucide-react";
 import { formatCurrency } from "@/lib/utils";
+import { useStoreSettings } from "@/context/StoreSettingsContext";
 import { Navbar } from "@/components/layout/Navbar";
 import { Footer } from "@/components/layout/Footer";
+import { getAddresses, createAddress } from "@/api/services/addressService";
+import type { Address } from "@/api/services/addressService";
+import { countryOptions, requiresState, stateLabel } from "@/utils/countries";
+import {
+  getShippingQuote,
+  deliveryEstimate,
+} from "@/api/services/shippingService";
+import type { ShippingQuote } from "@/api/services/shippingService";
+
+type AddressForm = {
+  fullName: string;
+  email: string;
+  phone: string;
+  addressLine1: string;
+  addressLine2: string;
+  city: string;
+  state: string;
+  postalCode: string;
+  country: string;
+};
+
+// The form filled from a saved address; email (and phone, when the saved
+// one has none) stay as typed
+const fillFromSaved = (form: AddressForm, saved: Address): AddressForm => ({
+  ...form,
+  fullName: saved.fullName,
+  phone: saved.phone || form.phone,
+  addressLine1: saved.addressLine1,
+  addressLine2: saved.addressLine2 || "",
+  city: saved.city,
+  state: saved.state || "",
+  postalCode: saved.postalCode || "",
+  country: saved.country,
+});
+
+const selectClass =
+  "flex h-9 w-full rounded-md border border-input bg-transparent px-3 py-1 text-sm shadow-sm transition-colors focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring";
 
 export default function Checkout() {
   const navigate = useNavigate();
   const { cart, cartLoading } = useStore();
   const { user } = useAuth();
+  const { settings, currency, convertPrice, formatPrice } = useStoreSettings();
   const [loading, setLoading] = useState(false);
   const [paymentMethod, setPaymentMethod] = useState<"online" | "cod">(
     "online",
@@ -30,7 +76,7 @@ export default function Checkout() {
   }, [cart, cartLoading]);
 
   // Address form state
-  const [address, setAddress] = useState({
+  const [address, setAddress] = useState<AddressForm>({
     fullName: user?.name || "",
     email: user?.email || "",
     phone: "",
@@ -39,9 +85,104 @@ export default function Checkout() {
     city: "",
     state: "",
     postalCode: "",
-    country: "United States",
+    country: "US",
   });
 
+  // Saved addresses of a signed-in shopper. While one is picked and left
+  // unedited, the order ships to it by id; editing the form detaches it.
+  const [savedAddresses, setSavedAddresses] = useState<Address[]>([]);
+  const [savedAddressId, setSavedAddressId] = useState("");
+  const [saveAddress, setSaveAddress] = useState(false);
+
+  const pickSavedAddress = (saved?: Address) => {
+    setSavedAddressId(saved?._id || "");
+    if (saved) setAddress((prev) => fillFromSaved(prev, saved));
+  };
+
+  // Start from the default shipping address
+  useEffect(() => {
+    if (!user) return;
+    getAddresses()
+      .then((addresses) => {
+        setSavedAddresses(addresses);
+        const saved = addresses.find((a) => a.isDefaultShipping);
+        if (!saved) return;
+        setSavedAddressId(saved._id);
+        setAddress((prev) => fillFromSaved(prev, saved));
+      })
+      .catch((error) => console.error("Failed to load addresses:", error));
+  }, [user]);
+
+  // Shipping rates for the cart and destination, refreshed shortly after
+  // either changes; the cheapest rate is picked until the shopper chooses
+  const [shippingQuote, setShippingQuote] = useState<ShippingQuote | null>(
+    null,
+  );
+  const [shippingError, setShippingError] = useState("");
+  const [shippingMethodId, setShippingMethodId] = useState("");
+
+  useEffect(() => {
+    if (cart.items.length === 0) return;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      getShippingQuote(
+        cart.items.map((item) => ({
+          productId: item.productId,
+          quantity: item.quantity,
+        })),
+        savedAddressId
+          ? { addressId: savedAddressId }
+          : {
+              shippingAddress: {
+                country: address.country,
+                state: address.state,
+                postalCode: address.postalCode,
+              },
+            },
+        cart.discount,
+      )
+        .then((quote) => {
+          if (cancelled) return;
+          setShippingQuote(quote);
+          setShippingError("");
+          setShippingMethodId((prev) =>
+            quote.rates.some((rate) => rate.methodId === prev)
+              ? prev
+              : quote.rates[0]?.methodId || "",
+          );
+        })
+        .catch((error) => {
+          if (cancelled) return;
+          setShippingQuote(null);
+          setShippingError(
+            (error as { response?: { data?: { message?: string } } }).response
+              ?.data?.message || "Shipping couldn't be calculated",
+          );
+        });
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [
+    cart.items,
+    cart.discount,
+    savedAddressId,
+    address.country,
+    address.state,
+    address.postalCode,
+  ]);
+
+  const selectedRate = shippingQuote?.rates.find(
+    (rate) => rate.methodId === shippingMethodId,
+  );
+  const shippingCost = selectedRate?.amount ?? 0;
+  // Amounts are in the base currency; the order is charged in the
+  // shopper's, line by line as the server does
+  const orderTotal = convertPrice(cart.total) + convertPrice(shippingCost);
+
   useEffect(() => {
     // Wait for cart to finish loading before checking if it's empty
     if (!cartLoading) {
@@ -59,9 +200,35 @@ export default function Checkout() {
     }
   }, [cart, cartLoading, navigate]);
 
-  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+  const handleInputChange = (
+    e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>,
+  ) => {
     const { name, value } = e.target;
     setAddress((prev) => ({ ...prev, [name]: value }));
+    if (name !== "email") setSavedAddressId("");
+  };
+
+  // The saved address by id, or the form contents
+  const orderAddress = () =>
+    savedAddressId ? { addressId: savedAddressId } : { shippingAddress: address };
+
+  // Best effort: a failed save doesn't hold up the order
+  const saveToAddressBook = async () => {
+    if (!user || savedAddressId || !saveAddress) return;
+    try {
+      await createAddress({
+        fullName: address.fullName,
+        phone: address.phone,
+        addressLine1: address.addressLine1,
+        addressLine2: address.addressLine2,
+        city: address.city,
+        state: address.state,
+        postalCode: address.postalCode,
+        country: address.country,
+      });
+    } catch (error) {
+      console.error("Failed to save address:", error);
+    }
   };
 
   const validateForm = () => {
@@ -71,13 +238,17 @@ export default function Checkout() {
       !address.phone ||
       !address.addressLine1 ||
       !address.city ||
-      !address.state ||
-      !address.postalCode
+      (requiresState(address.country) && !address.state)
     ) {
       alert("Please fill in all required fields");
       return false;
     }
 
+    if (shippingError || (shippingQuote?.required && !selectedRate)) {
+      alert(shippingError || "Please choose a shipping method");
+      return false;
+    }
+
     // Basic email validation
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(address.email)) {
@@ -94,7 +265,12 @@ export default function Checkout() {
     setLoading(true);
 
     try {
+      // Guests check out without a token; the email is their contact
       const token = localStorage.getItem("token");
+      const headers: Record<string, string> = {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      };
 
       if (paymentMethod === "cod") {
         // Create order with Cash on Delivery
@@ -103,13 +279,13 @@ export default function Checkout() {
           `${import.meta.env.VITE_API_URL || "http://localhost:5000/api"}/payment/orders/create`,
           {
             method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
+            headers,
             body: JSON.stringify({
               items: cart.items,
-              shippingAddress: address,
+              email: address.email,
+              ...orderAddress(),
+              shippingMethodId: selectedRate?.methodId,
+              currency,
               paymentMethod: "cod",
               couponCode: cart.discountCode || null,
             }),
@@ -120,7 +296,15 @@ export default function Checkout() {
 
         if (response.ok) {
           console.log("✅ COD Order created:", data);
-          navigate("/success?payment=cod");
+          await saveToAddressBook();
+          navigate(
+            user
+              ? "/success?payment=cod"
+              : `/order-lookup?${new URLSearchParams({
+                  order: data.order.orderId,
+                  email: address.email,
+                })}`,
+          );
         } else {
           console.error("❌ Failed to create order:", data.message);
           alert(`Failed to create order: ${data.message || "Unknown error"}`);
@@ -132,13 +316,13 @@ export default function Checkout() {
           `${import.meta.env.VITE_API_URL || "http://localhost:5000/api"}/payment/create-checkout-session`,
           {
             method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
+            headers,
             body: JSON.stringify({
               cartItems: cart.items,
-              shippingAddress: address,
+              email: address.email,
+              ...orderAddress(),
+              shippingMethodId: selectedRate?.methodId,
+              currency,
               couponCode: cart.discountCode || null,
             }),
           },
@@ -148,6 +332,7 @@ export default function Checkout() {
 
         if (response.ok && data.url) {
           console.log("✅ Redirecting to Stripe:", data.url);
+          await saveToAddressBook();
           window.location.href = data.url;
         } else {
           console.error("❌ Checkout failed:", data.message);
@@ -198,6 +383,21 @@ export default function Checkout() {
           Checkout
         </h1>
 
+        {!user && (
+          <p className="mb-6 text-sm text-gray-600 dark:text-gray-400">
+            Checking out as a guest — we'll send your receipt to the email
+            below.{" "}
+            <Link
+              to="/login"
+              state={{ from: "/checkout" }}
+              className="font-medium text-primary hover:underline"
+            >
+              Sign in
+            </Link>{" "}
+            to save this order to your account.
+          </p>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Left Column - Forms */}
           <div className="lg:col-span-2 space-y-6">
@@ -210,6 +410,31 @@ export default function Checkout() {
                 </CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
+                {savedAddresses.length > 0 && (
+                  <div>
+                    <Label htmlFor="savedAddress">Ship to</Label>
+                    <select
+                      id="savedAddress"
+                      value={savedAddressId}
+                      onChange={(e) =>
+                        pickSavedAddress(
+                          savedAddresses.find((a) => a._id === e.target.value),
+                        )
+                      }
+                      className={selectClass}
+                    >
+                      {savedAddresses.map((saved) => (
+                        <option key={saved._id} value={saved._id}>
+                          {[saved.label || saved.fullName, saved.addressLine1, saved.city]
+                            .filter(Boolean)
+                            .join(" — ")}
+                        </option>
+                      ))}
+                      <option value="">A new address</option>
+                    </select>
+                  </div>
+                )}
+
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div>
                     <Label htmlFor="fullName">
@@ -290,7 +515,10 @@ export default function Checkout() {
                   </div>
                   <div>
                     <Label htmlFor="state">
-                      State <span className="text-red-500">*</span>
+                      {stateLabel(address.country)}{" "}
+                      {requiresState(address.country) && (
+                        <span className="text-red-500">*</span>
+                      )}
                     </Label>
                     <Input
                       id="state"
@@ -301,9 +529,7 @@ export default function Checkout() {
                     />
                   </div>
                   <div>
-                    <Label htmlFor="postalCode">
-                      Postal Code <span className="text-red-500">*</span>
-                    </Label>
+                    <Label htmlFor="postalCode">Postal Code</Label>
                     <Input
                       id="postalCode"
                       name="postalCode"
@@ -316,17 +542,90 @@ export default function Checkout() {
 
                 <div>
                   <Label htmlFor="country">Country</Label>
-                  <Input
+                  <select
                     id="country"
                     name="country"
                     value={address.country}
                     onChange={handleInputChange}
-                    placeholder="United States"
-                  />
+                    className={selectClass}
+                  >
+                    {countryOptions.map((option) => (
+                      <option key={option.code} value={option.code}>
+                        {option.name}
+                      </option>
+                    ))}
+                  </select>
                 </div>
+
+                {user && !savedAddressId && (
+                  <div className="flex items-center gap-2">
+                    <Checkbox
+                      id="saveAddress"
+                      checked={saveAddress}
+                      onCheckedChange={(checked) => setSaveAddress(checked === true)}
+                    />
+                    <Label htmlFor="saveAddress" className="font-normal">
+                      Save this address to my address book
+                    </Label>
+                  </div>
+                )}
               </CardContent>
             </Card>
 
+            {/* Shipping Method */}
+            {(shippingError || shippingQuote?.required) && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Package className="w-5 h-5" />
+                    Shipping Method
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  {shippingError ? (
+                    <p className="text-sm text-red-600 dark:text-red-400">
+                      {shippingError}
+                    </p>
+                  ) : (
+                    <RadioGroup
+                      value={shippingMethodId}
+                      onValueChange={setShippingMethodId}
+                    >
+                      {shippingQuote?.rates.map((rate) => (
+                        <div
+                          key={rate.methodId}
+                          className="flex items-center space-x-2 border rounded-lg p-4 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800"
+                        >
+                          <RadioGroupItem
+                            value={rate.methodId}
+                            id={`shipping-${rate.methodId}`}
+                          />
+                          <Label
+                            htmlFor={`shipping-${rate.methodId}`}
+                            className="flex-1 cursor-pointer"
+                          >
+                            <div className="font-semibold">{rate.name}</div>
+                            {(rate.description || deliveryEstimate(rate)) && (
+                              <div className="text-sm text-gray-500">
+                                {[rate.description, deliveryEstimate(rate)]
+                                  .filter(Boolean)
+                                  .join(" · ")}
+                              </div>
+                            )}
+                          </Label>
+                          <span className="font-medium">
+                            {rate.amount > 0
+                              ? formatPrice(rate.amount)
+                              : "Free"}
+                          </span>
+                        </div>
+                      ))}
+                    </RadioGroup>
+                  )}
+                </CardContent>
+              </Card>
+            )}
+
             {/* Payment Method */}
             <Card>
               <CardHeader>
@@ -406,7 +705,7 @@ export default function Checkout() {
                         )}
                       </div>
                       <div className="text-sm font-medium">
-                        {formatCurrency(
+                        {formatPrice(
                           (item.product.discountedPrice ?? item.product.price) *
                             item.quantity,
                         )}
@@ -422,25 +721,49 @@ export default function Checkout() {
                       Subtotal
                     </span>
                     <span className="font-medium">
-                      {formatCurrency(cart.subtotal)}
+                      {formatPrice(cart.subtotal)}
                     </span>
                   </div>
                   {cart.discount > 0 && (
                     <div className="flex justify-between text-sm text-green-600">
                       <span>Discount</span>
-                      <span>-{formatCurrency(cart.discount)}</span>
+                      <span>-{formatPrice(cart.discount)}</span>
                     </div>
                   )}
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600 dark:text-gray-400">
+                      Tax
+                    </span>
+                    <span className="font-medium">
+                      {cart.tax === undefined
+                        ? "Calculating..."
+                        : formatPrice(cart.tax)}
+                    </span>
+                  </div>
                   <div className="flex justify-between text-sm">
                     <span className="text-gray-600 dark:text-gray-400">
                       Shipping
                     </span>
-                    <span className="font-medium">Free</span>
+                    <span className="font-medium">
+                      {!shippingQuote && !shippingError
+                        ? "Calculating..."
+                        : shippingCost > 0
+                          ? formatPrice(shippingCost)
+                          : selectedRate || !shippingQuote?.required
+                            ? "Free"
+                            : "—"}
+                    </span>
                   </div>
                   <div className="flex justify-between text-lg font-bold pt-2 border-t border-gray-200 dark:border-gray-700">
                     <span>Total</span>
-                    <span>{formatCurrency(cart.total)}</span>
+                    <span>{formatCurrency(orderTotal, currency)}</span>
                   </div>
+                  {currency !== settings.currency.toUpperCase() && (
+                    <p className="text-xs text-gray-500">
+                      Converted from {settings.currency.toUpperCase()} at
+                      today's rate. You'll be charged in {currency}.
+                    </p>
+                  )}
                 </div>
 
                 {/* Place Order Button */}
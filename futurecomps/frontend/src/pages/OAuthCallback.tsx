@@ -0,0 +1,109 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate, useParams, useSearchParams, Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { AlertCircle } from "lucide-react";
+import { useAuth } from "../context/AuthContext";
+import { authAPI } from "../services/api";
+import { takePendingOAuth } from "../utils/oauth";
+
+// Providers redirect here with ?code&state (or ?error) after sign-in
+export default function OAuthCallback() {
+  const { provider = "" } = useParams();
+  const [searchParams] = useSearchParams();
+  const [failure, setFailure] = useState<{
+    message: string;
+    backTo: string;
+  } | null>(null);
+  const { loginWithOAuth } = useAuth();
+  const navigate = useNavigate();
+  // The code is single use — don't post it twice under StrictMode
+  const handled = useRef(false);
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    const finish = async () => {
+      const code = searchParams.get("code");
+      const state = searchParams.get("state");
+      const pending = takePendingOAuth(provider, state);
+      const linking = pending?.mode === "link";
+      const fail = (message: string) =>
+        setFailure({
+          message,
+          backTo: linking ? "/profile?section=settings" : "/auth",
+        });
+
+      if (searchParams.get("error")) {
+        fail("Sign-in was cancelled.");
+        return;
+      }
+      if (!pending || !code || !state) {
+        fail("This sign-in link is invalid or has expired.");
+        return;
+      }
+
+      try {
+        if (linking) {
+          await authAPI.linkOAuth(provider, { code, state });
+          navigate("/profile?section=settings", { replace: true });
+          return;
+        }
+
+        const data = await loginWithOAuth(provider, code, state);
+        if (data.twoFactorRequired) {
+          navigate("/auth", {
+            replace: true,
+            state: { challengeToken: data.challengeToken },
+          });
+          return;
+        }
+        navigate(pending.redirectTo || "/", { replace: true });
+      } catch (err) {
+        fail(
+          (err as { response?: { data?: { message?: string } } }).response
+            ?.data?.message || "Sign-in failed. Please try again.",
+        );
+      }
+    };
+
+    finish();
+  }, [provider, searchParams, loginWithOAuth, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 py-12 px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="w-full max-w-md bg-white dark:bg-gray-800 rounded-3xl shadow-xl shadow-gray-200/50 dark:shadow-none p-8 sm:p-10 text-center"
+      >
+        {failure ? (
+          <>
+            <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl flex items-start gap-3 text-left">
+              <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+              <p className="text-red-600 dark:text-red-400 text-sm">{failure.message}</p>
+            </div>
+            <Link
+              to={failure.backTo}
+              className="font-semibold text-orange-600 hover:text-orange-700 hover:underline"
+            >
+              Go back
+            </Link>
+          </>
+        ) : (
+          <>
+            <motion.div
+              animate={{ rotate: 360 }}
+              transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+              className="w-8 h-8 border-2 border-neutral-900 dark:border-white border-t-transparent rounded-full mx-auto mb-4"
+            />
+            <p className="text-gray-600 dark:text-gray-300">
+              Finishing sign-in...
+            </p>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { AlertCircle, CheckCircle, Circle, Loader2, PackageSearch } from "lucide-react";
+import { Button } from "@/components/ui/Button";
+import { Input } from "@/components/ui/Input";
+import { Label } from "@/components/ui/Label";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/Card";
+import { Progress } from "@/components/ui/Progress";
+import { Navbar } from "@/components/layout/Navbar";
+import { Footer } from "@/components/layout/Footer";
+import { formatCurrency } from "@/lib/utils";
+import { lookupOrder } from "@/api/services/orderService";
+import type { OrderLookupResult } from "@/api/services/orderService";
+
+type LookupState = { order: OrderLookupResult | null; error: string | null };
+
+async function findOrder(number: string, email: string): Promise<LookupState> {
+  try {
+    return { order: await lookupOrder(number.trim(), email.trim()), error: null };
+  } catch (err) {
+    return {
+      order: null,
+      error:
+        (err as { response?: { data?: { message?: string } } }).response?.data
+          ?.message || "Something went wrong. Please try again.",
+    };
+  }
+}
+
+// Order status for guests: order number + checkout email. Links in guest
+// order emails land here with ?order&email and look the order up at once.
+export default function OrderLookup() {
+  const [searchParams] = useSearchParams();
+  const [orderNumber, setOrderNumber] = useState(searchParams.get("order") || "");
+  const [email, setEmail] = useState(searchParams.get("email") || "");
+  const [result, setResult] = useState<LookupState>({ order: null, error: null });
+  const [loading, setLoading] = useState(Boolean(orderNumber && email));
+  const handled = useRef(false);
+  const { order, error } = result;
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    const number = searchParams.get("order");
+    const address = searchParams.get("email");
+    if (!number || !address) return;
+
+    findOrder(number, address).then((found) => {
+      setResult(found);
+      setLoading(false);
+    });
+  }, [searchParams]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setResult(await findOrder(orderNumber, email));
+    setLoading(false);
+  };
+
+  const money = (amount: number) =>
+    formatCurrency(amount, (order?.currency || "usd").toUpperCase());
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <Navbar />
+      <div className="container mx-auto px-4 py-8 mt-20 max-w-3xl space-y-6">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+          Find your order
+        </h1>
+
+        <Card>
+          <CardContent className="pt-6">
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+              <div>
+                <Label htmlFor="orderNumber">Order number</Label>
+                <Input
+                  id="orderNumber"
+                  value={orderNumber}
+                  onChange={(e) => setOrderNumber(e.target.value)}
+                  placeholder="e.g. 3F9A12BC"
+                  required
+                />
+              </div>
+              <div>
+                <Label htmlFor="email">Email used at checkout</Label>
+                <Input
+                  id="email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="john@example.com"
+                  required
+                />
+              </div>
+              <Button type="submit" disabled={loading}>
+                {loading ? (
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                ) : (
+                  <>
+                    <PackageSearch className="w-4 h-4 mr-2" />
+                    Look up
+                  </>
+                )}
+              </Button>
+            </form>
+            <p className="mt-4 text-sm text-gray-500">
+              Your order number is in your confirmation email. Have an account?{" "}
+              <Link to="/profile?section=orders" className="font-medium text-primary hover:underline">
+                See all your orders
+              </Link>
+            </p>
+          </CardContent>
+        </Card>
+
+        {error && (
+          <div className="p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+            <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {order && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex flex-wrap items-center justify-between gap-2">
+                <span>Order #{order.orderNumber}</span>
+                <span className="text-sm font-medium text-gray-500">
+                  Placed {new Date(order.createdAt).toLocaleDateString()}
+                </span>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <div>
+                <div className="flex justify-between text-sm mb-2">
+                  <span className="font-semibold">{order.statusText}</span>
+                  {order.trackingNumber && (
+                    <span className="text-gray-500">
+                      {order.carrier?.toUpperCase()} tracking {order.trackingNumber}
+                    </span>
+                  )}
+                </div>
+                <Progress value={order.progress} />
+              </div>
+
+              <ol className="space-y-3">
+                {order.timeline.map((step, index) => (
+                  <li key={index} className="flex gap-3">
+                    {step.completed ? (
+                      <CheckCircle className="w-5 h-5 text-green-600 shrink-0" />
+                    ) : (
+                      <Circle className="w-5 h-5 text-gray-300 shrink-0" />
+                    )}
+                    <div className="text-sm">
+                      <p className="font-medium">{step.label || step.status}</p>
+                      <p className="text-gray-500">
+                        {step.description}
+                        {step.location && ` — ${step.location}`}
+                        {step.timestamp && ` · ${new Date(step.timestamp).toLocaleString()}`}
+                      </p>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+
+              <div className="space-y-2 pt-4 border-t border-gray-200 dark:border-gray-700">
+                {order.items?.map((item, index) => (
+                  <div key={item._id || index} className="flex justify-between text-sm">
+                    <span>
+                      {item.name}
+                      {[item.size, item.color].filter(Boolean).length > 0 &&
+                        ` (${[item.size, item.color].filter(Boolean).join(" / ")})`}{" "}
+                      × {item.quantity}
+                    </span>
+                    <span>{money((item.price || 0) * (item.quantity || 0))}</span>
+                  </div>
+                ))}
+                {order.discount > 0 && (
+                  <div className="flex justify-between text-sm text-green-600">
+                    <span>Discount</span>
+                    <span>-{money(order.discount)}</span>
+                  </div>
+                )}
+                {order.shippingMethod && (
+                  <div className="flex justify-between text-sm">
+                    <span>Shipping ({order.shippingMethod})</span>
+                    <span>
+                      {order.shipping > 0 ? money(order.shipping) : "Free"}
+                    </span>
+                  </div>
+                )}
+                {order.tax > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span>Tax</span>
+                    <span>{money(order.tax)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between font-bold pt-2 border-t border-gray-200 dark:border-gray-700">
+                  <span>Total{order.paymentMethod === "cod" && " (cash on delivery)"}</span>
+                  <span>{money(order.total)}</span>
+                </div>
+              </div>
+
+              <p className="text-sm text-gray-500">
+                <Link to="/register" className="font-medium text-primary hover:underline">
+                  Create an account
+                </Link>{" "}
+                with this email to keep your orders in one place.
+              </p>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+      <Footer />
+    </div>
+  );
+}
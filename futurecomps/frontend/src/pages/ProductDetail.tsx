@@ -1,5 +1,5 @@
 import { useState, useEffect } from "react";
-import { useParams, Link } from "react-router-dom";
+import { useParams, Link, useNavigate } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   ChevronLeft,
@@ -20,6 +20,8 @@ import {
   ZoomIn,
   Package,
   Check,
+  Bell,
+  BellRing,
 } from "lucide-react";
 import { MainLayout } from "@/components/layout/MainLayout";
 import { Button } from "@/components/ui/Button";
@@ -28,7 +30,11 @@ import { Rating } from "@/components/ui/Rating";
 import { Skeleton } from "@/components/ui/Skeleton";
 import { ProductCard } from "@/components/ProductCard";
 import { useStore } from "@/context/StoreContext";
-import { formatCurrency } from "@/lib/utils";
+import { useAuth } from "@/context/AuthContext";
+import alertService from "@/api/services/alertService";
+import productService from "@/api/services/productService";
+import type { CategoryCrumb } from "@/api/services/categoryService";
+import { useStoreSettings } from "@/context/StoreSettingsContext";
 import { cn } from "@/lib/utils";
 import type { Product } from "@/types/store";
 
@@ -78,6 +84,18 @@ export function ProductDetail() {
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [imageZoom, setImageZoom] = useState(false);
   const [linkCopied, setLinkCopied] = useState(false);
+  // Back-in-stock alert for this product, when the shopper asked for one
+  const [stockAlertId, setStockAlertId] = useState<string | null>(null);
+  const [stockAlertBusy, setStockAlertBusy] = useState(false);
+  const [stockAlertError, setStockAlertError] = useState("");
+  // The product's category path, from the product endpoint
+  const [crumbs, setCrumbs] = useState<{
+    id: string;
+    breadcrumbs: CategoryCrumb[];
+  } | null>(null);
+  const { isAuthenticated } = useAuth();
+  const { formatPrice } = useStoreSettings();
+  const navigate = useNavigate();
 
   const {
     products,
@@ -102,6 +120,77 @@ export function ProductDetail() {
     window.scrollTo({ top: 0, behavior: "smooth" });
   }, [id, products]);
 
+  useEffect(() => {
+    if (!id) return;
+    let cancelled = false;
+    productService
+      .getProductById(id)
+      .then((found) => {
+        if (!cancelled) {
+          setCrumbs({ id, breadcrumbs: found.breadcrumbs ?? [] });
+        }
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  // Falls back to the product's category name until the path arrives
+  const breadcrumbs =
+    crumbs && crumbs.id === id && crumbs.breadcrumbs.length > 0
+      ? crumbs.breadcrumbs
+      : product
+        ? [{ _id: "", name: product.category, slug: product.category.toLowerCase() }]
+        : [];
+
+  useEffect(() => {
+    if (!isAuthenticated || !id) return;
+    let cancelled = false;
+    alertService
+      .getAlerts()
+      .then((alerts) => {
+        if (cancelled) return;
+        const alert = alerts.find(
+          (a) => a.productId === id && a.type === "back-in-stock"
+        );
+        setStockAlertId(alert?._id ?? null);
+      })
+      .catch((err) => console.error("Failed to fetch alerts", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [id, isAuthenticated]);
+
+  const handleStockAlert = async () => {
+    if (!product) return;
+    if (!isAuthenticated) {
+      navigate("/auth");
+      return;
+    }
+    setStockAlertBusy(true);
+    setStockAlertError("");
+    try {
+      if (stockAlertId) {
+        await alertService.deleteAlert(stockAlertId);
+        setStockAlertId(null);
+      } else {
+        const data = await alertService.createAlert(
+          product._id,
+          "back-in-stock"
+        );
+        setStockAlertId(data.alert._id);
+      }
+    } catch (err) {
+      setStockAlertError(
+        (err as { response?: { data?: { message?: string } } }).response
+          ?.data?.message || "Something went wrong. Please try again."
+      );
+    } finally {
+      setStockAlertBusy(false);
+    }
+  };
+
   const handleAddToCart = () => {
     if (product) {
       addToCart(product, quantity, selectedSize, selectedColor);
@@ -206,13 +295,17 @@ export function ProductDetail() {
             >
               Shop
             </Link>
-            <ChevronRight className="w-3.5 h-3.5 text-gray-300 dark:text-gray-600 flex-shrink-0" />
-            <Link
-              to={`/shop?category=${product.category.toLowerCase()}`}
-              className="text-gray-400 dark:text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 capitalize transition-colors flex-shrink-0"
-            >
-              {product.category}
-            </Link>
+            {breadcrumbs.map((crumb) => (
+              <span key={crumb.slug} className="contents">
+                <ChevronRight className="w-3.5 h-3.5 text-gray-300 dark:text-gray-600 flex-shrink-0" />
+                <Link
+                  to={`/shop?category=${crumb.slug}`}
+                  className="text-gray-400 dark:text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 capitalize transition-colors flex-shrink-0"
+                >
+                  {crumb.name}
+                </Link>
+              </span>
+            ))}
             <ChevronRight className="w-3.5 h-3.5 text-gray-300 dark:text-gray-600 flex-shrink-0" />
             <span className="text-gray-800 dark:text-gray-200 font-medium line-clamp-1">
               {product.name}
@@ -382,22 +475,16 @@ export function ProductDetail() {
                           : "text-gray-900 dark:text-white"
                       )}
                     >
-                      {formatCurrency(displayPrice, product.currency)}
+                      {formatPrice(displayPrice)}
                     </span>
                     {hasDiscount && (
                       <>
                         <span className="text-lg text-gray-400 dark:text-gray-500 line-through">
-                          {formatCurrency(
-                            product.originalPrice!,
-                            product.currency
-                          )}
+                          {formatPrice(product.originalPrice!)}
                         </span>
                         <span className="text-sm font-bold text-emerald-600 dark:text-emerald-400 bg-emerald-50 dark:bg-emerald-500/10 px-2.5 py-1 rounded-lg">
                           Save{" "}
-                          {formatCurrency(
-                            product.originalPrice! - displayPrice,
-                            product.currency
-                          )}
+                          {formatPrice(product.originalPrice! - displayPrice)}
                         </span>
                       </>
                     )}
@@ -508,25 +595,59 @@ export function ProductDetail() {
 
                 {/* Action Buttons */}
                 <div className="space-y-3 pt-2">
-                  <div className="flex gap-3">
-                    <motion.button
-                      whileHover={{ scale: 1.02 }}
-                      whileTap={{ scale: 0.97 }}
-                      onClick={handleAddToCart}
-                      className="flex-1 h-14 rounded-xl flex items-center justify-center gap-2 text-base font-semibold bg-gradient-to-r from-emerald-500 to-teal-500 text-white shadow-lg shadow-emerald-500/25 hover:shadow-xl hover:shadow-emerald-500/35 hover:brightness-110 transition-all duration-200"
-                    >
-                      <ShoppingCart className="w-5 h-5" />
-                      Add to Cart
-                    </motion.button>
-                    <Button
-                      size="lg"
-                      variant="gradient"
-                      className="flex-1 h-14 text-base font-semibold rounded-xl"
-                      onClick={handleBuyNow}
-                    >
-                      Buy Now
-                    </Button>
-                  </div>
+                  {!(product.stock && product.stock > 0) ? (
+                    <div>
+                      <motion.button
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.97 }}
+                        onClick={handleStockAlert}
+                        disabled={stockAlertBusy}
+                        className={cn(
+                          "w-full h-14 rounded-xl flex items-center justify-center gap-2 text-base font-semibold transition-all duration-200 disabled:opacity-60",
+                          stockAlertId
+                            ? "bg-gray-100 dark:bg-gray-800 text-gray-900 dark:text-white border-2 border-gray-200 dark:border-gray-700"
+                            : "bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-lg shadow-amber-500/25 hover:shadow-xl hover:shadow-amber-500/35 hover:brightness-110"
+                        )}
+                      >
+                        {stockAlertId ? (
+                          <>
+                            <BellRing className="w-5 h-5" />
+                            We'll notify you — tap to cancel
+                          </>
+                        ) : (
+                          <>
+                            <Bell className="w-5 h-5" />
+                            Notify Me When Available
+                          </>
+                        )}
+                      </motion.button>
+                      {stockAlertError && (
+                        <p className="text-sm text-red-600 dark:text-red-400 mt-2">
+                          {stockAlertError}
+                        </p>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="flex gap-3">
+                      <motion.button
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.97 }}
+                        onClick={handleAddToCart}
+                        className="flex-1 h-14 rounded-xl flex items-center justify-center gap-2 text-base font-semibold bg-gradient-to-r from-emerald-500 to-teal-500 text-white shadow-lg shadow-emerald-500/25 hover:shadow-xl hover:shadow-emerald-500/35 hover:brightness-110 transition-all duration-200"
+                      >
+                        <ShoppingCart className="w-5 h-5" />
+                        Add to Cart
+                      </motion.button>
+                      <Button
+                        size="lg"
+                        variant="gradient"
+                        className="flex-1 h-14 text-base font-semibold rounded-xl"
+                        onClick={handleBuyNow}
+                      >
+                        Buy Now
+                      </Button>
+                    </div>
+                  )}
                   <div className="flex gap-3">
                     <motion.button
                       whileHover={{ scale: 1.02 }}
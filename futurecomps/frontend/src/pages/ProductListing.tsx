@@ -15,6 +15,7 @@ import { Badge } from "@/components/ui/Badge";
 import { ProductCard } from "@/components/ProductCard";
 import { ProductCardSkeleton } from "@/components/ui/Skeleton";
 import { useStore } from "@/context/StoreContext";
+import categoryService from "@/api/services/categoryService";
 import { cn } from "@/lib/utils";
 import type { SortOption } from "@/types/store";
 
@@ -26,15 +27,6 @@ const sortOptions: { value: SortOption; label: string }[] = [
   { value: "rating", label: "Top Rated" },
 ];
 
-const categories = [
-  "All",
-  "Electronics",
-  "Clothing",
-  "Home & Garden",
-  "Sports",
-  "Beauty",
-];
-
 export function ProductListing() {
   const [searchParams, setSearchParams] = useSearchParams();
   const [viewMode, setViewMode] = useState<"grid" | "list">("grid");
@@ -46,8 +38,30 @@ export function ProductListing() {
     filters,
     setFilters,
     clearFilters,
+    categories,
   } = useStore();
 
+  // The chosen category, the top-level one it's under, and the
+  // subcategories to offer next to it: its own, or its siblings'
+  const selected = filters.category
+    ? categoryService.findCategoryBySlug(categories, filters.category)
+    : null;
+  const root = selected
+    ? categories.find((c) =>
+        categoryService.categoryIds(c).includes(selected._id),
+      )
+    : undefined;
+  const parent = selected
+    ? categoryService
+        .flattenCategories(categories)
+        .find(({ category }) =>
+          category.children.some((child) => child._id === selected._id),
+        )?.category
+    : undefined;
+  const subcategories = selected?.children.length
+    ? selected.children
+    : (parent?.children ?? []);
+
   // Sync URL params with filters
   useEffect(() => {
     const category = searchParams.get("category");
@@ -62,13 +76,14 @@ export function ProductListing() {
     if (sort) setFilters({ sortBy: sort });
   }, [searchParams, setFilters]);
 
+  // Takes a category slug, or "All"
   const handleCategoryClick = (category: string) => {
     if (category === "All") {
       setFilters({ category: undefined });
       searchParams.delete("category");
     } else {
       setFilters({ category });
-      searchParams.set("category", category.toLowerCase());
+      searchParams.set("category", category);
     }
     setSearchParams(searchParams);
   };
@@ -134,13 +149,14 @@ export function ProductListing() {
 
               {/* Category Pills */}
               <div className="flex gap-2 overflow-x-auto no-scrollbar py-1">
-                {categories.map((category) => {
-                  const isActive = (!filters.category && category === "All") ||
-                    filters.category?.toLowerCase() === category.toLowerCase();
+                {[{ slug: "All", name: "All" }, ...categories].map((category) => {
+                  const isActive = category.slug === "All"
+                    ? !filters.category
+                    : root?.slug === category.slug;
                   return (
                     <motion.button
-                      key={category}
-                      onClick={() => handleCategoryClick(category)}
+                      key={category.slug}
+                      onClick={() => handleCategoryClick(category.slug)}
                       whileHover={{ scale: 1.02 }}
                       whileTap={{ scale: 0.98 }}
                       className={cn(
@@ -150,7 +166,7 @@ export function ProductListing() {
                           : "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600"
                       )}
                     >
-                      {category}
+                      {category.name}
                     </motion.button>
                   );
                 })}
@@ -202,6 +218,26 @@ export function ProductListing() {
               </div>
             </div>
 
+            {/* Subcategory Pills */}
+            {subcategories.length > 0 && (
+              <div className="flex gap-2 overflow-x-auto no-scrollbar pt-3">
+                {subcategories.map((category) => (
+                  <button
+                    key={category._id}
+                    onClick={() => handleCategoryClick(category.slug)}
+                    className={cn(
+                      "px-3 py-1.5 rounded-full text-xs font-medium whitespace-nowrap border transition-colors",
+                      selected?._id === category._id
+                        ? "border-blue-500 text-blue-600 dark:text-blue-400"
+                        : "border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:border-blue-500"
+                    )}
+                  >
+                    {category.name}
+                  </button>
+                ))}
+              </div>
+            )}
+
             {/* Active Filters */}
             {hasActiveFilters && (
               <motion.div
@@ -213,7 +249,7 @@ export function ProductListing() {
                 <span className="text-sm text-gray-500 dark:text-gray-400">Active filters:</span>
                 {filters.category && (
                   <Badge variant="secondary" className="capitalize">
-                    {filters.category}
+                    {selected?.name ?? filters.category}
                     <button
                       onClick={() => handleCategoryClick("All")}
                       className="ml-1 hover:text-destructive"
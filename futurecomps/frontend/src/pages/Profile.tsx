@@ -1,5 +1,5 @@
 import { useState, useEffect } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   User,
@@ -19,12 +19,21 @@ import { profileAPI } from "../services/api";
 import ImageUpload from "../components/ImageUpload";
 import ProfileSidebar from "../components/Profile/ProfileSidebar";
 import OrderHistory from "../components/Profile/OrderHistory";
+import AddressBook from "../components/Profile/AddressBook";
+import ActiveSessions from "../components/Profile/ActiveSessions";
+import TwoFactorSettings from "../components/Profile/TwoFactorSettings";
+import LinkedAccounts from "../components/Profile/LinkedAccounts";
+import PushNotificationSettings from "../components/Profile/PushNotificationSettings";
 import Wishlist from "./Wishlist";
 
 export default function Profile() {
-  const { user, setUser, logout } = useAuth();
+  const { user, setUser, logout, isStaff } = useAuth();
   const navigate = useNavigate();
-  const [activeSection, setActiveSection] = useState("overview");
+  const [searchParams] = useSearchParams();
+  // ?section=settings opens a section directly (e.g. 2FA setup for admins)
+  const [activeSection, setActiveSection] = useState(
+    searchParams.get("section") || "overview",
+  );
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
@@ -185,6 +194,8 @@ export default function Profile() {
         return <OrderHistory />;
       case "wishlist":
         return <Wishlist />;
+      case "addresses":
+        return <AddressBook />;
       case "settings":
         return (
           <div className="max-w-2xl">
@@ -287,7 +298,7 @@ export default function Profile() {
                   <Lock className="w-4 h-4" />
                   Change Password
                 </button>
-                {user.role === "admin" && (
+                {isStaff && (
                   <button
                     onClick={() => navigate("/admin")}
                     className="flex items-center gap-2 px-4 py-2.5 bg-purple-500/10 hover:bg-purple-500/20 text-purple-600 dark:text-purple-400 text-sm font-medium rounded-lg transition-colors border border-purple-500/20"
@@ -297,6 +308,18 @@ export default function Profile() {
                   </button>
                 )}
               </div>
+              <div className="mt-6">
+                <TwoFactorSettings />
+              </div>
+              <div className="mt-6">
+                <LinkedAccounts />
+              </div>
+              <div className="mt-6">
+                <ActiveSessions />
+              </div>
+              <div className="mt-6">
+                <PushNotificationSettings />
+              </div>
             </div>
           </div>
         );
@@ -1,6 +1,6 @@
 
 import { useState, useEffect } from 'react';
-import { subscribeToPush, sendTestNotification } from '../lib/notifications';
+import pushService from '../api/services/pushService';
 import { syncService } from '../lib/sync';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
@@ -101,10 +101,18 @@ const Todos = () => {
 
   const enableNotifications = async () => {
     try {
-      await subscribeToPush();
+      await pushService.subscribe();
       alert('Notifications enabled!');
     } catch (error) {
-      alert('Failed to enable notifications. Ensure VAPID keys are set.');
+      alert('Failed to enable notifications. Sign in and ensure VAPID keys are set.');
+    }
+  };
+
+  const sendTestNotification = async () => {
+    try {
+      await pushService.sendTest();
+    } catch (error) {
+      console.error('Error sending test notification:', error);
     }
   };
 
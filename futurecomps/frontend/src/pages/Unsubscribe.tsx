@@ -0,0 +1,90 @@
+import { useEffect, useRef, useState } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { AlertCircle, BellOff } from "lucide-react";
+import alertService from "@/api/services/alertService";
+
+// Unsubscribe links in back-in-stock and price-drop emails land here
+// (?alert&sig). Confirming with a POST keeps link scanners in mail
+// clients from unsubscribing by fetching the link.
+export default function Unsubscribe() {
+  const [searchParams] = useSearchParams();
+  const [result, setResult] = useState<{ ok: boolean; message: string } | null>(
+    null,
+  );
+  const handled = useRef(false);
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    const alert = searchParams.get("alert");
+    const sig = searchParams.get("sig");
+
+    const finish = async () => {
+      if (!alert || !sig) {
+        setResult({ ok: false, message: "This unsubscribe link is invalid." });
+        return;
+      }
+      try {
+        const data = await alertService.unsubscribe(alert, sig);
+        setResult({ ok: true, message: data.message });
+      } catch (err) {
+        setResult({
+          ok: false,
+          message:
+            (err as { response?: { data?: { message?: string } } }).response
+              ?.data?.message || "Something went wrong. Please try again.",
+        });
+      }
+    };
+
+    finish();
+  }, [searchParams]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 py-12 px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="w-full max-w-md bg-white dark:bg-gray-800 rounded-3xl shadow-xl shadow-gray-200/50 dark:shadow-none p-8 sm:p-10 text-center"
+      >
+        {!result ? (
+          <>
+            <motion.div
+              animate={{ rotate: 360 }}
+              transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+              className="w-8 h-8 border-2 border-neutral-900 dark:border-white border-t-transparent rounded-full mx-auto mb-4"
+            />
+            <p className="text-gray-600 dark:text-gray-300">Unsubscribing...</p>
+          </>
+        ) : result.ok ? (
+          <>
+            <BellOff className="w-10 h-10 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-700 dark:text-gray-200 mb-6">{result.message}</p>
+            <Link
+              to="/wishlist"
+              className="font-semibold text-orange-600 hover:text-orange-700 hover:underline"
+            >
+              Go to your wishlist
+            </Link>
+          </>
+        ) : (
+          <>
+            <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl flex items-start gap-3 text-left">
+              <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+              <p className="text-red-600 dark:text-red-400 text-sm">{result.message}</p>
+            </div>
+            <Link
+              to="/"
+              className="font-semibold text-orange-600 hover:text-orange-700 hover:underline"
+            >
+              Back to the store
+            </Link>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+}
@@ -1,6 +1,38 @@
 import { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
 import { adminAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+
+interface Role {
+  name: string;
+  label: string;
+  description: string;
+  permissions: string[];
+  builtIn: boolean;
+  editable: boolean;
+  userCount: number;
+}
+
+// Role being created (isNew) or edited in the role editor
+interface RoleDraft {
+  isNew: boolean;
+  name: string;
+  label: string;
+  description: string;
+  permissions: string[];
+}
+
+const errorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { message?: string } } }).response?.data
+    ?.message || fallback;
+
+// "orders:write" → grouped under "orders"
+const groupPermissions = (catalog: Record<string, string>) =>
+  Object.keys(catalog).reduce<Record<string, string[]>>((groups, key) => {
+    const resource = key.split(":")[0];
+    (groups[resource] ||= []).push(key);
+    return groups;
+  }, {});
 
 interface User {
   _id: string;
@@ -24,11 +56,36 @@ export default function UserManagement() {
   const [selectedUsers, setSelectedUsers] = useState<string[]>([]);
   const [editingUser, setEditingUser] = useState<User | null>(null);
   const [showEditModal, setShowEditModal] = useState(false);
+  const [roles, setRoles] = useState<Role[]>([]);
+  const [permissionCatalog, setPermissionCatalog] = useState<
+    Record<string, string>
+  >({});
+  const [roleDraft, setRoleDraft] = useState<RoleDraft | null>(null);
+  const { user: currentUser, hasPermission } = useAuth();
+  const canManageRoles = hasPermission("roles:manage");
+  const canDeleteUsers = hasPermission("users:delete");
 
   useEffect(() => {
     fetchUsers();
   }, [page, search, roleFilter, activeFilter]);
 
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await adminAPI.getRoles();
+      setRoles(response.data.roles);
+      setPermissionCatalog(response.data.permissions);
+    } catch (err) {
+      console.error("Failed to load roles:", err);
+    }
+  };
+
+  const roleLabel = (name: string) =>
+    roles.find((role) => role.name === name)?.label || name;
+
   const fetchUsers = async () => {
     try {
       setLoading(true);
@@ -116,18 +173,68 @@ export default function UserManagement() {
       await adminAPI.updateUser(editingUser._id, {
         name: editingUser.name,
         email: editingUser.email,
-        role: editingUser.role,
+        // Role changes need roles:manage — leave it out otherwise
+        ...(canManageRoles && { role: editingUser.role }),
         isActive: editingUser.isActive,
         isVerified: editingUser.isVerified,
       });
       setShowEditModal(false);
       setEditingUser(null);
       fetchUsers();
+      fetchRoles();
     } catch (err: any) {
       alert(err.response?.data?.message || "Failed to update user");
     }
   };
 
+  // ── Role editor ───────────────────────────────────────
+
+  const handleSaveRole = async () => {
+    if (!roleDraft) return;
+
+    try {
+      if (roleDraft.isNew) {
+        await adminAPI.createRole({
+          name: roleDraft.name,
+          label: roleDraft.label,
+          description: roleDraft.description,
+          permissions: roleDraft.permissions,
+        });
+      } else {
+        await adminAPI.updateRole(roleDraft.name, {
+          label: roleDraft.label,
+          description: roleDraft.description,
+          permissions: roleDraft.permissions,
+        });
+      }
+      setRoleDraft(null);
+      fetchRoles();
+    } catch (err) {
+      alert(errorMessage(err, "Failed to save role"));
+    }
+  };
+
+  const handleDeleteRole = async (role: Role) => {
+    if (!confirm(`Delete the "${role.label}" role?`)) return;
+
+    try {
+      await adminAPI.deleteRole(role.name);
+      fetchRoles();
+    } catch (err) {
+      alert(errorMessage(err, "Failed to delete role"));
+    }
+  };
+
+  const toggleDraftPermission = (permission: string) => {
+    if (!roleDraft) return;
+    setRoleDraft({
+      ...roleDraft,
+      permissions: roleDraft.permissions.includes(permission)
+        ? roleDraft.permissions.filter((p) => p !== permission)
+        : [...roleDraft.permissions, permission],
+    });
+  };
+
   const toggleUserSelection = (userId: string) => {
     setSelectedUsers((prev) =>
       prev.includes(userId)
@@ -185,8 +292,11 @@ export default function UserManagement() {
               className="px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
               <option value="">All Roles</option>
-              <option value="user">User</option>
-              <option value="admin">Admin</option>
+              {roles.map((role) => (
+                <option key={role.name} value={role.name}>
+                  {role.label}
+                </option>
+              ))}
             </select>
             <select
               value={activeFilter}
@@ -234,12 +344,14 @@ export default function UserManagement() {
               >
                 Verify
               </button>
-              <button
-                onClick={() => handleBulkAction("delete")}
-                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 text-sm"
-              >
-                Delete
-              </button>
+              {canDeleteUsers && (
+                <button
+                  onClick={() => handleBulkAction("delete")}
+                  className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 text-sm"
+                >
+                  Delete
+                </button>
+              )}
             </div>
           </div>
         )}
@@ -316,12 +428,12 @@ export default function UserManagement() {
                     <td className="px-6 py-4">
                       <span
                         className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                          user.role === "admin"
+                          user.role !== "user"
                             ? "bg-purple-100 text-purple-800"
                             : "bg-gray-100 text-gray-800"
                         }`}
                       >
-                        {user.role}
+                        {roleLabel(user.role)}
                       </span>
                     </td>
                     <td className="px-6 py-4">
@@ -362,12 +474,14 @@ export default function UserManagement() {
                       >
                         Edit
                       </button>
-                      <button
-                        onClick={() => handleDeleteUser(user._id)}
-                        className="text-red-600 hover:text-red-900"
-                      >
-                        Delete
-                      </button>
+                      {canDeleteUsers && (
+                        <button
+                          onClick={() => handleDeleteUser(user._id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Delete
+                        </button>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -399,6 +513,213 @@ export default function UserManagement() {
           </div>
         )}
 
+        {/* Roles */}
+        <div className="bg-white rounded-lg shadow mt-8">
+          <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">
+                Roles &amp; Permissions
+              </h2>
+              <p className="text-sm text-gray-500">
+                What each role can see and do in the admin area
+              </p>
+            </div>
+            {canManageRoles && (
+              <button
+                onClick={() =>
+                  setRoleDraft({
+                    isNew: true,
+                    name: "",
+                    label: "",
+                    description: "",
+                    permissions: [],
+                  })
+                }
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm"
+              >
+                New Role
+              </button>
+            )}
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {roles.map((role) => (
+              <li
+                key={role.name}
+                className="px-6 py-4 flex items-start justify-between gap-4"
+              >
+                <div>
+                  <div className="text-sm font-medium text-gray-900">
+                    {role.label}
+                    <span className="ml-2 text-xs text-gray-500 font-mono">
+                      {role.name}
+                    </span>
+                    {role.builtIn && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">
+                        Built-in
+                      </span>
+                    )}
+                  </div>
+                  {role.description && (
+                    <div className="text-sm text-gray-500">
+                      {role.description}
+                    </div>
+                  )}
+                  <div className="text-xs text-gray-500 mt-1">
+                    {role.permissions.length} permission
+                    {role.permissions.length === 1 ? "" : "s"} ·{" "}
+                    {role.userCount} user{role.userCount === 1 ? "" : "s"}
+                  </div>
+                </div>
+                {canManageRoles && (
+                  <div className="text-sm font-medium space-x-2 whitespace-nowrap">
+                    {role.editable && (
+                      <button
+                        onClick={() =>
+                          setRoleDraft({
+                            isNew: false,
+                            name: role.name,
+                            label: role.label,
+                            description: role.description,
+                            permissions: role.permissions,
+                          })
+                        }
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {!role.builtIn && (
+                      <button
+                        onClick={() => handleDeleteRole(role)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Role Editor Modal */}
+        {roleDraft && (
+          <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+            <div className="relative top-10 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">
+                {roleDraft.isNew ? "New Role" : `Edit ${roleDraft.label}`}
+              </h3>
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">
+                      Name
+                    </label>
+                    <input
+                      type="text"
+                      value={roleDraft.name}
+                      disabled={!roleDraft.isNew}
+                      placeholder="e.g. fulfilment"
+                      onChange={(e) =>
+                        setRoleDraft({
+                          ...roleDraft,
+                          name: e.target.value.toLowerCase(),
+                        })
+                      }
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md font-mono disabled:bg-gray-100"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">
+                      Label
+                    </label>
+                    <input
+                      type="text"
+                      value={roleDraft.label}
+                      placeholder="e.g. Fulfilment"
+                      onChange={(e) =>
+                        setRoleDraft({ ...roleDraft, label: e.target.value })
+                      }
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Description
+                  </label>
+                  <input
+                    type="text"
+                    value={roleDraft.description}
+                    onChange={(e) =>
+                      setRoleDraft({
+                        ...roleDraft,
+                        description: e.target.value,
+                      })
+                    }
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md"
+                  />
+                </div>
+                <div>
+                  <span className="block text-sm font-medium text-gray-700 mb-2">
+                    Permissions
+                  </span>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-h-80 overflow-y-auto">
+                    {Object.entries(groupPermissions(permissionCatalog)).map(
+                      ([resource, permissions]) => (
+                        <div key={resource}>
+                          <div className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-1">
+                            {resource}
+                          </div>
+                          {permissions.map((permission) => (
+                            <label
+                              key={permission}
+                              className="flex items-start gap-2 py-0.5"
+                            >
+                              <input
+                                type="checkbox"
+                                checked={roleDraft.permissions.includes(
+                                  permission,
+                                )}
+                                onChange={() =>
+                                  toggleDraftPermission(permission)
+                                }
+                                className="mt-0.5 rounded border-gray-300"
+                              />
+                              <span className="text-sm text-gray-700">
+                                {permissionCatalog[permission]}
+                                <span className="block text-xs text-gray-400 font-mono">
+                                  {permission}
+                                </span>
+                              </span>
+                            </label>
+                          ))}
+                        </div>
+                      ),
+                    )}
+                  </div>
+                </div>
+              </div>
+              <div className="mt-6 flex space-x-3">
+                <button
+                  onClick={handleSaveRole}
+                  disabled={!roleDraft.name || !roleDraft.label.trim()}
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {roleDraft.isNew ? "Create Role" : "Save Role"}
+                </button>
+                <button
+                  onClick={() => setRoleDraft(null)}
+                  className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Edit Modal */}
         {showEditModal && editingUser && (
           <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -446,10 +767,16 @@ export default function UserManagement() {
                       onChange={(e) =>
                         setEditingUser({ ...editingUser, role: e.target.value })
                       }
-                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md"
+                      disabled={
+                        !canManageRoles || editingUser._id === currentUser?.id
+                      }
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md disabled:bg-gray-100"
                     >
-                      <option value="user">User</option>
-                      <option value="admin">Admin</option>
+                      {roles.map((role) => (
+                        <option key={role.name} value={role.name}>
+                          {role.label}
+                        </option>
+                      ))}
                     </select>
                   </div>
                   <div className="flex items-center space-x-4">
@@ -1,14 +1,42 @@
+import { useState } from "react";
 import { useStore } from "@/context/StoreContext";
 import { Navbar } from "@/components/layout/Navbar";
 import { Footer } from "@/components/layout/Footer";
 import { Button } from "@/components/ui/Button";
 import { Card, CardContent } from "@/components/ui/Card";
-import { Heart, ShoppingBag, Trash2 } from "lucide-react";
+import { Bell, BellOff, Heart, ShoppingBag, Trash2 } from "lucide-react";
 import { Link } from "react-router-dom";
-import { formatCurrency } from "@/lib/utils";
+import { useStoreSettings } from "@/context/StoreSettingsContext";
+import alertService from "@/api/services/alertService";
+import type { WishlistItem } from "@/api/services/wishlistService";
 
 export default function Wishlist() {
   const { wishlist, removeFromWishlist, addToCart, wishlistLoading } = useStore();
+  const { formatPrice } = useStoreSettings();
+  // Price alerts toggled on this page, by product id
+  const [priceAlerts, setPriceAlerts] = useState<Record<string, string | null>>({});
+  const [togglingAlert, setTogglingAlert] = useState<string | null>(null);
+
+  const priceAlertId = (item: WishlistItem) =>
+    item.productId in priceAlerts ? priceAlerts[item.productId] : item.priceAlertId;
+
+  const togglePriceAlert = async (item: WishlistItem) => {
+    const alertId = priceAlertId(item);
+    setTogglingAlert(item.productId);
+    try {
+      if (alertId) {
+        await alertService.deleteAlert(alertId);
+        setPriceAlerts((prev) => ({ ...prev, [item.productId]: null }));
+      } else {
+        const data = await alertService.createAlert(item.productId, "price-drop");
+        setPriceAlerts((prev) => ({ ...prev, [item.productId]: data.alert._id }));
+      }
+    } catch (err) {
+      console.error("Failed to update price alert", err);
+    } finally {
+      setTogglingAlert(null);
+    }
+  };
 
   const handleMoveToCart = (item: any) => {
     addToCart(item.product);
@@ -74,18 +102,40 @@ export default function Wishlist() {
                   <h3 className="font-semibold text-lg mb-1 truncate">
                     {item.product.name}
                   </h3>
-                  <div className="flex items-baseline gap-2 mb-4">
+                  <div className="flex items-baseline gap-2 mb-2">
                     <span className="text-xl font-bold text-primary">
-                      {formatCurrency(
+                      {formatPrice(
                         item.product.discountedPrice || item.product.price
                       )}
                     </span>
                     {item.product.discountedPrice && (
                       <span className="text-sm text-gray-500 line-through">
-                        {formatCurrency(item.product.price)}
+                        {formatPrice(item.product.price)}
                       </span>
                     )}
                   </div>
+                  {/* Signed-out wishlists live in the browser — no alerts */}
+                  {item.priceAlertId !== undefined ? (
+                    <button
+                      onClick={() => togglePriceAlert(item)}
+                      disabled={togglingAlert === item.productId}
+                      className="mb-4 flex items-center gap-1.5 text-sm text-gray-500 hover:text-primary disabled:opacity-50"
+                    >
+                      {priceAlertId(item) ? (
+                        <>
+                          <Bell className="w-4 h-4" />
+                          Price drop alerts on
+                        </>
+                      ) : (
+                        <>
+                          <BellOff className="w-4 h-4" />
+                          Price drop alerts off
+                        </>
+                      )}
+                    </button>
+                  ) : (
+                    <div className="mb-4" />
+                  )}
                   <Button
                     className="w-full"
                     onClick={() => handleMoveToCart(item)}
@@ -1,4 +1,6 @@
 import axios from "axios";
+import cookies from "../utils/cookies";
+import { refreshAccessToken } from "../api/services/api";
 
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
 
@@ -11,17 +13,47 @@ const api = axios.create({
 
 // Add token to requests if available
 api.interceptors.request.use((config) => {
-  const token = localStorage.getItem("token");
+  const token = cookies.getAccessToken();
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
   return config;
 });
 
+// Access tokens are short-lived — refresh once and retry on 401
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+    // Only signed-in requests can be rescued (not a failed login)
+    if (
+      error.response?.status !== 401 ||
+      !original?.headers?.Authorization ||
+      original._retry ||
+      !cookies.getRefreshToken()
+    ) {
+      return Promise.reject(error);
+    }
+
+    original._retry = true;
+    try {
+      const token = await refreshAccessToken();
+      original.headers.Authorization = `Bearer ${token}`;
+      return api(original);
+    } catch {
+      return Promise.reject(error);
+    }
+  },
+);
+
 // Auth API
 export const authAPI = {
-  register: (data: { name: string; email: string; password: string }) =>
-    api.post("/auth/register", data),
+  register: (data: {
+    name: string;
+    email: string;
+    password: string;
+    locale?: string;
+  }) => api.post("/auth/register", data),
 
   verifyOTP: (data: { email: string; otp: string }) =>
     api.post("/auth/verify-otp", data),
@@ -41,6 +73,54 @@ export const authAPI = {
     api.post("/auth/change-password", data),
 
   getMe: () => api.get("/auth/me"),
+
+  // Takes the token explicitly — local sign-out clears it straight away
+  logout: (token: string) =>
+    api.post("/auth/logout", null, {
+      headers: { Authorization: `Bearer ${token}` },
+    }),
+
+  // Signed-in devices
+  getSessions: () => api.get("/auth/sessions"),
+
+  revokeSession: (id: string) => api.delete(`/auth/sessions/${id}`),
+
+  revokeOtherSessions: () => api.delete("/auth/sessions"),
+
+  // Two-factor authentication
+  verifyTwoFactor: (data: { challengeToken: string; code: string }) =>
+    api.post("/auth/2fa/verify", data),
+
+  getTwoFactorStatus: () => api.get("/auth/2fa"),
+
+  setupTwoFactor: () => api.post("/auth/2fa/setup"),
+
+  enableTwoFactor: (data: { code: string }) =>
+    api.post("/auth/2fa/enable", data),
+
+  regenerateRecoveryCodes: (data: { code: string }) =>
+    api.post("/auth/2fa/recovery-codes", data),
+
+  disableTwoFactor: (data: { password: string; code: string }) =>
+    api.post("/auth/2fa/disable", data),
+
+  // Social sign-in
+  getOAuthProviders: () => api.get("/auth/oauth/providers"),
+
+  startOAuth: (provider: string) => api.post(`/auth/oauth/${provider}/start`),
+
+  oauthLogin: (provider: string, data: { code: string; state: string }) =>
+    api.post(`/auth/oauth/${provider}/callback`, data),
+
+  getLinkedAccounts: () => api.get("/auth/oauth/accounts"),
+
+  startOAuthLink: (provider: string) =>
+    api.post(`/auth/oauth/${provider}/link/start`),
+
+  linkOAuth: (provider: string, data: { code: string; state: string }) =>
+    api.post(`/auth/oauth/${provider}/link`, data),
+
+  unlinkOAuth: (provider: string) => api.delete(`/auth/oauth/${provider}`),
 };
 
 // Profile API
@@ -144,11 +224,30 @@ export const adminAPI = {
 
   deleteUser: (id: string) => api.delete(`/admin/users/${id}`),
 
+  unlockUser: (id: string) => api.post(`/admin/users/${id}/unlock`),
+
   bulkUpdateUsers: (data: {
     userIds: string[];
     action: "activate" | "deactivate" | "verify" | "delete";
   }) => api.post("/admin/users/bulk-update", data),
 
+  // Roles & permissions
+  getRoles: () => api.get("/admin/roles"),
+
+  createRole: (data: {
+    name: string;
+    label: string;
+    description?: string;
+    permissions: string[];
+  }) => api.post("/admin/roles", data),
+
+  updateRole: (
+    name: string,
+    data: { label?: string; description?: string; permissions?: string[] },
+  ) => api.put(`/admin/roles/${name}`, data),
+
+  deleteRole: (name: string) => api.delete(`/admin/roles/${name}`),
+
   // Statistics
   getStats: () => api.get("/admin/stats"),
 };
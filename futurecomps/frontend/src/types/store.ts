@@ -8,6 +8,7 @@ export interface Product {
   imageUrl: string;
   images?: string[];
   category: string;
+  categoryId?: string | null;
   rating: number;
   reviewCount: number;
   currency: string;
@@ -32,6 +33,8 @@ export interface Cart {
   subtotal: number;
   discount: number;
   discountCode?: string;
+  // Server-calculated tax; undefined until the quote for the current items arrives
+  tax?: number;
   total: number;
 }
 
@@ -72,7 +75,7 @@ export type SortOption =
   | "newest";
 
 export interface FilterState {
-  category?: string;
+  category?: string; // category slug
   priceRange?: [number, number];
   rating?: number;
   search?: string;
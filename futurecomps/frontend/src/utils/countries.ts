@@ -0,0 +1,49 @@
+// Countries for address forms. Addresses store the ISO 3166-1 alpha-2
+// code; the server validates postal codes and states per country.
+
+const COUNTRY_CODES = `
+  AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI
+  BJ BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN
+  CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK
+  FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM
+  HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN
+  KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK
+  ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP
+  NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW
+  SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF
+  TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI
+  VN VU WF WS YE YT ZA ZM ZW
+`
+  .trim()
+  .split(/\s+/);
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+// Name for a country code; older orders store the name itself
+export const countryName = (country: string) => {
+  try {
+    return regionNames.of(country) || country;
+  } catch {
+    return country;
+  }
+};
+
+// { code, name } sorted by name, for <select>
+export const countryOptions = COUNTRY_CODES.map((code) => ({
+  code,
+  name: countryName(code),
+})).sort((a, b) => a.name.localeCompare(b.name));
+
+// Label for the state line; these countries require it
+const STATE_LABELS: Record<string, string> = {
+  US: "State",
+  CA: "Province",
+  AU: "State",
+  IN: "State",
+  BR: "State",
+  MX: "State",
+};
+
+export const stateLabel = (code: string) => STATE_LABELS[code] || "State / Region";
+
+export const requiresState = (code: string) => code in STATE_LABELS;
@@ -0,0 +1,23 @@
+// Labels for a device from its user agent (signed-in sessions, push devices)
+
+export const isMobile = (userAgent?: string | null) =>
+  /mobile|android|iphone|ipad/i.test(userAgent || "");
+
+// Rough "Chrome on Windows" label
+export const describeDevice = (userAgent?: string | null) => {
+  if (!userAgent) return "Unknown device";
+  const browser =
+    ["Edg", "OPR", "Firefox", "Chrome", "Safari"].find((name) =>
+      userAgent.includes(name),
+    ) || "Browser";
+  const os =
+    ["Windows", "Android", "iPhone", "iPad", "Mac OS", "Linux"].find((name) =>
+      userAgent.includes(name),
+    ) || "unknown OS";
+  const names: Record<string, string> = {
+    Edg: "Edge",
+    OPR: "Opera",
+    "Mac OS": "macOS",
+  };
+  return `${names[browser] || browser} on ${names[os] || os}`;
+};
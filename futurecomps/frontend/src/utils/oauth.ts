@@ -0,0 +1,46 @@
+// Social sign-in round trip. The state the backend issued is kept in
+// sessionStorage so the callback page only accepts a redirect this tab
+// started, and knows whether it was a sign-in or a link.
+
+const PENDING_OAUTH_KEY = "oauth_pending";
+
+export type OAuthMode = "login" | "link";
+
+interface PendingOAuth {
+  provider: string;
+  state: string;
+  mode: OAuthMode;
+  redirectTo?: string;
+}
+
+/**
+ * Remember the pending sign-in and send the browser to the provider
+ */
+export const redirectToProvider = (
+  pending: PendingOAuth,
+  url: string,
+): void => {
+  sessionStorage.setItem(PENDING_OAUTH_KEY, JSON.stringify(pending));
+  window.location.assign(url);
+};
+
+/**
+ * Read and clear the pending sign-in — null unless it matches the callback
+ */
+export const takePendingOAuth = (
+  provider: string,
+  state: string | null,
+): PendingOAuth | null => {
+  const saved = sessionStorage.getItem(PENDING_OAUTH_KEY);
+  sessionStorage.removeItem(PENDING_OAUTH_KEY);
+  if (!saved || !state) return null;
+
+  try {
+    const pending = JSON.parse(saved) as PendingOAuth;
+    return pending.provider === provider && pending.state === state
+      ? pending
+      : null;
+  } catch {
+    return null;
+  }
+};